@@ -0,0 +1,191 @@
+/**
+ * sw.js - Service worker aplikacji klienta Corelay (instalacja PWA + tryb offline)
+ *
+ * Klient najczęściej potrzebuje kodu tam, gdzie nie ma zasięgu (piwnica sklepu, paczkomat w podziemiach).
+ * Service worker:
+ * - precache'uje powłokę aplikacji (index.html, manifest, ikony, biblioteki z CDN) – aplikacja startuje bez sieci,
+ * - POST /api/user/orders: najpierw sieć, przy braku sieci ostatnia zapisana odpowiedź
+ *   z nagłówkiem X-Corelay-Cached-At (strona pokazuje wtedy znacznik nieaktualnych danych),
+ * - POST /api/user/generate_guest_pin: zapamiętuje ostatni kod odbioru/zwrotu; offline zwraca go ponownie
+ *   dla tego samego zamówienia (i tych samych produktów), dopóki nie wygaśnie – QR rotuje lokalnie (HMAC w przeglądarce);
+ *   tak samo POST /api/user/collect_all_code (kod zbiorczy – ten sam sklep i te same zwroty),
+ * - Background Sync (tag SYNC_TAG): po powrocie sieci prosi otwarte karty o odświeżenie zamówień – karta pyta API
+ *   własną sesją (przy 401 odświeża tokeny), odpowiedź przechodzi przez ordersNetworkFirst i trafia do cache.
+ *
+ * Service worker nie przechowuje tokenów – bez otwartej karty sync nic nie robi, zamówienia odświeży start aplikacji.
+ * Pozostałe zapytania do API zawsze idą do sieci. Dane użytkownika (DATA_CACHE) strona usuwa przy wylogowaniu.
+ *
+ * @module ClientServiceWorker
+ * @version 1.0.0
+ */
+
+// ============================================
+// KONFIGURACJA
+// ============================================
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `corelay-shell-${CACHE_VERSION}`; // Powłoka aplikacji (wersjonowana – nowa wersja = nowy cache)
+const RUNTIME_CACHE = `corelay-runtime-${CACHE_VERSION}`; // Zasoby CDN doczytane w trakcie (np. fonty)
+const DATA_CACHE = 'corelay-data'; // Dane użytkownika – przeżywają aktualizację service workera
+
+const SHELL_URLS = ['/', '/index.html', '/manifest.json', '/icon-192.png', '/icon-512.png'];
+const CDN_URLS = [
+  'https://cdn.jsdelivr.net/npm/qrcode@1.5.3/build/qrcode.min.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css',
+  'https://fonts.googleapis.com/css2?family=Roboto:wght@400;500;700&display=swap'
+];
+
+const ORDERS_PATH = '/api/user/orders';
+const GUEST_PIN_PATH = '/api/user/generate_guest_pin';
+const COLLECT_ALL_PATH = '/api/user/collect_all_code';
+
+// Klucze w DATA_CACHE (syntetyczne adresy – nigdy nie trafiają do sieci; te same stałe w index.html)
+const ORDERS_KEY = '/__corelay/orders';
+const LAST_CODE_KEY = '/__corelay/last-code';
+
+const SYNC_TAG = 'corelay-refresh-orders';
+
+// ============================================
+// POMOCNICZE
+// ============================================
+
+// Odpowiedź JSON (opcjonalnie z czasem zapisu w cache)
+function jsonResponse(body, status = 200, cachedAt = null) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (cachedAt) headers['X-Corelay-Cached-At'] = cachedAt;
+  return new Response(JSON.stringify(body), { status, headers });
+}
+
+// Zapis odpowiedzi zamówień (bez nagłówków zapytania – token zostaje w karcie)
+async function storeOrders(data) {
+  await (await caches.open(DATA_CACHE)).put(ORDERS_KEY, jsonResponse({ cachedAt: new Date().toISOString(), data }));
+}
+
+// Powiadom otwarte karty aplikacji
+async function notifyClients(message) {
+  const windows = await self.clients.matchAll({ type: 'window' });
+  windows.forEach(client => client.postMessage(message));
+}
+
+// ============================================
+// STRATEGIE
+// ============================================
+
+// Zamówienia: sieć → zapis; bez sieci → ostatnia zapisana lista (X-Corelay-Cached-At)
+async function ordersNetworkFirst(request) {
+  try {
+    const response = await fetch(request.clone());
+    if (response.ok) {
+      const data = await response.clone().json();
+      if (data.success) await storeOrders(data);
+    }
+    return response;
+  } catch (err) {
+    const cached = await (await caches.open(DATA_CACHE)).match(ORDERS_KEY);
+    if (!cached) {
+      return jsonResponse({ success: false, offline: true, message: 'Brak połączenia i brak zapisanych zamówień' }, 503);
+    }
+    const entry = await cached.json();
+    return jsonResponse(entry.data, 200, entry.cachedAt);
+  }
+}
+
+// Kod odbioru/zwrotu: sieć → zapamiętaj ostatni; bez sieci → ostatni kod, jeśli pasuje i nie wygasł
+async function guestCodeWithFallback(request) {
+  const body = await request.clone().json().catch(() => ({}));
+  const requestKey = JSON.stringify({ orderId: body.orderId, items: body.items || null, storeId: body.storeId, returns: body.returns });
+  const cache = await caches.open(DATA_CACHE);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const data = await response.clone().json();
+      if (data.success) {
+        await cache.put(LAST_CODE_KEY, jsonResponse({ cachedAt: new Date().toISOString(), requestKey, data }));
+      }
+    }
+    return response;
+  } catch (err) {
+    const cached = await cache.match(LAST_CODE_KEY);
+    const entry = cached ? await cached.json() : null;
+    if (entry && entry.requestKey === requestKey && new Date(entry.data.expiresAt).getTime() > Date.now()) {
+      return jsonResponse(entry.data, 200, entry.cachedAt);
+    }
+    return jsonResponse({ success: false, offline: true, message: 'Brak połączenia – nowy kod wygenerujesz po powrocie sieci' }, 503);
+  }
+}
+
+// Nawigacja: sieć (świeża wersja aplikacji) → bez sieci powłoka z cache
+async function appShell(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) (await caches.open(SHELL_CACHE)).put('/index.html', response.clone());
+    return response;
+  } catch (err) {
+    return (await caches.match('/index.html')) || (await caches.match('/')) || Response.error();
+  }
+}
+
+// Zasoby statyczne: cache → sieć (z dopisaniem do RUNTIME_CACHE)
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    (await caches.open(RUNTIME_CACHE)).put(request, response.clone());
+  }
+  return response;
+}
+
+// Background Sync: zamówienia odświeża karta własną sesją (apiFetch) – service worker nie zna tokenu
+async function refreshOrders() {
+  await notifyClients({ type: 'SYNC_ORDERS' });
+}
+
+// ============================================
+// CYKL ŻYCIA
+// ============================================
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(SHELL_URLS);
+    // CDN bez CORS (odpowiedzi "opaque") – best effort, brak CDN nie blokuje instalacji
+    await Promise.all(CDN_URLS.map(url => fetch(url, { mode: 'no-cors' })
+      .then(response => cache.put(url, response))
+      .catch(() => console.warn(`[SW] Nie zapisano ${url}`))));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, RUNTIME_CACHE, DATA_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name.startsWith('corelay-') && !keep.includes(name)).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method === 'POST' && url.pathname === ORDERS_PATH) {
+    return event.respondWith(ordersNetworkFirst(request));
+  }
+  if (request.method === 'POST' && [GUEST_PIN_PATH, COLLECT_ALL_PATH].includes(url.pathname)) {
+    return event.respondWith(guestCodeWithFallback(request));
+  }
+  if (request.method !== 'GET' || url.pathname.startsWith('/api/')) return; // Reszta API – zawsze sieć
+  if (request.mode === 'navigate') {
+    return event.respondWith(appShell(request));
+  }
+  event.respondWith(cacheFirst(request));
+});
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(refreshOrders());
+  }
+});
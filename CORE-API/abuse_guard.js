@@ -0,0 +1,454 @@
+'use strict';
+
+/**
+ * abuse_guard.js - Ochrona kodów odbioru przed zgadywaniem i ponownym użyciem
+ *
+ * PIN ma 6 cyfr i jest ważny 60 minut – limit zapytań na IP (express-rate-limit) nie chroni przed
+ * przeszukiwaniem PIN-ów z terminala sklepu. Moduł liczy nieudane weryfikacje w oknie FAILURE_WINDOW_MINUTES:
+ * - per skaner (terminal) i per użytkownik – po przekroczeniu progu progresywna blokada
+ *   (LOCKOUT_STEPS_MINUTES: każda kolejna dłuższa; poziom wraca do zera po LEVEL_RESET_HOURS bez błędów),
+ * - per zamówienie – po MAX_ORDER_FAILURES nieudanych próbach aktywny kod zamówienia (PIN + QR) jest
+ *   unieważniany razem z upoważnieniami pełnomocników; klient generuje nowy w aplikacji,
+ * - per sklep – nietrafione PIN-y (CODE_NOT_FOUND) nie wskazują zamówienia, więc liczymy je na sklep terminala;
+ *   po przekroczeniu progu sklep czasowo nie przyjmuje PIN-ów (kody QR działają dalej), a kody klientów
+ *   zostają nietknięte – zgadywanie z wielu terminali nie obejdzie limitu terminala.
+ * Odmowy, które nie dowodzą zgadywania kodu klienta (zły sklep, brak kwalifikacji), liczą się tylko
+ * terminalowi (TERMINAL_ONLY_REASONS) – inaczej obcy terminal mógłby zablokować klienta lub spalić jego kod.
+ * Zużyte kody trafiają do `consumedCodes` – ponowne użycie (replay) jest rozpoznawane i zgłaszane.
+ * Blokady, unieważnienia i replay trafiają do `securityEvents` (GET /api/admin/security/events).
+ *
+ * @module AbuseGuard
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const moment = require('moment');
+const DB = require('./database');
+const Delegations = require('./delegations');
+const { ApiError } = require('./errors');
+
+// ============================================
+// KONSTANTY
+// ============================================
+
+/**
+ * Podmioty, dla których liczymy nieudane próby.
+ * @constant
+ */
+const SUBJECTS = {
+  TERMINAL: 'terminal',
+  USER: 'user',
+  ORDER: 'order',
+  STORE: 'store'
+};
+
+/**
+ * Podmioty z blokadą (zamówienie kończy się unieważnieniem kodu, nie blokadą; blokada sklepu dotyczy tylko PIN-ów).
+ * @constant
+ */
+const LOCK_SUBJECTS = [SUBJECTS.TERMINAL, SUBJECTS.USER, SUBJECTS.STORE];
+
+/**
+ * Progi nieudanych prób w oknie (terminal, użytkownik i sklep → blokada, zamówienie → unieważnienie kodu).
+ * @constant
+ */
+const FAILURE_THRESHOLDS = {
+  [SUBJECTS.TERMINAL]: 10, // Kasjer też się myli – wyższy próg niż dla jednego klienta
+  [SUBJECTS.USER]: 5,
+  [SUBJECTS.ORDER]: 5,
+  [SUBJECTS.STORE]: 20 // Wszystkie terminale sklepu razem
+};
+
+/**
+ * Odmowy liczone tylko terminalowi – kod był poprawny, ale nie do użycia tutaj/teraz.
+ * @constant
+ */
+const TERMINAL_ONLY_REASONS = ['WRONG_STORE', 'NOT_ELIGIBLE', 'BUNDLE_REQUIRES_ONLINE'];
+
+/**
+ * Odmowy nietrafionego PIN-u (kod nie istnieje) – liczone sklepowi terminala.
+ * @constant
+ */
+const PIN_MISS_REASONS = ['CODE_NOT_FOUND'];
+
+/**
+ * Okno liczenia nieudanych prób (minuty).
+ * @constant
+ */
+const FAILURE_WINDOW_MINUTES = 15;
+
+/**
+ * Długości kolejnych blokad (minuty) – ostatnia powtarzana.
+ * @constant
+ */
+const LOCKOUT_STEPS_MINUTES = [1, 5, 15, 60];
+
+/**
+ * Po ilu godzinach bez nieudanych prób poziom blokady wraca do zera.
+ * @constant
+ */
+const LEVEL_RESET_HOURS = 24;
+
+/**
+ * Jak długo pamiętamy zużyte kody (wykrywanie replay).
+ * @constant
+ */
+const CONSUMED_RETENTION_HOURS = 24;
+
+/**
+ * Typy zdarzeń bezpieczeństwa.
+ * @constant
+ */
+const SECURITY_EVENT_TYPES = {
+  LOCKOUT: 'LOCKOUT', // Blokada terminala/użytkownika/PIN-ów sklepu
+  CODE_INVALIDATED: 'CODE_INVALIDATED', // Kod zamówienia unieważniony po MAX prób
+  CODE_REPLAY: 'CODE_REPLAY', // Próba użycia zużytego kodu
+  UNLOCKED: 'UNLOCKED', // Ręczne zdjęcie blokady (admin)
+  CODE_REVOKED: 'CODE_REVOKED' // Kod unieważniony ręcznie z back-office (np. zgłoszony wyciek)
+};
+
+/**
+ * Waga zdarzenia.
+ * @constant
+ */
+const SEVERITIES = {
+  INFO: 'INFO',
+  WARNING: 'WARNING',
+  CRITICAL: 'CRITICAL'
+};
+
+/**
+ * Ile ostatnich zdarzeń bezpieczeństwa trzymamy.
+ * @constant
+ */
+const MAX_EVENTS = 5000;
+
+/**
+ * Aktor unieważnień automatycznych (historia zamówienia, upoważnienia).
+ * @constant
+ */
+const SYSTEM_ACTOR = 'system:abuse_guard';
+
+const countersCollection = () => DB.getCollection('securityCounters');
+const consumedCollection = () => DB.getCollection('consumedCodes');
+const eventsCollection = () => DB.getCollection('securityEvents');
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code).trim()).digest('hex');
+
+const counterOf = (subject, subjectId) => countersCollection()
+  .find(c => c.subject === subject && c.subjectId === subjectId) || null;
+
+/**
+ * Zapisuje zdarzenie bezpieczeństwa (+ alert w logu dla WARNING/CRITICAL).
+ * @private
+ */
+const raise = (type, severity, details) => {
+  const event = {
+    eventId: `SEC-${crypto.randomBytes(6).toString('hex')}`,
+    type,
+    severity,
+    at: moment().toISOString(),
+    terminalId: details.terminalId || null,
+    storeId: details.storeId || null,
+    userId: details.userId || null,
+    orderId: details.orderId || null,
+    subject: details.subject || null,
+    subjectId: details.subjectId || null,
+    message: details.message,
+    data: details.data || {}
+  };
+  const events = eventsCollection();
+  events.push(event);
+  if (events.length > MAX_EVENTS) {
+    events.splice(0, events.length - MAX_EVENTS);
+  }
+  if (severity !== SEVERITIES.INFO) {
+    console.warn(`[AbuseGuard] ALERT ${severity} ${type}: ${event.message}`);
+  }
+  return event;
+};
+
+/**
+ * Dopisuje nieudaną próbę do licznika podmiotu; po przekroczeniu progu blokada lub unieważnienie kodu.
+ * @private
+ * @returns {object|null} Wywołana akcja { action: 'LOCKOUT', lockedUntil } / { action: 'CODE_INVALIDATED' } lub null
+ */
+const countFailure = (subject, subjectId, nowMs, context) => {
+  let counter = counterOf(subject, subjectId);
+  if (!counter) {
+    counter = { subject, subjectId, failures: [], level: 0, lockedUntil: null, lastFailureAt: null };
+    countersCollection().push(counter);
+  }
+
+  if (counter.lastFailureAt && nowMs - moment(counter.lastFailureAt).valueOf() > LEVEL_RESET_HOURS * 3600 * 1000) {
+    counter.level = 0;
+  }
+  counter.failures = counter.failures.filter(at => at > nowMs - FAILURE_WINDOW_MINUTES * 60 * 1000);
+  counter.failures.push(nowMs);
+  counter.lastFailureAt = moment(nowMs).toISOString();
+
+  if (counter.failures.length < FAILURE_THRESHOLDS[subject]) return null;
+  counter.failures = [];
+
+  if (subject === SUBJECTS.ORDER) {
+    // Kod zamówienia i kody pełnomocników – wszystkie prowadzą do tej samej paczki
+    const removed = DB.removeGuestCode(subjectId) +
+      Delegations.revokeForOrder(subjectId, { actor: SYSTEM_ACTOR, reason: `${FAILURE_THRESHOLDS[subject]} nieudanych prób kodu zamówienia` });
+    if (removed === 0) return null; // Brak aktywnego kodu – nie ma czego unieważniać
+    raise(SECURITY_EVENT_TYPES.CODE_INVALIDATED, SEVERITIES.WARNING, {
+      ...context,
+      orderId: subjectId,
+      subject,
+      subjectId,
+      message: `Kod zamówienia ${subjectId} unieważniony po ${FAILURE_THRESHOLDS[subject]} nieudanych próbach`
+    });
+    return { action: SECURITY_EVENT_TYPES.CODE_INVALIDATED };
+  }
+
+  const minutes = LOCKOUT_STEPS_MINUTES[Math.min(counter.level, LOCKOUT_STEPS_MINUTES.length - 1)];
+  counter.level += 1;
+  counter.lockedUntil = nowMs + minutes * 60 * 1000;
+  // Sklep: wstrzymane tylko wpisywanie PIN-ów – zawsze CRITICAL (zgadywanie z wielu terminali lub osoba z wewnątrz)
+  const label = subject === SUBJECTS.STORE ? `PIN-ów w sklepie ${subjectId}` : `${subject} ${subjectId}`;
+  raise(SECURITY_EVENT_TYPES.LOCKOUT, counter.level > 1 || subject === SUBJECTS.STORE ? SEVERITIES.CRITICAL : SEVERITIES.WARNING, {
+    ...context,
+    subject,
+    subjectId,
+    message: `Blokada ${label} na ${minutes} min (poziom ${counter.level}) po ${FAILURE_THRESHOLDS[subject]} nieudanych próbach w ${FAILURE_WINDOW_MINUTES} min`,
+    data: { level: counter.level, lockedUntil: moment(counter.lockedUntil).toISOString() }
+  });
+  return { action: SECURITY_EVENT_TYPES.LOCKOUT, lockedUntil: counter.lockedUntil };
+};
+
+/**
+ * Publiczny widok licznika/blokady.
+ * @private
+ */
+const lockView = (counter, nowMs) => ({
+  subject: counter.subject,
+  subjectId: counter.subjectId,
+  level: counter.level,
+  recentFailures: counter.failures.filter(at => at > nowMs - FAILURE_WINDOW_MINUTES * 60 * 1000).length,
+  lockedUntil: counter.lockedUntil ? moment(counter.lockedUntil).toISOString() : null,
+  active: Boolean(counter.lockedUntil && counter.lockedUntil > nowMs),
+  lastFailureAt: counter.lastFailureAt
+});
+
+// ============================================
+// GŁÓWNY OBIEKT
+// ============================================
+
+const AbuseGuard = {
+
+  SUBJECTS,
+  SECURITY_EVENT_TYPES,
+  SEVERITIES,
+
+  /**
+   * Aktywna blokada podmiotu.
+   *
+   * @param {string} subject - SUBJECTS.TERMINAL | SUBJECTS.USER | SUBJECTS.STORE (tylko PIN-y)
+   * @param {string} subjectId - terminalId / userId / storeId
+   * @param {number} [nowMs] - Czas (domyślnie teraz)
+   * @returns {object|null} { subject, subjectId, level, lockedUntil, ... } lub null gdy brak blokady
+   */
+  checkLock: (subject, subjectId, nowMs = moment().valueOf()) => {
+    const counter = subjectId ? counterOf(subject, subjectId) : null;
+    return counter && counter.lockedUntil && counter.lockedUntil > nowMs ? lockView(counter, nowMs) : null;
+  },
+
+  /**
+   * Rejestruje nieudaną weryfikację – licznik terminala zawsze; użytkownika i zamówienia (te, które są znane)
+   * poza TERMINAL_ONLY_REASONS; nietrafiony PIN – licznik sklepu terminala.
+   *
+   * @param {object} attempt - { terminal: { terminalId, storeId }, userId?, orderId?, reason }
+   * @param {number} [nowMs] - Czas (domyślnie teraz)
+   * @returns {object} Akcje { terminal, user, order, store } – null albo { action, lockedUntil? }
+   * @example AbuseGuard.recordFailure({ terminal: req.terminal, reason: 'CODE_NOT_FOUND' })
+   */
+  recordFailure: ({ terminal, userId = null, orderId = null, reason }, nowMs = moment().valueOf()) => {
+    const terminalOnly = TERMINAL_ONLY_REASONS.includes(reason);
+    const order = orderId && !terminalOnly ? DB.getOrderById(orderId) : null;
+    const resolvedUserId = terminalOnly ? null : userId || (order ? order.userId : null);
+    const context = { terminalId: terminal.terminalId, storeId: terminal.storeId, userId: resolvedUserId, orderId, data: { reason } };
+
+    const actions = {
+      terminal: countFailure(SUBJECTS.TERMINAL, terminal.terminalId, nowMs, context),
+      user: resolvedUserId ? countFailure(SUBJECTS.USER, resolvedUserId, nowMs, context) : null,
+      order: order ? countFailure(SUBJECTS.ORDER, orderId, nowMs, context) : null,
+      store: PIN_MISS_REASONS.includes(reason) ? countFailure(SUBJECTS.STORE, terminal.storeId, nowMs, context) : null
+    };
+    DB.persist();
+    return actions;
+  },
+
+  /**
+   * Zapamiętuje zużyty kod (po udanej transakcji) – do wykrywania replay.
+   *
+   * @param {object} codeEntry - Kod z DB: { code (PIN), codeId, orderId, userId, expiresAt }
+   * @param {object} terminal - { terminalId, storeId }
+   * @returns {void}
+   */
+  markConsumed: (codeEntry, terminal) => {
+    consumedCollection().push({
+      codeId: codeEntry.codeId || null,
+      codeHash: codeEntry.code ? hashCode(codeEntry.code) : null,
+      orderId: codeEntry.orderId,
+      userId: codeEntry.userId,
+      terminalId: terminal.terminalId,
+      storeId: terminal.storeId,
+      consumedAt: moment().toISOString()
+    });
+    DB.persist();
+  },
+
+  /**
+   * Sprawdza, czy nieaktywny kod to zużyty kod (replay). Jeśli tak – zgłasza zdarzenie CODE_REPLAY.
+   *
+   * @param {object} lookup - { codeId } (token CRL1) lub { code } (PIN)
+   * @param {object} terminal - Terminal, na którym ponowiono kod
+   * @returns {object|null} Wpis zużytego kodu { orderId, userId, terminalId, storeId, consumedAt } lub null
+   */
+  detectReplay: ({ codeId, code }, terminal) => {
+    const codeHash = code ? hashCode(code) : null;
+    const consumed = consumedCollection().slice().reverse()
+      .find(c => (codeId && c.codeId === codeId) || (codeHash && c.codeHash === codeHash));
+    if (!consumed) return null;
+
+    raise(SECURITY_EVENT_TYPES.CODE_REPLAY, SEVERITIES.CRITICAL, {
+      terminalId: terminal.terminalId,
+      storeId: terminal.storeId,
+      userId: consumed.userId,
+      orderId: consumed.orderId,
+      message: `Ponowne użycie kodu zamówienia ${consumed.orderId} (zużyty ${consumed.consumedAt} w ${consumed.storeId}/${consumed.terminalId})`,
+      data: { codeType: codeId ? 'DYNAMIC_CODE' : 'GUEST_PIN', consumedAt: consumed.consumedAt, consumedAtTerminal: consumed.terminalId }
+    });
+    DB.persist();
+    return consumed;
+  },
+
+  /**
+   * Zdejmuje blokadę i zeruje licznik (admin).
+   *
+   * @param {string} subject - SUBJECTS.TERMINAL | SUBJECTS.USER | SUBJECTS.STORE
+   * @param {string} subjectId - terminalId / userId / storeId
+   * @param {string} actor - Kto zdejmuje (np. 'admin')
+   * @returns {object} Licznik po zdjęciu blokady
+   * @throws {ApiError} 404 jeśli podmiot nie ma licznika
+   */
+  unlock: (subject, subjectId, actor) => {
+    const counter = counterOf(subject, subjectId);
+    if (!counter) {
+      throw new ApiError(`Brak blokady dla ${subject} ${subjectId}`, 404);
+    }
+    counter.failures = [];
+    counter.level = 0;
+    counter.lockedUntil = null;
+    raise(SECURITY_EVENT_TYPES.UNLOCKED, SEVERITIES.INFO, {
+      subject,
+      subjectId,
+      terminalId: subject === SUBJECTS.TERMINAL ? subjectId : null,
+      userId: subject === SUBJECTS.USER ? subjectId : null,
+      message: `Blokada ${subject} ${subjectId} zdjęta przez ${actor}`
+    });
+    DB.persist();
+    return lockView(counter, moment().valueOf());
+  },
+
+  /**
+   * Ręczne unieważnienie aktywnych kodów zamówienia (PIN i QR) z back-office – także kodów pełnomocników
+   * i kodów zbiorczych obejmujących zamówienie (DB.getOrderCodes).
+   *
+   * @param {string} orderId - ID zamówienia
+   * @param {object} context - { actor, reason }
+   * @returns {object} Zdarzenie bezpieczeństwa CODE_REVOKED
+   * @throws {ApiError} 404 jeśli zamówienie nie ma aktywnego kodu
+   */
+  revokeCode: (orderId, { actor, reason }) => {
+    const codes = DB.getOrderCodes(orderId);
+    if (codes.length === 0 || DB.removeOrderCodes(orderId) === 0) {
+      throw new ApiError(`Zamówienie ${orderId} nie ma aktywnego kodu`, 404);
+    }
+    const event = raise(SECURITY_EVENT_TYPES.CODE_REVOKED, SEVERITIES.WARNING, {
+      orderId,
+      userId: codes[0].userId,
+      subject: SUBJECTS.ORDER,
+      subjectId: orderId,
+      message: `Kod zamówienia ${orderId} unieważniony przez ${actor}: ${reason}`,
+      data: {
+        codes: codes.map(c => ({ key: c.orderId, codeId: c.codeId || null, purpose: c.purpose || null })),
+        actor,
+        reason
+      }
+    });
+    DB.persist();
+    return event;
+  },
+
+  /**
+   * Liczniki i blokady (najpierw aktywne).
+   *
+   * @param {object} [filter] - { subject, activeOnly (domyślnie true) }
+   * @returns {array} [{ subject, subjectId, level, recentFailures, lockedUntil, active, lastFailureAt }]
+   */
+  listLocks: ({ subject, activeOnly = true } = {}) => {
+    const nowMs = moment().valueOf();
+    return countersCollection()
+      .filter(c => LOCK_SUBJECTS.includes(c.subject) && (!subject || c.subject === subject))
+      .map(c => lockView(c, nowMs))
+      .filter(lock => !activeOnly || lock.active)
+      .sort((a, b) => Number(b.active) - Number(a.active) || String(b.lastFailureAt).localeCompare(String(a.lastFailureAt)));
+  },
+
+  /**
+   * Zdarzenia bezpieczeństwa (najnowsze pierwsze).
+   *
+   * @param {object} [filter] - { type, severity, terminalId, storeId, userId, orderId, from (ISO), limit (domyślnie 50) }
+   * @returns {array} Zdarzenia
+   */
+  listEvents: ({ type, severity, terminalId, storeId, userId, orderId, from, limit = 50 } = {}) => {
+    const fromMs = from ? moment(from).valueOf() : null;
+    return eventsCollection()
+      .filter(e => (!type || e.type === type) &&
+        (!severity || e.severity === severity) &&
+        (!terminalId || e.terminalId === terminalId) &&
+        (!storeId || e.storeId === storeId) &&
+        (!userId || e.userId === userId) &&
+        (!orderId || e.orderId === orderId) &&
+        (fromMs === null || moment(e.at).valueOf() >= fromMs))
+      .slice(-limit)
+      .reverse();
+  },
+
+  /**
+   * Czyści stare wpisy zużytych kodów i wygasłe liczniki bez blokady (job purge_guest_codes).
+   *
+   * @param {number} [nowMs] - Czas (domyślnie teraz)
+   * @returns {number} Liczba usuniętych wpisów
+   */
+  purgeExpired: (nowMs = moment().valueOf()) => {
+    const consumed = consumedCollection();
+    const counters = countersCollection();
+    const before = consumed.length + counters.length;
+
+    const keptConsumed = consumed.filter(c => moment(c.consumedAt).valueOf() > nowMs - CONSUMED_RETENTION_HOURS * 3600 * 1000);
+    const keptCounters = counters.filter(c => (c.lockedUntil && c.lockedUntil > nowMs) ||
+      (c.lastFailureAt && moment(c.lastFailureAt).valueOf() > nowMs - LEVEL_RESET_HOURS * 3600 * 1000));
+    consumed.splice(0, consumed.length, ...keptConsumed);
+    counters.splice(0, counters.length, ...keptCounters);
+
+    const purged = before - consumed.length - counters.length;
+    if (purged > 0) DB.persist();
+    return purged;
+  }
+
+};
+
+// ============================================
+// EKSPORT MODUŁU
+// ============================================
+
+/**
+ * Eksport AbuseGuard – użyj: const AbuseGuard = require('./abuse_guard');
+ */
+module.exports = AbuseGuard;
@@ -0,0 +1,216 @@
+'use strict';
+
+/**
+ * admin_orders.js - Back-office zamówień (operacje Corelay): wyszukiwanie, szczegóły, ręczne korekty
+ *
+ * Zamiast czytania logów serwera operacje mają:
+ * - wyszukiwanie po orderId/userId (fragment, bez wielkości liter), sklepie, merchancie i statusie
+ *   ze stronicowaniem i sortowaniem,
+ * - widok zamówienia z pełną historią, aktywnymi kodami (bez PIN-u i sekretów – także kody pełnomocników
+ *   i zbiorcze), refundami, skanami, zdarzeniami bezpieczeństwa i powiadomieniami,
+ * - ręczną zmianę statusu z obowiązkowym powodem (OrderLifecycle.override – z pominięciem guardów, tylko
+ *   po stronie odbioru: OVERRIDE_STATUSES) – kody i upoważnienia są unieważniane, paczkomat uzgadnia się
+ *   ze zdarzenia ORDER_UPDATED,
+ * - unieważnienie aktywnych kodów odbioru/zwrotu (AbuseGuard.revokeCode) i upoważnień (Delegations.revokeForOrder).
+ *
+ * Korekty trafiają do order.history / securityEvents z actor = 'admin:<adminId>' (admin_users.js).
+ *
+ * @module AdminOrders
+ * @version 1.0.0
+ */
+
+const moment = require('moment');
+const DB = require('./database');
+const OrderLifecycle = require('./order_lifecycle');
+const Events = require('./events');
+const Refunds = require('./refunds');
+const ScanLedger = require('./scan_ledger');
+const AbuseGuard = require('./abuse_guard');
+const Notifications = require('./notifications');
+const Delegations = require('./delegations');
+const { ApiError } = require('./errors');
+
+// ============================================
+// KONSTANTY
+// ============================================
+
+/**
+ * Pola sortowania listy (prefiks '-' = malejąco, np. '-createdAt').
+ * @constant
+ */
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'pickupDeadline', 'status', 'orderId', 'userId', 'storeId'];
+
+/**
+ * Domyślny i maksymalny rozmiar strony.
+ * @constant
+ */
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const ordersCollection = () => DB.getCollection('orders');
+const activeCodeOf = (orderId) => DB.getCollection('guestCodes').find(c => c.orderId === orderId) || null;
+const hasActiveCodes = (orderId) => DB.getOrderCodes(orderId).length > 0;
+
+const contains = (value, fragment) => String(value || '').toLowerCase().includes(fragment.toLowerCase());
+
+/**
+ * Wartość pola do sortowania (updatedAt bez zmian = createdAt; brak wartości = pusty tekst).
+ * @private
+ */
+const sortValue = (order, field) => (field === 'updatedAt' ? order.updatedAt || order.createdAt : order[field]) || '';
+
+/**
+ * Wiersz listy – bez produktów i historii.
+ * @private
+ */
+const orderSummary = (order) => ({
+  orderId: order.orderId,
+  userId: order.userId,
+  merchantId: order.merchantId || null,
+  storeId: order.storeId,
+  status: order.status,
+  productsCount: order.products.length,
+  total: Math.round(order.products.reduce((sum, p) => sum + p.price, 0) * 100) / 100,
+  createdAt: order.createdAt,
+  updatedAt: order.updatedAt || null,
+  pickupDeadline: order.pickupDeadline || null,
+  pickupTime: order.pickupTime || null,
+  hasActiveCode: hasActiveCodes(order.orderId)
+});
+
+/**
+ * Aktywny kod bez PIN-u i sekretu rotacji QR (key – orderId, delegationId lub bundleId).
+ * @private
+ */
+const codeView = (codeEntry) => (codeEntry ? {
+  key: codeEntry.orderId,
+  codeId: codeEntry.codeId || null,
+  purpose: codeEntry.purpose || null,
+  items: codeEntry.items || null,
+  expiresAt: moment(codeEntry.expiresAt).toISOString(),
+  expired: codeEntry.expiresAt <= moment().valueOf()
+} : null);
+
+const getOrderOrThrow = (orderId) => {
+  const order = DB.getOrderById(orderId);
+  if (!order) {
+    throw new ApiError(`Zamówienie ${orderId} nie istnieje`, 404);
+  }
+  return order;
+};
+
+// ============================================
+// GŁÓWNY OBIEKT
+// ============================================
+
+const AdminOrders = {
+
+  SORT_FIELDS,
+  MAX_PAGE_SIZE,
+
+  /**
+   * Wyszukiwanie zamówień ze stronicowaniem.
+   *
+   * @param {object} [query] - { orderId, userId (fragmenty), storeId, merchantId, status, page (od 1), pageSize, sort }
+   * @returns {object} { orders: [podsumowanie], pagination: { page, pageSize, total, totalPages }, sort }
+   * @example AdminOrders.search({ storeId: 'MODIVO', status: 'READY_FOR_PICKUP', sort: '-createdAt', page: 2 })
+   */
+  search: ({ orderId, userId, storeId, merchantId, status, page = 1, pageSize = DEFAULT_PAGE_SIZE, sort = '-createdAt' } = {}) => {
+    const matching = ordersCollection().filter(o => (!orderId || contains(o.orderId, orderId)) &&
+      (!userId || contains(o.userId, userId)) &&
+      (!storeId || o.storeId === storeId) &&
+      (!merchantId || o.merchantId === merchantId) &&
+      (!status || o.status === status));
+
+    const descending = sort.startsWith('-');
+    const field = descending ? sort.slice(1) : sort;
+    const sorted = matching.slice().sort((a, b) => {
+      const order = String(sortValue(a, field)).localeCompare(String(sortValue(b, field))) || a.orderId.localeCompare(b.orderId);
+      return descending ? -order : order;
+    });
+
+    const start = (page - 1) * pageSize;
+    return {
+      orders: sorted.slice(start, start + pageSize).map(orderSummary),
+      pagination: { page, pageSize, total: sorted.length, totalPages: Math.ceil(sorted.length / pageSize) },
+      sort
+    };
+  },
+
+  /**
+   * Pełny widok zamówienia dla back-office.
+   *
+   * @param {string} orderId - ID zamówienia
+   * @returns {object} { order (z historią), activeCode (kod zamówienia), activeCodes (wszystkie kody obejmujące zamówienie),
+   *   allowedTransitions, overrideTargets, refunds, scans, securityEvents, notifications, delegations }
+   * @throws {ApiError} 404 jeśli zamówienie nie istnieje
+   */
+  getDetail: (orderId) => {
+    const order = getOrderOrThrow(orderId);
+    return {
+      order,
+      activeCode: codeView(activeCodeOf(orderId)),
+      activeCodes: DB.getOrderCodes(orderId).map(codeView),
+      allowedTransitions: OrderLifecycle.allowedTargets(order.status), // Przejścia bez ręcznej korekty
+      overrideTargets: OrderLifecycle.overrideTargets(order),
+      refunds: Refunds.listRefunds({ orderId }),
+      scans: ScanLedger.list({ orderId, limit: 100 }),
+      securityEvents: AbuseGuard.listEvents({ orderId, limit: 100 }),
+      notifications: Notifications.list({ orderId, limit: 100 }),
+      delegations: Delegations.list({ orderId })
+    };
+  },
+
+  /**
+   * Ręczna zmiana statusu (z pominięciem guardów, tylko OrderLifecycle.overrideTargets). Aktywne kody obejmujące
+   * zamówienie i upoważnienia do odbioru są unieważniane – klient wygeneruje nowe, zgodne z nowym statusem.
+   *
+   * @param {string} orderId - ID zamówienia
+   * @param {string} status - Status docelowy
+   * @param {object} context - { actor, reason (wymagany) }
+   * @returns {object} { order, historyEntry, codeRevoked }
+   * @throws {ApiError} 404 brak zamówienia, 400 nieznany status / brak powodu, 409 status bez zmian / korekta niedostępna
+   * @example AdminOrders.overrideStatus('ORD-1001', 'EXPIRED_RETURN_TO_SENDER', { actor: 'admin:anna.ops', reason: 'Paczka uszkodzona w sortowni' })
+   */
+  overrideStatus: (orderId, status, { actor, reason }) => {
+    const order = getOrderOrThrow(orderId);
+    const from = order.status;
+    const historyEntry = OrderLifecycle.override(order, status, { actor, reason });
+    order.updatedAt = moment().toISOString();
+    const codeRevoked = DB.removeOrderCodes(orderId) > 0;
+    Delegations.revokeForOrder(orderId, { actor, reason: `ręczna zmiana statusu na ${status}` });
+    DB.persist();
+
+    console.warn(`[AdminOrders] ${orderId}: ręczna zmiana ${from} → ${status} przez ${actor} (${reason})`);
+    Events.publish(Events.EVENT_TYPES.ORDER_UPDATED, order, { override: true, from, to: status, actor, reason });
+    return { order, historyEntry, codeRevoked };
+  },
+
+  /**
+   * Unieważnia aktywne kody obejmujące zamówienie (także pełnomocników i zbiorcze), odwołuje upoważnienia
+   * i dopisuje zdarzenie do historii zamówienia.
+   *
+   * @param {string} orderId - ID zamówienia
+   * @param {object} context - { actor, reason (wymagany) }
+   * @returns {object} Zdarzenie bezpieczeństwa CODE_REVOKED
+   * @throws {ApiError} 404 brak zamówienia lub aktywnego kodu
+   */
+  revokeCode: (orderId, { actor, reason }) => {
+    const order = getOrderOrThrow(orderId);
+    const event = AbuseGuard.revokeCode(orderId, { actor, reason });
+    Delegations.revokeForOrder(orderId, { actor, reason });
+    OrderLifecycle.recordEvent(order, { actor, reason: `Kod unieważniony: ${reason}` });
+    DB.persist();
+    return event;
+  }
+
+};
+
+// ============================================
+// EKSPORT MODUŁU
+// ============================================
+
+/**
+ * Eksport AdminOrders – użyj: const AdminOrders = require('./admin_orders');
+ */
+module.exports = AdminOrders;
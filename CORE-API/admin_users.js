@@ -0,0 +1,233 @@
+'use strict';
+
+/**
+ * admin_users.js - Konta back-office (operacje Corelay) i role uprawnień do /api/admin/*
+ *
+ * Zamiast jednego wspólnego klucza z .env każdy pracownik ma własny klucz API (nagłówek API-ADMIN-KEY,
+ * prefiks cak_) i rolę:
+ * - VIEWER – podgląd (zamówienia, skany, refundy, webhooki, zdarzenia bezpieczeństwa),
+ * - OPERATOR – VIEWER + działania operacyjne (ręczna zmiana statusu, unieważnienie kodu, ponowienia, blokady, joby),
+ * - ADMIN – OPERATOR + konfiguracja (rejestr partnerów, klucze QR, konta back-office, outbox, dane testowe).
+ * Role są hierarchiczne: route wymaga roli minimalnej (requireAdmin w server.js).
+ *
+ * Klucz z .env (API_ADMIN_KEY) działa dalej jako konto awaryjne z rolą ADMIN – służy do założenia
+ * pierwszych kont w production. Jak w registry.js w bazie trzymany jest tylko hash SHA-256 klucza.
+ * Działania back-office trafiają do historii z actor = 'admin:<adminId>'.
+ *
+ * @module AdminUsers
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const moment = require('moment');
+const DB = require('./database');
+const Registry = require('./registry');
+const { ApiError } = require('./errors');
+
+const { ENTITY_STATUSES } = Registry;
+
+// ============================================
+// KONSTANTY
+// ============================================
+
+/**
+ * Role back-office (od najmniejszych uprawnień).
+ * @constant
+ */
+const ADMIN_ROLES = {
+  VIEWER: 'VIEWER',
+  OPERATOR: 'OPERATOR',
+  ADMIN: 'ADMIN'
+};
+
+/**
+ * Kolejność ról – wyższa ranga obejmuje uprawnienia niższych.
+ * @constant
+ */
+const ROLE_RANK = [ADMIN_ROLES.VIEWER, ADMIN_ROLES.OPERATOR, ADMIN_ROLES.ADMIN];
+
+/**
+ * Prefiks kluczy back-office.
+ * @constant
+ */
+const ADMIN_KEY_PREFIX = 'cak_';
+
+/**
+ * Identyfikator konta awaryjnego (klucz API_ADMIN_KEY z .env).
+ * @constant
+ */
+const ENV_ADMIN_ID = 'env';
+
+const adminsCollection = () => DB.getCollection('adminUsers');
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+const createKey = () => `${ADMIN_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(hashKey(a));
+  const right = Buffer.from(hashKey(b));
+  return crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Konto bez hasha klucza (do odpowiedzi API).
+ * @private
+ */
+const publicAdmin = ({ keyHash, ...admin }) => admin;
+
+const findAdmin = (adminId) => {
+  const admin = adminsCollection().find(a => a.adminId === adminId);
+  if (!admin) {
+    throw new ApiError(`Konto back-office ${adminId} nie istnieje`, 404);
+  }
+  return admin;
+};
+
+/**
+ * Czy po zmianie zostanie choć jedno aktywne konto ADMIN (poza kluczem z .env).
+ * @private
+ */
+const assertAdminRemains = (admin, changes) => {
+  const stillAdmin = (changes.role || admin.role) === ADMIN_ROLES.ADMIN &&
+    (changes.status || admin.status) === ENTITY_STATUSES.ACTIVE;
+  if (stillAdmin || admin.role !== ADMIN_ROLES.ADMIN || admin.status !== ENTITY_STATUSES.ACTIVE) return;
+
+  const otherAdmins = adminsCollection().filter(a => a.adminId !== admin.adminId &&
+    a.role === ADMIN_ROLES.ADMIN && a.status === ENTITY_STATUSES.ACTIVE);
+  if (otherAdmins.length === 0 && !process.env.API_ADMIN_KEY) {
+    throw new ApiError('Nie można odebrać roli ostatniemu aktywnemu kontu ADMIN', 409);
+  }
+};
+
+// ============================================
+// GŁÓWNY OBIEKT
+// ============================================
+
+const AdminUsers = {
+
+  ADMIN_ROLES,
+  ADMIN_KEY_PREFIX,
+
+  /**
+   * Uwierzytelnia pracownika back-office po kluczu (konto cak_... albo klucz awaryjny z .env).
+   *
+   * @param {string} apiKey - Klucz z nagłówka API-ADMIN-KEY
+   * @returns {object} { adminId, name, role }
+   * @throws {ApiError} 401 dla brakującego/nieznanego klucza, 403 dla wyłączonego konta
+   */
+  authenticate: (apiKey) => {
+    if (!apiKey || typeof apiKey !== 'string') {
+      throw new ApiError('Brak autoryzacji: brak klucza admina (API-ADMIN-KEY)', 401);
+    }
+    if (process.env.API_ADMIN_KEY && safeEqual(apiKey, process.env.API_ADMIN_KEY)) {
+      return { adminId: ENV_ADMIN_ID, name: 'Klucz awaryjny (API_ADMIN_KEY)', role: ADMIN_ROLES.ADMIN };
+    }
+
+    const keyHash = Buffer.from(hashKey(apiKey));
+    const admin = apiKey.startsWith(ADMIN_KEY_PREFIX)
+      ? adminsCollection().find(a => crypto.timingSafeEqual(Buffer.from(a.keyHash), keyHash))
+      : null;
+    if (!admin) {
+      throw new ApiError('Brak autoryzacji: Nieprawidłowy klucz admina', 401);
+    }
+    if (admin.status !== ENTITY_STATUSES.ACTIVE) {
+      throw new ApiError(`Konto back-office ${admin.adminId} jest wyłączone`, 403);
+    }
+
+    admin.lastSeenAt = moment().toISOString(); // Zapisywane przy najbliższym persist()
+    return { adminId: admin.adminId, name: admin.name, role: admin.role };
+  },
+
+  /**
+   * Czy rola obejmuje wymaganą rolę minimalną.
+   *
+   * @param {string} role - Rola pracownika
+   * @param {string} required - Rola minimalna route'a
+   * @returns {boolean}
+   * @example AdminUsers.hasRole('OPERATOR', 'VIEWER') // true
+   */
+  hasRole: (role, required) => ROLE_RANK.indexOf(role) >= ROLE_RANK.indexOf(required),
+
+  /**
+   * Zakłada konto back-office i wydaje jego klucz (zwracany tylko raz).
+   *
+   * @param {object} data - { adminId, name, role }
+   * @returns {object} { admin, apiKey }
+   * @throws {ApiError} 409 jeśli adminId zajęty
+   * @example const { apiKey } = AdminUsers.createAdmin({ adminId: 'anna.ops', name: 'Anna Nowak', role: 'OPERATOR' });
+   */
+  createAdmin: ({ adminId, name, role }) => {
+    if (adminId === ENV_ADMIN_ID || adminsCollection().some(a => a.adminId === adminId)) {
+      throw new ApiError(`Konto back-office ${adminId} już istnieje`, 409);
+    }
+    const apiKey = createKey();
+    const admin = {
+      adminId,
+      name,
+      role,
+      keyHash: hashKey(apiKey),
+      keyPrefix: apiKey.slice(0, 10),
+      status: ENTITY_STATUSES.ACTIVE,
+      createdAt: moment().toISOString(),
+      updatedAt: moment().toISOString(),
+      lastSeenAt: null
+    };
+    adminsCollection().push(admin);
+    DB.persist();
+    console.log(`[AdminUsers] Dodano konto ${adminId} (${role})`);
+    return { admin: publicAdmin(admin), apiKey };
+  },
+
+  /**
+   * Zmienia nazwę, rolę lub status konta (DISABLED = klucz odrzucany).
+   *
+   * @param {string} adminId - ID konta
+   * @param {object} changes - { name?, role?, status? }
+   * @returns {object} Konto
+   * @throws {ApiError} 404 jeśli nie istnieje, 409 gdy zmiana odebrałaby ostatnie konto ADMIN
+   */
+  updateAdmin: (adminId, changes) => {
+    const admin = findAdmin(adminId);
+    assertAdminRemains(admin, changes);
+    Object.assign(admin, changes);
+    admin.updatedAt = moment().toISOString();
+    DB.persist();
+    return publicAdmin(admin);
+  },
+
+  /**
+   * Wydaje nowy klucz konta – stary przestaje działać natychmiast.
+   *
+   * @param {string} adminId - ID konta
+   * @returns {object} { admin, apiKey }
+   * @throws {ApiError} 404 jeśli nie istnieje
+   */
+  rotateKey: (adminId) => {
+    const admin = findAdmin(adminId);
+    const apiKey = createKey();
+    admin.keyHash = hashKey(apiKey);
+    admin.keyPrefix = apiKey.slice(0, 10);
+    admin.updatedAt = moment().toISOString();
+    DB.persist();
+    console.log(`[AdminUsers] Rotacja klucza konta ${adminId}`);
+    return { admin: publicAdmin(admin), apiKey };
+  },
+
+  /**
+   * Konta back-office (bez hashy kluczy).
+   *
+   * @returns {array} Konta
+   */
+  listAdmins: () => adminsCollection().map(publicAdmin)
+
+};
+
+// ============================================
+// EKSPORT MODUŁU
+// ============================================
+
+/**
+ * Eksport AdminUsers – użyj: const AdminUsers = require('./admin_users');
+ */
+module.exports = AdminUsers;
@@ -0,0 +1,388 @@
+'use strict';
+
+/**
+ * analytics.js - Raporty operacyjne sieci Corelay (agregaty + eksport CSV)
+ *
+ * Raporty liczone na bieżąco z danych, które już mamy – bez osobnej hurtowni:
+ * - DAILY – odbiory i zwroty per sklep per dzień (order.history; sklep = scannerId, czyli sklep skanu),
+ * - PICKUP_TIMES – czas od READY_FOR_PICKUP do PICKED_UP per sklep (mediana, średnia, p90 w godzinach),
+ * - RETURN_RATES – odsetek zwrotów per merchant (zamówienia odebrane w okresie → ile z nich ma zwrot),
+ * - EXPIRED – nieodebrane paczki odesłane do nadawcy per sklep (EXPIRED_RETURN_TO_SENDER),
+ * - FAILED_SCANS – nieudane skany z dziennika skanów per powód (odsetek wszystkich prób w okresie).
+ *
+ * Filtry: zakres dat (from/to – dni włącznie, czas lokalny serwera), storeId, merchantId.
+ * Każdy raport zwraca { columns, rows, summary } – ten sam kształt dla JSON i CSV (toCsv).
+ *
+ * @module Analytics
+ * @version 1.0.0
+ */
+
+const moment = require('moment');
+const DB = require('./database');
+const OrderLifecycle = require('./order_lifecycle');
+const ScanLedger = require('./scan_ledger');
+const { ApiError } = require('./errors');
+
+const { ORDER_STATUSES } = OrderLifecycle;
+
+// ============================================
+// KONSTANTY
+// ============================================
+
+/**
+ * Dostępne raporty (nazwy w ścieżce /api/admin/reports/:report).
+ * @constant
+ */
+const REPORTS = {
+  DAILY: 'daily',
+  PICKUP_TIMES: 'pickup_times',
+  RETURN_RATES: 'return_rates',
+  EXPIRED: 'expired',
+  FAILED_SCANS: 'failed_scans'
+};
+
+/**
+ * Domyślny zakres raportu (dni wstecz, łącznie z dzisiaj) i maksymalny zakres.
+ * @constant
+ */
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * Statusy po zwrocie wszystkich lub części produktów (odbiór → zwrot).
+ * @constant
+ */
+const RETURN_STATUSES = [ORDER_STATUSES.PARTIALLY_RETURNED, ORDER_STATUSES.RETURNED_PENDING_REFUND];
+
+const DAY_FORMAT = 'YYYY-MM-DD';
+const HOUR_MS = 60 * 60 * 1000;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+const rate = (part, total) => (total > 0 ? round(part / total, 4) : null);
+
+/**
+ * Percentyl (interpolacja liniowa) posortowanej rosnąco tablicy.
+ * @private
+ */
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+/**
+ * Zakres dat raportu: { from, to } (YYYY-MM-DD) → granice w ms (początek from, koniec to).
+ * @private
+ */
+const resolveRange = ({ from, to } = {}) => {
+  const end = to ? moment(to, DAY_FORMAT, true) : moment();
+  const start = from ? moment(from, DAY_FORMAT, true) : end.clone().subtract(DEFAULT_RANGE_DAYS - 1, 'days');
+  if (!start.isValid() || !end.isValid()) {
+    throw new ApiError('Nieprawidłowy zakres dat (format YYYY-MM-DD)', 400);
+  }
+  if (start.isAfter(end, 'day')) {
+    throw new ApiError('Nieprawidłowy zakres dat: from jest po to', 400);
+  }
+  if (end.diff(start, 'days') + 1 > MAX_RANGE_DAYS) {
+    throw new ApiError(`Zakres raportu maks. ${MAX_RANGE_DAYS} dni`, 400);
+  }
+  return {
+    from: start.format(DAY_FORMAT),
+    to: end.format(DAY_FORMAT),
+    fromMs: start.clone().startOf('day').valueOf(),
+    toMs: end.clone().endOf('day').valueOf()
+  };
+};
+
+const inRange = (at, range) => {
+  if (!at) return false;
+  const ms = moment(at).valueOf();
+  return ms >= range.fromMs && ms <= range.toMs;
+};
+
+/**
+ * Zamówienia merchanta (filtr merchantId) – filtr sklepu zależy od raportu (sklep skanu albo sklep zamówienia).
+ * @private
+ */
+const ordersOf = (merchantId) => DB.getCollection('orders')
+  .filter(o => !merchantId || o.merchantId === merchantId);
+
+/**
+ * Wpisy historii z przejściem do statusu (w zakresie dat). Wpis początkowy (from: null – zamówienie
+ * utworzone od razu np. jako PICKED_UP) nie jest zdarzeniem w sieci i nie jest liczony.
+ * @private
+ */
+const isTransitionTo = (entry, statuses, range) => entry.from !== null && statuses.includes(entry.to) && inRange(entry.at, range);
+
+const historyTo = (order, statuses, range) => (order.history || [])
+  .filter(entry => isTransitionTo(entry, statuses, range));
+
+/**
+ * Sklep zdarzenia: sklep skanu (scannerId – np. paczkomat innej sieci), w ostateczności sklep zamówienia.
+ * @private
+ */
+const storeOfEntry = (order, entry) => entry.scannerId || order.storeId;
+
+const groupBy = (items, keyOf) => items.reduce((groups, item) => {
+  const key = keyOf(item);
+  (groups[key] = groups[key] || []).push(item);
+  return groups;
+}, {});
+
+// ============================================
+// RAPORTY
+// ============================================
+
+/**
+ * Odbiory i zwroty per sklep per dzień.
+ * @private
+ */
+const dailyReport = ({ storeId, merchantId }, range) => {
+  const counters = {};
+  const counter = (date, store) => {
+    const key = `${date}|${store}`;
+    counters[key] = counters[key] || { date, storeId: store, pickups: 0, returns: 0, returnedItems: 0, refundAmount: 0 };
+    return counters[key];
+  };
+
+  for (const order of ordersOf(merchantId)) {
+    for (const entry of historyTo(order, [ORDER_STATUSES.PICKED_UP], range)) {
+      const store = storeOfEntry(order, entry);
+      if (!storeId || store === storeId) counter(moment(entry.at).format(DAY_FORMAT), store).pickups++;
+    }
+    for (const ret of (order.returns || []).filter(r => inRange(r.at, range))) {
+      const store = ret.scannerId || order.storeId;
+      if (storeId && store !== storeId) continue;
+      const row = counter(moment(ret.at).format(DAY_FORMAT), store);
+      row.returns++;
+      row.returnedItems += ret.items.length;
+      row.refundAmount = round(row.refundAmount + ret.refundAmount);
+    }
+  }
+
+  const rows = Object.values(counters)
+    .sort((a, b) => a.date.localeCompare(b.date) || a.storeId.localeCompare(b.storeId));
+  return {
+    columns: ['date', 'storeId', 'pickups', 'returns', 'returnedItems', 'refundAmount'],
+    rows,
+    summary: {
+      pickups: rows.reduce((sum, r) => sum + r.pickups, 0),
+      returns: rows.reduce((sum, r) => sum + r.returns, 0),
+      refundAmount: round(rows.reduce((sum, r) => sum + r.refundAmount, 0))
+    }
+  };
+};
+
+/**
+ * Czas oczekiwania paczki na odbiór (READY_FOR_PICKUP → PICKED_UP) per sklep odbioru.
+ * Start = ostatnie wejście w READY_FOR_PICKUP przed odbiorem (np. po ręcznej korekcie), inaczej createdAt.
+ * @private
+ */
+const pickupTimesReport = ({ storeId, merchantId }, range) => {
+  const samples = [];
+  for (const order of ordersOf(merchantId)) {
+    const history = order.history || [];
+    history.forEach((entry, index) => {
+      if (!isTransitionTo(entry, [ORDER_STATUSES.PICKED_UP], range)) return;
+      const store = storeOfEntry(order, entry);
+      if (storeId && store !== storeId) return;
+      const ready = history.slice(0, index).reverse().find(e => e.to === ORDER_STATUSES.READY_FOR_PICKUP);
+      const readyAt = ready ? ready.at : order.createdAt;
+      if (!readyAt) return;
+      samples.push({ storeId: store, hours: (moment(entry.at).valueOf() - moment(readyAt).valueOf()) / HOUR_MS });
+    });
+  }
+
+  const stats = (list) => {
+    const hours = list.map(s => s.hours).sort((a, b) => a - b);
+    return {
+      pickups: hours.length,
+      medianHours: hours.length ? round(percentile(hours, 0.5)) : null,
+      avgHours: hours.length ? round(hours.reduce((sum, h) => sum + h, 0) / hours.length) : null,
+      p90Hours: hours.length ? round(percentile(hours, 0.9)) : null
+    };
+  };
+
+  const rows = Object.entries(groupBy(samples, s => s.storeId))
+    .map(([store, list]) => ({ storeId: store, ...stats(list) }))
+    .sort((a, b) => a.storeId.localeCompare(b.storeId));
+  return {
+    columns: ['storeId', 'pickups', 'medianHours', 'avgHours', 'p90Hours'],
+    rows,
+    summary: stats(samples)
+  };
+};
+
+/**
+ * Odsetek zwrotów per merchant: zamówienia odebrane w okresie i ile z nich ma (do dziś) choć jeden zwrot.
+ * @private
+ */
+const returnRatesReport = ({ storeId, merchantId }, range) => {
+  const pickedUp = ordersOf(merchantId).filter(o => inRange(o.pickupTime, range) && (!storeId || o.storeId === storeId));
+
+  const stats = (orders) => {
+    const returned = orders.filter(o => (o.returns || []).length > 0 || RETURN_STATUSES.includes(o.status));
+    const items = orders.reduce((sum, o) => sum + o.products.length, 0);
+    const returnedItems = orders.reduce((sum, o) => sum + (o.returns || []).reduce((n, r) => n + r.items.length, 0), 0);
+    return {
+      pickedUpOrders: orders.length,
+      returnedOrders: returned.length,
+      returnRate: rate(returned.length, orders.length),
+      items,
+      returnedItems,
+      itemReturnRate: rate(returnedItems, items)
+    };
+  };
+
+  const rows = Object.entries(groupBy(pickedUp, o => o.merchantId || 'UNKNOWN'))
+    .map(([merchant, orders]) => ({ merchantId: merchant, ...stats(orders) }))
+    .sort((a, b) => a.merchantId.localeCompare(b.merchantId));
+  return {
+    columns: ['merchantId', 'pickedUpOrders', 'returnedOrders', 'returnRate', 'items', 'returnedItems', 'itemReturnRate'],
+    rows,
+    summary: stats(pickedUp)
+  };
+};
+
+/**
+ * Nieodebrane paczki (EXPIRED_RETURN_TO_SENDER) per sklep zamówienia.
+ * @private
+ */
+const expiredReport = ({ storeId, merchantId }, range) => {
+  const expired = ordersOf(merchantId)
+    .filter(o => !storeId || o.storeId === storeId)
+    .filter(o => historyTo(o, [ORDER_STATUSES.EXPIRED_RETURN_TO_SENDER], range).length > 0);
+
+  const rows = Object.entries(groupBy(expired, o => o.storeId))
+    .map(([store, orders]) => ({
+      storeId: store,
+      merchantId: orders[0].merchantId || null,
+      expired: orders.length,
+      value: round(orders.reduce((sum, o) => sum + o.products.reduce((s, p) => s + p.price, 0), 0))
+    }))
+    .sort((a, b) => b.expired - a.expired || a.storeId.localeCompare(b.storeId));
+  return {
+    columns: ['storeId', 'merchantId', 'expired', 'value'],
+    rows,
+    summary: { expired: expired.length, value: round(rows.reduce((sum, r) => sum + r.value, 0)) }
+  };
+};
+
+/**
+ * Nieudane skany (REJECTED/ERROR) per powód – odsetek względem wszystkich prób w okresie.
+ * @private
+ */
+const failedScansReport = ({ storeId, merchantId }, range) => {
+  const attempts = ScanLedger.list({
+    from: moment(range.fromMs).toISOString(),
+    to: moment(range.toMs).toISOString(),
+    storeId,
+    merchantId,
+    limit: Infinity
+  });
+  const failed = attempts.filter(a => a.outcome !== ScanLedger.OUTCOMES.ACCEPTED);
+
+  const rows = Object.values(groupBy(failed, a => `${a.outcome}|${a.reason || 'UNKNOWN'}`))
+    .map(list => ({
+      reason: list[0].reason || 'UNKNOWN',
+      outcome: list[0].outcome,
+      count: list.length,
+      rate: rate(list.length, attempts.length),
+      stores: [...new Set(list.map(a => a.storeId))].sort().join(' ')
+    }))
+    .sort((a, b) => b.count - a.count || a.reason.localeCompare(b.reason));
+  return {
+    columns: ['reason', 'outcome', 'count', 'rate', 'stores'],
+    rows,
+    summary: { attempts: attempts.length, failed: failed.length, failureRate: rate(failed.length, attempts.length) }
+  };
+};
+
+const REPORT_BUILDERS = {
+  [REPORTS.DAILY]: dailyReport,
+  [REPORTS.PICKUP_TIMES]: pickupTimesReport,
+  [REPORTS.RETURN_RATES]: returnRatesReport,
+  [REPORTS.EXPIRED]: expiredReport,
+  [REPORTS.FAILED_SCANS]: failedScansReport
+};
+
+/**
+ * Pole CSV (RFC 4180): cudzysłów przy separatorze, cudzysłowie lub nowej linii.
+ * @private
+ */
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// ============================================
+// GŁÓWNY OBIEKT
+// ============================================
+
+const Analytics = {
+
+  REPORTS,
+  MAX_RANGE_DAYS,
+
+  /**
+   * Liczy raport dla filtra.
+   *
+   * @param {string} report - Nazwa raportu (REPORTS)
+   * @param {object} [filter] - { from, to (YYYY-MM-DD, domyślnie ostatnie 30 dni), storeId, merchantId }
+   * @returns {object} { report, filter: { from, to, storeId, merchantId }, generatedAt, columns, rows, summary }
+   * @throws {ApiError} 404 nieznany raport, 400 nieprawidłowy zakres dat
+   * @example Analytics.run('pickup_times', { from: '2025-11-01', to: '2025-11-30', storeId: 'MODIVO' })
+   */
+  run: (report, { from, to, storeId = null, merchantId = null } = {}) => {
+    const build = REPORT_BUILDERS[report];
+    if (!build) {
+      throw new ApiError(`Nieznany raport: ${report} (dostępne: ${Object.values(REPORTS).join(', ')})`, 404);
+    }
+    const range = resolveRange({ from, to });
+    return {
+      report,
+      filter: { from: range.from, to: range.to, storeId, merchantId },
+      generatedAt: moment().toISOString(),
+      ...build({ storeId, merchantId }, range)
+    };
+  },
+
+  /**
+   * Podsumowania wszystkich raportów (pulpit operacji).
+   *
+   * @param {object} [filter] - Jak w run()
+   * @returns {object} { filter, generatedAt, summaries: { daily, pickup_times, ... } }
+   */
+  overview: (filter = {}) => {
+    const results = Object.values(REPORTS).map(report => Analytics.run(report, filter));
+    return {
+      filter: results[0].filter,
+      generatedAt: results[0].generatedAt,
+      summaries: results.reduce((acc, result) => ({ ...acc, [result.report]: result.summary }), {})
+    };
+  },
+
+  /**
+   * Raport jako CSV (nagłówek = columns; separator ",", UTF-8 z BOM – Excel poprawnie pokaże polskie znaki).
+   *
+   * @param {object} result - Wynik run()
+   * @returns {string} Treść pliku CSV
+   */
+  toCsv: (result) => {
+    const lines = [result.columns.join(',')]
+      .concat(result.rows.map(row => result.columns.map(column => csvField(row[column])).join(',')));
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+  }
+
+};
+
+// ============================================
+// EKSPORT MODUŁU
+// ============================================
+
+/**
+ * Eksport Analytics – użyj: const Analytics = require('./analytics');
+ */
+module.exports = Analytics;
@@ -0,0 +1,952 @@
+'use strict';
+
+/**
+ * api_contract.js - Kontrakt API Corelay (OpenAPI 3) budowany ze schematów Joi
+ *
+ * Jedno źródło prawdy dla walidacji i dokumentacji:
+ * - SCHEMAS – wspólne schematy Joi (identyfikatory, body zapytań PWA/skanerów, kształty odpowiedzi);
+ *   route'y w server.js walidują TYMI SAMYMI obiektami, które trafiają do dokumentu,
+ * - contract(spec) – middleware route'a z opisem (summary, query, body, headers, responses);
+ *   describe(fn, spec) dopina opis do istniejących middleware'ów (autoryzacja, helpery walidacji),
+ * - buildDocument(app) – dokument OpenAPI 3.0 z tabeli route'ów Express (GET /openapi.json, podgląd GET /docs),
+ * - walidacja odpowiedzi poza production: res.json() sprawdzany względem `responses` (i koperty błędu);
+ *   niezgodność → console.error + nagłówek X-Contract-Violation, a przy CORELAY_CONTRACT_VALIDATION=strict
+ *   odpowiedź 500 (testy/CI wyłapują rozjazd serwera i PWA, zanim trafi do klienta).
+ *
+ * @module ApiContract
+ * @version 1.0.0
+ */
+
+const Joi = require('joi');
+const OrderLifecycle = require('./order_lifecycle');
+const { COLLECT_ALL, MAX_BUNDLE_ORDERS, RETURN_INSPECTION, PREVIEW_TTL_SECONDS } = require('./corelay_logic');
+const Delegations = require('./delegations');
+const ReturnInspection = require('./return_inspection');
+const Lockers = require('./lockers');
+const Policies = require('./policies');
+
+const { ORDER_STATUSES } = OrderLifecycle;
+
+// ============================================
+// KONSTANTY
+// ============================================
+
+/**
+ * Schematy uwierzytelnienia (components.securitySchemes) – nazwy używane w spec.security.
+ * @constant
+ */
+const SECURITY = {
+  USER: 'bearerAuth', // Authorization: Bearer <accessToken> (PWA klienta)
+  TERMINAL: 'terminalKey', // X-Terminal-Key (skanery sklepów/paczkomatów)
+  MERCHANT: 'merchantKey', // X-Merchant-Key (API integracji)
+  ADMIN: 'adminKey' // API-ADMIN-KEY (back-office – rola w spec.minRole)
+};
+
+const SECURITY_SCHEMES = {
+  [SECURITY.USER]: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'Access token z POST /api/auth/verify_code' },
+  [SECURITY.TERMINAL]: { type: 'apiKey', in: 'header', name: 'X-Terminal-Key', description: 'Klucz terminala (ctk_...)' },
+  [SECURITY.MERCHANT]: { type: 'apiKey', in: 'header', name: 'X-Merchant-Key', description: 'Klucz integracji merchanta (cmk_...)' },
+  [SECURITY.ADMIN]: { type: 'apiKey', in: 'header', name: 'API-ADMIN-KEY', description: 'Klucz konta back-office (cak_...) lub API_ADMIN_KEY z .env' }
+};
+
+/**
+ * Grupy route'ów w dokumencie (po prefiksie ścieżki).
+ * @constant
+ */
+const TAGS = [
+  { prefix: '/api/auth', name: 'Klient' },
+  { prefix: '/api/user', name: 'Klient' },
+  { prefix: '/api/verify_transaction', name: 'Terminal' },
+  { prefix: '/api/terminal', name: 'Terminal' },
+  { prefix: '/api/merchant', name: 'Merchant' },
+  { prefix: '/api/admin', name: 'Back-office' },
+  { prefix: '/api/dev', name: 'Dev' }
+];
+const DEFAULT_TAG = 'Publiczne';
+
+/**
+ * Tryb walidacji odpowiedzi: 'off' | 'log' (domyślnie poza production) | 'strict'.
+ * @constant
+ */
+const VALIDATION_MODE = process.env.CORELAY_CONTRACT_VALIDATION ||
+  (process.env.NODE_ENV === 'production' ? 'off' : 'log');
+
+// ============================================
+// WSPÓLNE SCHEMATY JOI
+// ============================================
+
+const orderId = Joi.string().pattern(/^[A-Za-z0-9_-]{3,64}$/).label('Order ID')
+  .description('ID zamówienia z systemu merchanta, np. ORD-1001 lub LPP-100234');
+const email = Joi.string().email({ minDomainSegments: 2 }).max(254);
+const isoDateTime = Joi.string().isoDate();
+const itemIndices = Joi.array().items(Joi.number().integer().min(0)).unique();
+
+const bundleLine = Joi.object({
+  orderId: Joi.string().required(),
+  transactionType: Joi.string().valid('PICKUP', 'RETURN').required(),
+  status: Joi.string().valid(...Object.values(ORDER_STATUSES)).allow(null).required(),
+  products: Joi.array().items(Joi.string()).required().description('Nazwy wydawanych/zwracanych produktów'),
+  items: itemIndices.allow(null).required(),
+  refundAmount: Joi.number().min(0).allow(null).required(),
+  eligible: Joi.boolean().required(),
+  reason: Joi.string().allow(null).required()
+}).meta({ component: 'CollectAllLine' });
+
+const recipient = Joi.object({
+  name: Joi.string().trim().min(2).max(60).required().label('Imię i nazwisko odbiorcy'),
+  email: email.allow(null),
+  phone: Joi.string().pattern(/^\+[1-9]\d{7,14}$/).allow(null).label('Telefon (format +48600100200)')
+});
+
+const delegation = Joi.object({
+  delegationId: Joi.string().required(),
+  orderId: Joi.string().required(),
+  userId: email.required(),
+  storeId: Joi.string().required(),
+  recipient: recipient.required(),
+  status: Joi.string().valid(...Object.values(Delegations.DELEGATION_STATUSES)).required(),
+  expiresAt: isoDateTime.required(),
+  createdAt: isoDateTime.required(),
+  messageId: Joi.string().allow(null).required(),
+  usedAt: isoDateTime.allow(null).required(),
+  terminalId: Joi.string().allow(null).required(),
+  revokedAt: isoDateTime.allow(null).required()
+}).meta({ component: 'Delegation' });
+
+const inspectionCode = (dictionary) => Joi.string().valid(...Object.keys(dictionary));
+
+const inspectionRecord = Joi.object({
+  inspectedAt: isoDateTime.required(),
+  terminalId: Joi.string().required(),
+  storeId: Joi.string().required(),
+  items: Joi.array().items(Joi.object({
+    index: Joi.number().integer().min(0).required(),
+    name: Joi.string().required(),
+    price: Joi.number().required(),
+    decision: inspectionCode(ReturnInspection.DECISIONS).required(),
+    reasonCode: inspectionCode(ReturnInspection.RETURN_REASONS).required(),
+    condition: inspectionCode(ReturnInspection.ITEM_CONDITIONS).required(),
+    rejectionReason: inspectionCode(ReturnInspection.REJECTION_REASONS).allow(null).required(),
+    restockable: Joi.boolean().required().description('Przyjęty i w stanie NEW/OPENED – wraca do sprzedaży'),
+    note: Joi.string().allow(null).required()
+  })).required(),
+  restockableItems: itemIndices.required(),
+  note: Joi.string().allow(null).required()
+}).meta({ component: 'ReturnInspection' });
+
+const codeList = Joi.array().items(Joi.object({ code: Joi.string().required(), label: Joi.string().required() }));
+
+const intake = Joi.object({
+  items: Joi.array().items(Joi.object({
+    index: Joi.number().integer().min(0).required(),
+    name: Joi.string().required(),
+    price: Joi.number().required()
+  })).required(),
+  refundAmount: Joi.number().min(0).required(),
+  codes: Joi.object({
+    reasons: codeList.required(),
+    conditions: codeList.required(),
+    rejectionReasons: codeList.required()
+  }).required()
+});
+
+const inspectionBody = Joi.object({
+  items: Joi.array()
+    .items(Joi.object({
+      index: Joi.number().integer().min(0).required(),
+      decision: inspectionCode(ReturnInspection.DECISIONS).required(),
+      reasonCode: inspectionCode(ReturnInspection.RETURN_REASONS).required().label('Powód zwrotu'),
+      condition: inspectionCode(ReturnInspection.ITEM_CONDITIONS).required().label('Stan produktu'),
+      rejectionReason: inspectionCode(ReturnInspection.REJECTION_REASONS)
+        .when('decision', { is: ReturnInspection.DECISIONS.REJECT, then: Joi.required(), otherwise: Joi.forbidden() })
+        .label('Powód odrzucenia'),
+      note: Joi.string().trim().max(500).allow('')
+    }))
+    .min(1)
+    .max(50)
+    .unique('index')
+    .required()
+    .label('Ocena produktów')
+    .description('Każdy produkt z kodu zwrotu: powód, stan i decyzja (REJECT wymaga rejectionReason)'),
+  note: Joi.string().trim().max(1000).allow('').label('Notatka z przyjęcia')
+});
+
+const scanCode = Joi.alternatives()
+  .try(Joi.string().pattern(/^\d{6}$/), Joi.string().pattern(/^CRL1\./).max(1024))
+  .required()
+  .label('Kod QR/PIN');
+
+const pickupDelegation = Joi.object({
+  delegationId: Joi.string().required(),
+  recipient: recipient.required(),
+  ownerId: email.required()
+}).description('Tylko odbiór przez pełnomocnika – personel sprawdza dokument odbiorcy');
+
+const compartmentSize = Joi.string().valid(...Lockers.COMPARTMENT_SIZES);
+
+const lockerDoor = Joi.object({
+  storeId: Joi.string().required(),
+  door: Joi.number().integer().min(1).required().description('Numer drzwi do otwarcia'),
+  size: compartmentSize.required(),
+  action: Joi.string().valid(...Object.values(Lockers.LOCKER_ACTIONS)).required()
+    .description('PICKUP – paczka klienta w skrytce; DROP_OFF – pusta skrytka na zwrot')
+}).description('Tylko paczkomat – skrytka do otwarcia');
+
+const locker = Joi.object({
+  storeId: Joi.string().required(),
+  full: Joi.boolean().required().description('Brak wolnych skrytek – nowe paczki czekają w kolejce, zwroty odrzucane'),
+  fullSince: isoDateTime.allow(null).required(),
+  summary: Joi.object({
+    total: Joi.number().integer().min(0).required(),
+    free: Joi.number().integer().min(0).required(),
+    occupied: Joi.number().integer().min(0).required(),
+    reserved: Joi.number().integer().min(0).required(),
+    outOfOrder: Joi.number().integer().min(0).required(),
+    returnsToCollect: Joi.number().integer().min(0).required(),
+    bySize: Joi.object(Object.fromEntries(Lockers.COMPARTMENT_SIZES.map(size => [size, Joi.object({
+      total: Joi.number().integer().min(0).required(),
+      free: Joi.number().integer().min(0).required()
+    }).required()]))).required()
+  }).required(),
+  compartments: Joi.array().items(Joi.object({
+    door: Joi.number().integer().min(1).required(),
+    size: compartmentSize.required(),
+    state: Joi.string().valid(...Object.values(Lockers.COMPARTMENT_STATES)).required(),
+    contents: Joi.string().valid(...Object.values(Lockers.CONTENTS)).allow(null).required(),
+    orderId: Joi.string().allow(null).required(),
+    returnId: Joi.string().allow(null).required(),
+    reservedUntil: Joi.number().allow(null).required().description('Koniec rezerwacji zwrotu (ms)'),
+    since: isoDateTime.required()
+  })).required(),
+  queue: Joi.array().items(Joi.object({
+    orderId: Joi.string().required(),
+    size: compartmentSize.required(),
+    since: isoDateTime.required()
+  })).required().description('Paczki czekające na wolną skrytkę'),
+  createdAt: isoDateTime.required(),
+  updatedAt: isoDateTime.required()
+}).meta({ component: 'Locker' });
+
+const categoryRules = Joi.object().unknown(true)
+  .description('Okno zwrotu per kategoria produktu: { [kategoria]: { returnWindowDays } } (0 = bez zwrotu)');
+
+const orderPolicy = Joi.object({
+  merchantId: Joi.string().allow(null).required(),
+  version: Joi.number().integer().min(0).required().description('Wersja polityki merchanta (0 = domyślna)'),
+  pickupWindowDays: Joi.number().integer().min(0).required(),
+  returnWindowDays: Joi.number().integer().min(0).required(),
+  categories: categoryRules.required()
+}).meta({ component: 'OrderPolicy' });
+
+const returnTerms = Joi.object({
+  pickupWindowDays: Joi.number().integer().min(0).required(),
+  returnWindowDays: Joi.number().integer().min(0).required(),
+  items: Joi.array().items(Joi.object({
+    index: Joi.number().integer().min(0).required(),
+    category: Joi.string().allow(null).required(),
+    returnWindowDays: Joi.number().integer().min(0).required().description('0 = produkt nie podlega zwrotowi'),
+    returnUntil: isoDateTime.allow(null).required().description('Koniec okna zwrotu produktu (null przed odbiorem)'),
+    returnable: Joi.boolean().required().description('Można teraz zwrócić (niezwrócony, w oknie zwrotu)')
+  })).required()
+}).meta({ component: 'ReturnTerms' });
+
+/**
+ * Pole polityki w zakresie Policies.POLICY_LIMITS; null przywraca wartość domyślną.
+ * @private
+ */
+const policyValue = (field) => Joi.number().integer()
+  .min(Policies.POLICY_LIMITS[field].min)
+  .max(Policies.POLICY_LIMITS[field].max)
+  .allow(null);
+
+const policyValues = Joi.object({
+  pickupWindowDays: Joi.number().integer().required(),
+  returnWindowDays: Joi.number().integer().required(),
+  guestCodeValidityMinutes: Joi.number().integer().required(),
+  qrRotationSeconds: Joi.number().integer().required()
+});
+
+const merchantPolicy = Joi.object({
+  merchantId: Joi.string().required(),
+  source: Joi.string().valid('MERCHANT', 'DEFAULT').required(),
+  policy: policyValues.keys({
+    merchantId: Joi.string().required(),
+    version: Joi.number().integer().min(0).required(),
+    categories: categoryRules.required()
+  }).required().description('Obowiązująca polityka (domyślne + nadpisania merchanta)'),
+  overrides: Joi.object().unknown(true).required().description('Pola ustawione przez merchanta'),
+  version: Joi.number().integer().min(0).required(),
+  updatedAt: isoDateTime.allow(null).required(),
+  updatedBy: Joi.string().allow(null).required()
+}).meta({ component: 'MerchantPolicy' });
+
+const order = Joi.object({
+  orderId: Joi.string().required(),
+  userId: Joi.string().required(),
+  merchantId: Joi.string().allow(null),
+  storeId: Joi.string().required(),
+  status: Joi.string().valid(...Object.values(ORDER_STATUSES)).required(),
+  products: Joi.array().items(Joi.object({
+    name: Joi.string().required(),
+    price: Joi.number().required(),
+    state: Joi.string()
+  }).unknown(true)).required(),
+  createdAt: isoDateTime,
+  pickupDeadline: Joi.string().allow(null).description('Ostatni dzień odbioru (YYYY-MM-DD)'),
+  pickupTime: isoDateTime.allow(null),
+  maxTime: Joi.number().allow(null).description('Koniec okna zwrotu (ms) – najdłuższe okno produktu'),
+  policy: orderPolicy.description('Warunki zamówienia – polityka merchanta z chwili utworzenia'),
+  terms: returnTerms.description('Tylko POST /api/user/orders – terminy zwrotu produktów dla klienta'),
+  returns: Joi.array().items(Joi.object().unknown(true)),
+  history: Joi.array().items(Joi.object({
+    from: Joi.string().allow(null).required(),
+    to: Joi.string().required(),
+    at: isoDateTime.required(),
+    actor: Joi.string().required(),
+    reason: Joi.string().allow(null)
+  }).unknown(true))
+}).unknown(true).meta({ component: 'Order' });
+
+const tokens = Joi.object({
+  success: Joi.boolean().valid(true).required(),
+  tokenType: Joi.string().valid('Bearer').required(),
+  accessToken: Joi.string().required(),
+  expiresIn: Joi.number().integer().required().description('Ważność access tokenu (s)'),
+  refreshToken: Joi.string().required(),
+  refreshExpiresAt: isoDateTime.required(),
+  userId: email.required()
+}).meta({ component: 'Tokens' });
+
+/**
+ * Wspólne schematy: identyfikatory, body zapytań klienta/skanerów i odpowiedzi, na których polegają PWA.
+ * @constant
+ */
+const SCHEMAS = {
+  orderId,
+  email,
+  itemIndices,
+  order,
+
+  error: Joi.object({
+    success: Joi.boolean().valid(false).required(),
+    message: Joi.string().required(),
+    reason: Joi.string().description('Kod odmowy skanu (np. CODE_REPLAYED, WRONG_STORE, CODE_HELD, CODE_EXPIRED, TERMINAL_LOCKED)'),
+    path: Joi.string(),
+    stack: Joi.string().description('Tylko poza production')
+  }).unknown(true).meta({ component: 'Error' }),
+
+  success: Joi.object({
+    success: Joi.boolean().valid(true).required(),
+    message: Joi.string()
+  }).unknown(true).meta({ component: 'Success' }),
+
+  // --- Logowanie klienta ---
+  requestCodeBody: Joi.object({
+    email: email.required().label('Email')
+  }),
+  verifyCodeBody: Joi.object({
+    email: email.required().label('Email'),
+    code: Joi.string().pattern(/^\d{6}$/).required().label('Kod logowania')
+  }),
+  refreshBody: Joi.object({
+    refreshToken: Joi.string().max(256).required()
+  }),
+  tokens,
+
+  // --- PWA klienta ---
+  userOrders: Joi.object({
+    success: Joi.boolean().valid(true).required(),
+    userId: email.required(),
+    orders: Joi.array().items(order).required(),
+    count: Joi.number().integer().min(0).required(),
+    lastUpdated: isoDateTime.required()
+  }),
+  guestPinBody: Joi.object({
+    orderId: orderId.required(),
+    items: itemIndices.max(50).label('Produkty do zwrotu').description('Tylko zwrot: indeksy products[]; brak = wszystkie niezwrócone')
+  }),
+  guestPin: Joi.object({
+    success: Joi.boolean().valid(true).required(),
+    pin: Joi.string().pattern(/^\d{6}$/).required().description('PIN do ręcznego wpisania na kasie'),
+    qr: Joi.object({
+      format: Joi.string().valid('CRL1').required(),
+      grant: Joi.string().required(),
+      kid: Joi.string(),
+      rotationSecret: Joi.string().required(),
+      rotationSeconds: Joi.number().integer().min(1).required()
+    }).required().description('Grant do lokalnie rotowanego QR (qr_tokens.js)'),
+    orderId: Joi.string().required(),
+    type: Joi.string().valid('pickup', 'return').required(),
+    expiresIn: Joi.number().required().description('Ważność kodu (ms)'),
+    expiresAt: isoDateTime.required(),
+    windowEndsAt: isoDateTime.allow(null).required(),
+    items: itemIndices.description('Tylko zwrot'),
+    refundAmount: Joi.number().min(0).description('Tylko zwrot')
+  }).meta({ component: 'GuestCode' }),
+  collectAllBody: Joi.object({
+    storeId: Joi.string().max(64).required().label('Sklep odbioru'),
+    returns: Joi.array()
+      .items(Joi.object({
+        orderId: orderId.required(),
+        items: itemIndices.max(50).description('Indeksy products[]; brak = wszystkie niezwrócone')
+      }))
+      .max(MAX_BUNDLE_ORDERS)
+      .unique('orderId')
+      .label('Zwroty')
+      .description('Oczekujące zwroty do dołączenia (opcjonalnie)')
+  }),
+  collectAll: Joi.object({
+    success: Joi.boolean().valid(true).required(),
+    pin: Joi.string().pattern(/^\d{6}$/).required(),
+    qr: Joi.object({
+      format: Joi.string().valid('CRL1').required(),
+      grant: Joi.string().required(),
+      kid: Joi.string(),
+      rotationSecret: Joi.string().required(),
+      rotationSeconds: Joi.number().integer().min(1).required()
+    }).required(),
+    bundleId: Joi.string().required(),
+    orderId: Joi.string().required().description('= bundleId (kod zapisany pod ID kodu zbiorczego)'),
+    type: Joi.string().valid('collect_all').required(),
+    storeId: Joi.string().required(),
+    orders: Joi.array().items(bundleLine).min(1).required(),
+    expiresIn: Joi.number().required().description('Ważność kodu (ms)'),
+    expiresAt: isoDateTime.required()
+  }).meta({ component: 'CollectAllCode' }),
+
+  delegationBody: Joi.object({
+    orderId: orderId.required(),
+    recipient: Joi.object({
+      name: Joi.string().trim().min(2).max(60).required().label('Imię i nazwisko odbiorcy'),
+      email,
+      phone: Joi.string().pattern(/^\+[1-9]\d{7,14}$/).label('Telefon (format +48600100200)')
+    }).xor('email', 'phone').required().description('Kod trafia na e-mail albo SMS odbiorcy'),
+    validHours: Joi.number().integer().min(1).max(Delegations.MAX_VALID_HOURS).default(Delegations.DEFAULT_VALID_HOURS)
+      .description('Ważność kodu pełnomocnika (najpóźniej do końca dnia terminu odbioru)')
+  }),
+  delegationCreated: Joi.object({
+    success: Joi.boolean().valid(true).required(),
+    delegation: delegation.required(),
+    expiresAt: isoDateTime.required(),
+    message: Joi.string().required()
+  }),
+  delegationFilter: Joi.object({
+    orderId,
+    status: Joi.string().valid(...Object.values(Delegations.DELEGATION_STATUSES))
+  }),
+  delegationList: Joi.object({
+    success: Joi.boolean().valid(true).required(),
+    delegations: Joi.array().items(delegation).required(),
+    count: Joi.number().integer().min(0).required()
+  }),
+  delegationRevoked: Joi.object({
+    success: Joi.boolean().valid(true).required(),
+    delegation: delegation.required()
+  }),
+
+  // --- Skanery ---
+  verifyTransactionBody: Joi.object({
+    code: scanCode,
+    inspect: Joi.boolean().default(false)
+      .description('Skaner z inspekcją zwrotów: kod zwrotu otwiera przyjęcie (RETURN_INSPECTION) zamiast od razu przyjąć zwrot')
+  }),
+  verifyTransaction: Joi.object({
+    success: Joi.boolean().valid(true).required(),
+    transactionType: Joi.string().valid('PICKUP', 'RETURN', COLLECT_ALL, RETURN_INSPECTION).required()
+      .description('COLLECT_ALL: kod zbiorczy – lista w orders, finalizacja przez POST /api/terminal/collect_all/{bundleId}/confirm; ' +
+        'RETURN_INSPECTION: produkty do oceny w intake, finalizacja przez POST /api/terminal/returns/{orderId}/inspection'),
+    message: Joi.string().required(),
+    orderId: Joi.string().allow(null).required().description('null dla kodu zbiorczego'),
+    userId: email.required(),
+    type: Joi.string().valid('GUEST_PIN', 'DYNAMIC_CODE').required().description('Rodzaj zeskanowanego kodu'),
+    scanner: Joi.string().required().description('Sklep skanu (storeId terminala)'),
+    terminalId: Joi.string().required(),
+    status: Joi.string().valid(...Object.values(ORDER_STATUSES)).allow(null).required().description('Status zamówienia po transakcji (null dla kodu zbiorczego)'),
+    scanId: Joi.string().required(),
+    verifiedAt: isoDateTime.required(),
+    timeTaken: Joi.number().min(0).required().description('Czas przetwarzania (ms)'),
+    returnId: Joi.string(),
+    returnedItems: itemIndices,
+    refundAmount: Joi.number().min(0),
+    refundId: Joi.string(),
+    rejectedItems: itemIndices.description('Tylko zwrot z inspekcją – produkty odrzucone przy kasie (wracają do klienta)'),
+    inspection: inspectionRecord.description('Tylko zwrot z inspekcją'),
+    intake: intake.description('Tylko RETURN_INSPECTION – produkty do oceny i słowniki kodów'),
+    delegation: pickupDelegation,
+    locker: lockerDoor,
+    bundleId: Joi.string().description('Tylko kod zbiorczy'),
+    orders: Joi.array().items(bundleLine).description('Tylko kod zbiorczy'),
+    expiresAt: isoDateTime.description('Kod zbiorczy i RETURN_INSPECTION – ważność otwartego kodu')
+  }).meta({ component: 'VerifyTransactionResult' }),
+  previewBody: Joi.object({
+    code: scanCode
+  }),
+  preview: Joi.object({
+    success: Joi.boolean().valid(true).required(),
+    transactionType: Joi.string().valid('PICKUP', 'RETURN', COLLECT_ALL).required()
+      .description('Co zrobi potwierdzenie; COLLECT_ALL – lista w orders, potwierdzenie przez POST /api/terminal/collect_all/{bundleId}/confirm'),
+    message: Joi.string().required(),
+    orderId: Joi.string().allow(null).required(),
+    userId: email.required(),
+    type: Joi.string().valid('GUEST_PIN', 'DYNAMIC_CODE').required(),
+    scanner: Joi.string().required(),
+    terminalId: Joi.string().required(),
+    status: Joi.string().valid(...Object.values(ORDER_STATUSES)).allow(null).required().description('Bieżący status (podgląd niczego nie zmienia)'),
+    scanId: Joi.string().required(),
+    verifiedAt: isoDateTime.required(),
+    timeTaken: Joi.number().min(0).required(),
+    previewToken: Joi.string().description(`Token potwierdzenia/anulowania – ważny ${PREVIEW_TTL_SECONDS} s (nie dłużej niż kod)`),
+    previewExpiresAt: isoDateTime,
+    order: Joi.object({
+      orderId: Joi.string().required(),
+      storeId: Joi.string().required(),
+      status: Joi.string().valid(...Object.values(ORDER_STATUSES)).required(),
+      pickupDeadline: Joi.string().allow(null).required(),
+      returnWindowEndsAt: isoDateTime.allow(null).required()
+    }),
+    products: Joi.array().items(Joi.object({
+      index: Joi.number().integer().min(0).required(),
+      name: Joi.string().required(),
+      price: Joi.number().required(),
+      state: Joi.string().valid(...Object.values(OrderLifecycle.ITEM_STATES)).required(),
+      included: Joi.boolean().required().description('Produkt wydawany / zwracany w tej transakcji')
+    })),
+    intake: intake.description('Tylko zwrot – produkty do oceny (opcjonalna inspekcja przy potwierdzeniu)'),
+    delegation: pickupDelegation,
+    locker: lockerDoor.description('Tylko paczkomat – skrytka z paczką / zarezerwowana na zwrot do końca podglądu'),
+    bundleId: Joi.string().description('Tylko kod zbiorczy'),
+    orders: Joi.array().items(bundleLine).description('Tylko kod zbiorczy'),
+    expiresAt: isoDateTime.description('Tylko kod zbiorczy')
+  }).meta({ component: 'ScanPreview' }),
+  previewCancelled: Joi.object({
+    success: Joi.boolean().valid(true).required(),
+    orderId: Joi.string().required(),
+    message: Joi.string().required()
+  }),
+  returnInspectionBody: inspectionBody,
+  previewConfirmBody: Joi.object({
+    inspection: inspectionBody.description('Tylko zwrot: ocena produktów przy kasie; brak = przyjęcie wszystkich produktów z kodu')
+  }),
+  collectAllConfirmBody: Joi.object({
+    orderIds: Joi.array().items(orderId).min(1).max(MAX_BUNDLE_ORDERS).unique().required()
+      .label('Wydane/przyjęte zamówienia')
+  }),
+  collectAllConfirm: Joi.object({
+    success: Joi.boolean().required().description('true, jeśli zrealizowano co najmniej jedno zamówienie'),
+    bundleId: Joi.string().required(),
+    type: Joi.string().valid('GUEST_PIN', 'DYNAMIC_CODE').required(),
+    results: Joi.array().items(Joi.object({
+      orderId: Joi.string().required(),
+      success: Joi.boolean().required(),
+      transactionType: Joi.string().valid('PICKUP', 'RETURN').required(),
+      message: Joi.string().required(),
+      reason: Joi.string(),
+      scanId: Joi.string(),
+      status: Joi.string().valid(...Object.values(ORDER_STATUSES)),
+      returnId: Joi.string(),
+      returnedItems: itemIndices,
+      refundAmount: Joi.number().min(0),
+      refundId: Joi.string()
+    })).required(),
+    summary: Joi.object({
+      selected: Joi.number().integer().min(0).required(),
+      confirmed: Joi.number().integer().min(0).required(),
+      failed: Joi.number().integer().min(0).required(),
+      skipped: Joi.number().integer().min(0).required()
+    }).required(),
+    message: Joi.string().required(),
+    confirmedAt: isoDateTime.required()
+  }).meta({ component: 'CollectAllConfirmation' }),
+
+  // --- Paczkomaty ---
+  locker: Joi.object({
+    success: Joi.boolean().valid(true).required(),
+    locker: locker.required()
+  }),
+  lockerList: Joi.object({
+    success: Joi.boolean().valid(true).required(),
+    lockers: Joi.array().items(locker).required()
+  }),
+  lockerCollected: Joi.object({
+    success: Joi.boolean().valid(true).required(),
+    collected: Joi.array().items(Joi.object({
+      door: Joi.number().integer().min(1).required(),
+      size: compartmentSize.required(),
+      orderId: Joi.string().required(),
+      returnId: Joi.string().required()
+    })).required(),
+    locker: locker.required(),
+    message: Joi.string().required()
+  }),
+  lockerLayoutBody: Joi.object(Object.fromEntries(Lockers.COMPARTMENT_SIZES.map(size => [
+    size,
+    Joi.number().integer().min(0).max(Lockers.MAX_COMPARTMENTS).default(0).label(`Liczba skrytek ${size}`)
+  ]))).min(1),
+  compartmentBody: Joi.object({
+    outOfOrder: Joi.boolean().required().label('Skrytka wyłączona (awaria)')
+  }),
+
+  // --- Polityki merchantów ---
+  policy: Joi.object({
+    success: Joi.boolean().valid(true).required(),
+    policy: merchantPolicy.required()
+  }),
+  policyList: Joi.object({
+    success: Joi.boolean().valid(true).required(),
+    defaults: policyValues.keys({ categories: categoryRules.required() }).required(),
+    policies: Joi.array().items(merchantPolicy).required()
+  }),
+  policyBody: Joi.object({
+    pickupWindowDays: policyValue('pickupWindowDays').label('Dni na odbiór'),
+    returnWindowDays: policyValue('returnWindowDays').label('Dni na zwrot').description('0 = zwroty wyłączone'),
+    guestCodeValidityMinutes: policyValue('guestCodeValidityMinutes').label('Ważność kodu (min)'),
+    qrRotationSeconds: policyValue('qrRotationSeconds').label('Rotacja QR (s)'),
+    categories: Joi.array()
+      .items(Joi.object({
+        category: Joi.string().trim().min(1).max(50).required().label('Kategoria'),
+        returnWindowDays: policyValue('returnWindowDays').required().label('Dni na zwrot kategorii')
+          .description('0 = kategoria bez zwrotu; null usuwa regułę')
+      }))
+      .max(Policies.MAX_CATEGORIES)
+      .unique('category')
+      .label('Reguły kategorii')
+  }).min(1),
+
+  // --- Dane testowe (back-office) ---
+  createTestOrderBody: Joi.object({
+    userId: email.required(),
+    orderId: orderId.required(),
+    storeId: Joi.string().max(64).required(), // Istnienie i status sprawdza DB.createOrder (rejestr sklepów)
+    products: Joi.array()
+      .min(1)
+      .max(10)
+      .items(Joi.object({
+        name: Joi.string().min(1).max(50).required(),
+        price: Joi.number().min(0).max(10000).required(),
+        category: Joi.string().trim().max(50).description('Kategoria produktu (reguły zwrotu z polityki merchanta)')
+      }))
+      .required(),
+    status: Joi.string()
+      .valid(...OrderLifecycle.INITIAL_STATUSES)
+      .default(ORDER_STATUSES.READY_FOR_PICKUP)
+  })
+};
+
+// ============================================
+// KONWERSJA JOI → JSON SCHEMA (OpenAPI 3.0)
+// ============================================
+
+const regexSource = (regex) => regex.replace(/^\/(.*)\/[a-z]*$/, '$1');
+
+const ruleArgs = (description, name) => {
+  const rule = (description.rules || []).find(r => r.name === name);
+  return rule ? rule.args || {} : null;
+};
+
+/**
+ * Opis Joi (schema.describe()) → schemat OpenAPI. Schematy z .meta({ component }) trafiają do
+ * components.schemas i są podmieniane na $ref.
+ * @private
+ */
+const convertDescription = (description, components) => {
+  const component = (description.metas || []).find(meta => meta.component);
+  if (component && components) {
+    if (!(component.component in components)) {
+      components[component.component] = null; // Rezerwacja nazwy (schematy rekurencyjne)
+      components[component.component] = convertDescription({ ...description, metas: [] }, components);
+    }
+    return { $ref: `#/components/schemas/${component.component}` };
+  }
+
+  const flags = description.flags || {};
+  const schema = {};
+  const has = (name) => ruleArgs(description, name);
+
+  switch (description.type) {
+    case 'object': {
+      schema.type = 'object';
+      if (description.keys) {
+        schema.properties = {};
+        const required = [];
+        Object.entries(description.keys).forEach(([key, child]) => {
+          schema.properties[key] = convertDescription(child, components);
+          if ((child.flags || {}).presence === 'required') required.push(key);
+        });
+        if (required.length > 0) schema.required = required;
+      }
+      schema.additionalProperties = flags.unknown === true || !description.keys;
+      if (has('min')) schema.minProperties = has('min').limit;
+      if (has('max')) schema.maxProperties = has('max').limit;
+      break;
+    }
+    case 'array': {
+      schema.type = 'array';
+      const items = (description.items || []).map(item => convertDescription(item, components));
+      schema.items = items.length === 1 ? items[0] : items.length > 1 ? { anyOf: items } : {};
+      if (has('min')) schema.minItems = has('min').limit;
+      if (has('max')) schema.maxItems = has('max').limit;
+      if (has('length')) schema.minItems = schema.maxItems = has('length').limit;
+      if (has('unique')) schema.uniqueItems = true;
+      break;
+    }
+    case 'string': {
+      schema.type = 'string';
+      if (has('min')) schema.minLength = has('min').limit;
+      if (has('max')) schema.maxLength = has('max').limit;
+      if (has('length')) schema.minLength = schema.maxLength = has('length').limit;
+      if (has('pattern')) schema.pattern = regexSource(has('pattern').regex);
+      if (has('alphanum')) schema.pattern = '^[a-zA-Z0-9]*$';
+      if (has('email')) schema.format = 'email';
+      if (has('uri')) schema.format = 'uri';
+      if (has('isoDate')) schema.format = 'date-time';
+      break;
+    }
+    case 'number': {
+      schema.type = has('integer') ? 'integer' : 'number';
+      if (has('min')) schema.minimum = has('min').limit;
+      if (has('max')) schema.maximum = has('max').limit;
+      if (has('precision')) schema.multipleOf = 10 ** -has('precision').limit;
+      break;
+    }
+    case 'boolean':
+      schema.type = 'boolean';
+      break;
+    case 'date':
+      schema.type = 'string';
+      schema.format = 'date-time';
+      break;
+    case 'alternatives':
+      schema.anyOf = (description.matches || []).filter(match => match.schema)
+        .map(match => convertDescription(match.schema, components));
+      break;
+    default:
+      break; // any – dowolna wartość
+  }
+
+  const allowed = description.allow || [];
+  if (flags.only) {
+    const values = allowed.filter(value => value !== null);
+    if (values.length > 0) schema.enum = values;
+  }
+  if (allowed.includes(null)) schema.nullable = true;
+  if (flags.default !== undefined && typeof flags.default !== 'function') schema.default = flags.default;
+  if (flags.description) schema.description = flags.description;
+  if (flags.label) schema.title = flags.label;
+  return schema;
+};
+
+/**
+ * Parametry (query / header) z kluczy schematu obiektu Joi.
+ * @private
+ */
+const parametersOf = (joiSchema, location, components) => {
+  if (!joiSchema) return [];
+  const description = joiSchema.describe();
+  return Object.entries(description.keys || {}).map(([name, child]) => {
+    const { description: text, title, ...schema } = convertDescription(child, components);
+    return {
+      name,
+      in: location,
+      required: (child.flags || {}).presence === 'required',
+      ...(text || title ? { description: text || title } : {}),
+      schema
+    };
+  });
+};
+
+/**
+ * Odpowiedź ze specyfikacji: schemat Joi (JSON) albo { description?, schema?, contentType? }.
+ * @private
+ */
+const normalizeResponse = (response) => (Joi.isSchema(response) ? { schema: response } : response);
+
+const tagOf = (path) => (TAGS.find(tag => path.startsWith(tag.prefix)) || { name: DEFAULT_TAG }).name;
+
+/**
+ * Sprawdza odpowiedź JSON względem kontraktu route'a (błędy 4xx/5xx – koperta Error).
+ * @private
+ * @returns {string|null} Opis niezgodności lub null
+ */
+const responseViolation = (spec, statusCode, body) => {
+  const declared = spec.responses && spec.responses[statusCode] ? normalizeResponse(spec.responses[statusCode]) : null;
+  const schema = declared ? declared.schema : (statusCode >= 400 ? SCHEMAS.error : null);
+  if (!schema) {
+    return !declared && spec.responses && statusCode < 400 && !spec.responses.default ? `nieudokumentowany status ${statusCode}` : null;
+  }
+  const { error } = schema.validate(body, { abortEarly: false });
+  return error ? error.details.map(detail => detail.message).join('; ') : null;
+};
+
+// ============================================
+// GŁÓWNY OBIEKT
+// ============================================
+
+const ApiContract = {
+
+  SCHEMAS,
+  SECURITY,
+
+  /**
+   * Middleware opisujący route (spec trafia do dokumentu); poza production sprawdza odpowiedzi JSON.
+   *
+   * @param {object} spec - { summary, description?, tags?, security?, minRole?, query?, body?, headers? (Joi),
+   *   responses?: { [status]: Joi | { description, schema?, contentType? } } }
+   * @returns {function} Middleware Express (z właściwością .contract)
+   * @example app.post('/api/user/generate_guest_pin', requireUser, contract({ summary: 'Kod odbioru', body: SCHEMAS.guestPinBody, responses: { 200: SCHEMAS.guestPin } }), handler)
+   */
+  contract: (spec) => {
+    const middleware = (req, res, next) => {
+      if (VALIDATION_MODE === 'off') return next();
+
+      const sendJson = res.json.bind(res);
+      res.json = (body) => {
+        const violation = responseViolation(spec, res.statusCode, body);
+        if (!violation) return sendJson(body);
+
+        const message = `${req.method} ${req.route ? req.route.path : req.path} -> ${res.statusCode}: ${violation}`;
+        console.error(`[ApiContract] Odpowiedź niezgodna z kontraktem: ${message}`);
+        if (VALIDATION_MODE === 'strict') {
+          res.status(500);
+          return sendJson({ success: false, message: `Odpowiedź niezgodna z kontraktem API: ${message}`, path: req.path });
+        }
+        if (!res.headersSent) res.set('X-Contract-Violation', message.slice(0, 300).replace(/[^\x20-\x7E]/g, '?')) // Nagłówki HTTP – tylko ASCII;
+        return sendJson(body);
+      };
+      next();
+    };
+    middleware.contract = spec;
+    return middleware;
+  },
+
+  /**
+   * Dopina opis kontraktu do istniejącej funkcji (middleware autoryzacji, helper walidacji body/query).
+   *
+   * @param {function} fn - Middleware/handler Express
+   * @param {object} spec - Fragment specyfikacji jak w contract()
+   * @returns {function} Ta sama funkcja
+   * @example ApiContract.describe(requireTerminal, { security: ApiContract.SECURITY.TERMINAL })
+   */
+  describe: (fn, spec) => {
+    fn.contract = { ...(fn.contract || {}), ...spec };
+    return fn;
+  },
+
+  /**
+   * Schemat Joi → JSON Schema (OpenAPI 3.0; komponenty dopisywane do `components`).
+   *
+   * @param {object} joiSchema - Schemat Joi
+   * @param {object} [components] - Zbiór components.schemas (mutowany)
+   * @returns {object} Schemat OpenAPI
+   */
+  toJsonSchema: (joiSchema, components = {}) => convertDescription(joiSchema.describe(), components),
+
+  /**
+   * Dokument OpenAPI 3.0 z route'ów aplikacji Express (kolejność jak w server.js).
+   * Spec route'a = złożenie .contract wszystkich jego middleware'ów (autoryzacja, helpery, contract()).
+   *
+   * @param {object} app - Aplikacja Express
+   * @param {object} [info] - { title, version, description, serverUrl }
+   * @returns {object} Dokument OpenAPI
+   */
+  buildDocument: (app, info = {}) => {
+    const components = {};
+    const paths = {};
+
+    for (const layer of app._router.stack) {
+      if (!layer.route || typeof layer.route.path !== 'string') continue;
+      const { route } = layer;
+      const spec = route.stack.reduce((acc, handlerLayer) => ({ ...acc, ...(handlerLayer.handle.contract || {}) }), {});
+      if (spec.hidden) continue;
+
+      const path = route.path.replace(/:(\w+)/g, '{$1}');
+      const pathParams = [...route.path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+        name, in: 'path', required: true, schema: { type: 'string' }
+      }));
+
+      Object.keys(route.methods).filter(method => method !== '_all').forEach(method => {
+        const responses = {};
+        Object.entries(spec.responses || {}).forEach(([status, response]) => {
+          const { description, schema, contentType = 'application/json' } = normalizeResponse(response);
+          responses[status] = {
+            description: description || (Number(status) < 400 ? 'OK' : 'Błąd'),
+            ...(schema || contentType !== 'application/json'
+              ? { content: { [contentType]: { schema: schema ? ApiContract.toJsonSchema(schema, components) : { type: 'string' } } } }
+              : {})
+          };
+        });
+        if (!Object.keys(responses).some(status => Number(status) < 400)) {
+          responses[200] = { description: 'OK', content: { 'application/json': { schema: ApiContract.toJsonSchema(SCHEMAS.success, components) } } };
+        }
+        responses.default = { description: 'Błąd (koperta { success: false, message, reason? })', content: { 'application/json': { schema: ApiContract.toJsonSchema(SCHEMAS.error, components) } } };
+
+        const description = [spec.description, spec.minRole ? `Wymagana rola back-office: min. ${spec.minRole}.` : null]
+          .filter(Boolean).join('\n\n');
+        paths[path] = paths[path] || {};
+        paths[path][method] = {
+          operationId: `${method}${path.replace(/[{}]/g, '').replace(/[^A-Za-z0-9]+(.)?/g, (m, ch) => (ch ? ch.toUpperCase() : ''))}`,
+          tags: spec.tags || [tagOf(route.path)],
+          ...(spec.summary ? { summary: spec.summary } : {}),
+          ...(description ? { description } : {}),
+          ...(spec.security ? { security: [{ [spec.security]: [] }] } : { security: [] }),
+          ...(spec.minRole ? { 'x-corelay-min-role': spec.minRole } : {}),
+          parameters: [
+            ...pathParams,
+            ...parametersOf(spec.query, 'query', components),
+            ...parametersOf(spec.headers, 'header', components)
+          ],
+          ...(spec.body ? {
+            requestBody: { required: true, content: { 'application/json': { schema: ApiContract.toJsonSchema(spec.body, components) } } }
+          } : {}),
+          responses
+        };
+      });
+    }
+
+    return {
+      openapi: '3.0.3',
+      info: {
+        title: info.title || 'Corelay API',
+        version: info.version || '1.0.0',
+        description: info.description || ''
+      },
+      ...(info.serverUrl ? { servers: [{ url: info.serverUrl }] } : {}),
+      tags: [...new Set([...TAGS.map(tag => tag.name), DEFAULT_TAG])].map(name => ({ name })),
+      paths,
+      components: { schemas: components, securitySchemes: SECURITY_SCHEMES }
+    };
+  },
+
+  /**
+   * Strona podglądu dokumentu (Swagger UI z CDN; skrypt startowy z nonce – CSP helmet).
+   *
+   * @param {string} nonce - Nonce skryptu (ten sam w nagłówku Content-Security-Policy)
+   * @returns {string} HTML
+   */
+  docsPage: (nonce) => `<!DOCTYPE html>
+<html lang="pl">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Corelay API – dokumentacja</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5.17.14/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@5.17.14/swagger-ui-bundle.js"></script>
+  <script nonce="${nonce}">
+    window.ui = SwaggerUIBundle({ url: '/openapi.json', dom_id: '#swagger-ui', deepLinking: true });
+  </script>
+</body>
+</html>
+`
+
+};
+
+// ============================================
+// EKSPORT MODUŁU
+// ============================================
+
+/**
+ * Eksport ApiContract – użyj: const ApiContract = require('./api_contract');
+ */
+module.exports = ApiContract;
@@ -0,0 +1,293 @@
+'use strict';
+
+/**
+ * auth.js - Logowanie klientów Corelay (kod jednorazowy e-mail + tokeny)
+ *
+ * Przepływ:
+ * 1. requestLoginCode(email) – 6-cyfrowy kod (ważny LOGIN_CODE_TTL_MINUTES) wysłany przez outbox.js.
+ * 2. verifyLoginCode(email, code) – nowa sesja: access token (JWT HS256, krótki) + refresh token.
+ * 3. refresh(refreshToken) – rotacja: nowa para tokenów, stary refresh token przestaje działać.
+ *    Ponowne użycie starego refresh tokenu = podejrzenie kradzieży → sesja unieważniona.
+ * 4. logout(sessionId) – unieważnia sesję; access tokeny tej sesji przestają działać od razu.
+ *
+ * userId = e-mail klienta (tak jak w order.userId). W bazie trzymane są tylko hashe kodów i refresh tokenów.
+ *
+ * @module Auth
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const moment = require('moment');
+const otpGenerator = require('otp-generator');
+const DB = require('./database');
+const Outbox = require('./outbox');
+const { ApiError } = require('./errors');
+
+// ============================================
+// KONSTANTY
+// ============================================
+
+/**
+ * Ważność access tokenu (sekundy).
+ * @constant
+ */
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+
+/**
+ * Ważność sesji / refresh tokenu (dni).
+ * @constant
+ */
+const REFRESH_TOKEN_TTL_DAYS = 30;
+
+/**
+ * Ważność kodu logowania (minuty) i limit prób wpisania.
+ * @constant
+ */
+const LOGIN_CODE_TTL_MINUTES = 10;
+const LOGIN_CODE_MAX_ATTEMPTS = 5;
+
+/**
+ * Minimalny odstęp między kolejnymi kodami dla jednego e-maila (sekundy).
+ * @constant
+ */
+const LOGIN_CODE_RESEND_SECONDS = 30;
+
+// ============================================
+// HELPERY KRYPTOGRAFICZNE
+// ============================================
+
+const loginCodes = () => DB.getCollection('loginCodes');
+const sessions = () => DB.getCollection('sessions');
+
+const sha256 = (text) => crypto.createHash('sha256').update(String(text)).digest('hex');
+
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Sekret podpisu access tokenów: env CORELAY_AUTH_SECRET lub wygenerowany i zapisany w bazie (authKeys).
+ * @private
+ */
+const getSigningSecret = () => {
+  if (process.env.CORELAY_AUTH_SECRET) {
+    return process.env.CORELAY_AUTH_SECRET;
+  }
+  const keys = DB.getCollection('authKeys');
+  if (keys.length === 0) {
+    keys.push({ kid: 'a1', secret: crypto.randomBytes(32).toString('base64url'), createdAt: moment().toISOString() });
+    DB.persist();
+    console.log('[Auth] Wygenerowano sekret podpisu access tokenów (ustaw CORELAY_AUTH_SECRET w production)');
+  }
+  return keys[keys.length - 1].secret;
+};
+
+const signJwt = (payload) => {
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', getSigningSecret()).update(`${header}.${body}`).digest('base64url');
+  return `${header}.${body}.${signature}`;
+};
+
+/**
+ * Weryfikuje podpis i expiry JWT; zwraca payload lub null.
+ * @private
+ */
+const verifyJwt = (token, nowSeconds) => {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return null;
+  const [header, body, signature] = parts;
+  const expected = crypto.createHmac('sha256', getSigningSecret()).update(`${header}.${body}`).digest('base64url');
+  if (!safeEqual(expected, signature)) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    return payload.exp > nowSeconds ? payload : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Wydaje parę tokenów dla sesji (nowy refresh token zastępuje poprzedni).
+ * @private
+ */
+const issueTokens = (session) => {
+  const nowSeconds = moment().unix();
+  const refreshSecret = crypto.randomBytes(32).toString('base64url');
+  session.refreshHash = sha256(refreshSecret);
+  session.lastUsedAt = moment().toISOString();
+  DB.persist();
+
+  return {
+    tokenType: 'Bearer',
+    accessToken: signJwt({ sub: session.userId, sid: session.sessionId, typ: 'access', iat: nowSeconds, exp: nowSeconds + ACCESS_TOKEN_TTL_SECONDS }),
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    refreshToken: `${session.sessionId}.${refreshSecret}`,
+    refreshExpiresAt: session.expiresAt,
+    userId: session.userId
+  };
+};
+
+const isSessionActive = (session) => session && !session.revokedAt && moment(session.expiresAt).valueOf() > moment().valueOf();
+
+// ============================================
+// GŁÓWNY OBIEKT
+// ============================================
+
+const Auth = {
+
+  ACCESS_TOKEN_TTL_SECONDS,
+  LOGIN_CODE_TTL_MINUTES,
+
+  /**
+   * Wysyła kod logowania na e-mail (przez outbox). Nie zdradza, czy e-mail ma zamówienia.
+   * Kolejny kod przed LOGIN_CODE_RESEND_SECONDS nie jest wysyłany (anti-spam).
+   *
+   * @param {string} email - E-mail klienta
+   * @returns {object} { sent: boolean, expiresInMinutes }
+   * @example Auth.requestLoginCode('wojtek@corelay.pl')
+   */
+  requestLoginCode: (email) => {
+    const userId = normalizeEmail(email);
+    const nowMs = moment().valueOf();
+    const recent = loginCodes().find(c => c.userId === userId && nowMs - moment(c.createdAt).valueOf() < LOGIN_CODE_RESEND_SECONDS * 1000);
+    if (recent) {
+      return { sent: false, expiresInMinutes: LOGIN_CODE_TTL_MINUTES };
+    }
+
+    const code = otpGenerator.generate(6, { digits: true, upperCaseAlphabets: false, lowerCaseAlphabets: false, specialChars: false });
+    const collection = loginCodes();
+    const fresh = collection.filter(c => c.userId !== userId && c.expiresAt > nowMs); // Jeden aktywny kod na e-mail
+    collection.splice(0, collection.length, ...fresh, {
+      userId,
+      codeHash: sha256(`${userId}:${code}`),
+      attempts: 0,
+      createdAt: moment(nowMs).toISOString(),
+      expiresAt: moment(nowMs).add(LOGIN_CODE_TTL_MINUTES, 'minutes').valueOf()
+    });
+    DB.persist();
+
+    Outbox.send({
+      channel: Outbox.CHANNELS.EMAIL,
+      to: userId,
+      subject: 'Corelay – kod logowania',
+      body: `Twój kod logowania do Corelay: ${code}\nKod jest ważny ${LOGIN_CODE_TTL_MINUTES} minut. Jeśli to nie Ty – zignoruj tę wiadomość.`,
+      meta: { type: 'LOGIN_CODE' }
+    });
+    return { sent: true, expiresInMinutes: LOGIN_CODE_TTL_MINUTES };
+  },
+
+  /**
+   * Sprawdza kod logowania i otwiera sesję.
+   *
+   * @param {string} email - E-mail klienta
+   * @param {string} code - 6-cyfrowy kod z e-maila
+   * @param {object} [meta] - { userAgent, ip } – zapisywane przy sesji
+   * @returns {object} Tokeny { tokenType, accessToken, expiresIn, refreshToken, refreshExpiresAt, userId }
+   * @throws {ApiError} 401 dla złego/wygasłego kodu (po LOGIN_CODE_MAX_ATTEMPTS kod jest unieważniany)
+   */
+  verifyLoginCode: (email, code, meta = {}) => {
+    const userId = normalizeEmail(email);
+    const collection = loginCodes();
+    const entry = collection.find(c => c.userId === userId);
+    if (!entry || entry.expiresAt < moment().valueOf()) {
+      throw new ApiError('Nieprawidłowy lub wygasły kod logowania – poproś o nowy', 401);
+    }
+
+    if (!safeEqual(entry.codeHash, sha256(`${userId}:${String(code).trim()}`))) {
+      entry.attempts++;
+      if (entry.attempts >= LOGIN_CODE_MAX_ATTEMPTS) {
+        collection.splice(collection.indexOf(entry), 1);
+      }
+      DB.persist();
+      throw new ApiError('Nieprawidłowy lub wygasły kod logowania – poproś o nowy', 401);
+    }
+
+    collection.splice(collection.indexOf(entry), 1); // Jednorazowy
+    const session = {
+      sessionId: `S-${crypto.randomBytes(9).toString('base64url')}`,
+      userId,
+      refreshHash: null,
+      createdAt: moment().toISOString(),
+      expiresAt: moment().add(REFRESH_TOKEN_TTL_DAYS, 'days').toISOString(),
+      lastUsedAt: null,
+      revokedAt: null,
+      userAgent: meta.userAgent ? String(meta.userAgent).slice(0, 120) : null,
+      ip: meta.ip || null
+    };
+    sessions().push(session);
+
+    console.log(`[Auth] Zalogowano ${userId} (sesja ${session.sessionId})`);
+    return issueTokens(session);
+  },
+
+  /**
+   * Wymienia refresh token na nową parę tokenów (rotacja).
+   *
+   * @param {string} refreshToken - '<sessionId>.<sekret>'
+   * @returns {object} Nowe tokeny
+   * @throws {ApiError} 401 dla nieznanego/wygasłego/użytego ponownie tokenu
+   */
+  refresh: (refreshToken) => {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    const session = sessions().find(s => s.sessionId === sessionId);
+    if (!isSessionActive(session) || !secret) {
+      throw new ApiError('Sesja wygasła – zaloguj się ponownie', 401);
+    }
+    if (!safeEqual(session.refreshHash, sha256(secret))) {
+      session.revokedAt = moment().toISOString();
+      DB.persist();
+      console.warn(`[Auth] Ponowne użycie refresh tokenu sesji ${sessionId} (${session.userId}) – sesja unieważniona`);
+      throw new ApiError('Sesja wygasła – zaloguj się ponownie', 401);
+    }
+    return issueTokens(session);
+  },
+
+  /**
+   * Wylogowanie: unieważnia sesję.
+   *
+   * @param {string} sessionId - ID sesji (z access tokenu)
+   * @returns {boolean} Czy sesja była aktywna
+   */
+  logout: (sessionId) => {
+    const session = sessions().find(s => s.sessionId === sessionId);
+    if (!isSessionActive(session)) return false;
+    session.revokedAt = moment().toISOString();
+    DB.persist();
+    console.log(`[Auth] Wylogowano ${session.userId} (sesja ${sessionId})`);
+    return true;
+  },
+
+  /**
+   * Weryfikuje access token (podpis, expiry, aktywna sesja).
+   *
+   * @param {string} accessToken - Token z nagłówka Authorization: Bearer
+   * @returns {object} { userId, sessionId }
+   * @throws {ApiError} 401 dla braku/nieprawidłowego/wygasłego tokenu lub zamkniętej sesji
+   */
+  authenticate: (accessToken) => {
+    const payload = verifyJwt(accessToken, moment().unix());
+    if (!payload || payload.typ !== 'access') {
+      throw new ApiError('Brak lub nieprawidłowy token dostępu – zaloguj się', 401);
+    }
+    const session = sessions().find(s => s.sessionId === payload.sid);
+    if (!isSessionActive(session)) {
+      throw new ApiError('Sesja zakończona – zaloguj się ponownie', 401);
+    }
+    return { userId: payload.sub, sessionId: payload.sid };
+  }
+
+};
+
+// ============================================
+// EKSPORT MODUŁU
+// ============================================
+
+/**
+ * Eksport Auth – użyj: const Auth = require('./auth');
+ */
+module.exports = Auth;
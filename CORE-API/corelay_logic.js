@@ -4,11 +4,12 @@
  * corelay_logic.js - Logika biznesowa Corelay (CORE + RELAY)
  * 
  * Moduł obsługuje kluczowe operacje MVP:
- * - Generowanie guest PIN/QR dla odbioru/zwrotu.
- * - Weryfikację transakcji (dynamic code jak BLIK + expiry checks).
+ * - Generowanie guest PIN + podpisanego, rotującego QR (qr_tokens.js) dla odbioru/zwrotu.
+ * - Weryfikację transakcji (podpisany kod CRL1 lub 6-cyfrowy PIN + expiry checks).
  * - Finalizację statusu zamówienia (odbioru/zwrotu).
  * 
- * Zależności: otp-generator (PIN), moment (daty), DB (baza).
+ * Zależności: otp-generator (PIN), moment (daty), DB (baza), QrTokens (podpis QR), Events (zdarzenia → webhooki),
+ * AbuseGuard (blokady po nieudanych próbach, wykrywanie ponownego użycia kodu).
  * 
  * @module CorelayLogic
  * @author [Twoje imię] – Corelay MVP v1.0
@@ -16,8 +17,19 @@
  */
 
 // Zależności zewnętrzne
+const crypto = require('crypto');
 const otpGenerator = require('otp-generator');
 const moment = require('moment');
+const { ApiError } = require('./errors');
+const OrderLifecycle = require('./order_lifecycle');
+const QrTokens = require('./qr_tokens');
+const Refunds = require('./refunds');
+const Events = require('./events');
+const AbuseGuard = require('./abuse_guard');
+const Delegations = require('./delegations');
+const ReturnInspection = require('./return_inspection');
+const Lockers = require('./lockers');
+const Policies = require('./policies');
 
 // Import bazy danych (mock fallback jeśli nie istnieje)
 let DB;
@@ -30,22 +42,25 @@ try {
     guestCodes: [], // [{ pin, orderId, userId, expiresAt }]
     orders: [],     // [{ orderId, userId, storeId, status, products, pickupDeadline, pickupTime, maxTime }]
     getOrdersByUser: (userId) => mockDB.orders.filter(o => o.userId === userId),
-    addGuestCode: (pin, orderId, expiresAt, userId) => {
-      mockDB.guestCodes.push({ pin, orderId, userId, expiresAt });
+    getOrderById: (orderId) => mockDB.orders.find(o => o.orderId === orderId) || null,
+    removeGuestCode: (orderId) => { mockDB.guestCodes = mockDB.guestCodes.filter(g => g.orderId !== orderId); },
+    isGuestCodeTaken: (pin, exceptOrderId = null) => mockDB.guestCodes.some(g => g.pin === pin && g.orderId !== exceptOrderId),
+    addGuestCode: (pin, orderId, expiresAt, userId, extra = {}) => {
+      mockDB.guestCodes.push({ ...extra, pin, orderId, userId, expiresAt });
     },
     validateGuestCode: (pin) => {
       const now = moment().valueOf();
       return mockDB.guestCodes.find(g => g.pin === pin && g.expiresAt > now) || null;
     },
-    updateOrderStatus: (orderId, newStatus) => {
+    updateOrderStatus: (orderId, newStatus, context) => {
       const order = mockDB.orders.find(o => o.orderId === orderId);
       if (order) {
-        order.status = newStatus;
-        if (newStatus === 'PICKED_UP') {
-          order.pickupTime = moment().toISOString();
-          order.maxTime = moment().add(14, 'days').valueOf(); // 14 dni na zwrot
-        }
+        OrderLifecycle.transition(order, newStatus, context); // Efekty (maxTime itd.) + historia
       }
+    },
+    recordReturn: (orderId, itemIndices, context) => {
+      const order = mockDB.orders.find(o => o.orderId === orderId);
+      return OrderLifecycle.applyReturn(order, itemIndices, context);
     }
   };
   DB = mockDB;
@@ -56,39 +71,66 @@ try {
 // ============================================
 
 /**
- * Czas ważności dynamicznego kodu (jak BLIK) w sekundach – anti-screenshot/replay.
+ * Statusy zamówień – definiowane centralnie w order_lifecycle.js.
  * @constant
  */
-const OTP_VALIDITY_SECONDS = 30;
+const { ORDER_STATUSES, ITEM_STATES } = OrderLifecycle;
 
 /**
- * Czas ważności guest code (PIN/QR) w minutach – dla odbioru/zwrotu.
+ * Odmowy z powodu blokady – nie liczą się jako kolejne nieudane próby (blokada by się przedłużała).
  * @constant
  */
-const GUEST_CODE_VALIDITY_MINUTES = 60;
+const LOCK_REASONS = ['TERMINAL_LOCKED', 'USER_LOCKED', 'STORE_PIN_LOCKED'];
 
 /**
- * Tolerancja network delay dla expiry checks (ms) – dla real-world latency.
+ * Odmowy, które nie są nieudanymi próbami (AbuseGuard.recordFailure): blokady, kod zarezerwowany podglądem
+ * i brak miejsca w paczkomacie (ważny kod, problem po stronie punktu).
  * @constant
  */
-const EXPIRY_TOLERANCE_MS = 1000;
+const UNTRACKED_REASONS = [...LOCK_REASONS, 'CODE_HELD', 'NOT_IN_LOCKER', 'LOCKER_FULL'];
 
 /**
- * Dozwolone statusy zamówień – enum-like dla spójności.
+ * Cel kodu zbiorczego ("odbierz wszystko") – wiele zamówień klienta w jednym sklepie, jeden PIN/QR.
  * @constant
  */
-const ORDER_STATUSES = {
-  READY_FOR_PICKUP: 'READY_FOR_PICKUP',
-  PICKED_UP: 'PICKED_UP',
-  RETURN_PENDING: 'RETURN_PENDING',
-  RETURNED_PENDING_REFUND: 'RETURNED_PENDING_REFUND'
-};
+const COLLECT_ALL = 'COLLECT_ALL';
+
+/**
+ * Maksymalna liczba zamówień w kodzie zbiorczym.
+ * @constant
+ */
+const MAX_BUNDLE_ORDERS = 20;
 
 /**
- * Obsługiwane typy skanerów (Modivo, LPP, InPost) – walidacja.
+ * Cel kodu pełnomocnika – tylko odbiór jednego zamówienia, bez zwrotów (delegations.js).
  * @constant
  */
-const VALID_SCANNERS = ['MODIVO', 'LPP', 'INPOST'];
+const DELEGATED_PICKUP = 'DELEGATED_PICKUP';
+
+/**
+ * Wynik skanu kodu zwrotu z inspekcją – przyjęcie otwarte na terminalu, zwrot finalizuje completeReturnInspection.
+ * @constant
+ */
+const RETURN_INSPECTION = 'RETURN_INSPECTION';
+
+/**
+ * Podgląd skanu (dwa kroki: podgląd → potwierdzenie/anulowanie) – typ wpisu w dzienniku skanów.
+ * @constant
+ */
+const PREVIEW = 'PREVIEW';
+
+/**
+ * Ważność tokenu podglądu (s) – przez ten czas kod jest zarezerwowany dla terminalu, który go zeskanował.
+ * @constant
+ */
+const PREVIEW_TTL_SECONDS = 120;
+
+/**
+ * Ile razy losujemy PIN, zanim uznamy pulę za wyczerpaną (PIN musi być unikalny wśród zapisanych kodów –
+ * DB.validateGuestCode szuka po samym PIN-ie).
+ * @constant
+ */
+const MAX_PIN_ATTEMPTS = 10;
 
 // ============================================
 // GŁÓWNY OBIEKT LOGIKI (Eksportowany moduł)
@@ -96,205 +138,986 @@ const VALID_SCANNERS = ['MODIVO', 'LPP', 'INPOST'];
 
 const CorelayLogic = {
 
+  COLLECT_ALL,
+  MAX_BUNDLE_ORDERS,
+  DELEGATED_PICKUP,
+  RETURN_INSPECTION,
+  PREVIEW,
+  PREVIEW_TTL_SECONDS,
+
   // ============================================
   // FUNKCJA 1: GENEROWANIE KODU GOŚCINNEGO (PIN/QR)
   // ============================================
   /**
-   * Generuje unikalny guest PIN (6 cyfr) dla odbioru/zwrotu zamówienia.
+   * Generuje unikalny guest PIN (6 cyfr) i podpisany grant QR dla odbioru/zwrotu zamówienia.
    * 
    * @param {string} userId - Email/ID użytkownika (np. 'konsument@corelay.pl')
    * @param {string} orderId - Unikalne ID zamówienia (np. 'ORD123')
-   * @returns {object} Obiekt z PIN, expiry i metadanymi
+   * @param {string} [purpose] - 'PICKUP' lub 'RETURN' (zapisywane w kodzie i w podpisanym QR)
+   * @param {number[]} [items] - Dla zwrotu: indeksy products[] wybrane przez klienta (brak = wszystkie)
+   * @param {object} [extra] - { storeId, validityMinutes (domyślnie z polityki merchanta), ...pola kodu: bundle (kod zbiorczy), delegation (pełnomocnik) } – orderId to wtedy bundleId / delegationId
+   * @returns {object} Obiekt z PIN, grantem QR (qr), expiry i metadanymi
    * @throws {ApiError} Jeśli input niepoprawny lub błąd DB
    * @example
    * const result = CorelayLogic.generateGuestPin('test@corelay.pl', 'ORD123');
-   * // { pin: '123456', expiresAt: 1731327600000, expiresInMinutes: 60 }
+   * // { pin: '123456', qr: { format: 'CRL1', grant, rotationSecret, rotationSeconds: 30 }, expiresAt: 1731327600000, expiresInMinutes: 60 }
    */
-  generateGuestPin: (userId, orderId) => {
+  generateGuestPin: (userId, orderId, purpose = 'PICKUP', items = null, extra = {}) => {
     // Walidacja inputów
     if (!userId || typeof userId !== 'string' || !userId.includes('@')) {
-      throw new (require('./server').ApiError)('Nieprawidłowy userId – musi być email', 400); // Zgodne z server.js
+      throw new ApiError('Nieprawidłowy userId – musi być email', 400); // Zgodne z server.js
     }
     if (!orderId || typeof orderId !== 'string' || orderId.length < 3) {
-      throw new (require('./server').ApiError)('Nieprawidłowy orderId – min 3 znaki alfanumeryczne', 400);
+      throw new ApiError('Nieprawidłowy orderId – min 3 znaki alfanumeryczne', 400);
     }
 
-    // Generuj unikalny PIN (cyfry only, anti-collision via try-catch)
-    let pin;
-    try {
-      pin = otpGenerator.generate(6, { 
-        digits: true, 
-        upperCaseAlphabets: false, 
-        specialChars: false, 
-        lowerCaseAlphabets: false 
-      });
-    } catch (err) {
-      throw new (require('./server').ApiError)('Błąd generowania PIN – spróbuj ponownie', 500);
+    // Generuj unikalny PIN (cyfry only) – przy kolizji z zapisanym kodem losuj ponownie
+    let pin = null;
+    for (let attempt = 0; attempt < MAX_PIN_ATTEMPTS && !pin; attempt++) {
+      let candidate;
+      try {
+        candidate = otpGenerator.generate(6, { 
+          digits: true, 
+          upperCaseAlphabets: false, 
+          specialChars: false, 
+          lowerCaseAlphabets: false 
+        });
+      } catch (err) {
+        throw new ApiError('Błąd generowania PIN – spróbuj ponownie', 500);
+      }
+      pin = DB.isGuestCodeTaken(candidate, orderId) ? null : candidate;
     }
+    if (!pin) {
+      throw new ApiError('Nie udało się wylosować wolnego PIN – spróbuj ponownie', 503);
+    }
+
+    // Sklep odbioru trafia do podpisanego QR – terminal offline sprawdzi go bez serwera
+    const { storeId: extraStoreId, validityMinutes: extraValidity, ...codeFields } = extra;
+    const order = DB.getOrderById(orderId);
+    const storeId = extraStoreId || (order ? order.storeId : undefined);
 
-    // Oblicz expiry (timestamp ms)
-    const now = moment().valueOf();
-    const expiresAt = moment().add(GUEST_CODE_VALIDITY_MINUTES, 'minutes').valueOf();
+    // Ważność kodu i rotacja QR z polityki merchanta (kod zbiorczy / pełnomocnika – merchant sklepu)
+    const policy = order ? Policies.forMerchant(order.merchantId) : Policies.forStore(storeId);
+    const validityMinutes = extraValidity || policy.guestCodeValidityMinutes;
+    const expiresAt = moment().add(validityMinutes, 'minutes').valueOf();
+
+    // Ten sam kod ma dwie postaci: PIN (ręcznie) i podpisany QR (codeId + sekret rotacji)
+    const codeId = crypto.randomBytes(9).toString('base64url');
+    const rotationSecret = QrTokens.createRotationSecret();
 
     // Zapisz do DB (z userId dla traceability)
     try {
-      DB.addGuestCode(pin, orderId, expiresAt, userId);
+      DB.addGuestCode(pin, orderId, expiresAt, userId, { codeId, rotationSecret, purpose, items, ...codeFields });
       // Opcjonalne logowanie (wyłącz w prod: if (process.env.NODE_ENV !== 'production'))
       const timestamp = moment().toISOString();
       console.log(`[${timestamp}] Guest PIN generated: ${pin} for user ${userId}, order ${orderId}, expires ${moment(expiresAt).format('YYYY-MM-DD HH:mm:ss')}`);
     } catch (dbErr) {
-      throw new (require('./server').ApiError)('Błąd zapisu do bazy – kod nie zapisany', 500);
+      throw new ApiError('Błąd zapisu do bazy – kod nie zapisany', 500);
     }
 
     return {
-      pin,  // String PIN (użyj do QR: encode jako 'PIN:' + pin)
+      pin,  // String PIN – ręczne wpisanie na kasie
+      qr: QrTokens.issue({ codeId, orderId, userId, storeId, purpose, items, expiresAt, rotationSecret, rotationSeconds: policy.qrRotationSeconds }),  // Renderuj rotujący QR w PWA
+      codeId,
       expiresAt,
-      expiresInMinutes: GUEST_CODE_VALIDITY_MINUTES,
+      expiresInMinutes: validityMinutes,
       type: 'guest',
+      purpose,
+      items,
       message: 'Kod gościnny gotowy do użycia – pokaż w aplikacji klienta'
     };
   },
 
+  // ============================================
+  // FUNKCJA 1B: KOD ZBIORCZY ("ODBIERZ WSZYSTKO" W JEDNYM SKLEPIE)
+  // ============================================
+  /**
+   * Generuje jeden kod (PIN + QR) obejmujący wszystkie zamówienia klienta gotowe do odbioru w danym sklepie,
+   * opcjonalnie z oczekującymi zwrotami. Kod zapisywany jest pod bundleId (CA-...) z celem COLLECT_ALL;
+   * skan otwiera listę na terminalu, a zamówienia finalizuje dopiero confirmCollectAll.
+   * 
+   * @param {string} userId - Email/ID użytkownika
+   * @param {string} storeId - Sklep odbioru (np. 'MODIVO')
+   * @param {array} [returns] - Zwroty do dołączenia: [{ orderId, items? }] (items jak w generate_guest_pin)
+   * @returns {object} Wynik generateGuestPin + { bundleId, storeId, orders: pozycje jak w _bundleLines }
+   * @throws {ApiError} 404 brak paczek do odbioru / nieznane zamówienie, 400 zwrot niedozwolony lub za dużo zamówień
+   * @example
+   * const code = CorelayLogic.generateCollectAllCode('wojtek@corelay.pl', 'MODIVO', [{ orderId: 'ORD-1002', items: [0] }]);
+   * // { pin: '123456', qr: {...}, bundleId: 'CA-9F2C41D07A', orders: [{ orderId: 'ORD-1001', transactionType: 'PICKUP', ... }, ...] }
+   */
+  generateCollectAllCode: (userId, storeId, returns = []) => {
+    const userOrders = DB.getOrdersByUser(userId);
+    const context = { scannerId: storeId };
+
+    // Odbiory: każde gotowe zamówienie w tym sklepie, które terminal sklepu mógłby teraz wydać
+    const pickups = userOrders
+      .filter(o => o.storeId === storeId && o.status === ORDER_STATUSES.READY_FOR_PICKUP)
+      .filter(o => OrderLifecycle.canTransition(o, ORDER_STATUSES.PICKED_UP, context).allowed)
+      .map(o => ({ orderId: o.orderId, purpose: 'PICKUP', items: null }));
+    if (pickups.length === 0) {
+      throw new ApiError(`Brak zamówień gotowych do odbioru w ${storeId}`, 404);
+    }
+
+    // Zwroty: tylko wskazane przez klienta (zwrot przyjmie każdy sklep – liczy się okno zwrotu)
+    const returnEntries = returns.map(({ orderId, items }) => {
+      const order = userOrders.find(o => o.orderId === orderId);
+      if (!order) {
+        throw new ApiError(`Zamówienie ${orderId} nie istnieje lub nie należy do użytkownika`, 404);
+      }
+      const plan = OrderLifecycle.planReturn(order, items, context);
+      if (!plan.allowed) {
+        throw new ApiError(`Zamówienie ${orderId} nie kwalifikuje się do zwrotu: ${plan.reason}`, 400);
+      }
+      return { orderId, purpose: 'RETURN', items: plan.items };
+    });
+
+    const entries = [...pickups, ...returnEntries];
+    if (entries.length > MAX_BUNDLE_ORDERS) {
+      throw new ApiError(`Kod zbiorczy obejmuje maksymalnie ${MAX_BUNDLE_ORDERS} zamówień`, 400);
+    }
+
+    const bundleId = `CA-${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+    const bundle = { storeId, orders: entries };
+    const guestCode = CorelayLogic.generateGuestPin(userId, bundleId, COLLECT_ALL, null, { storeId, bundle });
+
+    return {
+      ...guestCode,
+      bundleId,
+      storeId,
+      orders: CorelayLogic._bundleLines(entries, userId, context),
+      message: `Kod zbiorczy gotowy – ${entries.length} zamówień w ${storeId}`
+    };
+  },
+
+  // ============================================
+  // FUNKCJA 1C: KOD PEŁNOMOCNIKA (ODBIÓR PRZEZ INNĄ OSOBĘ)
+  // ============================================
+  /**
+   * Upoważnia wskazaną osobę do odbioru zamówienia: zakłada upoważnienie (delegations.js), wydaje jej
+   * osobny jednorazowy kod (cel DELEGATED_PICKUP, zapisany pod delegationId – kod właściciela pozostaje ważny)
+   * i wysyła go odbiorcy e-mailem lub SMS-em.
+   * 
+   * @param {string} userId - Właściciel zamówienia
+   * @param {string} orderId - Zamówienie READY_FOR_PICKUP
+   * @param {object} recipient - { name, email? , phone? }
+   * @param {object} [options] - { validHours }
+   * @returns {object} { delegation, expiresAt, messageId }
+   * @throws {ApiError} 404 zamówienie nie istnieje / cudze, 400 nie czeka na odbiór, 409 aktywne upoważnienie
+   * @example
+   * CorelayLogic.generateDelegatedCode('wojtek@corelay.pl', 'ORD-1001', { name: 'Anna Kowalska', email: 'anna@example.com' });
+   * // { delegation: { delegationId: 'DLG-4F1A2B3C4D', status: 'ACTIVE', ... }, expiresAt: 1731414000000, messageId: 'MSG-...' }
+   */
+  generateDelegatedCode: (userId, orderId, recipient, options = {}) => {
+    const order = DB.getOrderById(orderId);
+    if (!order || order.userId !== userId) {
+      throw new ApiError('Zamówienie nie istnieje lub nie należy do użytkownika', 404);
+    }
+
+    const delegation = Delegations.create(order, recipient, options);
+    const code = CorelayLogic.generateGuestPin(userId, delegation.delegationId, DELEGATED_PICKUP, null, {
+      storeId: order.storeId,
+      validityMinutes: Math.max(1, moment(delegation.expiresAt).diff(moment(), 'minutes')),
+      delegation: { delegationId: delegation.delegationId, orderId, recipient: delegation.recipient }
+    });
+    const message = Delegations.deliver(delegation, code);
+
+    return { delegation: { ...delegation, messageId: message.messageId }, expiresAt: code.expiresAt, messageId: message.messageId };
+  },
+
   // ============================================
   // FUNKCJA 2: WERYFIKACJA TRANSAKCJI (Główne serce logiki)
   // ============================================
   /**
-   * Weryfikuje transakcję na podstawie scanned data (PIN lub dynamic code).
-   * Obsługuje odbiór (READY_FOR_PICKUP) i zwrot (PICKED_UP, w 14 dni).
+   * Weryfikuje transakcję na podstawie zeskanowanego kodu:
+   * - token CRL1 (podpisany, rotujący QR – qr_tokens.js) → typ DYNAMIC_CODE,
+   * - 6-cyfrowy PIN wpisany ręcznie → typ GUEST_PIN.
+   * Użytkownik i zamówienie pochodzą z kodu, nie z danych przysłanych przez skaner.
+   * Obsługuje odbiór (READY_FOR_PICKUP) i zwrot produktów zapisanych w kodzie (w oknie zwrotu).
+   * Kod zbiorczy (COLLECT_ALL) tylko otwiera listę zamówień – finalizuje je confirmCollectAll.
+   * Skaner z inspekcją (options.inspect) przy kodzie zwrotu otwiera przyjęcie (RETURN_INSPECTION) –
+   * zwrot finalizuje completeReturnInspection z oceną każdego produktu.
+   * Podgląd (options.preview) niczego nie finalizuje: zwraca zamówienie i produkty z tokenem podglądu
+   * (confirmPreview / cancelPreview) i rezerwuje kod dla terminalu na PREVIEW_TTL_SECONDS.
+   * 
+   * Nieudane próby liczy AbuseGuard – po serii prób terminal/klient jest czasowo blokowany (reason *_LOCKED, status 429).
    * 
-   * @param {string} scannedUserId - Scanned email/ID użytkownika
-   * @param {number|string} scannedTimestamp - Timestamp skanu (ms lub ISO string)
-   * @param {string} scannerStoreId - ID skanera (MODIVO/LPP/INPOST)
-   * @param {string} scannedGuestCode - Opcjonalny guest PIN/QR string
-   * @returns {object} Wynik weryfikacji (success, message, transactionType)
-   * @throws {ApiError} Dla krytycznych błędów (np. invalid scanner)
+   * @param {string} scannedCode - Zeskanowany token CRL1 lub 6-cyfrowy PIN
+   * @param {object} terminal - Uwierzytelniony terminal z Registry.authenticateTerminal: { terminalId, storeId }
+   * @param {object} [options] - { now: czas skanu w ms (skany offline – offline_sync.js), offline (kod zbiorczy odrzucany), trackFailures (domyślnie true), inspect (zwrot przez inspekcję), preview (podgląd bez finalizacji) }
+   * @returns {object} Wynik weryfikacji (success, message, transactionType; przy odmowie reason oraz – jeśli znane – orderId, userId, type)
+   * @throws {ApiError} Dla krytycznych błędów (np. brak terminala)
    * @example
-   * const result = CorelayLogic.validateTransaction('test@corelay.pl', Date.now(), 'MODIVO', null);
+   * const result = CorelayLogic.validateTransaction('CRL1.k20251110ab12cd.eyJ2Ijox...', { terminalId: 'MODIVO-SIM-1', storeId: 'MODIVO' });
    * // { success: true, transactionType: 'PICKUP', message: '...' }
    */
-  validateTransaction: (scannedUserId, scannedTimestamp, scannerStoreId, scannedGuestCode) => {
+  validateTransaction: (scannedCode, terminal, options = {}) => {
     // Walidacja inputów
-    if (!scannedUserId || typeof scannedUserId !== 'string') {
-      throw new (require('./server').ApiError)('Brak lub nieprawidłowy scannedUserId', 400);
+    if (!scannedCode || typeof scannedCode !== 'string' || !scannedCode.trim()) {
+      throw new ApiError('Brak lub nieprawidłowy zeskanowany kod', 400);
     }
-    if (!scannedTimestamp) {
-      throw new (require('./server').ApiError)('Brak scannedTimestamp – wymagany dla dynamic code', 400);
-    }
-    if (!VALID_SCANNERS.includes(scannerStoreId)) {
-      throw new (require('./server').ApiError)(`Nieprawidłowy scannerStoreId: ${scannerStoreId} – musi być ${VALID_SCANNERS.join(', ')}`, 400);
+    if (!terminal || !terminal.terminalId || !terminal.storeId) {
+      throw new ApiError('Brak uwierzytelnionego terminala – sklep ustalany jest z klucza terminala', 401);
     }
 
-    // Konwertuj timestamp do ms
-    let tsMs;
-    if (typeof scannedTimestamp === 'string') {
-      tsMs = moment(scannedTimestamp).valueOf();
-      if (!tsMs) throw new (require('./server').ApiError)('Nieprawidłowy format timestamp – ISO lub ms', 400);
-    } else {
-      tsMs = scannedTimestamp;
+    const code = scannedCode.trim();
+
+    // Zablokowany skaner nie weryfikuje kodów (progresywna blokada po serii nieudanych prób – abuse_guard.js)
+    const terminalLock = AbuseGuard.checkLock(AbuseGuard.SUBJECTS.TERMINAL, terminal.terminalId);
+    if (terminalLock) {
+      return CorelayLogic._lockedResult('TERMINAL_LOCKED', `Terminal ${terminal.terminalId} zablokowany`, terminalLock);
     }
 
-    // KROK 1: Sprawdź guest code (PIN/QR) jeśli podany
-    if (scannedGuestCode && scannedGuestCode.trim()) {
-      try {
-        const guestCodeData = DB.validateGuestCode(scannedGuestCode.trim());
-        if (!guestCodeData) {
-          return { 
-            success: false, 
-            message: 'Kod gościnny (PIN/QR) niepoprawny lub wygasł. Użyj dynamicznego kodu z aplikacji.' 
-          };
-        }
+    const result = CorelayLogic._verifyCode(code, terminal, options);
+    if (!result.success && !UNTRACKED_REASONS.includes(result.reason) && options.trackFailures !== false) {
+      AbuseGuard.recordFailure({ terminal, userId: result.userId, orderId: result.orderId, reason: result.reason });
+    }
+    return result;
+  },
 
-        // Sprawdź expiry z tolerancją
-        const now = moment().valueOf();
-        if (guestCodeData.expiresAt < (now - EXPIRY_TOLERANCE_MS)) {
-          return { 
-            success: false, 
-            message: `Kod gościnny wygasł ${moment(guestCodeData.expiresAt).fromNow()}. Wygeneruj nowy.` 
-          };
+  // ============================================
+  // PRIVATE HELPER: ROZPOZNANIE KODU (QR/PIN) I FINALIZACJA
+  // ============================================
+  /**
+   * Prywatna funkcja: rozpoznaje kod (token CRL1 lub PIN), wykrywa ponowne użycie zużytego kodu
+   * i finalizuje transakcję. Kod jest zużywany dopiero po udanej transakcji.
+   *
+   * @private
+   * @param {string} code - Przycięty kod
+   * @param {object} terminal - Uwierzytelniony terminal: { terminalId, storeId }
+   * @param {object} [options] - { now, offline, inspect, preview } jak w validateTransaction
+   * @returns {object} Wynik jak w validateTransaction
+   */
+  _verifyCode: (code, terminal, options = {}) => {
+    // ŚCIEŻKA 1: Podpisany, rotujący QR (CRL1)
+    if (QrTokens.isToken(code)) {
+      const verification = QrTokens.verify(code, options.now);
+      if (!verification.valid) {
+        const replayed = verification.reason === 'CODE_NOT_ACTIVE'
+          ? AbuseGuard.detectReplay({ codeId: verification.codeId }, terminal)
+          : null;
+        if (replayed) {
+          return CorelayLogic._replayResult(replayed, 'DYNAMIC_CODE');
         }
+        return { 
+          success: false, 
+          reason: verification.reason,
+          message: verification.message,
+          orderId: verification.orderId,
+          type: 'DYNAMIC_CODE'
+        };
+      }
 
-        // Znajdź zamówienie po orderId z guest code
-        const order = DB.getOrdersByUser(guestCodeData.userId).find(o => o.orderId === guestCodeData.orderId);
-        if (!order) {
-          return { 
-            success: false, 
-            message: 'Zamówienie powiązane z kodem nie istnieje.' 
-          };
-        }
+      const { claims, codeEntry } = verification;
+      if (codeEntry.purpose === COLLECT_ALL) {
+        return CorelayLogic._openCollectAll(codeEntry, terminal, 'DYNAMIC_CODE', options);
+      }
+      // Kod pełnomocnika zapisany jest pod delegationId – zamówienie wskazuje upoważnienie
+      const orderId = codeEntry.delegation ? codeEntry.delegation.orderId : claims.oid;
+      const order = DB.getOrderById(orderId);
+      if (!order || order.userId !== claims.uid) {
+        return { 
+          success: false, 
+          reason: 'ORDER_NOT_FOUND',
+          message: 'Zamówienie powiązane z kodem nie istnieje.',
+          orderId,
+          type: 'DYNAMIC_CODE'
+        };
+      }
 
-        // Przejdź do finalizacji
-        return CorelayLogic._finalizeTransaction(order, scannerStoreId, 'GUEST_PIN');
-      } catch (err) {
-        throw new (require('./server').ApiError)('Błąd walidacji guest code – spróbuj ponownie', 500);
+      const held = CorelayLogic._heldResult(codeEntry, order, terminal, 'DYNAMIC_CODE', options);
+      if (held) {
+        return held;
       }
+      if (options.preview) {
+        return CorelayLogic._openPreview(codeEntry, order, terminal, 'DYNAMIC_CODE');
+      }
+      if (CorelayLogic._needsInspection(order, codeEntry, options)) {
+        return CorelayLogic._openReturnInspection(codeEntry, order, terminal, 'DYNAMIC_CODE');
+      }
+      const result = CorelayLogic._finalizeTransaction(order, terminal, 'DYNAMIC_CODE', { items: codeEntry.items, delegation: codeEntry.delegation, now: options.now });
+      if (result.success) {
+        DB.removeGuestCode(order.orderId);  // Jednorazowy – zużyty dopiero po udanej transakcji (kod pełnomocnika – Delegations.settlePickup)
+        AbuseGuard.markConsumed(codeEntry, terminal);
+      }
+      return result;
     }
 
-    // KROK 2: Dynamic code validation (jak BLIK – userId + timestamp)
-    // Sprawdź "życie" kodu (anti-screenshot: <30s)
-    const ageSeconds = (moment().valueOf() - tsMs) / 1000;
-    if (ageSeconds > OTP_VALIDITY_SECONDS) {
+    // ŚCIEŻKA 2: 6-cyfrowy PIN (ręczny fallback – jak QR zużywany dopiero po udanej transakcji)
+    if (!/^\d{6}$/.test(code)) {
       return { 
         success: false, 
-        message: `Dynamiczny kod wygasł (${Math.round(ageSeconds)}s > ${OTP_VALIDITY_SECONDS}s). Użyto zrzutu ekranu lub jest za stary. Poproś o odświeżenie w aplikacji.` 
+        reason: 'INVALID_FORMAT',
+        message: 'Nieprawidłowy format – oczekiwano kodu QR z aplikacji lub 6-cyfrowego PIN.' 
       };
     }
 
-    if (ageSeconds < 0) {  // Future timestamp – anti-clock tamper
-      return { 
-        success: false, 
-        message: 'Nieprawidłowy timestamp – w przyszłości?' 
-      };
+    // Sklep po serii nietrafionych PIN-ów czasowo nie przyjmuje PIN-ów (QR działa) – kody klientów zostają ważne
+    const storeLock = AbuseGuard.checkLock(AbuseGuard.SUBJECTS.STORE, terminal.storeId);
+    if (storeLock) {
+      return { ...CorelayLogic._lockedResult('STORE_PIN_LOCKED', `PIN-y w sklepie ${terminal.storeId} wstrzymane`, storeLock), type: 'GUEST_PIN' };
     }
 
-    // KROK 3: Odszukaj pasujące zamówienie (logika "Gdzie/Co")
-    const userOrders = DB.getOrdersByUser(scannedUserId);
-    if (!userOrders || userOrders.length === 0) {
+    let guestCodeData;
+    try {
+      guestCodeData = DB.validateGuestCode(code, { consume: false });
+    } catch (err) {
+      if (err.name === 'ApiError' && err.status < 500) {
+        const replayed = err.status === 404 ? AbuseGuard.detectReplay({ code }, terminal) : null;
+        if (replayed) {
+          return CorelayLogic._replayResult(replayed, 'GUEST_PIN');
+        }
+        return { 
+          success: false, 
+          reason: err.status === 404 ? 'CODE_NOT_FOUND' : 'CODE_EXPIRED',
+          message: `${err.message}. Wygeneruj nowy kod w aplikacji.`,
+          type: 'GUEST_PIN'
+        };
+      }
+      throw new ApiError('Błąd walidacji guest code – spróbuj ponownie', 500);
+    }
+
+    // Kod zbiorczy – orderId to bundleId, zamówienia są w bundle.orders
+    if (guestCodeData.purpose === COLLECT_ALL) {
+      return CorelayLogic._openCollectAll(DB.getGuestCodeById(guestCodeData.codeId), terminal, 'GUEST_PIN', options);
+    }
+
+    // Znajdź zamówienie po orderId z guest code (kod pełnomocnika – z upoważnienia)
+    const orderId = guestCodeData.delegation ? guestCodeData.delegation.orderId : guestCodeData.orderId;
+    const order = DB.getOrderById(orderId);
+    if (!order || order.userId !== guestCodeData.userId) {
       return { 
         success: false, 
-        message: 'Brak zamówień dla użytkownika – sprawdź email.' 
+        reason: 'ORDER_NOT_FOUND',
+        message: 'Zamówienie powiązane z kodem nie istnieje.',
+        orderId,
+        type: 'GUEST_PIN'
       };
     }
 
-    // Znajdź matching order (odbioru: storeId match + status; zwrotu: status + maxTime)
-    const matchingOrder = userOrders.find(order => {
-      // Odbiór: Musi być w docelowym sklepie i gotowe
-      if (order.status === ORDER_STATUSES.READY_FOR_PICKUP && order.storeId === scannerStoreId) {
-        return true;
+    const codeEntry = DB.getGuestCodeById(guestCodeData.codeId);
+    const held = CorelayLogic._heldResult(codeEntry, order, terminal, 'GUEST_PIN', options);
+    if (held) {
+      return held;
+    }
+    if (options.preview) {
+      return CorelayLogic._openPreview(codeEntry, order, terminal, 'GUEST_PIN');
+    }
+    if (CorelayLogic._needsInspection(order, guestCodeData, options)) {
+      return CorelayLogic._openReturnInspection(codeEntry, order, terminal, 'GUEST_PIN');
+    }
+    const result = CorelayLogic._finalizeTransaction(order, terminal, 'GUEST_PIN', { items: guestCodeData.items, delegation: guestCodeData.delegation });
+    if (result.success) {
+      DB.removeGuestCode(order.orderId);
+      AbuseGuard.markConsumed(guestCodeData, terminal);
+    }
+    return result;
+  },
+
+  // ============================================
+  // FUNKCJA 3: POTWIERDZENIE KODU ZBIORCZEGO (wydane/przyjęte paczki)
+  // ============================================
+  /**
+   * Finalizuje zamówienia z kodu zbiorczego, które personel faktycznie wydał/przyjął.
+   * Każde zamówienie jest ponownie sprawdzane i finalizowane osobno (odmowa jednego nie blokuje reszty);
+   * wszystkie zmiany zapisywane są jednym zapisem bazy. Kod zbiorczy zużywa się po pierwszym udanym zamówieniu.
+   * 
+   * @param {string} bundleId - ID kodu zbiorczego (CA-...)
+   * @param {string[]} orderIds - Zamówienia zaznaczone na terminalu (podzbiór bundle.orders)
+   * @param {object} terminal - Terminal, który otworzył kod: { terminalId, storeId }
+   * @returns {object} { bundleId, userId, type, results: [{ orderId, success, transactionType, message, reason? ... }], summary, message }
+   * @throws {ApiError} 404 kod nie istnieje / zużyty, 400 wygasł lub zamówienia spoza kodu, 409 kod nie otwarty na tym terminalu
+   * @example
+   * CorelayLogic.confirmCollectAll('CA-9F2C41D07A', ['ORD-1001'], { terminalId: 'MODIVO-SIM-1', storeId: 'MODIVO' });
+   * // { results: [{ orderId: 'ORD-1001', success: true, transactionType: 'PICKUP', ... }], summary: { selected: 1, confirmed: 1, failed: 0, skipped: 1 } }
+   */
+  confirmCollectAll: (bundleId, orderIds, terminal) => {
+    const codeEntry = DB.getGuestCodeByOrderId(bundleId);
+    if (!codeEntry || codeEntry.purpose !== COLLECT_ALL) {
+      throw new ApiError(`Kod zbiorczy ${bundleId} nie istnieje lub został już użyty`, 404);
+    }
+    if (codeEntry.expiresAt < moment().valueOf()) {
+      throw new ApiError('Kod zbiorczy wygasł – klient musi wygenerować nowy', 400);
+    }
+    if (!codeEntry.openedBy || codeEntry.openedBy.terminalId !== terminal.terminalId) {
+      throw new ApiError('Kod zbiorczy nie został zeskanowany na tym terminalu – zeskanuj go ponownie', 409);
+    }
+    const entries = codeEntry.bundle.orders;
+    const unknown = orderIds.filter(orderId => !entries.some(e => e.orderId === orderId));
+    if (unknown.length > 0) {
+      throw new ApiError(`Zamówienia spoza kodu zbiorczego: ${unknown.join(', ')}`, 400);
+    }
+
+    const { type } = codeEntry.openedBy;
+    const context = { scannerId: terminal.storeId };
+    const selected = entries.filter(e => orderIds.includes(e.orderId));
+
+    const results = DB.batchWrites(() => selected.map(entry => {
+      const [line] = CorelayLogic._bundleLines([entry], codeEntry.userId, context);
+      if (!line.eligible) {
+        return { orderId: entry.orderId, success: false, transactionType: entry.purpose, reason: 'NOT_ELIGIBLE', message: line.reason };
       }
-      // Zwrot: Po odbiorze, w oknie 14 dni (uniwersalny – wszędzie)
-      if (order.status === ORDER_STATUSES.PICKED_UP && order.maxTime > moment().valueOf()) {
-        return true;
+      try {
+        const result = CorelayLogic._finalizeTransaction(DB.getOrderById(entry.orderId), terminal, type, { items: entry.items });
+        if (result.success) {
+          DB.removeGuestCode(entry.orderId);  // Pojedynczy kod tego zamówienia (jeśli był) jest już nieaktualny
+        }
+        return {
+          orderId: entry.orderId,
+          success: result.success,
+          transactionType: entry.purpose,
+          message: result.message,
+          ...(result.success ? {} : { reason: result.reason }),
+          ...(result.refundId ? { returnId: result.returnId, returnedItems: result.returnedItems, refundAmount: result.refundAmount, refundId: result.refundId } : {})
+        };
+      } catch (err) {
+        if (err.name !== 'ApiError') throw err;
+        return { orderId: entry.orderId, success: false, transactionType: entry.purpose, reason: 'SERVER_ERROR', message: err.message };
       }
-      return false;
+    }));
+
+    const confirmed = results.filter(r => r.success).length;
+    if (confirmed > 0) {
+      DB.removeGuestCode(bundleId);  // Jednorazowy – niewydane paczki wymagają nowego kodu
+      AbuseGuard.markConsumed(codeEntry, terminal);
+    }
+
+    const summary = { selected: selected.length, confirmed, failed: selected.length - confirmed, skipped: entries.length - selected.length };
+    console.log(`[${moment().toISOString()}] COLLECT_ALL ${bundleId} confirmed at ${terminal.storeId} (${terminal.terminalId}): ${confirmed}/${selected.length}`);
+    return {
+      bundleId,
+      userId: codeEntry.userId,
+      type,
+      results,
+      summary,
+      message: confirmed > 0
+        ? `Kod zbiorczy ${bundleId}: zrealizowano ${confirmed} z ${selected.length} zamówień.`
+        : `Kod zbiorczy ${bundleId}: żadne zamówienie nie zostało zrealizowane – kod pozostaje aktywny.`
+    };
+  },
+
+  // ============================================
+  // FUNKCJA 3B: INSPEKCJA ZWROTU PRZY KASIE (powód, stan, przyjęcie/odrzucenie per produkt)
+  // ============================================
+  /**
+   * Finalizuje zwrot otwarty skanem z inspekcją (transactionType RETURN_INSPECTION). Zwracane są tylko
+   * przyjęte produkty (refund za nie); odrzucone wracają do klienta i zostają KEPT. Protokół inspekcji
+   * trafia na wpis zwrotu (order.returns[].inspection). Kod zużywa się po zapisaniu inspekcji –
+   * także gdy wszystkie produkty odrzucono (wtedy protokół trafia do historii zamówienia).
+   *
+   * @param {string} orderId - Zamówienie z kodu zwrotu
+   * @param {object} inspection - { items: [{ index, decision, reasonCode, condition, rejectionReason?, note? }], note? }
+   * @param {object} terminal - Terminal, który otworzył przyjęcie: { terminalId, storeId }
+   * @returns {object} Wynik jak w validateTransaction (transactionType RETURN, inspection, rejectedItems)
+   * @throws {ApiError} 404 brak aktywnego kodu zwrotu, 400 kod wygasł / ocena niepełna, 409 przyjęcie nie otwarte na tym terminalu
+   * @example
+   * CorelayLogic.completeReturnInspection('ORD-1002', { items: [{ index: 0, decision: 'ACCEPT', reasonCode: 'WRONG_SIZE', condition: 'NEW' }] }, terminal);
+   * // { success: true, transactionType: 'RETURN', returnId: 'RET-ORD-1002-1', inspection: { items: [...], restockableItems: [0] }, ... }
+   */
+  completeReturnInspection: (orderId, inspection, terminal) => {
+    const codeEntry = DB.getGuestCodeByOrderId(orderId);
+    if (!codeEntry || codeEntry.purpose !== 'RETURN') {
+      throw new ApiError(`Brak aktywnego kodu zwrotu dla zamówienia ${orderId} – kod został użyty lub nie istnieje`, 404);
+    }
+    if (codeEntry.expiresAt < moment().valueOf()) {
+      throw new ApiError('Kod zwrotu wygasł – klient musi wygenerować nowy', 400);
+    }
+    if (!codeEntry.openedBy || codeEntry.openedBy.terminalId !== terminal.terminalId) {
+      throw new ApiError('Zwrot nie został zeskanowany do inspekcji na tym terminalu – zeskanuj kod ponownie', 409);
+    }
+
+    const order = DB.getOrderById(orderId);
+    if (!order || order.userId !== codeEntry.userId) {
+      throw new ApiError('Zamówienie powiązane z kodem nie istnieje', 404);
+    }
+
+    const result = CorelayLogic._finalizeTransaction(order, terminal, codeEntry.openedBy.type, { items: codeEntry.items, inspection });
+    if (result.success) {
+      DB.removeGuestCode(orderId);
+      AbuseGuard.markConsumed(codeEntry, terminal);
+    }
+    return result;
+  },
+
+  // ============================================
+  // FUNKCJA 3C: PODGLĄD SKANU – POTWIERDZENIE / ANULOWANIE
+  // ============================================
+  /**
+   * Finalizuje transakcję z podglądu (validateTransaction z options.preview) – personel nacisnął "Wydaj"
+   * lub "Przyjmij zwrot". Kwalifikacja sprawdzana jest ponownie; kod zużywa się po udanej transakcji.
+   *
+   * @param {string} previewToken - Token z podglądu (PV-...)
+   * @param {object} terminal - Terminal, który wykonał podgląd: { terminalId, storeId }
+   * @param {object} [options] - { inspection: ocena produktów (tylko zwrot – jak w completeReturnInspection) }
+   * @returns {object} Wynik jak w validateTransaction (PICKUP / RETURN)
+   * @throws {ApiError} 404 podgląd nie istnieje, 409 podgląd innego terminalu, 400 podgląd wygasł / inspekcja przy odbiorze
+   * @example
+   * CorelayLogic.confirmPreview('PV-3kQ9xT0bLw1uYc2Z', { terminalId: 'MODIVO-SIM-1', storeId: 'MODIVO' });
+   * // { success: true, transactionType: 'PICKUP', orderId: 'ORD-1001', ... }
+   */
+  confirmPreview: (previewToken, terminal, options = {}) => {
+    const codeEntry = CorelayLogic._previewEntry(previewToken, terminal);
+    const orderId = codeEntry.delegation ? codeEntry.delegation.orderId : codeEntry.orderId;
+    const order = DB.getOrderById(orderId);
+    if (!order || order.userId !== codeEntry.userId) {
+      throw new ApiError('Zamówienie powiązane z kodem nie istnieje', 404);
+    }
+    if (options.inspection && order.status === ORDER_STATUSES.READY_FOR_PICKUP) {
+      throw new ApiError('Inspekcja dotyczy tylko zwrotu – paczka czeka na odbiór', 400);
+    }
+
+    const result = CorelayLogic._finalizeTransaction(order, terminal, codeEntry.preview.type, {
+      items: codeEntry.items,
+      delegation: codeEntry.delegation,
+      inspection: options.inspection
     });
+    Lockers.releaseReservation(order.orderId); // Skrytka niezajęta przez zwrot (odmowa, wszystko odrzucone)
+    if (result.success) {
+      DB.removeGuestCode(order.orderId);
+      AbuseGuard.markConsumed(codeEntry, terminal);
+    }
+    return result;
+  },
 
-    if (!matchingOrder) {
-      return { 
-        success: false, 
-        message: `Brak pasującego zamówienia: Nie ma paczki 'DO ODBIORU' w ${scannerStoreId} lub brak aktywnych zwrotów (sprawdź status w aplikacji).` 
-      };
+  /**
+   * Anuluje podgląd (zły skan, klient zrezygnował) – zwalnia rezerwację, kod klienta pozostaje ważny.
+   *
+   * @param {string} previewToken - Token z podglądu (PV-...)
+   * @param {object} terminal - Terminal, który wykonał podgląd
+   * @returns {object} { orderId, userId, message }
+   * @throws {ApiError} 404 podgląd nie istnieje, 409 podgląd innego terminalu, 400 podgląd wygasł
+   */
+  cancelPreview: (previewToken, terminal) => {
+    const codeEntry = CorelayLogic._previewEntry(previewToken, terminal);
+    delete codeEntry.preview;
+    DB.persist();
+
+    const orderId = codeEntry.delegation ? codeEntry.delegation.orderId : codeEntry.orderId;
+    Lockers.releaseReservation(orderId);
+    console.log(`[${moment().toISOString()}] PREVIEW cancelled: Order ${orderId} at ${terminal.storeId} (${terminal.terminalId})`);
+    return { orderId, userId: codeEntry.userId, message: `Podgląd ${orderId} anulowany – kod klienta pozostaje ważny.` };
+  },
+
+  // ============================================
+  // PRIVATE HELPERY: PODGLĄD SKANU
+  // ============================================
+  /**
+   * Otwiera podgląd: sprawdza kwalifikację jak finalizacja, rezerwuje kod dla terminalu (codeEntry.preview)
+   * i zwraca zamówienie z produktami. Kod nie jest zużywany.
+   *
+   * @private
+   * @param {object} codeEntry - Aktywny wpis guest code
+   * @param {object} order - Zamówienie z kodu
+   * @param {object} terminal - Terminal: { terminalId, storeId }
+   * @param {string} type - 'GUEST_PIN' lub 'DYNAMIC_CODE'
+   * @returns {object} Wynik jak w validateTransaction + previewToken, previewExpiresAt, order, products (zwrot: intake)
+   */
+  _openPreview: (codeEntry, order, terminal, type) => {
+    const { delegation } = codeEntry;
+    const eligibility = CorelayLogic._eligibility(order, terminal, type, { items: codeEntry.items, delegation });
+    if (eligibility.refusal) {
+      return eligibility.refusal;
     }
+    const { isPickup, check } = eligibility;
+
+    const expiresAt = Math.min(moment().add(PREVIEW_TTL_SECONDS, 'seconds').valueOf(), codeEntry.expiresAt);
+    codeEntry.preview = {
+      token: `PV-${crypto.randomBytes(12).toString('base64url')}`,
+      terminalId: terminal.terminalId,
+      type,
+      expiresAt
+    };
+    DB.persist();
+    // Paczkomat: skrytka z paczką albo skrytka zarezerwowana na zwrot do końca podglądu
+    const locker = isPickup ? eligibility.locker : Lockers.reserveForReturn(order, terminal.storeId, check.items, expiresAt);
+
+    const included = (product, index) => (isPickup
+      ? (product.state || ITEM_STATES.KEPT) !== ITEM_STATES.CANCELLED
+      : check.items.includes(index));
+    const count = order.products.filter(included).length;
+    const message = (isPickup
+      ? `PODGLĄD ODBIORU ${order.orderId}: ${count} prod. – sprawdź paczkę i naciśnij "Wydaj".`
+      : `PODGLĄD ZWROTU ${order.orderId}: ${count} prod., refund ${check.refundAmount} PLN – oceń produkty i naciśnij "Przyjmij zwrot".`) +
+      (locker ? ` Skrytka nr ${locker.door} (${locker.size}).` : '');
 
-    // KROK 4: Finalizuj transakcję
-    return CorelayLogic._finalizeTransaction(matchingOrder, scannerStoreId, 'DYNAMIC_CODE');
+    return {
+      success: true,
+      transactionType: isPickup ? 'PICKUP' : 'RETURN',
+      message: delegation
+        ? `ODBIÓR PRZEZ PEŁNOMOCNIKA ${Delegations.recipientLabel(delegation.recipient)} – sprawdź dokument. ${message}`
+        : message,
+      orderId: order.orderId,
+      userId: order.userId,
+      type,
+      scanner: terminal.storeId,
+      terminalId: terminal.terminalId,
+      previewToken: codeEntry.preview.token,
+      previewExpiresAt: new Date(expiresAt).toISOString(),
+      order: {
+        orderId: order.orderId,
+        storeId: order.storeId,
+        status: order.status,
+        pickupDeadline: order.pickupDeadline || null,
+        returnWindowEndsAt: order.maxTime ? new Date(order.maxTime).toISOString() : null
+      },
+      products: order.products.map((product, index) => ({
+        index,
+        name: product.name,
+        price: product.price,
+        state: product.state || ITEM_STATES.KEPT,
+        included: included(product, index)
+      })),
+      ...(isPickup ? {} : {
+        intake: {
+          items: check.items.map(index => ({ index, name: order.products[index].name, price: order.products[index].price })),
+          refundAmount: check.refundAmount,
+          codes: ReturnInspection.getCodes()
+        }
+      }),
+      ...(locker ? { locker } : {}),
+      ...(delegation ? { delegation: { delegationId: delegation.delegationId, recipient: delegation.recipient, ownerId: order.userId } } : {})
+    };
+  },
+
+  /**
+   * Kod zarezerwowany podglądem na innym terminalu – odmowa CODE_HELD (HTTP 409, nie liczona jako nieudana próba).
+   * Najpierw kwalifikacja (_eligibility): terminal, który i tak nie mógłby wydać paczki (np. inny sklep), dostaje
+   * zwykłą odmowę – informacja o podglądzie i terminalu zostaje w sklepie, który obsługuje kod.
+   * Skany offline pomijają rezerwację (skan odbył się wcześniej, bez serwera).
+   *
+   * @private
+   * @returns {object|null} Wynik odmowy lub null (kod wolny / rezerwacja tego terminalu / wygasła)
+   */
+  _heldResult: (codeEntry, order, terminal, type, options = {}) => {
+    const preview = codeEntry && codeEntry.preview;
+    if (options.offline || !preview || preview.terminalId === terminal.terminalId || preview.expiresAt < moment().valueOf()) {
+      return null;
+    }
+    const { refusal } = CorelayLogic._eligibility(order, terminal, type, { items: codeEntry.items, delegation: codeEntry.delegation, now: options.now });
+    if (refusal) {
+      return refusal;
+    }
+    return {
+      success: false,
+      reason: 'CODE_HELD',
+      message: `Kod jest otwarty w podglądzie na terminalu ${preview.terminalId} (do ${moment(preview.expiresAt).format('HH:mm:ss')}) – dokończ lub anuluj tam transakcję.`,
+      status: 409,
+      orderId: order.orderId,
+      userId: order.userId,
+      type
+    };
+  },
+
+  /**
+   * Wpis kodu dla tokenu podglądu tego terminalu (wygasły podgląd jest zwalniany).
+   *
+   * @private
+   * @throws {ApiError} 404 / 409 / 400 jak w confirmPreview
+   */
+  _previewEntry: (previewToken, terminal) => {
+    const codeEntry = DB.getGuestCodeByPreviewToken(previewToken);
+    if (!codeEntry) {
+      throw new ApiError('Podgląd nie istnieje – został już potwierdzony, anulowany lub kod unieważniono', 404);
+    }
+    if (codeEntry.preview.terminalId !== terminal.terminalId) {
+      throw new ApiError(`Podgląd należy do terminalu ${codeEntry.preview.terminalId}`, 409);
+    }
+    if (codeEntry.preview.expiresAt < moment().valueOf()) {
+      delete codeEntry.preview;
+      DB.persist();
+      Lockers.releaseReservation(codeEntry.delegation ? codeEntry.delegation.orderId : codeEntry.orderId);
+      throw new ApiError('Podgląd wygasł – zeskanuj kod ponownie', 400);
+    }
+    return codeEntry;
+  },
+
+  // ============================================
+  // PRIVATE HELPERY: INSPEKCJA ZWROTU
+  // ============================================
+  /**
+   * Czy skan kodu ma otworzyć przyjęcie zwrotu zamiast od razu go finalizować
+   * (skaner z inspekcją, zamówienie po odbiorze, nie kod pełnomocnika, nie skan offline).
+   *
+   * @private
+   */
+  _needsInspection: (order, codeEntry, options) => Boolean(options.inspect) && !options.offline &&
+    !codeEntry.delegation && order.status !== ORDER_STATUSES.READY_FOR_PICKUP,
+
+  /**
+   * Otwiera przyjęcie zwrotu na terminalu: sprawdza blokadę klienta i kwalifikację zwrotu, zwraca produkty
+   * do oceny i słowniki kodów. Niczego nie finalizuje – kod nie jest zużywany (patrz completeReturnInspection).
+   *
+   * @private
+   * @param {object} codeEntry - Aktywny wpis guest code zwrotu
+   * @param {object} order - Zamówienie z kodu
+   * @param {object} terminal - Terminal: { terminalId, storeId }
+   * @param {string} type - 'GUEST_PIN' lub 'DYNAMIC_CODE'
+   * @returns {object} Wynik jak w validateTransaction: transactionType RETURN_INSPECTION, intake { items, refundAmount, codes }
+   */
+  _openReturnInspection: (codeEntry, order, terminal, type) => {
+    const base = { orderId: order.orderId, userId: order.userId, type };
+
+    const userLock = AbuseGuard.checkLock(AbuseGuard.SUBJECTS.USER, order.userId);
+    if (userLock) {
+      return { ...CorelayLogic._lockedResult('USER_LOCKED', 'Kody klienta zablokowane', userLock), ...base };
+    }
+    const plan = OrderLifecycle.planReturn(order, codeEntry.items, { scannerId: terminal.storeId });
+    if (!plan.allowed) {
+      return { success: false, reason: 'NOT_ELIGIBLE', message: plan.reason, ...base };
+    }
+
+    codeEntry.openedBy = { terminalId: terminal.terminalId, type, at: moment().toISOString() };
+    DB.persist();
+
+    return {
+      success: true,
+      transactionType: RETURN_INSPECTION,
+      message: `Przyjęcie zwrotu ${order.orderId}: oceń ${plan.items.length} prod. (powód, stan, przyjęcie/odrzucenie) i zatwierdź.`,
+      ...base,
+      scanner: terminal.storeId,
+      terminalId: terminal.terminalId,
+      intake: {
+        items: plan.items.map(index => ({ index, name: order.products[index].name, price: order.products[index].price })),
+        refundAmount: plan.refundAmount,
+        codes: ReturnInspection.getCodes()
+      },
+      expiresAt: new Date(codeEntry.expiresAt).toISOString()
+    };
+  },
+
+  // ============================================
+  // PRIVATE HELPERY: KOD ZBIORCZY
+  // ============================================
+  /**
+   * Otwiera kod zbiorczy na terminalu: sprawdza sklep i blokadę klienta, zwraca listę zamówień
+   * z bieżącą kwalifikacją. Niczego nie finalizuje – kod nie jest zużywany (patrz confirmCollectAll).
+   *
+   * @private
+   * @param {object} codeEntry - Aktywny wpis guest code z bundle
+   * @param {object} terminal - Terminal: { terminalId, storeId }
+   * @param {string} type - 'GUEST_PIN' lub 'DYNAMIC_CODE'
+   * @param {object} [options] - { offline: skan z kolejki offline (offline_sync.js) }
+   * @returns {object} Wynik jak w validateTransaction: transactionType COLLECT_ALL, orderId null, bundleId, orders
+   */
+  _openCollectAll: (codeEntry, terminal, type, options = {}) => {
+    const { bundle, userId } = codeEntry;
+    const base = { orderId: null, bundleId: codeEntry.orderId, userId, type };
+
+    // Bez serwera terminal nie potwierdzi listy paczek – kod zbiorczy działa wyłącznie online
+    if (options.offline) {
+      return { success: false, reason: 'BUNDLE_REQUIRES_ONLINE', message: 'Kod zbiorczy wymaga połączenia z serwerem – zeskanuj pojedyncze kody zamówień.', ...base };
+    }
+    if (bundle.storeId !== terminal.storeId) {
+      return { success: false, reason: 'WRONG_STORE', message: `Kod zbiorczy dotyczy zamówień w ${bundle.storeId}, nie w ${terminal.storeId}.`, ...base };
+    }
+    const userLock = AbuseGuard.checkLock(AbuseGuard.SUBJECTS.USER, userId);
+    if (userLock) {
+      return { ...CorelayLogic._lockedResult('USER_LOCKED', 'Kody klienta zablokowane', userLock), ...base };
+    }
+
+    const orders = CorelayLogic._bundleLines(bundle.orders, userId, { scannerId: terminal.storeId });
+    const eligible = orders.filter(line => line.eligible).length;
+    if (eligible === 0) {
+      return { success: false, reason: 'NOT_ELIGIBLE', message: 'Żadne zamówienie z kodu zbiorczego nie kwalifikuje się już do odbioru ani zwrotu.', ...base };
+    }
+
+    codeEntry.openedBy = { terminalId: terminal.terminalId, type, at: moment().toISOString() };
+    DB.persist();
+
+    return {
+      success: true,
+      transactionType: COLLECT_ALL,
+      message: `Kod zbiorczy: ${eligible} z ${orders.length} zamówień do wydania/przyjęcia – zaznacz przekazane paczki i potwierdź.`,
+      ...base,
+      scanner: terminal.storeId,
+      terminalId: terminal.terminalId,
+      orders,
+      expiresAt: new Date(codeEntry.expiresAt).toISOString()
+    };
+  },
+
+  /**
+   * Pozycje kodu zbiorczego z bieżącą kwalifikacją (odbiór: maszyna stanów; zwrot: planReturn).
+   *
+   * @private
+   * @param {array} entries - bundle.orders: [{ orderId, purpose: 'PICKUP' | 'RETURN', items }]
+   * @param {string} userId - Właściciel kodu
+   * @param {object} context - { scannerId }
+   * @returns {array} [{ orderId, transactionType, status, products, items, refundAmount, eligible, reason }]
+   */
+  _bundleLines: (entries, userId, context) => entries.map(({ orderId, purpose, items }) => {
+    const order = DB.getOrderById(orderId);
+    if (!order || order.userId !== userId) {
+      return { orderId, transactionType: purpose, status: null, products: [], items: null, refundAmount: null, eligible: false, reason: 'Zamówienie nie istnieje' };
+    }
+    const isPickup = purpose === 'PICKUP';
+    const check = isPickup
+      ? order.status === ORDER_STATUSES.READY_FOR_PICKUP
+        ? OrderLifecycle.canTransition(order, ORDER_STATUSES.PICKED_UP, context)
+        : { allowed: false, reason: `Zamówienie ma status ${order.status}` }
+      : OrderLifecycle.planReturn(order, items, context);
+    return {
+      orderId,
+      transactionType: purpose,
+      status: order.status,
+      products: isPickup ? order.products.map(p => p.name) : check.items.map(index => order.products[index].name),
+      items: isPickup ? null : check.items,
+      refundAmount: isPickup ? null : check.refundAmount,
+      eligible: check.allowed,
+      reason: check.allowed ? null : check.reason
+    };
+  }),
+
+  // ============================================
+  // PRIVATE HELPERY: ODMOWY OCHRONY PRZED NADUŻYCIAMI
+  // ============================================
+  /**
+   * Odmowa z powodu aktywnej blokady (HTTP 429).
+   *
+   * @private
+   * @param {string} reason - TERMINAL_LOCKED | USER_LOCKED | STORE_PIN_LOCKED
+   * @param {string} label - Kto jest zablokowany (do komunikatu)
+   * @param {object} lock - Blokada z AbuseGuard.checkLock
+   * @returns {object} Wynik { success: false, reason, message, status: 429, lockedUntil }
+   */
+  _lockedResult: (reason, label, lock) => ({
+    success: false,
+    reason,
+    message: `${label} po serii nieudanych prób – spróbuj ponownie o ${moment(lock.lockedUntil).format('HH:mm:ss')}.`,
+    status: 429,
+    lockedUntil: lock.lockedUntil
+  }),
+
+  /**
+   * Odmowa ponownego użycia zużytego kodu (replay).
+   *
+   * @private
+   * @param {object} consumed - Wpis z AbuseGuard.detectReplay
+   * @param {string} type - 'GUEST_PIN' lub 'DYNAMIC_CODE'
+   * @returns {object} Wynik { success: false, reason: 'CODE_REPLAYED', ... }
+   */
+  _replayResult: (consumed, type) => ({
+    success: false,
+    reason: 'CODE_REPLAYED',
+    message: `Kod został już użyty (${moment(consumed.consumedAt).format('YYYY-MM-DD HH:mm')}) – ponowne użycie zgłoszone.`,
+    orderId: consumed.orderId,
+    userId: consumed.userId,
+    type
+  }),
+
+  /**
+   * Zwrot z inspekcją, w którym odrzucono wszystkie produkty: bez zmiany statusu i refundu,
+   * protokół inspekcji zapisany we wpisie historii zamówienia.
+   *
+   * @private
+   * @param {object} order - Zamówienie
+   * @param {object} inspection - Wynik ReturnInspection.build (accepted puste)
+   * @param {object} context - Kontekst przejścia z _finalizeTransaction
+   * @param {object} response - Bazowa odpowiedź z _finalizeTransaction
+   * @returns {object} Wynik { success: true, transactionType: 'RETURN', returnedItems: [], rejectedItems, refundAmount: 0, inspection }
+   */
+  _rejectReturn: (order, inspection, context, response) => {
+    const rejected = ReturnInspection.describeRejected(inspection.record);
+    const entry = OrderLifecycle.recordEvent(order, { ...context, reason: `Zwrot odrzucony przy kasie: ${rejected}` });
+    entry.inspection = inspection.record;
+    order.updatedAt = moment().toISOString();
+    DB.persist();
+
+    console.log(`[${entry.at}] RETURN rejected: Order ${order.orderId} items [${inspection.rejected.join(', ')}] at ${context.scannerId} (${context.terminalId})`);
+    return {
+      ...response,
+      transactionType: 'RETURN',
+      returnedItems: [],
+      rejectedItems: inspection.rejected,
+      refundAmount: 0,
+      inspection: inspection.record,
+      message: `ZWROT ODRZUCONY w ${context.scannerId}: ${rejected} – produkty wracają do klienta, bez refundu.`
+    };
   },
 
   // ============================================
   // PRIVATE HELPER: FINALIZACJA TRANSAKCJI
   // ============================================
   /**
-   * Prywatna funkcja finalizująca transakcję (update statusu w DB).
+   * Kwalifikacja transakcji (wspólna dla finalizacji i podglądu): blokada klienta, zakres kodu pełnomocnika,
+   * maszyna stanów (odbiór) lub plan zwrotu (produkty z kodu).
+   *
+   * @private
+   * @param {object} order - Zamówienie
+   * @param {object} terminal - Terminal: { terminalId, storeId }
+   * @param {string} type - 'GUEST_PIN' lub 'DYNAMIC_CODE'
+   * @param {object} [options] - { items, delegation, now } jak w _finalizeTransaction
+   * @returns {object} { isPickup, check, context, locker, refusal } – locker: skrytka paczkomatu (Lockers.check) lub null; refusal: wynik odmowy lub null
+   */
+  _eligibility: (order, terminal, type, options = {}) => {
+    const base = { orderId: order.orderId, userId: order.userId, type };
+    const { delegation } = options;
+    const context = {
+      actor: `terminal:${terminal.terminalId}`,
+      scannerId: terminal.storeId,
+      terminalId: terminal.terminalId,
+      now: options.now,
+      ...(delegation ? { reason: `Odbiór przez pełnomocnika ${Delegations.recipientLabel(delegation.recipient)} – upoważnienie ${delegation.delegationId}` } : {})
+    };
+    const isPickup = order.status === ORDER_STATUSES.READY_FOR_PICKUP;
+    const refused = (refusal) => ({ isPickup, check: null, context, locker: null, refusal });
+
+    const userLock = AbuseGuard.checkLock(AbuseGuard.SUBJECTS.USER, order.userId);
+    if (userLock) {
+      return refused({ ...CorelayLogic._lockedResult('USER_LOCKED', 'Kody klienta zablokowane', userLock), ...base });
+    }
+
+    // Kod pełnomocnika uprawnia wyłącznie do odbioru
+    if (delegation && !isPickup) {
+      return refused({
+        success: false,
+        reason: 'NOT_ELIGIBLE',
+        message: `Kod pełnomocnika uprawnia tylko do odbioru – zamówienie ma status ${order.status}.`,
+        ...base
+      });
+    }
+    const check = isPickup
+      ? OrderLifecycle.canTransition(order, ORDER_STATUSES.PICKED_UP, context)
+      : OrderLifecycle.planReturn(order, options.items, context);
+
+    if (!check.allowed) {
+      return refused({
+        success: false,
+        // Odbiór w innym sklepie niż ten, do którego wysłano paczkę – osobny powód w dzienniku skanów
+        reason: isPickup && order.storeId !== terminal.storeId ? 'WRONG_STORE' : 'NOT_ELIGIBLE',
+        message: check.reason,
+        ...base
+      });
+    }
+
+    // Paczkomat: odbiór tylko paczki leżącej w skrytce, zwrot tylko gdy jest wolna skrytka
+    const lockerCheck = Lockers.check(order, terminal.storeId, { isPickup, items: check.items });
+    if (lockerCheck && !lockerCheck.allowed) {
+      return refused({ success: false, reason: lockerCheck.reason, message: lockerCheck.message, ...base });
+    }
+    return { isPickup, check, context, locker: lockerCheck ? lockerCheck.locker : null, refusal: null };
+  },
+
+  /**
+   * Prywatna funkcja finalizująca transakcję – przejście statusu przez maszynę stanów (DB.updateOrderStatus).
    * 
    * @private
    * @param {object} order - Obiekt zamówienia z DB
-   * @param {string} scannerStoreId - ID skanera
+   * @param {object} terminal - Terminal: { terminalId, storeId } – storeId pełni rolę scannerId
    * @param {string} type - Typ: 'GUEST_PIN' lub 'DYNAMIC_CODE'
-   * @returns {object} Wynik finalizacji
-   * @throws {ApiError} Jeśli status nieznany lub błąd DB
+   * @param {object} [options] - { items: indeksy produktów do zwrotu (z kodu), delegation: upoważnienie z kodu pełnomocnika, now: czas skanu (ms, skany offline), inspection: ocena produktów przy kasie }
+   * @returns {object} Wynik finalizacji (dla zwrotu: returnId, returnedItems, refundAmount, refundId, przy inspekcji inspection i rejectedItems; pełnomocnik: delegation; paczkomat: locker)
+   * @throws {ApiError} Jeśli błąd zapisu w DB
    */
-  _finalizeTransaction: (order, scannerStoreId, type) => {
+  _finalizeTransaction: (order, terminal, type, options = {}) => {
     if (!order || typeof order !== 'object') {
-      throw new (require('./server').ApiError)('Nieprawidłowy obiekt zamówienia', 500);
+      throw new ApiError('Nieprawidłowy obiekt zamówienia', 500);
+    }
+    const scannerStoreId = terminal.storeId;
+
+    // Odbiór: READY_FOR_PICKUP → PICKED_UP; zwrot: wybrane produkty → PARTIALLY_RETURNED / RETURNED_PENDING_REFUND
+    const { isPickup, check, context, locker, refusal } = CorelayLogic._eligibility(order, terminal, type, options);
+    if (refusal) {
+      return refusal;
     }
 
     const response = {
@@ -304,55 +1127,111 @@ const CorelayLogic = {
       orderId: order.orderId,
       userId: order.userId,
       type,  // 'GUEST_PIN' lub 'DYNAMIC_CODE'
-      scanner: scannerStoreId
+      scanner: scannerStoreId,
+      terminalId: terminal.terminalId
     };
 
-    const now = moment().toISOString();
+    const now = moment(options.now).toISOString();
+    const { delegation } = options;
 
-    try {
-      // Obsługa ODBIORU (READY_FOR_PICKUP → PICKED_UP)
-      if (order.status === ORDER_STATUSES.READY_FOR_PICKUP) {
-        DB.updateOrderStatus(order.orderId, ORDER_STATUSES.PICKED_UP);
-        // Ustaw maxTime dla zwrotu (14 dni)
-        order.maxTime = moment().add(14, 'days').valueOf();
-        order.pickupTime = now;
-
-        response.transactionType = 'PICKUP';
-        response.message = `Paczka ODEBRANA w ${scannerStoreId}. Status: PICKED_UP. Okno zwrotu: 14 dni od teraz.`;
-        
-        // Log
-        console.log(`[${now}] PICKUP finalized: Order ${order.orderId} via ${type} at ${scannerStoreId}`);
-        return response;
+    // Obsługa ODBIORU
+    if (isPickup) {
+      try {
+        DB.updateOrderStatus(order.orderId, ORDER_STATUSES.PICKED_UP, context);
+      } catch (dbErr) {
+        throw new ApiError('Błąd aktualizacji statusu w bazie – transakcja nie zapisana', 500);
       }
 
-      // Obsługa ZWROTU (PICKED_UP → RETURNED_PENDING_REFUND)
-      if (order.status === ORDER_STATUSES.PICKED_UP) {
-        if (order.maxTime < moment().valueOf()) {
-          return { 
-            success: false, 
-            message: 'Okno zwrotu (14 dni) wygasło – sprawdź datę odbioru.' 
-          };
-        }
+      Delegations.settlePickup(order.orderId, terminal, delegation ? delegation.delegationId : null);
 
-        DB.updateOrderStatus(order.orderId, ORDER_STATUSES.RETURNED_PENDING_REFUND);
-        order.returnTime = now;
+      response.transactionType = 'PICKUP';
+      // Okno zwrotu z warunków zamówienia (order.policy) – najdłuższe okno produktu
+      const returnWindow = order.maxTime > moment(order.pickupTime).valueOf()
+        ? `Okno zwrotu do ${moment(order.maxTime).format('YYYY-MM-DD')}.`
+        : 'Produkty nie podlegają zwrotowi.';
+      response.message = `Paczka ODEBRANA w ${scannerStoreId}. Status: PICKED_UP. ${returnWindow}`;
+      if (locker) {
+        // Skrytkę zwalnia Lockers.handleEvent po order.picked_up
+        response.locker = locker;
+        response.message = `OTWÓRZ SKRYTKĘ nr ${locker.door} (${locker.size}). ${response.message}`;
+      }
+      if (delegation) {
+        response.delegation = { delegationId: delegation.delegationId, recipient: delegation.recipient, ownerId: order.userId };
+        response.message = `ODBIÓR PRZEZ PEŁNOMOCNIKA: ${order.orderId} dla ${order.userId} odbiera ${Delegations.recipientLabel(delegation.recipient)} – sprawdź dokument. ${response.message}`;
+      }
+      
+      Events.publish(Events.EVENT_TYPES.ORDER_PICKED_UP, order, {
+        type,
+        storeId: scannerStoreId,
+        terminalId: terminal.terminalId,
+        ...(delegation ? { delegationId: delegation.delegationId } : {})
+      });
 
-        response.transactionType = 'RETURN';
-        response.message = `ZWROT przyjęty w ${scannerStoreId}. Status: RETURNED_PENDING_REFUND. Proces refundu (np. via TPay) zainicjowany.`;
+      // Log
+      console.log(`[${now}] PICKUP finalized: Order ${order.orderId} via ${type} at ${scannerStoreId} (${terminal.terminalId})`);
+      return response;
+    }
 
-        // Log
-        console.log(`[${now}] RETURN finalized: Order ${order.orderId} via ${type} at ${scannerStoreId}`);
-        return response;
-      }
+    // Inspekcja przy kasie: zwracane są tylko przyjęte produkty, odrzucone wracają do klienta
+    const inspection = options.inspection
+      ? ReturnInspection.build(order, check.items, options.inspection, terminal)
+      : null;
+    if (inspection && inspection.accepted.length === 0) {
+      return CorelayLogic._rejectReturn(order, inspection, context, response);
+    }
 
-      // Nieznany status
-      return { 
-        success: false, 
-        message: `Nieznany status zamówienia: ${order.status}. Dopuszczalne: ${Object.values(ORDER_STATUSES).join(', ')}` 
-      };
+    // Obsługa ZWROTU (całość lub część produktów) + zlecenie refundu (refunds.js)
+    let returnEntry;
+    try {
+      returnEntry = DB.recordReturn(order.orderId, inspection ? inspection.accepted : check.items, {
+        ...context,
+        ...(inspection ? { inspection: inspection.record } : {}),
+        ...(inspection && inspection.rejected.length > 0
+          ? { reason: `Zwrot produktów: ${inspection.accepted.join(', ')} (odrzucone przy kasie: ${ReturnInspection.describeRejected(inspection.record)})` }
+          : {})
+      });
     } catch (dbErr) {
-      throw new (require('./server').ApiError)('Błąd aktualizacji statusu w bazie – transakcja nie zapisana', 500);
+      throw new ApiError('Błąd aktualizacji statusu w bazie – transakcja nie zapisana', 500);
     }
+    const refund = Refunds.createForReturn(order, returnEntry);
+    const dropOff = locker ? Lockers.dropOff(order, scannerStoreId, returnEntry) : null;
+
+    const returnedNames = returnEntry.items.map(index => order.products[index].name).join(', ');
+    response.transactionType = 'RETURN';
+    response.returnId = returnEntry.returnId;
+    response.returnedItems = returnEntry.items;
+    response.refundAmount = returnEntry.refundAmount;
+    response.refundId = refund.refundId;
+    response.message = order.status === ORDER_STATUSES.PARTIALLY_RETURNED
+      ? `ZWROT CZĘŚCIOWY przyjęty w ${scannerStoreId}: ${returnedNames}. Refund ${returnEntry.refundAmount} PLN zlecony (${refund.refundId}). Pozostałe produkty można zwrócić do ${moment(order.maxTime).format('YYYY-MM-DD')}.`
+      : `ZWROT przyjęty w ${scannerStoreId}: ${returnedNames}. Status: RETURNED_PENDING_REFUND. Refund ${returnEntry.refundAmount} PLN zlecony (${refund.refundId}).`;
+    if (dropOff) {
+      response.locker = dropOff;
+      response.message = `OTWÓRZ SKRYTKĘ nr ${dropOff.door} (${dropOff.size}) i włóż zwrot. ${response.message}`;
+    }
+    if (inspection) {
+      response.rejectedItems = inspection.rejected;
+      response.inspection = inspection.record;
+      if (inspection.rejected.length > 0) {
+        response.message += ` Odrzucone – wracają do klienta: ${ReturnInspection.describeRejected(inspection.record)}.`;
+      }
+    }
+
+    Events.publish(Events.EVENT_TYPES.ORDER_RETURNED, order, {
+      type,
+      storeId: scannerStoreId,
+      terminalId: terminal.terminalId,
+      returnId: returnEntry.returnId,
+      items: returnEntry.items,
+      refundAmount: returnEntry.refundAmount,
+      refundId: refund.refundId,
+      partial: order.status === ORDER_STATUSES.PARTIALLY_RETURNED,
+      inspection: returnEntry.inspection
+    });
+
+    // Log
+    console.log(`[${now}] RETURN finalized: Order ${order.orderId} items [${returnEntry.items.join(', ')}] via ${type} at ${scannerStoreId} (${terminal.terminalId})`);
+    return response;
   }
 
 };
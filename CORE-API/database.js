@@ -1,17 +1,25 @@
 'use strict';
 
 /**
- * database.js - In-Memory Mock Baza Danych Corelay (MVP)
+ * database.js - Baza Danych Corelay (MVP) z trwałym zapisem do pliku JSON
  * 
- * Prosta baza w pamięci RAM: orders i guestCodes. Łatwa do edycji przed demo.
- * Zintegrowana z corelay_logic.js i server.js (używa ApiError).
+ * Kolekcje orders, guestCodes (i kolekcje subsystemów: signingKeys, refunds, merchants/stores/terminals, sessions, outbox, idempotencyKeys...) trzymane w magazynie z storage.js – przeżywają restart i deploy.
+ * Plik: CORELAY_DB_FILE (domyślnie data/corelay-db.json), ':memory:' = tylko RAM (testy).
+ * Zintegrowana z corelay_logic.js i server.js (używa ApiError z errors.js).
  * 
- * Dla production: Zamień na MongoDB/PostgreSQL. Dla persistencji: Zapisz do JSON file (komentarz poniżej).
+ * Dla production: Zamień na MongoDB/PostgreSQL – interfejs DB pozostaje bez zmian.
  * 
  * @module DB
- * @version 1.0.0
+ * @version 1.1.0
  */
 
+const path = require('path');
+const crypto = require('crypto');
+const Storage = require('./storage');
+const { ApiError } = require('./errors');
+const OrderLifecycle = require('./order_lifecycle');
+const Events = require('./events');
+
 // Zależności zewnętrzne (opcjonalne: moment dla dat; fallback na Date)
 let moment;
 try {
@@ -25,31 +33,230 @@ try {
   };
 }
 
-// Import ApiError (z server.js – fallback jeśli nie istnieje)
-let ApiError;
-try {
-  ApiError = require('./server').ApiError;
-} catch (err) {
-  // Fallback custom class
-  class ApiError extends Error {
-    constructor(message, status = 500) {
-      super(message);
-      this.status = status;
+/**
+ * Ścieżka pliku bazy (env CORELAY_DB_FILE lub data/corelay-db.json obok modułu).
+ * @constant
+ */
+const DB_FILE = process.env.CORELAY_DB_FILE || path.join(__dirname, 'data', 'corelay-db.json');
+
+// ============================================
+// MIGRACJE SCHEMATU (tylko dopisuj nowe – nigdy nie zmieniaj wykonanych)
+// ============================================
+
+/**
+ * Lista migracji wykonywanych przy starcie (Storage.open) – rosnąco po version.
+ * 
+ * @private
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Kolekcje orders i guestCodes',
+    up: (data) => {
+      data.orders = data.orders || [];
+      data.guestCodes = data.guestCodes || [];
+    }
+  },
+  {
+    version: 2,
+    description: 'Historia przejść statusów (order.history) dla istniejących zamówień',
+    up: (data) => {
+      for (const order of data.orders) {
+        order.history = order.history || [
+          { from: null, to: order.status, at: order.createdAt, actor: 'system:migration', scannerId: null, reason: null }
+        ];
+      }
+    }
+  },
+  {
+    version: 3,
+    description: 'Klucze podpisu kodów QR (signingKeys)',
+    up: (data) => {
+      data.signingKeys = data.signingKeys || [];
+    }
+  },
+  {
+    version: 4,
+    description: 'Stan produktów (products[].state) i lista zwrotów (order.returns)',
+    up: (data) => {
+      for (const order of data.orders) {
+        const fullyReturned = order.status === 'RETURNED_PENDING_REFUND';
+        order.products = order.products.map(p => ({ ...p, state: p.state || (fullyReturned ? 'RETURNED' : 'KEPT') }));
+        order.returns = order.returns || [];
+        // Zwrot sprzed listy zwrotów – jeden wpis ze wszystkimi produktami (refundAmount do refundu)
+        if (fullyReturned && order.returns.length === 0) {
+          order.returns.push({
+            returnId: `RET-${order.orderId}-1`,
+            items: order.products.map((p, index) => index),
+            refundAmount: Math.round(order.products.reduce((sum, p) => sum + p.price, 0) * 100) / 100,
+            scannerId: null,
+            at: order.returnTime || new Date().toISOString()
+          });
+        }
+      }
+    }
+  },
+  {
+    version: 5,
+    description: 'Refundy (refunds) – kolejka dla zwrotów sprzed modułu refunds.js',
+    up: (data) => {
+      data.refunds = data.refunds || [];
+      const at = new Date().toISOString();
+      for (const order of data.orders) {
+        for (const entry of order.returns) {
+          data.refunds.push({
+            refundId: entry.returnId.replace(/^RET-/, 'RF-'),
+            returnId: entry.returnId,
+            orderId: order.orderId,
+            userId: order.userId,
+            items: entry.items,
+            amount: entry.refundAmount,
+            currency: 'PLN',
+            provider: 'TPAY_MOCK',
+            status: 'PENDING',
+            attempts: 0,
+            nextAttemptAt: Date.now(),
+            providerRef: null,
+            lastError: null,
+            createdAt: at,
+            updatedAt: at,
+            completedAt: null,
+            log: []
+          });
+        }
+      }
+    }
+  },
+  {
+    version: 6,
+    description: 'Rejestr merchantów, sklepów i terminali (zamiast listy MODIVO/LPP/INPOST w kodzie)',
+    up: (data) => {
+      const at = new Date().toISOString();
+      data.merchants = data.merchants || [
+        { merchantId: 'MODIVO', name: 'Modivo', status: 'ACTIVE', createdAt: at, updatedAt: at },
+        { merchantId: 'LPP', name: 'LPP', status: 'ACTIVE', createdAt: at, updatedAt: at },
+        { merchantId: 'INPOST', name: 'InPost', status: 'ACTIVE', createdAt: at, updatedAt: at }
+      ];
+      data.stores = data.stores || [
+        { storeId: 'MODIVO', merchantId: 'MODIVO', name: 'Modivo – punkt odbioru', type: 'STORE', address: null, status: 'ACTIVE', createdAt: at, updatedAt: at },
+        { storeId: 'LPP', merchantId: 'LPP', name: 'LPP – punkt odbioru', type: 'STORE', address: null, status: 'ACTIVE', createdAt: at, updatedAt: at },
+        { storeId: 'INPOST', merchantId: 'INPOST', name: 'InPost – paczkomat', type: 'LOCKER', address: null, status: 'ACTIVE', createdAt: at, updatedAt: at }
+      ];
+      data.terminals = data.terminals || [];
+    }
+  },
+  {
+    version: 7,
+    description: 'Logowanie klientów (loginCodes, sessions, authKeys) i lokalny outbox wiadomości',
+    up: (data) => {
+      data.loginCodes = data.loginCodes || [];
+      data.sessions = data.sessions || [];
+      data.authKeys = data.authKeys || [];
+      data.outbox = data.outbox || [];
+    }
+  },
+  {
+    version: 8,
+    description: 'Integracja merchantów: order.merchantId i klucze idempotencji (idempotencyKeys)',
+    up: (data) => {
+      for (const order of data.orders) {
+        const orderStore = data.stores.find(s => s.storeId === order.storeId);
+        order.merchantId = order.merchantId || (orderStore ? orderStore.merchantId : null);
+      }
+      data.idempotencyKeys = data.idempotencyKeys || [];
+    }
+  },
+  {
+    version: 9,
+    description: 'Webhooki merchantów: endpointy (webhookEndpoints) i kolejka doręczeń (webhookDeliveries)',
+    up: (data) => {
+      data.webhookEndpoints = data.webhookEndpoints || [];
+      data.webhookDeliveries = data.webhookDeliveries || [];
+    }
+  },
+  {
+    version: 10,
+    description: 'Scheduler: historia uruchomień jobów (jobRuns)',
+    up: (data) => {
+      data.jobRuns = data.jobRuns || [];
+    }
+  },
+  {
+    version: 11,
+    description: 'Powiadomienia klientów: preferencje (userPreferences) i wysłane powiadomienia (notifications)',
+    up: (data) => {
+      data.userPreferences = data.userPreferences || [];
+      data.notifications = data.notifications || [];
+    }
+  },
+  {
+    version: 12,
+    description: 'Dziennik skanów (scanLedger) – każda próba weryfikacji kodu, append-only',
+    up: (data) => {
+      data.scanLedger = data.scanLedger || [];
+    }
+  },
+  {
+    version: 13,
+    description: 'Ochrona przed nadużyciami: liczniki prób i blokady, zużyte kody (replay), zdarzenia bezpieczeństwa',
+    up: (data) => {
+      data.securityCounters = data.securityCounters || [];
+      data.consumedCodes = data.consumedCodes || [];
+      data.securityEvents = data.securityEvents || [];
+    }
+  },
+  {
+    version: 14,
+    description: 'Skany offline z terminali (offlineScans) – wyniki synchronizacji wsadowej po localId',
+    up: (data) => {
+      data.offlineScans = data.offlineScans || [];
+    }
+  },
+  {
+    version: 15,
+    description: 'Konta back-office z rolami (adminUsers) – osobne klucze zamiast wspólnego API_ADMIN_KEY',
+    up: (data) => {
+      data.adminUsers = data.adminUsers || [];
+    }
+  },
+  {
+    version: 16,
+    description: 'Odbiór przez pełnomocnika (delegations) – upoważnienia do odbioru z własnym kodem',
+    up: (data) => {
+      data.delegations = data.delegations || [];
+    }
+  },
+  {
+    version: 17,
+    description: 'Skrytki paczkomatów (lockers) – układ, zajętość i kolejka paczek (układ zakłada lockers.js)',
+    up: (data) => {
+      data.lockers = data.lockers || [];
+    }
+  },
+  {
+    version: 18,
+    description: 'Polityki merchantów (policies) – okna odbioru/zwrotu, ważność kodów; warunki zamówienia w order.policy',
+    up: (data) => {
+      data.policies = data.policies || [];
+      for (const order of data.orders) {
+        order.policy = order.policy || OrderLifecycle.resolvePolicy(null); // Dotychczasowe zamówienia: warunki domyślne
+      }
     }
   }
-  ApiError = ApiError;
-}
+];
 
 // ============================================
 // SAMPLE DANE (EDYTUJ PRZED DEMO – dla user_wojtek = 'wojtek@corelay.pl')
 // ============================================
 
 /**
- * Mock baza: Orders i GuestCodes. Uruchamia się na starcie.
+ * Dane startowe: Orders i GuestCodes. Wgrywane tylko do PUSTEJ bazy (pierwszy start).
+ * Funkcja, bo daty liczone są względem momentu seedowania.
  * 
  * @private
+ * @returns {object} { orders, guestCodes }
  */
-const mockDatabase = {
+const buildSeedData = () => ({
   // 1. ZAMÓWIENIA KLIENTÓW (ARRAY OBIEKTÓW)
   orders: [
     // ZAMÓWIENIE 1: Modivo – Gotowe do odbioru (READY_FOR_PICKUP)
@@ -94,12 +301,131 @@ const mockDatabase = {
     // Przykładowy testowy (opcjonalny – usuń dla czystego startu)
     // { code: '123456', orderId: 'ORD-1002', userId: 'wojtek@corelay.pl', expiresAt: moment().add(1, 'hour').valueOf() }
   ]
+});
+
+/**
+ * Terminale demo dla symulatorów skanerów (APPS-PWA/store-*-sim) – klucze jawne, TYLKO poza production.
+ * W production terminale zakładaj przez POST /api/admin/terminals (klucz losowy, pokazywany raz).
+ * 
+ * @private
+ * @constant
+ */
+const DEMO_TERMINALS = [
+  { terminalId: 'MODIVO-SIM-1', storeId: 'MODIVO', label: 'Symulator Modivo', apiKey: 'ctk_demo_modivo_sim_1' },
+  { terminalId: 'LPP-SIM-1', storeId: 'LPP', label: 'Symulator LPP', apiKey: 'ctk_demo_lpp_sim_1' },
+  { terminalId: 'INPOST-SIM-1', storeId: 'INPOST', label: 'Symulator InPost', apiKey: 'ctk_demo_inpost_sim_1' }
+];
+
+/**
+ * Klucze demo API integracji merchantów (X-Merchant-Key) – jak DEMO_TERMINALS, TYLKO poza production.
+ * 
+ * @private
+ * @constant
+ */
+const DEMO_MERCHANT_KEYS = {
+  MODIVO: 'cmk_demo_modivo',
+  LPP: 'cmk_demo_lpp',
+  INPOST: 'cmk_demo_inpost'
 };
 
-// Opcjonalna persistencja: Zapisz do JSON file po zmianach (odkomentuj i dodaj fs)
-// const fs = require('fs');
-// function saveToFile() { fs.writeFileSync('mockdb.json', JSON.stringify(mockDatabase, null, 2)); }
-// function loadFromFile() { /* load on init */ }
+/**
+ * Konta demo back-office (admin-console) – po jednym na rolę, klucze jawne, TYLKO poza production.
+ * 
+ * @private
+ * @constant
+ */
+const DEMO_ADMINS = [
+  { adminId: 'demo.admin', name: 'Demo Admin', role: 'ADMIN', apiKey: 'cak_demo_admin' },
+  { adminId: 'demo.operator', name: 'Demo Operator', role: 'OPERATOR', apiKey: 'cak_demo_operator' },
+  { adminId: 'demo.viewer', name: 'Demo Viewer', role: 'VIEWER', apiKey: 'cak_demo_viewer' }
+];
+
+// ============================================
+// OTWARCIE MAGAZYNU + SEED (tylko gdy pusto)
+// ============================================
+
+const store = Storage.open({ filePath: DB_FILE, migrations: MIGRATIONS });
+
+/**
+ * Kolekcje bazy (referencja do store.data – zmiany zapisuje persist()).
+ * 
+ * @private
+ */
+const db = store.data;
+
+if (db.orders.length === 0 && db.guestCodes.length === 0 && process.env.CORELAY_SEED !== 'false') {
+  const seed = buildSeedData();
+  db.orders.push(...seed.orders.map(o => ({
+    ...o,
+    merchantId: (db.stores.find(s => s.storeId === o.storeId) || {}).merchantId || null,
+    policy: OrderLifecycle.resolvePolicy(null),
+    products: o.products.map(p => ({ ...p, state: 'KEPT' })),
+    returns: [],
+    history: [{ from: null, to: o.status, at: o.createdAt, actor: 'system:seed', scannerId: null, reason: null }]
+  })));
+  db.guestCodes.push(...seed.guestCodes);
+  store.save();
+  console.log(`[DB] Pusta baza – wgrano ${seed.orders.length} przykładowych zamówień`);
+}
+
+if (db.terminals.length === 0 && process.env.CORELAY_SEED !== 'false' && process.env.NODE_ENV !== 'production') {
+  const at = new Date().toISOString();
+  db.terminals.push(...DEMO_TERMINALS
+    .filter(t => db.stores.some(s => s.storeId === t.storeId))
+    .map(({ apiKey, ...t }) => ({
+      ...t,
+      keyHash: crypto.createHash('sha256').update(apiKey).digest('hex'),
+      keyPrefix: apiKey.slice(0, 10),
+      status: 'ACTIVE',
+      createdAt: at,
+      updatedAt: at,
+      lastSeenAt: null
+    })));
+  store.save();
+  console.log(`[DB] Wgrano ${db.terminals.length} terminali demo (klucze: ${DEMO_TERMINALS.map(t => t.apiKey).join(', ')})`);
+}
+
+if (!db.merchants.some(m => m.keyHash) && process.env.CORELAY_SEED !== 'false' && process.env.NODE_ENV !== 'production') {
+  const seeded = db.merchants.filter(m => DEMO_MERCHANT_KEYS[m.merchantId]);
+  seeded.forEach(m => {
+    m.keyHash = crypto.createHash('sha256').update(DEMO_MERCHANT_KEYS[m.merchantId]).digest('hex');
+    m.keyPrefix = DEMO_MERCHANT_KEYS[m.merchantId].slice(0, 10);
+  });
+  store.save();
+  console.log(`[DB] Klucze demo merchantów: ${seeded.map(m => DEMO_MERCHANT_KEYS[m.merchantId]).join(', ')}`);
+}
+
+if (db.adminUsers.length === 0 && process.env.CORELAY_SEED !== 'false' && process.env.NODE_ENV !== 'production') {
+  const at = new Date().toISOString();
+  db.adminUsers.push(...DEMO_ADMINS.map(({ apiKey, ...admin }) => ({
+    ...admin,
+    keyHash: crypto.createHash('sha256').update(apiKey).digest('hex'),
+    keyPrefix: apiKey.slice(0, 10),
+    status: 'ACTIVE',
+    createdAt: at,
+    updatedAt: at,
+    lastSeenAt: null
+  })));
+  store.save();
+  console.log(`[DB] Konta demo back-office: ${DEMO_ADMINS.map(a => `${a.apiKey} (${a.role})`).join(', ')}`);
+}
+
+/**
+ * Głębokość DB.batchWrites – w trakcie wsadu zapis na dysk jest odkładany do końca.
+ * 
+ * @private
+ */
+let batchDepth = 0;
+
+/**
+ * Zapisuje bieżący stan na dysk – wywołuj po każdej zmianie.
+ * 
+ * @private
+ */
+const persist = () => {
+  if (batchDepth > 0) return;
+  store.save();
+};
 
 const now = () => moment().valueOf();
 
@@ -130,7 +456,7 @@ const DB = {
       throw new ApiError('Nieprawidłowy userId – musi być email', 400);
     }
 
-    const orders = mockDatabase.orders.filter(o => o.userId === userId);
+    const orders = db.orders.filter(o => o.userId === userId);
     // Log (opcjonalne)
     if (process.env.NODE_ENV !== 'production') {
       console.log(`[${moment().toISOString()}] DB: Pobrano ${orders.length} zamówień dla ${userId}`);
@@ -143,27 +469,27 @@ const DB = {
   // ============================================
   /**
    * Tworzy nowe zamówienie (używa admin endpoint).
-   * Auto-generuje createdAt, pickupDeadline (7 dni), waliduje status.
+   * Auto-generuje createdAt; warunki (order.policy – bieżąca polityka merchanta), pickupDeadline/maxTime
+   * i pierwszy wpis historii ustawia OrderLifecycle.initialize.
    * 
-   * @param {object} orderData - Dane: {userId, orderId, storeId, products: array, status}
+   * @param {object} orderData - Dane: {userId, orderId, storeId, products: array, status} – merchantId wynika ze sklepu
+   * @param {object} [context] - Kontekst historii: { actor }
    * @returns {object} Utworzone zamówienie
    * @throws {ApiError} Jeśli dane niepoprawne lub duplikat orderId
    * @example DB.createOrder({ userId: 'test@pl', orderId: 'ORD-1004', storeId: 'MODIVO', products: [{name:'Buty', price:299}], status: 'READY_FOR_PICKUP' })
    */
-  createOrder: (orderData) => {
+  createOrder: (orderData, context = {}) => {
     // Walidacja
     if (!orderData.userId || !orderData.orderId || !orderData.storeId || !Array.isArray(orderData.products) || orderData.products.length === 0) {
       throw new ApiError('Brakujące dane: userId, orderId, storeId, products (array)', 400);
     }
-    if (!['MODIVO', 'LPP', 'INPOST'].includes(orderData.storeId)) {
-      throw new ApiError(`Nieprawidłowy storeId: ${orderData.storeId} – musi być MODIVO/LPP/INPOST`, 400);
+    const targetStore = db.stores.find(s => s.storeId === orderData.storeId);
+    if (!targetStore || targetStore.status !== 'ACTIVE') {
+      throw new ApiError(`Nieprawidłowy storeId: ${orderData.storeId} – sklep nie istnieje w rejestrze lub jest wyłączony`, 400);
     }
-    if (mockDatabase.orders.find(o => o.orderId === orderData.orderId)) {
+    if (db.orders.find(o => o.orderId === orderData.orderId)) {
       throw new ApiError(`Duplikat orderId: ${orderData.orderId} już istnieje`, 409);
     }
-    if (!['READY_FOR_PICKUP', 'PICKED_UP', 'RETURN_PENDING'].includes(orderData.status)) {
-      throw new ApiError(`Nieprawidłowy status: ${orderData.status}`, 400);
-    }
 
     // Waliduj products (każdy ma name i price)
     for (const p of orderData.products) {
@@ -172,23 +498,20 @@ const DB = {
       }
     }
 
-    const newOrder = {
+    // Warunki zamówienia = polityka merchanta z chwili utworzenia (późniejsze zmiany polityki go nie dotyczą)
+    const merchantPolicy = db.policies.find(p => p.merchantId === targetStore.merchantId) || null;
+    const newOrder = OrderLifecycle.initialize({
       ...orderData,
-      createdAt: moment().toISOString(),
-      pickupDeadline: orderData.status === 'READY_FOR_PICKUP' 
-        ? moment().add(7, 'days').format('YYYY-MM-DD')  // Domyślnie 7 dni
-        : null,
-      pickupTime: orderData.status === 'PICKED_UP' ? moment().toISOString() : null,
-      maxTime: orderData.status === 'PICKED_UP' 
-        ? moment().add(14, 'days').valueOf()  // 14 dni na zwrot
-        : null
-    };
+      merchantId: targetStore.merchantId,
+      createdAt: moment().toISOString()
+    }, { ...context, policy: merchantPolicy });  // Rzuca ApiError 400 dla niedozwolonego statusu początkowego
 
-    mockDatabase.orders.push(newOrder);
-    // Opcjonalnie: saveToFile();
+    db.orders.push(newOrder);
+    persist();
     
     // Log
     console.log(`[${moment().toISOString()}] DB: Utworzono zamówienie ${newOrder.orderId} dla ${newOrder.userId} (status: ${newOrder.status})`);
+    Events.publish(Events.EVENT_TYPES.ORDER_CREATED, newOrder); // Webhook merchanta, powiadomienie klienta
     
     return newOrder;
   },
@@ -197,40 +520,31 @@ const DB = {
   // FUNKCJA 3: AKTUALIZACJA STATUSU ZAMÓWIENIA
   // ============================================
   /**
-   * Aktualizuje status zamówienia i ustawia maxTime (dla PICKED_UP).
+   * Aktualizuje status zamówienia przez maszynę stanów (order_lifecycle.js):
+   * guard przejścia, efekty (pickupTime, maxTime, returnTime) i wpis w order.history.
    * 
    * @param {string} orderId - Unikalne ID zamówienia
-   * @param {string} newStatus - Nowy status (READY_FOR_PICKUP, PICKED_UP, RETURN_PENDING, RETURNED_PENDING_REFUND)
+   * @param {string} newStatus - Nowy status (patrz OrderLifecycle.ORDER_STATUSES)
+   * @param {object} [context] - Kontekst przejścia: { actor, scannerId, reason }
    * @returns {boolean} true jeśli zaktualizowano
-   * @throws {ApiError} Jeśli orderId nie istnieje lub niepoprawny status
-   * @example DB.updateOrderStatus('ORD-1001', 'PICKED_UP')
+   * @throws {ApiError} 404 jeśli orderId nie istnieje, 400/409 jeśli przejście niedozwolone
+   * @example DB.updateOrderStatus('ORD-1001', 'PICKED_UP', { actor: 'scanner:MODIVO', scannerId: 'MODIVO' })
    */
-  updateOrderStatus: (orderId, newStatus) => {
+  updateOrderStatus: (orderId, newStatus, context = {}) => {
     if (!orderId || typeof orderId !== 'string' || orderId.length < 3) {
       throw new ApiError('Nieprawidłowy orderId – min 3 znaki', 400);
     }
-    if (!['READY_FOR_PICKUP', 'PICKED_UP', 'RETURN_PENDING', 'RETURNED_PENDING_REFUND'].includes(newStatus)) {
-      throw new ApiError(`Nieprawidłowy status: ${newStatus}`, 400);
-    }
 
-    const orderIndex = mockDatabase.orders.findIndex(o => o.orderId === orderId);
+    const orderIndex = db.orders.findIndex(o => o.orderId === orderId);
     if (orderIndex === -1) {
       throw new ApiError(`Zamówienie ${orderId} nie istnieje`, 404);
     }
 
-    const order = mockDatabase.orders[orderIndex];
-    order.status = newStatus;
+    const order = db.orders[orderIndex];
+    OrderLifecycle.transition(order, newStatus, context);
     order.updatedAt = moment().toISOString();
 
-    if (newStatus === 'PICKED_UP') {
-      order.pickupTime = moment().toISOString();
-      order.maxTime = moment().add(14, 'days').valueOf();  // Okno zwrotu
-    } else if (newStatus === 'RETURN_PENDING' || newStatus === 'RETURNED_PENDING_REFUND') {
-      order.returnTime = moment().toISOString();
-      order.maxTime = null;  // Po zwrocie reset
-    }
-
-    // Opcjonalnie: saveToFile();
+    persist();
     
     // Log
     console.log(`[${moment().toISOString()}] DB: Zaktualizowano ${orderId} na ${newStatus} (user: ${order.userId})`);
@@ -238,6 +552,37 @@ const DB = {
     return true;
   },
 
+  // ============================================
+  // FUNKCJA 3B: ZWROT PRODUKTÓW (CAŁOŚĆ LUB CZĘŚĆ)
+  // ============================================
+  /**
+   * Rejestruje zwrot wybranych produktów przez maszynę stanów (OrderLifecycle.applyReturn):
+   * products[].state = RETURNED, wpis w order.returns z kwotą refundu, przejście statusu.
+   * 
+   * @param {string} orderId - ID zamówienia
+   * @param {number[]} [itemIndices] - Indeksy products[]; brak = wszystkie niezwrócone
+   * @param {object} [context] - Kontekst przejścia: { actor, scannerId, inspection? }
+   * @returns {object} Wpis zwrotu { returnId, items, refundAmount, scannerId, at, inspection }
+   * @throws {ApiError} 404 jeśli orderId nie istnieje, 409 jeśli zwrot niedozwolony
+   * @example DB.recordReturn('ORD-1002', [0], { actor: 'scanner:LPP', scannerId: 'LPP' })
+   */
+  recordReturn: (orderId, itemIndices, context = {}) => {
+    const order = db.orders.find(o => o.orderId === orderId);
+    if (!order) {
+      throw new ApiError(`Zamówienie ${orderId} nie istnieje`, 404);
+    }
+
+    const entry = OrderLifecycle.applyReturn(order, itemIndices, context);
+    order.updatedAt = moment().toISOString();
+
+    persist();
+
+    // Log
+    console.log(`[${moment().toISOString()}] DB: Zwrot ${entry.returnId} – produkty [${entry.items.join(', ')}], ${entry.refundAmount} PLN (status: ${order.status})`);
+
+    return entry;
+  },
+
   // ============================================
   // FUNKCJA 4: DODAWANIE KODU GOŚCINNEGO (PIN/QR)
   // ============================================
@@ -248,11 +593,12 @@ const DB = {
    * @param {string} orderId - Powiązane zamówienie
    * @param {number} expiresAt - Timestamp expiry (ms)
    * @param {string} userId - Email użytkownika (dla traceability)
+   * @param {object} [extra] - Dodatkowe pola kodu (np. codeId, rotationSecret z qr_tokens.js)
    * @returns {void}
-   * @throws {ApiError} Jeśli parametry niepoprawne lub expiry < now
+   * @throws {ApiError} Jeśli parametry niepoprawne lub expiry < now, 409 jeśli PIN należy do innego zapisanego kodu
    * @example DB.addGuestCode('123456', 'ORD-1001', now() + 3600000, 'wojtek@corelay.pl')
    */
-  addGuestCode: (code, orderId, expiresAt, userId) => {
+  addGuestCode: (code, orderId, expiresAt, userId, extra = {}) => {
     if (!code || typeof code !== 'string' || code.length < 4) {
       throw new ApiError('Nieprawidłowy code – min 4 znaki', 400);
     }
@@ -262,21 +608,38 @@ const DB = {
     if (expiresAt <= now()) {
       throw new ApiError('Expiry musi być w przyszłości', 400);
     }
+    if (DB.isGuestCodeTaken(code, orderId)) {
+      throw new ApiError('PIN należy już do innego kodu – wygeneruj nowy', 409);
+    }
 
     // Usuń stary kod dla tego orderId (one-per-order)
     DB.removeGuestCode(orderId);
 
-    mockDatabase.guestCodes.push({
+    db.guestCodes.push({
+      ...extra,
       code,
       orderId,
       userId,
       expiresAt
     });
+    persist();
 
     // Log
     console.log(`[${moment().toISOString()}] DB: Dodano guest code ${code} dla ${orderId} (user: ${userId}, expires: ${moment(expiresAt).format('YYYY-MM-DD HH:mm:ss')})`);
   },
 
+  /**
+   * Helper: Czy PIN należy do zapisanego kodu (także wygasłego, jeszcze nieusuniętego) – validateGuestCode
+   * szuka po samym PIN-ie, więc dwa kody z tym samym PIN-em są niedozwolone.
+   *
+   * @param {string} code - PIN
+   * @param {string} [exceptOrderId] - Kod, który i tak zostanie zastąpiony (one-per-order)
+   * @returns {boolean} true jeśli PIN jest zajęty
+   */
+  isGuestCodeTaken: (code, exceptOrderId = null) => {
+    return db.guestCodes.some(c => c.code === code && c.orderId !== exceptOrderId);
+  },
+
   // ============================================
   // FUNKCJA 5: USUWANIE KODU GOŚCINNEGO
   // ============================================
@@ -288,11 +651,12 @@ const DB = {
    * @example DB.removeGuestCode('ORD-1001')
    */
   removeGuestCode: (orderId) => {
-    const beforeCount = mockDatabase.guestCodes.length;
-    mockDatabase.guestCodes = mockDatabase.guestCodes.filter(c => c.orderId !== orderId);
-    const removed = beforeCount - mockDatabase.guestCodes.length;
+    const beforeCount = db.guestCodes.length;
+    db.guestCodes = db.guestCodes.filter(c => c.orderId !== orderId);
+    const removed = beforeCount - db.guestCodes.length;
     
     if (removed > 0) {
+      persist();
       console.log(`[${moment().toISOString()}] DB: Usunięto guest code dla ${orderId}`);
     }
     
@@ -304,19 +668,22 @@ const DB = {
   // ============================================
   /**
    * Sprawdza ważność guest code i usuwa po użyciu (one-time).
+   * Z { consume: false } kod zostaje – zużyj go removeGuestCode po udanej transakcji
+   * (nieudana próba, np. w złym sklepie, nie może spalić kodu klienta).
    * 
    * @param {string} code - PIN/QR do walidacji
+   * @param {object} [options] - { consume (domyślnie true) }
    * @returns {object|null} Dane kodu (z orderId, userId, expiresAt) lub null (invalid/expired)
    * @throws {ApiError} Jeśli code niepoprawny
    * @example const codeData = DB.validateGuestCode('123456'); // {code, orderId, userId, expiresAt}
    */
-  validateGuestCode: (code) => {
+  validateGuestCode: (code, { consume = true } = {}) => {
     if (!code || typeof code !== 'string') {
       throw new ApiError('Nieprawidłowy code – musi być string', 400);
     }
 
     const nowTime = now();
-    const codeEntry = mockDatabase.guestCodes.find(c => c.code === code.trim());
+    const codeEntry = db.guestCodes.find(c => c.code === code.trim());
     
     if (!codeEntry) {
       throw new ApiError('Kod gościnny nie istnieje', 404);
@@ -328,19 +695,83 @@ const DB = {
     }
 
     // Użyty – usuń (one-time)
-    DB.removeGuestCode(codeEntry.orderId);
+    if (consume) {
+      DB.removeGuestCode(codeEntry.orderId);
+    }
     
     // Log
-    console.log(`[${moment().toISOString()}] DB: Zweryfikowano i usunięto code ${code} dla ${codeEntry.orderId} (user: ${codeEntry.userId})`);
+    console.log(`[${moment().toISOString()}] DB: Zweryfikowano${consume ? ' i usunięto' : ''} code ${code} dla ${codeEntry.orderId} (user: ${codeEntry.userId})`);
     
     return {
       code: codeEntry.code,
+      codeId: codeEntry.codeId || null,
+      purpose: codeEntry.purpose || null,
+      items: codeEntry.items || null,
+      delegation: codeEntry.delegation || null,
       orderId: codeEntry.orderId,
       userId: codeEntry.userId,
       expiresAt: codeEntry.expiresAt
     };
   },
 
+  // ============================================
+  // HELPER: POBRANIE KODU GOŚCINNEGO PO codeId (BEZ ZUŻYCIA)
+  // ============================================
+  /**
+   * Helper: Pobiera aktywny guest code po codeId – dla podpisanych tokenów QR (qr_tokens.js).
+   * Nie usuwa kodu – zużycie następuje dopiero po udanej transakcji (removeGuestCode).
+   * 
+   * @param {string} codeId - ID kodu z payloadu tokenu
+   * @returns {object|null} Kod lub null (nie istnieje / zużyty / unieważniony)
+   */
+  getGuestCodeById: (codeId) => {
+    return db.guestCodes.find(c => c.codeId && c.codeId === codeId) || null;
+  },
+
+  /**
+   * Helper: Pobiera aktywny guest code po orderId (kod zbiorczy – po bundleId) bez zużycia.
+   * 
+   * @param {string} orderId - ID zamówienia lub kodu zbiorczego (CA-...)
+   * @returns {object|null} Kod lub null
+   */
+  getGuestCodeByOrderId: (orderId) => {
+    return db.guestCodes.find(c => c.orderId === orderId) || null;
+  },
+
+  /**
+   * Helper: Pobiera aktywny guest code zarezerwowany podglądem skanu (codeEntry.preview.token) bez zużycia.
+   *
+   * @param {string} previewToken - Token podglądu (PV-...)
+   * @returns {object|null} Kod lub null
+   */
+  getGuestCodeByPreviewToken: (previewToken) => {
+    return db.guestCodes.find(c => c.preview && c.preview.token === previewToken) || null;
+  },
+
+  /**
+   * Helper: Aktywne kody obejmujące zamówienie – własny kod, kody pełnomocników (klucz DLG-..., delegation.orderId)
+   * i kody zbiorcze (klucz CA-..., bundle.orders).
+   *
+   * @param {string} orderId - ID zamówienia
+   * @returns {array} Kody (pole orderId = klucz kodu: orderId / delegationId / bundleId)
+   */
+  getOrderCodes: (orderId) => {
+    return db.guestCodes.filter(c => c.orderId === orderId ||
+      (c.delegation && c.delegation.orderId === orderId) ||
+      (c.bundle && c.bundle.orders.some(entry => entry.orderId === orderId)));
+  },
+
+  /**
+   * Helper: Usuwa wszystkie aktywne kody obejmujące zamówienie (getOrderCodes) – kod zbiorczy przestaje
+   * działać w całości, klient wygeneruje nowy.
+   *
+   * @param {string} orderId - ID zamówienia
+   * @returns {number} Liczba usuniętych kodów
+   */
+  removeOrderCodes: (orderId) => {
+    return DB.getOrderCodes(orderId).reduce((removed, c) => removed + DB.removeGuestCode(c.orderId), 0);
+  },
+
   // ============================================
   // HELPER: POBRANIE ZAMÓWIENIA PO ID
   // ============================================
@@ -351,37 +782,76 @@ const DB = {
    * @returns {object|null} Zamówienie lub null
    */
   getOrderById: (orderId) => {
-    return mockDatabase.orders.find(o => o.orderId === orderId) || null;
+    return db.orders.find(o => o.orderId === orderId) || null;
   },
 
   // ============================================
-  // HELPER: CZYSZCZENIE EXPIRED KODÓW (CRON-LIKE, WYWOŁUJ OKAZJONALNIE)
+  // HELPER: CZYSZCZENIE EXPIRED KODÓW (JOB PURGE_GUEST_CODES W SCHEDULER.JS)
   // ============================================
   /**
    * Czyści wygasłe guest codes (dla performance).
    * 
+   * @param {number} [nowMs] - Czas odniesienia (domyślnie teraz – scheduler podaje swój zegar)
    * @returns {number} Liczba usuniętych
    */
-  cleanupExpiredCodes: () => {
-    const nowTime = now();
-    const before = mockDatabase.guestCodes.length;
-    mockDatabase.guestCodes = mockDatabase.guestCodes.filter(c => c.expiresAt > nowTime);
-    const cleaned = before - mockDatabase.guestCodes.length;
+  cleanupExpiredCodes: (nowMs = now()) => {
+    const nowTime = nowMs;
+    const before = db.guestCodes.length;
+    db.guestCodes = db.guestCodes.filter(c => c.expiresAt > nowTime);
+    const cleaned = before - db.guestCodes.length;
     
     if (cleaned > 0) {
+      persist();
       console.log(`[${moment().toISOString()}] DB: Wyczyszczono ${cleaned} wygasłych kodów`);
     }
     
     return cleaned;
-  }
+  },
 
-};
+  // ============================================
+  // HELPER: DOSTĘP DO KOLEKCJI (DLA MODUŁÓW SUBSYSTEMÓW)
+  // ============================================
+  /**
+   * Zwraca kolekcję magazynu dla modułów z własnym modelem danych (np. signingKeys w qr_tokens.js).
+   * Kolekcja musi być założona migracją (MIGRATIONS). Po zmianach wywołaj DB.persist().
+   * 
+   * @param {string} name - Nazwa kolekcji
+   * @returns {array} Kolekcja (referencja – mutowalna)
+   * @throws {Error} Jeśli kolekcja nie istnieje (brak migracji)
+   */
+  getCollection: (name) => {
+    if (!Array.isArray(db[name])) {
+      throw new Error(`[DB] Kolekcja ${name} nie istnieje – dodaj migrację`);
+    }
+    return db[name];
+  },
 
-// Inicjalizacja: Opcjonalnie wyczyść na starcie
-DB.cleanupExpiredCodes();
+  /**
+   * Zapisuje stan bazy na dysk – po zmianach w kolekcjach z getCollection.
+   * 
+   * @returns {void}
+   */
+  persist: () => persist(),
+
+  /**
+   * Wykonuje wiele zmian z jednym zapisem na dysk na końcu (np. import setek zamówień).
+   * Zapis następuje także, gdy fn rzuci wyjątek – zmiany wykonane do tego momentu nie giną.
+   * 
+   * @param {function} fn - Operacje na DB
+   * @returns {*} Wynik fn
+   * @example const results = DB.batchWrites(() => orders.map(o => DB.createOrder(o)));
+   */
+  batchWrites: (fn) => {
+    batchDepth++;
+    try {
+      return fn();
+    } finally {
+      batchDepth--;
+      persist();
+    }
+  }
 
-// Opcjonalnie: Zapisz sample do file na init (dla backup)
-// saveToFile();
+};
 
 // ============================================
 // EKSPORT MODUŁU
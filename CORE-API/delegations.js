@@ -0,0 +1,276 @@
+'use strict';
+
+/**
+ * delegations.js - Odbiór przez pełnomocnika (partner, sąsiad, kurier)
+ *
+ * Właściciel zamówienia wskazuje odbiorcę (imię + e-mail lub telefon) dla konkretnej paczki.
+ * Odbiorca dostaje WŁASNY, jednorazowy kod z ograniczonym zakresem: tylko odbiór, bez zwrotów
+ * (CorelayLogic.generateDelegatedCode – kod zapisany pod delegationId, cel DELEGATED_PICKUP).
+ *
+ * Ten moduł prowadzi rejestr upoważnień (kolekcja `delegations`):
+ * - status ACTIVE → USED (odbiór kodem pełnomocnika) | REVOKED (właściciel odwołał) | CLOSED (paczkę odebrał ktoś inny),
+ *   ACTIVE po expiresAt raportowany jako EXPIRED,
+ * - każda zmiana trafia do order.history (OrderLifecycle.recordEvent – bez zmiany statusu zamówienia),
+ * - kod trafia do odbiorcy przez outbox (e-mail lub SMS) – PIN nie jest zwracany właścicielowi.
+ *
+ * @module Delegations
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const moment = require('moment');
+const DB = require('./database');
+const OrderLifecycle = require('./order_lifecycle');
+const Outbox = require('./outbox');
+const { ApiError } = require('./errors');
+
+// ============================================
+// KONSTANTY
+// ============================================
+
+/**
+ * Statusy upoważnienia (EXPIRED wyliczany przy odczycie z ACTIVE + expiresAt).
+ * @constant
+ */
+const DELEGATION_STATUSES = {
+  ACTIVE: 'ACTIVE',
+  USED: 'USED',
+  REVOKED: 'REVOKED',
+  CLOSED: 'CLOSED',
+  EXPIRED: 'EXPIRED'
+};
+
+/**
+ * Ważność kodu pełnomocnika (godziny): domyślna i maksymalna – zawsze najpóźniej do końca dnia pickupDeadline.
+ * @constant
+ */
+const DEFAULT_VALID_HOURS = 24;
+const MAX_VALID_HOURS = 72;
+
+const delegationsCollection = () => DB.getCollection('delegations');
+
+/**
+ * Etykieta odbiorcy do komunikatów i historii: "Anna Kowalska (anna@example.com)".
+ * @private
+ */
+const recipientLabel = (recipient) => `${recipient.name} (${recipient.email || recipient.phone})`;
+
+/**
+ * Widok upoważnienia – ACTIVE po terminie raportowany jako EXPIRED.
+ * @private
+ */
+const view = (delegation, nowMs = moment().valueOf()) => ({
+  ...delegation,
+  status: delegation.status === DELEGATION_STATUSES.ACTIVE && moment(delegation.expiresAt).valueOf() < nowMs
+    ? DELEGATION_STATUSES.EXPIRED
+    : delegation.status
+});
+
+/**
+ * Wpis w historii zamówienia (bez zmiany statusu).
+ * @private
+ */
+const recordInHistory = (orderId, context) => {
+  const order = DB.getOrderById(orderId);
+  if (order) {
+    OrderLifecycle.recordEvent(order, context);
+  }
+};
+
+// ============================================
+// GŁÓWNY OBIEKT
+// ============================================
+
+const Delegations = {
+
+  DELEGATION_STATUSES,
+  DEFAULT_VALID_HOURS,
+  MAX_VALID_HOURS,
+
+  recipientLabel,
+
+  /**
+   * Zakłada upoważnienie (bez kodu – kod wydaje CorelayLogic.generateDelegatedCode).
+   * Na zamówienie przypada najwyżej jedno aktywne upoważnienie.
+   *
+   * @param {object} order - Zamówienie READY_FOR_PICKUP należące do właściciela
+   * @param {object} recipient - { name, email? , phone? } (e-mail albo telefon)
+   * @param {object} [options] - { validHours (domyślnie DEFAULT_VALID_HOURS) }
+   * @returns {object} Upoważnienie { delegationId, orderId, userId, storeId, recipient, status, expiresAt, createdAt }
+   * @throws {ApiError} 400 zamówienie nie czeka na odbiór, 409 aktywne upoważnienie już istnieje
+   * @example Delegations.create(order, { name: 'Anna Kowalska', email: 'anna@example.com' }, { validHours: 12 })
+   */
+  create: (order, recipient, { validHours = DEFAULT_VALID_HOURS } = {}) => {
+    if (order.status !== OrderLifecycle.ORDER_STATUSES.READY_FOR_PICKUP) {
+      throw new ApiError(`Upoważnić do odbioru można tylko paczkę gotową do odbioru (status ${order.status})`, 400);
+    }
+    const check = OrderLifecycle.canTransition(order, OrderLifecycle.ORDER_STATUSES.PICKED_UP);
+    if (!check.allowed) {
+      throw new ApiError(`Paczka nie kwalifikuje się do odbioru: ${check.reason}`, 400);
+    }
+    const active = Delegations.list({ orderId: order.orderId })
+      .find(d => d.status === DELEGATION_STATUSES.ACTIVE);
+    if (active) {
+      throw new ApiError(`Zamówienie ma już aktywne upoważnienie ${active.delegationId} – odwołaj je przed wskazaniem nowej osoby`, 409);
+    }
+
+    // Kod ważny validHours, ale nie dłużej niż termin odbioru paczki
+    const deadline = moment(order.pickupDeadline).endOf('day');
+    const expiresAt = moment.min(moment().add(Math.min(validHours, MAX_VALID_HOURS), 'hours'), deadline);
+
+    const delegation = {
+      delegationId: `DLG-${crypto.randomBytes(5).toString('hex').toUpperCase()}`,
+      orderId: order.orderId,
+      userId: order.userId,
+      storeId: order.storeId,
+      recipient: {
+        name: recipient.name,
+        email: recipient.email || null,
+        phone: recipient.phone || null
+      },
+      status: DELEGATION_STATUSES.ACTIVE,
+      expiresAt: expiresAt.toISOString(),
+      createdAt: moment().toISOString(),
+      messageId: null,
+      usedAt: null,
+      terminalId: null,
+      revokedAt: null
+    };
+    delegationsCollection().push(delegation);
+    recordInHistory(order.orderId, {
+      actor: `user:${order.userId}`,
+      reason: `Upoważnienie do odbioru ${delegation.delegationId}: ${recipientLabel(delegation.recipient)}, ważne do ${expiresAt.format('YYYY-MM-DD HH:mm')}`
+    });
+    DB.persist();
+    return view(delegation);
+  },
+
+  /**
+   * Wysyła kod odbiorcy (e-mail albo SMS przez outbox).
+   *
+   * @param {object} delegation - Upoważnienie z create()
+   * @param {object} code - Kod z CorelayLogic.generateGuestPin: { pin, expiresAt }
+   * @returns {object} Wiadomość z outbox
+   */
+  deliver: (delegation, code) => {
+    const stored = delegationsCollection().find(d => d.delegationId === delegation.delegationId);
+    const message = Outbox.send({
+      channel: delegation.recipient.email ? Outbox.CHANNELS.EMAIL : Outbox.CHANNELS.SMS,
+      to: delegation.recipient.email || delegation.recipient.phone,
+      subject: `Corelay – odbiór paczki ${delegation.orderId} w imieniu ${delegation.userId}`,
+      body: `${delegation.userId} upoważnia Cię do odbioru paczki ${delegation.orderId} w ${delegation.storeId}.\n` +
+        `Kod odbioru (PIN): ${code.pin} – podaj go przy kasie, ważny do ${moment(code.expiresAt).format('YYYY-MM-DD HH:mm')}.\n` +
+        'Kod jest jednorazowy i uprawnia tylko do odbioru. Przygotuj dokument ze zdjęciem.',
+      meta: { type: 'DELEGATED_PICKUP', delegationId: delegation.delegationId, orderId: delegation.orderId }
+    });
+    if (stored) {
+      stored.messageId = message.messageId;
+      DB.persist();
+    }
+    return message;
+  },
+
+  /**
+   * Upoważnienia (najnowsze pierwsze).
+   *
+   * @param {object} [filter] - { userId, orderId, status }
+   * @returns {array} Upoważnienia (status EXPIRED wyliczony)
+   */
+  list: ({ userId, orderId, status } = {}) => {
+    const nowMs = moment().valueOf();
+    return delegationsCollection()
+      .filter(d => (!userId || d.userId === userId) && (!orderId || d.orderId === orderId))
+      .map(d => view(d, nowMs))
+      .filter(d => !status || d.status === status)
+      .reverse();
+  },
+
+  /**
+   * Odwołuje aktywne upoważnienie właściciela – kod pełnomocnika przestaje działać.
+   *
+   * @param {string} userId - Właściciel zamówienia
+   * @param {string} delegationId - ID upoważnienia (DLG-...)
+   * @returns {object} Upoważnienie ze statusem REVOKED
+   * @throws {ApiError} 404 nie istnieje / cudze, 409 już nieaktywne
+   */
+  revoke: (userId, delegationId) => {
+    const delegation = delegationsCollection().find(d => d.delegationId === delegationId && d.userId === userId);
+    if (!delegation) {
+      throw new ApiError('Upoważnienie nie istnieje lub nie należy do użytkownika', 404);
+    }
+    if (view(delegation).status !== DELEGATION_STATUSES.ACTIVE) {
+      throw new ApiError(`Upoważnienie ma status ${view(delegation).status} – nie można go odwołać`, 409);
+    }
+
+    DB.removeGuestCode(delegationId);
+    delegation.status = DELEGATION_STATUSES.REVOKED;
+    delegation.revokedAt = moment().toISOString();
+    recordInHistory(delegation.orderId, {
+      actor: `user:${userId}`,
+      reason: `Odwołano upoważnienie do odbioru ${delegationId} (${recipientLabel(delegation.recipient)})`
+    });
+    DB.persist();
+    return view(delegation);
+  },
+
+  /**
+   * Odwołuje wszystkie aktywne upoważnienia zamówienia (back-office, anulowanie, zamówienie nie czeka już na odbiór) –
+   * kody pełnomocników przestają działać.
+   *
+   * @param {string} orderId - ID zamówienia
+   * @param {object} context - { actor, reason }
+   * @returns {number} Liczba odwołanych upoważnień
+   */
+  revokeForOrder: (orderId, { actor, reason }) => {
+    const at = moment().toISOString();
+    const active = delegationsCollection()
+      .filter(d => d.orderId === orderId && d.status === DELEGATION_STATUSES.ACTIVE);
+    active.forEach(d => {
+      DB.removeGuestCode(d.delegationId);
+      d.status = DELEGATION_STATUSES.REVOKED;
+      d.revokedAt = at;
+    });
+    if (active.length > 0) {
+      recordInHistory(orderId, {
+        actor,
+        reason: `Odwołano upoważnienia do odbioru ${active.map(d => d.delegationId).join(', ')}: ${reason}`
+      });
+      DB.persist();
+    }
+    return active.length;
+  },
+
+  /**
+   * Zamyka upoważnienia zamówienia po odbiorze: użyte → USED, pozostałe aktywne → CLOSED (ich kody usuwane).
+   * Wywoływane z CorelayLogic._finalizeTransaction (wpis historii odbioru powstaje w maszynie stanów).
+   *
+   * @param {string} orderId - Odebrane zamówienie
+   * @param {object} terminal - { terminalId, storeId }
+   * @param {string|null} [usedDelegationId] - Upoważnienie, którego kodem odebrano paczkę
+   * @returns {void}
+   */
+  settlePickup: (orderId, terminal, usedDelegationId = null) => {
+    const at = moment().toISOString();
+    delegationsCollection()
+      .filter(d => d.orderId === orderId && d.status === DELEGATION_STATUSES.ACTIVE)
+      .forEach(d => {
+        DB.removeGuestCode(d.delegationId);
+        d.status = d.delegationId === usedDelegationId ? DELEGATION_STATUSES.USED : DELEGATION_STATUSES.CLOSED;
+        if (d.status === DELEGATION_STATUSES.USED) {
+          d.usedAt = at;
+          d.terminalId = terminal.terminalId;
+        }
+      });
+    DB.persist();
+  }
+
+};
+
+// ============================================
+// EKSPORT MODUŁU
+// ============================================
+
+/**
+ * Eksport Delegations – użyj: const Delegations = require('./delegations');
+ */
+module.exports = Delegations;
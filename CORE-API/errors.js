@@ -0,0 +1,30 @@
+'use strict';
+
+/**
+ * errors.js - Wspólna klasa błędów API Corelay
+ *
+ * Wydzielona z server.js, żeby database.js i corelay_logic.js nie musiały
+ * importować serwera (cykliczny require zwracał pusty obiekt zamiast ApiError).
+ *
+ * @module Errors
+ * @version 1.0.0
+ */
+
+/**
+ * Błąd API z kodem HTTP – obsługiwany przez globalny handler w server.js.
+ * Opcjonalny reason (kod odmowy, np. WRONG_STORE) trafia do odpowiedzi – terminale rozróżniają po nim ekran.
+ *
+ * @example throw new ApiError('Zamówienie nie istnieje', 404);
+ * @example throw new ApiError('Kod dotyczy innego sklepu', 400, 'WRONG_STORE');
+ */
+class ApiError extends Error {
+  constructor(message, status = 400, reason = null) {
+    super(message);
+    this.status = status;
+    this.reason = reason;
+    this.name = 'ApiError';
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+module.exports = { ApiError };
@@ -0,0 +1,118 @@
+'use strict';
+
+/**
+ * events.js - Zdarzenia domenowe Corelay (szyna wewnątrz procesu)
+ *
+ * Moduły biznesowe publikują zdarzenia (odbiór, zwrot, refund, zmiany zamówień merchanta, joby schedulera),
+ * a subskrybenci (np. webhooks.js) reagują na nie bez wiązania logiki transakcji z kanałami
+ * powiadomień. Subskrybenci są wywoływani synchronicznie; błąd subskrybenta jest logowany
+ * i nie przerywa transakcji, która zdarzenie opublikowała.
+ *
+ * @module Events
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const moment = require('moment');
+
+// ============================================
+// KONSTANTY
+// ============================================
+
+/**
+ * Typy zdarzeń (nazwy używane też w subskrypcjach webhooków merchantów).
+ * @constant
+ */
+const EVENT_TYPES = {
+  ORDER_CREATED: 'order.created',
+  ORDER_UPDATED: 'order.updated',
+  ORDER_CANCELLED: 'order.cancelled',
+  ORDER_PICKED_UP: 'order.picked_up',
+  ORDER_RETURNED: 'order.returned',
+  ORDER_EXPIRED: 'order.expired', // Nieodebrana w terminie → EXPIRED_RETURN_TO_SENDER (scheduler.js)
+  ORDER_COMPLETED: 'order.completed', // Okno zwrotu zamknięte → COMPLETED (scheduler.js)
+  REFUND_COMPLETED: 'refund.completed',
+  REFUND_FAILED: 'refund.failed'
+};
+
+const listeners = [];
+
+/**
+ * Publiczny widok zamówienia w zdarzeniu (bez historii i kodów).
+ * @private
+ */
+const orderSnapshot = (order) => ({
+  orderId: order.orderId,
+  merchantId: order.merchantId || null,
+  storeId: order.storeId,
+  userId: order.userId,
+  status: order.status,
+  products: order.products,
+  pickupDeadline: order.pickupDeadline || null,
+  pickupTime: order.pickupTime || null,
+  maxTime: order.maxTime || null,
+  expiredAt: order.expiredAt || null,
+  completedAt: order.completedAt || null
+});
+
+// ============================================
+// GŁÓWNY OBIEKT
+// ============================================
+
+const Events = {
+
+  EVENT_TYPES,
+
+  /**
+   * Publikuje zdarzenie dotyczące zamówienia.
+   *
+   * @param {string} type - Typ z EVENT_TYPES
+   * @param {object} order - Zamówienie (stan PO zmianie)
+   * @param {object} [data] - Szczegóły zdarzenia (np. { returnId, refundAmount })
+   * @returns {object} Zdarzenie { eventId, type, occurredAt, merchantId, orderId, data: { order, ...data } }
+   * @example Events.publish(Events.EVENT_TYPES.ORDER_PICKED_UP, order, { terminalId: 'LPP-SIM-1' })
+   */
+  publish: (type, order, data = {}) => {
+    const event = {
+      eventId: `EVT-${crypto.randomBytes(8).toString('hex')}`,
+      type,
+      occurredAt: moment().toISOString(),
+      merchantId: order.merchantId || null,
+      orderId: order.orderId,
+      data: { order: orderSnapshot(order), ...data }
+    };
+
+    for (const listener of listeners.slice()) {
+      try {
+        listener(event);
+      } catch (err) {
+        console.error(`[Events] Błąd subskrybenta ${type} (${event.orderId}):`, err.message);
+      }
+    }
+    return event;
+  },
+
+  /**
+   * Rejestruje subskrybenta wszystkich zdarzeń.
+   *
+   * @param {function} listener - (event) => void
+   * @returns {function} Funkcja wypisująca subskrybenta
+   */
+  subscribe: (listener) => {
+    listeners.push(listener);
+    return () => {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    };
+  }
+
+};
+
+// ============================================
+// EKSPORT MODUŁU
+// ============================================
+
+/**
+ * Eksport Events – użyj: const Events = require('./events');
+ */
+module.exports = Events;
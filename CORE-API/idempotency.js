@@ -0,0 +1,116 @@
+'use strict';
+
+/**
+ * idempotency.js - Obsługa nagłówka Idempotency-Key (API integracji merchantów)
+ *
+ * Systemy merchantów ponawiają zapytania po timeoucie. Pierwsza odpowiedź (status < 500)
+ * jest zapisywana pod kluczem (merchant + Idempotency-Key) na KEY_TTL_HOURS; ponowienie
+ * z tym samym kluczem i tym samym body dostaje zapisaną odpowiedź zamiast 409 za duplikat.
+ * Ten sam klucz z innym body/ścieżką = błąd 422 (klucz użyty do innej operacji).
+ *
+ * @module Idempotency
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const moment = require('moment');
+const DB = require('./database');
+const { ApiError } = require('./errors');
+
+// ============================================
+// KONSTANTY
+// ============================================
+
+/**
+ * Jak długo pamiętamy odpowiedź dla klucza (godziny).
+ * @constant
+ */
+const KEY_TTL_HOURS = 24;
+
+/**
+ * Dozwolony format klucza (UUID, ULID, własne ID merchanta).
+ * @constant
+ */
+const KEY_PATTERN = /^[A-Za-z0-9_:.-]{8,128}$/;
+
+const keys = () => DB.getCollection('idempotencyKeys');
+
+/**
+ * Odcisk zapytania: metoda + ścieżka + body (kolejność kluczy JSON ma znaczenie – tak jak wysłał merchant).
+ * @private
+ */
+const fingerprint = (method, path, body) => crypto
+  .createHash('sha256')
+  .update(`${method} ${path}\n${JSON.stringify(body || {})}`)
+  .digest('hex');
+
+// ============================================
+// GŁÓWNY OBIEKT
+// ============================================
+
+const Idempotency = {
+
+  KEY_TTL_HOURS,
+
+  /**
+   * Sprawdza klucz przed wykonaniem operacji.
+   *
+   * @param {string} scope - Właściciel klucza (np. merchantId)
+   * @param {string} key - Wartość nagłówka Idempotency-Key
+   * @param {object} request - { method, path, body }
+   * @returns {object|null} Zapisana odpowiedź { statusCode, body } do powtórzenia lub null (wykonaj operację)
+   * @throws {ApiError} 400 dla złego formatu klucza, 422 jeśli klucz użyto do innego zapytania
+   */
+  lookup: (scope, key, { method, path, body }) => {
+    if (!KEY_PATTERN.test(key)) {
+      throw new ApiError('Nieprawidłowy Idempotency-Key – 8–128 znaków [A-Za-z0-9_:.-]', 400);
+    }
+    const nowMs = moment().valueOf();
+    const entry = keys().find(k => k.scope === scope && k.key === key && k.expiresAt > nowMs);
+    if (!entry) return null;
+
+    if (entry.fingerprint !== fingerprint(method, path, body)) {
+      throw new ApiError(`Idempotency-Key ${key} został użyty dla innego zapytania (${entry.method} ${entry.path})`, 422);
+    }
+    return { statusCode: entry.statusCode, body: entry.response };
+  },
+
+  /**
+   * Zapisuje odpowiedź pod kluczem (tylko status < 500 – błędy serwera można ponowić).
+   *
+   * @param {string} scope - Właściciel klucza
+   * @param {string} key - Idempotency-Key
+   * @param {object} request - { method, path, body }
+   * @param {number} statusCode - Status HTTP odpowiedzi
+   * @param {object} response - Body odpowiedzi
+   * @returns {void}
+   */
+  store: (scope, key, { method, path, body }, statusCode, response) => {
+    if (statusCode >= 500) return;
+    const nowMs = moment().valueOf();
+    const collection = keys();
+    const active = collection.filter(k => k.expiresAt > nowMs && !(k.scope === scope && k.key === key));
+    collection.splice(0, collection.length, ...active, {
+      scope,
+      key,
+      method,
+      path,
+      fingerprint: fingerprint(method, path, body),
+      statusCode,
+      response,
+      createdAt: moment(nowMs).toISOString(),
+      expiresAt: moment(nowMs).add(KEY_TTL_HOURS, 'hours').valueOf()
+    });
+    DB.persist();
+  }
+
+};
+
+// ============================================
+// EKSPORT MODUŁU
+// ============================================
+
+/**
+ * Eksport Idempotency – użyj: const Idempotency = require('./idempotency');
+ */
+module.exports = Idempotency;
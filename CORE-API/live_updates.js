@@ -0,0 +1,240 @@
+'use strict';
+
+/**
+ * live_updates.js - Powiadomienia na żywo o zmianach zamówień (Server-Sent Events)
+ *
+ * Klient PWA i skaner sklepu trzymają otwarte połączenie GET (text/event-stream):
+ * - kanał USER (GET /api/user/stream) – zmiany zamówień zalogowanego klienta; po odbiorze PWA chowa QR
+ *   i pokazuje potwierdzenie "Paczka odebrana",
+ * - kanał STORE (GET /api/terminal/stream) – zamówienia przychodzące do sklepu terminala (utworzone,
+ *   zmienione, odebrane, wygasłe) oraz odbiory/zwroty zeskanowane w tym sklepie.
+ * Zdarzenia pochodzą z szyny events.js (ta sama, z której korzystają webhooki i powiadomienia).
+ *
+ * Każde zdarzenie SSE ma `id` = eventId – po zerwaniu połączenia klient wysyła Last-Event-ID
+ * i dostaje pominięte zdarzenia z bufora w pamięci (RECENT_BUFFER_SIZE). Co HEARTBEAT_INTERVAL_MS
+ * leci komentarz ":ping" (proxy nie zamykają połączenia) i ponowna autoryzacja – połączenie z wygasłym
+ * tokenem lub wyłączonego terminala jest zamykane (klient łączy się ponownie po odświeżeniu sesji).
+ *
+ * @module LiveUpdates
+ * @version 1.0.0
+ */
+
+const Events = require('./events');
+
+// ============================================
+// KONSTANTY
+// ============================================
+
+/**
+ * Kanały subskrypcji.
+ * @constant
+ */
+const CHANNELS = {
+  USER: 'user',
+  STORE: 'store'
+};
+
+/**
+ * Co ile wysyłamy heartbeat i sprawdzamy autoryzację połączeń (ms).
+ * @constant
+ */
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+/**
+ * Ile ostatnich zdarzeń trzymamy do odtworzenia po Last-Event-ID.
+ * @constant
+ */
+const RECENT_BUFFER_SIZE = 500;
+
+/**
+ * Maks. otwartych połączeń na jednego klienta/sklep – nadmiarowe (najstarsze) są zamykane.
+ * @constant
+ */
+const MAX_CONNECTIONS_PER_SUBJECT = 10;
+
+/**
+ * Sugerowany odstęp ponownego połączenia (pole `retry` SSE, ms).
+ * @constant
+ */
+const RECONNECT_DELAY_MS = 5000;
+
+const connections = new Set();
+const recent = [];
+let heartbeatTimer = null;
+
+/**
+ * Odbiorcy zdarzenia: klient zamówienia + sklep zamówienia + sklep skanu (np. odbiór w paczkomacie innej sieci).
+ * @private
+ */
+const recipientsOf = (event) => {
+  const { order, storeId } = event.data;
+  return {
+    userId: order.userId,
+    storeIds: [...new Set([order.storeId, storeId].filter(Boolean))]
+  };
+};
+
+/**
+ * Treść dla kanału: klient widzi swoje zamówienie, sklep – tylko dane potrzebne na zmianie (bez klienta i cen).
+ * @private
+ */
+const payloadFor = (channel, event) => {
+  const { order, ...details } = event.data;
+  const base = { eventId: event.eventId, type: event.type, occurredAt: event.occurredAt, orderId: event.orderId, status: order.status };
+  if (channel === CHANNELS.USER) {
+    return { ...base, order, details };
+  }
+  return {
+    ...base,
+    storeId: order.storeId,
+    merchantId: order.merchantId,
+    pickupDeadline: order.pickupDeadline,
+    pickupTime: order.pickupTime,
+    productsCount: order.products.length,
+    scanStoreId: details.storeId || null, // Sklep, w którym zeskanowano kod (odbiór/zwrot)
+    terminalId: details.terminalId || null
+  };
+};
+
+const matches = (connection, recipients) => (connection.channel === CHANNELS.USER
+  ? connection.subjectId === recipients.userId
+  : recipients.storeIds.includes(connection.subjectId));
+
+/**
+ * Zapis jednego zdarzenia SSE.
+ * @private
+ */
+const write = (connection, name, data, id = null) => {
+  connection.res.write(`${id ? `id: ${id}\n` : ''}event: ${name}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const close = (connection) => {
+  if (!connections.delete(connection)) return;
+  connection.res.end();
+  if (connections.size === 0 && heartbeatTimer) {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
+};
+
+/**
+ * Heartbeat + ponowna autoryzacja wszystkich połączeń.
+ * @private
+ */
+const heartbeat = () => {
+  for (const connection of [...connections]) {
+    if (!connection.authorize()) {
+      write(connection, 'unauthorized', { message: 'Sesja wygasła – połącz się ponownie' });
+      close(connection);
+    } else {
+      connection.res.write(':ping\n\n');
+    }
+  }
+};
+
+// ============================================
+// GŁÓWNY OBIEKT
+// ============================================
+
+const LiveUpdates = {
+
+  CHANNELS,
+
+  /**
+   * Otwiera strumień SSE dla klienta lub sklepu; odtwarza zdarzenia po Last-Event-ID.
+   *
+   * @param {object} req - Zapytanie Express (nagłówek Last-Event-ID, zdarzenie 'close')
+   * @param {object} res - Odpowiedź Express (zostaje otwarta)
+   * @param {object} subscription - { channel (CHANNELS), subjectId (userId / storeId), authorize: () => boolean }
+   * @returns {void}
+   * @example LiveUpdates.open(req, res, { channel: 'user', subjectId: req.user.userId, authorize: () => true })
+   */
+  open: (req, res, { channel, subjectId, authorize }) => {
+    res.status(200).set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Nginx/Render: bez buforowania odpowiedzi
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+    const connection = { channel, subjectId, authorize, res, openedAt: new Date().toISOString() };
+    const own = [...connections].filter(c => c.channel === channel && c.subjectId === subjectId);
+    if (own.length >= MAX_CONNECTIONS_PER_SUBJECT) {
+      close(own[0]);
+    }
+    connections.add(connection);
+    req.on('close', () => close(connection));
+
+    write(connection, 'ready', { channel, subjectId, heartbeatMs: HEARTBEAT_INTERVAL_MS });
+
+    // Pominięte zdarzenia (tylko gdy Last-Event-ID jest jeszcze w buforze)
+    const lastEventId = req.get('Last-Event-ID');
+    const lastIndex = lastEventId ? recent.findIndex(entry => entry.event.eventId === lastEventId) : -1;
+    if (lastIndex !== -1) {
+      recent.slice(lastIndex + 1)
+        .filter(entry => matches(connection, entry.recipients))
+        .forEach(entry => write(connection, 'order', payloadFor(channel, entry.event), entry.event.eventId));
+    }
+
+    if (!heartbeatTimer) {
+      heartbeatTimer = setInterval(heartbeat, HEARTBEAT_INTERVAL_MS);
+      heartbeatTimer.unref();
+    }
+  },
+
+  /**
+   * Subskrybent szyny zdarzeń: rozsyła zdarzenie do połączeń klienta i sklepów zamówienia.
+   *
+   * @param {object} event - Zdarzenie z Events.publish
+   * @returns {number} Liczba połączeń, do których wysłano zdarzenie
+   */
+  handleEvent: (event) => {
+    const recipients = recipientsOf(event);
+    recent.push({ event, recipients });
+    if (recent.length > RECENT_BUFFER_SIZE) {
+      recent.splice(0, recent.length - RECENT_BUFFER_SIZE);
+    }
+
+    let delivered = 0;
+    for (const connection of [...connections]) {
+      if (matches(connection, recipients)) {
+        write(connection, 'order', payloadFor(connection.channel, event), event.eventId);
+        delivered++;
+      }
+    }
+    return delivered;
+  },
+
+  /**
+   * Liczba otwartych połączeń per kanał (health check).
+   *
+   * @returns {object} { user, store }
+   */
+  stats: () => Object.values(CHANNELS).reduce((acc, channel) => ({
+    ...acc,
+    [channel]: [...connections].filter(c => c.channel === channel).length
+  }), {}),
+
+  /**
+   * Zamyka wszystkie strumienie (graceful shutdown – inaczej server.close() czeka na klientów).
+   *
+   * @returns {void}
+   */
+  closeAll: () => {
+    [...connections].forEach(close);
+  }
+
+};
+
+Events.subscribe(LiveUpdates.handleEvent);
+
+// ============================================
+// EKSPORT MODUŁU
+// ============================================
+
+/**
+ * Eksport LiveUpdates – użyj: const LiveUpdates = require('./live_updates');
+ */
+module.exports = LiveUpdates;
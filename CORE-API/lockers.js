@@ -0,0 +1,597 @@
+'use strict';
+
+/**
+ * lockers.js - Skrytki paczkomatów (punkty typu LOCKER w rejestrze, np. INPOST)
+ *
+ * Paczkomat ma skrytki w rozmiarach S / M / L (kolekcja `lockers`, układ domyślny DEFAULT_LAYOUT
+ * zakładany przy pierwszym użyciu). Stan skrytki:
+ * - FREE – pusta,
+ * - OCCUPIED – leży w niej paczka do odbioru (contents PICKUP) albo nadany zwrot czekający na kuriera (contents RETURN),
+ * - RESERVED – drzwi zarezerwowane dla zwrotu otwartego w podglądzie skanu (do reservedUntil),
+ * - OUT_OF_ORDER – wyłączona z użytku (awaria drzwi).
+ *
+ * Przydział (subskrybent events.js + job sync_lockers w scheduler.js):
+ * - zamówienie READY_FOR_PICKUP w paczkomacie dostaje najmniejszą wolną skrytkę mieszczącą paczkę,
+ *   a gdy takiej nie ma – trafia do kolejki (locker.queue) i dostaje skrytkę po zwolnieniu miejsca,
+ * - po odbiorze, anulowaniu, wygaśnięciu lub zmianie punktu skrytka jest zwalniana,
+ * - brak wolnych skrytek = paczkomat pełny (locker.full, fullSince).
+ * CorelayLogic przy odbiorze zwraca numer drzwi do otwarcia, a przy zwrocie zajmuje wolną skrytkę
+ * (zwolni ją kurier – collectReturns).
+ *
+ * @module Lockers
+ * @version 1.0.0
+ */
+
+const moment = require('moment');
+const DB = require('./database');
+const Events = require('./events');
+const OrderLifecycle = require('./order_lifecycle');
+const Registry = require('./registry');
+const { ApiError } = require('./errors');
+
+const { ORDER_STATUSES, ITEM_STATES } = OrderLifecycle;
+
+// ============================================
+// KONSTANTY
+// ============================================
+
+/**
+ * Rozmiary skrytek (od najmniejszej).
+ * @constant
+ */
+const COMPARTMENT_SIZES = ['S', 'M', 'L'];
+
+/**
+ * Stany skrytki.
+ * @constant
+ */
+const COMPARTMENT_STATES = {
+  FREE: 'FREE',
+  OCCUPIED: 'OCCUPIED',
+  RESERVED: 'RESERVED',
+  OUT_OF_ORDER: 'OUT_OF_ORDER'
+};
+
+/**
+ * Zawartość zajętej / zarezerwowanej skrytki.
+ * @constant
+ */
+const CONTENTS = {
+  PICKUP: 'PICKUP', // Paczka czeka na klienta
+  RETURN: 'RETURN' // Zwrot czeka na kuriera
+};
+
+/**
+ * Akcja skrytki w odpowiedzi skanu: otwórz do odbioru albo do nadania zwrotu.
+ * @constant
+ */
+const LOCKER_ACTIONS = {
+  PICKUP: 'PICKUP',
+  DROP_OFF: 'DROP_OFF'
+};
+
+/**
+ * Domyślny układ nowego paczkomatu (liczba skrytek per rozmiar).
+ * @constant
+ */
+const DEFAULT_LAYOUT = { S: 4, M: 4, L: 2 };
+
+/**
+ * Maksymalna liczba skrytek w paczkomacie (konfiguracja układu).
+ * @constant
+ */
+const MAX_COMPARTMENTS = 60;
+
+/**
+ * Rozmiar paczki z liczby produktów: do 1 → S, do 3 → M, więcej → L.
+ * @constant
+ */
+const PARCEL_SIZE_LIMITS = { S: 1, M: 3 };
+
+const SYSTEM_ACTOR = 'system:lockers';
+
+const lockersCollection = () => DB.getCollection('lockers');
+
+/**
+ * Rozmiar paczki dla liczby produktów.
+ * @private
+ */
+const parcelSize = (itemCount) => COMPARTMENT_SIZES.find(size => !PARCEL_SIZE_LIMITS[size] || itemCount <= PARCEL_SIZE_LIMITS[size]);
+
+/**
+ * Liczba produktów paczki do odbioru (bez anulowanych).
+ * @private
+ */
+const pickupItemCount = (order) => order.products.filter(p => (p.state || ITEM_STATES.KEPT) !== ITEM_STATES.CANCELLED).length;
+
+/**
+ * Skrytki z układu { S, M, L } – drzwi numerowane od 1, od najmniejszych.
+ * @private
+ */
+const buildCompartments = (layout) => COMPARTMENT_SIZES
+  .flatMap(size => Array.from({ length: layout[size] || 0 }, () => size))
+  .map((size, i) => ({ door: i + 1, size, ...emptyState(COMPARTMENT_STATES.FREE) }));
+
+/**
+ * Pola stanu pustej skrytki.
+ * @private
+ */
+const emptyState = (state) => ({
+  state,
+  contents: null,
+  orderId: null,
+  returnId: null,
+  reservedUntil: null,
+  since: moment().toISOString()
+});
+
+const free = (compartment) => Object.assign(compartment, emptyState(COMPARTMENT_STATES.FREE));
+
+/**
+ * Zwalnia rezerwacje po terminie (podgląd zwrotu wygasł bez potwierdzenia).
+ * @private
+ */
+const expireReservations = (locker, nowMs = moment().valueOf()) => {
+  locker.compartments
+    .filter(c => c.state === COMPARTMENT_STATES.RESERVED && c.reservedUntil < nowMs)
+    .forEach(free);
+};
+
+/**
+ * Najmniejsza wolna skrytka mieszcząca paczkę (przy równym rozmiarze – najniższe drzwi).
+ * @private
+ */
+const findFree = (locker, size) => {
+  const minRank = COMPARTMENT_SIZES.indexOf(size);
+  return locker.compartments
+    .filter(c => c.state === COMPARTMENT_STATES.FREE && COMPARTMENT_SIZES.indexOf(c.size) >= minRank)
+    .sort((a, b) => COMPARTMENT_SIZES.indexOf(a.size) - COMPARTMENT_SIZES.indexOf(b.size) || a.door - b.door)[0] || null;
+};
+
+/**
+ * Przelicza flagę "pełny" (brak wolnych skrytek) i znacznik aktualizacji.
+ * @private
+ */
+const refresh = (locker) => {
+  const full = !locker.compartments.some(c => c.state === COMPARTMENT_STATES.FREE);
+  if (full !== locker.full) {
+    locker.fullSince = full ? moment().toISOString() : null;
+    console.log(`[Lockers] ${locker.storeId}: ${full ? 'paczkomat PEŁNY' : 'są wolne skrytki'} (kolejka: ${locker.queue.length})`);
+  }
+  locker.full = full;
+  locker.updatedAt = moment().toISOString();
+};
+
+/**
+ * Wpis w historii zamówienia (bez zmiany statusu).
+ * @private
+ */
+const recordInHistory = (order, reason) => OrderLifecycle.recordEvent(order, { actor: SYSTEM_ACTOR, scannerId: order.storeId, reason });
+
+/**
+ * Umieszcza paczkę zamówienia w skrytce lub w kolejce, gdy brak miejsca.
+ * @private
+ * @returns {object|null} Skrytka lub null (zamówienie w kolejce)
+ */
+const place = (locker, order) => {
+  const size = parcelSize(pickupItemCount(order));
+  const compartment = findFree(locker, size);
+  if (!compartment) {
+    if (!locker.queue.some(q => q.orderId === order.orderId)) {
+      locker.queue.push({ orderId: order.orderId, size, since: moment().toISOString() });
+      recordInHistory(order, `Paczkomat ${locker.storeId} pełny – paczka (${size}) czeka na wolną skrytkę`);
+    }
+    return null;
+  }
+  Object.assign(compartment, {
+    state: COMPARTMENT_STATES.OCCUPIED,
+    contents: CONTENTS.PICKUP,
+    orderId: order.orderId,
+    returnId: null,
+    reservedUntil: null,
+    since: moment().toISOString()
+  });
+  locker.queue = locker.queue.filter(q => q.orderId !== order.orderId);
+  recordInHistory(order, `Paczka w skrytce nr ${compartment.door} (${compartment.size}) paczkomatu ${locker.storeId}`);
+  return compartment;
+};
+
+/**
+ * Przydziela zwolnione skrytki zamówieniom z kolejki (FIFO; paczka bez pasującej skrytki nie blokuje mniejszych).
+ * @private
+ */
+const fillQueue = (locker) => {
+  locker.queue.slice().forEach(waiting => {
+    const order = DB.getOrderById(waiting.orderId);
+    if (!order || order.status !== ORDER_STATUSES.READY_FOR_PICKUP || order.storeId !== locker.storeId) {
+      locker.queue = locker.queue.filter(q => q.orderId !== waiting.orderId);
+      return;
+    }
+    place(locker, order);
+  });
+};
+
+/**
+ * Widok paczkomatu: podsumowanie zajętości + skrytki + kolejka.
+ * @private
+ */
+const view = (locker) => {
+  const count = (state, list = locker.compartments) => list.filter(c => c.state === state).length;
+  return {
+    storeId: locker.storeId,
+    full: locker.full,
+    fullSince: locker.fullSince,
+    summary: {
+      total: locker.compartments.length,
+      free: count(COMPARTMENT_STATES.FREE),
+      occupied: count(COMPARTMENT_STATES.OCCUPIED),
+      reserved: count(COMPARTMENT_STATES.RESERVED),
+      outOfOrder: count(COMPARTMENT_STATES.OUT_OF_ORDER),
+      returnsToCollect: locker.compartments.filter(c => c.contents === CONTENTS.RETURN && c.state === COMPARTMENT_STATES.OCCUPIED).length,
+      bySize: Object.fromEntries(COMPARTMENT_SIZES.map(size => {
+        const ofSize = locker.compartments.filter(c => c.size === size);
+        return [size, { total: ofSize.length, free: count(COMPARTMENT_STATES.FREE, ofSize) }];
+      }))
+    },
+    compartments: locker.compartments,
+    queue: locker.queue,
+    createdAt: locker.createdAt,
+    updatedAt: locker.updatedAt
+  };
+};
+
+/**
+ * Skrytka w odpowiedzi skanu.
+ * @private
+ */
+const describe = (locker, compartment, action) => ({
+  storeId: locker.storeId,
+  door: compartment.door,
+  size: compartment.size,
+  action
+});
+
+// ============================================
+// GŁÓWNY OBIEKT
+// ============================================
+
+const Lockers = {
+
+  COMPARTMENT_SIZES,
+  COMPARTMENT_STATES,
+  CONTENTS,
+  LOCKER_ACTIONS,
+  DEFAULT_LAYOUT,
+  MAX_COMPARTMENTS,
+
+  parcelSize,
+
+  /**
+   * Paczkomat punktu – zakładany z DEFAULT_LAYOUT przy pierwszym użyciu. Dla sklepu stacjonarnego null.
+   *
+   * @param {string} storeId - ID punktu z rejestru
+   * @returns {object|null} Rekord paczkomatu (mutowalny) lub null, jeśli punkt nie jest paczkomatem
+   */
+  getLocker: (storeId) => {
+    const store = DB.getCollection('stores').find(s => s.storeId === storeId);
+    if (!store || store.type !== Registry.STORE_TYPES.LOCKER) return null;
+
+    let locker = lockersCollection().find(l => l.storeId === storeId);
+    if (!locker) {
+      const at = moment().toISOString();
+      locker = { storeId, compartments: buildCompartments(DEFAULT_LAYOUT), queue: [], full: false, fullSince: null, createdAt: at, updatedAt: at };
+      lockersCollection().push(locker);
+      DB.persist();
+    }
+    return locker;
+  },
+
+  /**
+   * Stan paczkomatu (terminal paczkomatu, back-office).
+   *
+   * @param {string} storeId - ID paczkomatu
+   * @returns {object} { storeId, full, fullSince, summary, compartments, queue, createdAt, updatedAt }
+   * @throws {ApiError} 404 punkt nie jest paczkomatem
+   */
+  getStatus: (storeId) => {
+    const locker = Lockers.getLocker(storeId);
+    if (!locker) {
+      throw new ApiError(`Punkt ${storeId} nie jest paczkomatem`, 404);
+    }
+    expireReservations(locker);
+    refresh(locker);
+    return view(locker);
+  },
+
+  /**
+   * Wszystkie paczkomaty z rejestru.
+   *
+   * @returns {array} Widoki jak w getStatus
+   */
+  list: () => DB.getCollection('stores')
+    .filter(s => s.type === Registry.STORE_TYPES.LOCKER)
+    .map(s => Lockers.getStatus(s.storeId)),
+
+  /**
+   * Dopasowuje skrytki do zamówienia: zwalnia skrytkę paczki, która nie czeka już na odbiór w tym paczkomacie,
+   * i przydziela skrytkę (lub miejsce w kolejce) zamówieniu READY_FOR_PICKUP w paczkomacie. Idempotentne.
+   *
+   * @param {object} order - Zamówienie (stan po zmianie)
+   * @returns {void}
+   */
+  sync: (order) => {
+    const waiting = order.status === ORDER_STATUSES.READY_FOR_PICKUP;
+    lockersCollection().forEach(locker => {
+      const stays = waiting && locker.storeId === order.storeId;
+      const stale = locker.compartments.filter(c => c.orderId === order.orderId && c.contents === CONTENTS.PICKUP && !stays);
+      const queued = locker.queue.length;
+      stale.forEach(free);
+      if (!stays) {
+        locker.queue = locker.queue.filter(q => q.orderId !== order.orderId);
+      }
+      if (stale.length > 0 || queued !== locker.queue.length) {
+        fillQueue(locker);
+        refresh(locker);
+      }
+    });
+
+    const locker = waiting ? Lockers.getLocker(order.storeId) : null;
+    if (locker && !locker.compartments.some(c => c.orderId === order.orderId && c.contents === CONTENTS.PICKUP)) {
+      expireReservations(locker);
+      place(locker, order);
+      refresh(locker);
+    }
+    DB.persist();
+  },
+
+  /**
+   * Uzgadnia wszystkie paczkomaty z zamówieniami (job sync_lockers: zamówienia sprzed paczkomatów, seed,
+   * wygasłe rezerwacje).
+   *
+   * @returns {object} { processed: liczba zamówień, lockers: liczba paczkomatów }
+   */
+  reconcile: () => {
+    const lockerIds = DB.getCollection('stores').filter(s => s.type === Registry.STORE_TYPES.LOCKER).map(s => s.storeId);
+    const orders = DB.getCollection('orders').filter(o => lockerIds.includes(o.storeId) ||
+      lockersCollection().some(l => l.compartments.some(c => c.orderId === o.orderId && c.contents === CONTENTS.PICKUP)));
+    DB.batchWrites(() => {
+      lockerIds.forEach(storeId => {
+        const locker = Lockers.getLocker(storeId);
+        expireReservations(locker);
+        fillQueue(locker);
+        refresh(locker);
+      });
+      orders.forEach(order => Lockers.sync(order));
+    });
+    return { processed: orders.length, lockers: lockerIds.length };
+  },
+
+  /**
+   * Sprawdza transakcję w paczkomacie terminala (wywoływane z CorelayLogic._eligibility).
+   *
+   * @param {object} order - Zamówienie
+   * @param {string} storeId - Punkt terminalu
+   * @param {object} plan - { isPickup, items: indeksy zwracanych produktów (zwrot) }
+   * @returns {object|null} null dla sklepu stacjonarnego; inaczej { allowed, reason?, message?, locker: { storeId, door, size, action } }
+   */
+  check: (order, storeId, { isPickup, items = [] }) => {
+    const locker = Lockers.getLocker(storeId);
+    if (!locker) return null;
+    expireReservations(locker);
+
+    if (isPickup) {
+      const compartment = locker.compartments.find(c => c.orderId === order.orderId && c.contents === CONTENTS.PICKUP);
+      return compartment
+        ? { allowed: true, locker: describe(locker, compartment, LOCKER_ACTIONS.PICKUP) }
+        : { allowed: false, reason: 'NOT_IN_LOCKER', message: `Paczki ${order.orderId} nie ma jeszcze w skrytce paczkomatu ${storeId} – czeka na wolne miejsce.` };
+    }
+
+    const compartment = Lockers._returnCompartment(locker, order.orderId) || findFree(locker, parcelSize(items.length));
+    return compartment
+      ? { allowed: true, locker: describe(locker, compartment, LOCKER_ACTIONS.DROP_OFF) }
+      : { allowed: false, reason: 'LOCKER_FULL', message: `Paczkomat ${storeId} nie ma wolnej skrytki na zwrot (${parcelSize(items.length)}) – nadaj zwrot w innym punkcie.` };
+  },
+
+  /**
+   * Rezerwuje skrytkę na zwrot otwarty w podglądzie skanu (do potwierdzenia albo reservedUntil).
+   *
+   * @param {object} order - Zamówienie
+   * @param {string} storeId - Paczkomat
+   * @param {number[]} items - Zwracane produkty
+   * @param {number} reservedUntil - Koniec rezerwacji (ms) – wygaśnięcie podglądu
+   * @returns {object|null} { storeId, door, size, action: DROP_OFF } lub null (sklep stacjonarny / brak miejsca)
+   */
+  reserveForReturn: (order, storeId, items, reservedUntil) => {
+    const locker = Lockers.getLocker(storeId);
+    if (!locker) return null;
+    expireReservations(locker);
+    const compartment = Lockers._returnCompartment(locker, order.orderId) || findFree(locker, parcelSize(items.length));
+    if (!compartment) return null;
+
+    Object.assign(compartment, {
+      state: COMPARTMENT_STATES.RESERVED,
+      contents: CONTENTS.RETURN,
+      orderId: order.orderId,
+      returnId: null,
+      reservedUntil,
+      since: moment().toISOString()
+    });
+    refresh(locker);
+    DB.persist();
+    return describe(locker, compartment, LOCKER_ACTIONS.DROP_OFF);
+  },
+
+  /**
+   * Zwalnia rezerwację zwrotu (podgląd anulowany lub wygasł). Brak rezerwacji – nic nie robi.
+   *
+   * @param {string} orderId - Zamówienie
+   * @returns {void}
+   */
+  releaseReservation: (orderId) => {
+    lockersCollection().forEach(locker => {
+      const reserved = locker.compartments.filter(c => c.orderId === orderId && c.state === COMPARTMENT_STATES.RESERVED);
+      if (reserved.length === 0) return;
+      reserved.forEach(free);
+      fillQueue(locker);
+      refresh(locker);
+    });
+    DB.persist();
+  },
+
+  /**
+   * Nadanie zwrotu: zajmuje skrytkę (rezerwację z podglądu albo najmniejszą wolną) do odbioru przez kuriera.
+   *
+   * @param {object} order - Zamówienie
+   * @param {string} storeId - Paczkomat
+   * @param {object} returnEntry - Wpis zwrotu z DB.recordReturn ({ returnId, items })
+   * @returns {object|null} { storeId, door, size, action: DROP_OFF } lub null dla sklepu stacjonarnego
+   * @throws {ApiError} 409 brak wolnej skrytki
+   */
+  dropOff: (order, storeId, returnEntry) => {
+    const locker = Lockers.getLocker(storeId);
+    if (!locker) return null;
+    expireReservations(locker);
+    const compartment = Lockers._returnCompartment(locker, order.orderId) || findFree(locker, parcelSize(returnEntry.items.length));
+    if (!compartment) {
+      throw new ApiError(`Paczkomat ${storeId} nie ma wolnej skrytki na zwrot`, 409);
+    }
+
+    Object.assign(compartment, {
+      state: COMPARTMENT_STATES.OCCUPIED,
+      contents: CONTENTS.RETURN,
+      orderId: order.orderId,
+      returnId: returnEntry.returnId,
+      reservedUntil: null,
+      since: moment().toISOString()
+    });
+    recordInHistory(order, `Zwrot ${returnEntry.returnId} nadany w skrytce nr ${compartment.door} (${compartment.size}) paczkomatu ${storeId}`);
+    refresh(locker);
+    DB.persist();
+    return describe(locker, compartment, LOCKER_ACTIONS.DROP_OFF);
+  },
+
+  /**
+   * Kurier odbiera nadane zwroty – skrytki wracają do puli, kolejka dostaje miejsca.
+   *
+   * @param {string} storeId - Paczkomat
+   * @param {string} actor - Kto odebrał (np. 'terminal:INPOST-SIM-1')
+   * @returns {object} { collected: [{ door, size, orderId, returnId }], locker: widok jak w getStatus }
+   * @throws {ApiError} 404 punkt nie jest paczkomatem
+   */
+  collectReturns: (storeId, actor) => {
+    const locker = Lockers.getLocker(storeId);
+    if (!locker) {
+      throw new ApiError(`Punkt ${storeId} nie jest paczkomatem`, 404);
+    }
+    const collected = locker.compartments
+      .filter(c => c.state === COMPARTMENT_STATES.OCCUPIED && c.contents === CONTENTS.RETURN)
+      .map(c => {
+        const item = { door: c.door, size: c.size, orderId: c.orderId, returnId: c.returnId };
+        const order = DB.getOrderById(c.orderId);
+        if (order) {
+          OrderLifecycle.recordEvent(order, { actor, scannerId: storeId, reason: `Zwrot ${c.returnId} odebrany przez kuriera ze skrytki nr ${c.door} paczkomatu ${storeId}` });
+        }
+        free(c);
+        return item;
+      });
+
+    fillQueue(locker);
+    refresh(locker);
+    DB.persist();
+    console.log(`[Lockers] ${storeId}: kurier odebrał ${collected.length} zwrot(y/ów) (${actor})`);
+    return { collected, locker: view(locker) };
+  },
+
+  /**
+   * Wyłącza skrytkę z użytku (awaria) albo przywraca ją do puli.
+   *
+   * @param {string} storeId - Paczkomat
+   * @param {number} door - Numer drzwi
+   * @param {boolean} outOfOrder - true = OUT_OF_ORDER, false = FREE
+   * @returns {object} Widok paczkomatu jak w getStatus
+   * @throws {ApiError} 404 brak paczkomatu/skrytki, 409 skrytka zajęta lub zarezerwowana
+   */
+  setOutOfOrder: (storeId, door, outOfOrder) => {
+    const locker = Lockers.getLocker(storeId);
+    const compartment = locker && locker.compartments.find(c => c.door === door);
+    if (!compartment) {
+      throw new ApiError(`Skrytka nr ${door} nie istnieje w paczkomacie ${storeId}`, 404);
+    }
+    expireReservations(locker);
+    if (compartment.state === COMPARTMENT_STATES.OCCUPIED || compartment.state === COMPARTMENT_STATES.RESERVED) {
+      throw new ApiError(`Skrytka nr ${door} jest ${compartment.state} (${compartment.orderId}) – opróżnij ją przed zmianą`, 409);
+    }
+
+    if (outOfOrder) {
+      Object.assign(compartment, emptyState(COMPARTMENT_STATES.OUT_OF_ORDER));
+    } else if (compartment.state === COMPARTMENT_STATES.OUT_OF_ORDER) {
+      free(compartment);
+      fillQueue(locker);
+    }
+    refresh(locker);
+    DB.persist();
+    return view(locker);
+  },
+
+  /**
+   * Nowy układ skrytek – tylko pustego paczkomatu (po zmianie kolejka dostaje skrytki).
+   *
+   * @param {string} storeId - Paczkomat
+   * @param {object} layout - { S, M, L } – liczba skrytek per rozmiar
+   * @returns {object} Widok paczkomatu jak w getStatus
+   * @throws {ApiError} 404 punkt nie jest paczkomatem, 400 zły układ, 409 skrytki zajęte
+   */
+  configure: (storeId, layout) => {
+    const locker = Lockers.getLocker(storeId);
+    if (!locker) {
+      throw new ApiError(`Punkt ${storeId} nie jest paczkomatem`, 404);
+    }
+    const total = COMPARTMENT_SIZES.reduce((sum, size) => sum + (layout[size] || 0), 0);
+    if (total === 0 || total > MAX_COMPARTMENTS) {
+      throw new ApiError(`Paczkomat musi mieć od 1 do ${MAX_COMPARTMENTS} skrytek (podano ${total})`, 400);
+    }
+    expireReservations(locker);
+    const busy = locker.compartments.filter(c => c.state === COMPARTMENT_STATES.OCCUPIED || c.state === COMPARTMENT_STATES.RESERVED);
+    if (busy.length > 0) {
+      throw new ApiError(`Zmiana układu wymaga pustego paczkomatu – zajęte skrytki: ${busy.map(c => c.door).join(', ')}`, 409);
+    }
+
+    locker.compartments = buildCompartments(layout);
+    fillQueue(locker);
+    refresh(locker);
+    DB.persist();
+    console.log(`[Lockers] ${storeId}: nowy układ ${COMPARTMENT_SIZES.map(size => `${size}×${layout[size] || 0}`).join(', ')}`);
+    return view(locker);
+  },
+
+  /**
+   * Skrytka zwrotu zamówienia zarezerwowana w podglądzie.
+   * @private
+   */
+  _returnCompartment: (locker, orderId) => locker.compartments
+    .find(c => c.orderId === orderId && c.state === COMPARTMENT_STATES.RESERVED && c.contents === CONTENTS.RETURN) || null,
+
+  /**
+   * Subskrybent events.js: każda zmiana zamówienia → sync (przydział / zwolnienie skrytki).
+   *
+   * @param {object} event - Zdarzenie z Events.publish
+   * @returns {void}
+   */
+  handleEvent: (event) => {
+    if (!event.orderId) return;
+    const order = DB.getOrderById(event.orderId);
+    if (order) Lockers.sync(order);
+  }
+
+};
+
+Events.subscribe(Lockers.handleEvent);
+
+// ============================================
+// EKSPORT MODUŁU
+// ============================================
+
+/**
+ * Eksport Lockers – użyj: const Lockers = require('./lockers');
+ */
+module.exports = Lockers;
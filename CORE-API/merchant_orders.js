@@ -0,0 +1,235 @@
+'use strict';
+
+/**
+ * merchant_orders.js - API integracji zamówień dla merchantów (tworzenie, zmiany, produkty)
+ *
+ * Merchant (uwierzytelniony kluczem X-Merchant-Key – registry.js) zarządza wyłącznie
+ * zamówieniami w swoich sklepach. Zmiany danych i produktów są możliwe tylko przed odbiorem
+ * (READY_FOR_PICKUP) i trafiają do order.history (actor = 'merchant:<merchantId>').
+ * Anulowanie wszystkich produktów anuluje zamówienie (OrderLifecycle.cancelItems).
+ *
+ * Każda zmiana publikuje zdarzenie (order.updated / order.cancelled – events.js; order.created publikuje DB.createOrder).
+ *
+ * Import wsadowy (upsertOrder w pętli + DB.batchWrites) i Idempotency-Key obsługuje server.js.
+ *
+ * @module MerchantOrders
+ * @version 1.0.0
+ */
+
+const moment = require('moment');
+const DB = require('./database');
+const OrderLifecycle = require('./order_lifecycle');
+const Registry = require('./registry');
+const Events = require('./events');
+const Delegations = require('./delegations');
+const { ApiError } = require('./errors');
+
+const { ORDER_STATUSES } = OrderLifecycle;
+
+// ============================================
+// KONSTANTY
+// ============================================
+
+/**
+ * Maksymalna liczba zamówień w jednym imporcie wsadowym.
+ * @constant
+ */
+const MAX_BATCH_SIZE = 500;
+
+/**
+ * Wynik upsertu zamówienia w imporcie.
+ * @constant
+ */
+const UPSERT_RESULTS = {
+  CREATED: 'CREATED',
+  UPDATED: 'UPDATED',
+  UNCHANGED: 'UNCHANGED'
+};
+
+// ============================================
+// HELPERY
+// ============================================
+
+const contextFor = (merchant, reason = null) => ({ actor: `merchant:${merchant.merchantId}`, reason });
+
+/**
+ * Sklep musi należeć do merchanta (inaczej 404 – nie zdradzamy cudzych sklepów).
+ * @private
+ */
+const assertOwnStore = (merchant, storeId) => {
+  let store;
+  try {
+    store = Registry.getStore(storeId);
+  } catch (err) {
+    store = null;
+  }
+  if (!store || store.merchantId !== merchant.merchantId) {
+    throw new ApiError(`Sklep ${storeId} nie istnieje w rejestrze merchanta ${merchant.merchantId}`, 404);
+  }
+  return store;
+};
+
+/**
+ * Zamówienie merchanta (cudze = 404).
+ * @private
+ */
+const getOwnOrder = (merchant, orderId) => {
+  const order = DB.getOrderById(orderId);
+  if (!order || order.merchantId !== merchant.merchantId) {
+    throw new ApiError(`Zamówienie ${orderId} nie istnieje`, 404);
+  }
+  return order;
+};
+
+/**
+ * Zapis zmian zamówienia (updatedAt + persist).
+ * @private
+ */
+const saveOrder = (order) => {
+  order.updatedAt = moment().toISOString();
+  DB.persist();
+  return order;
+};
+
+// ============================================
+// GŁÓWNY OBIEKT
+// ============================================
+
+const MerchantOrders = {
+
+  MAX_BATCH_SIZE,
+  UPSERT_RESULTS,
+
+  /**
+   * Tworzy zamówienie w sklepie merchanta.
+   *
+   * @param {object} merchant - { merchantId } z Registry.authenticateMerchant
+   * @param {object} data - { orderId, userId, storeId, products, status? }
+   * @returns {object} Zamówienie
+   * @throws {ApiError} 404 dla cudzego sklepu, 409 dla zajętego orderId
+   */
+  createOrder: (merchant, data) => {
+    assertOwnStore(merchant, data.storeId);
+    return DB.createOrder({
+      orderId: data.orderId,
+      userId: data.userId.toLowerCase(),
+      storeId: data.storeId,
+      products: data.products,
+      status: data.status || ORDER_STATUSES.READY_FOR_PICKUP
+    }, contextFor(merchant, 'Import zamówienia z systemu merchanta'));
+  },
+
+  /**
+   * Zmienia klienta lub sklep odbioru (tylko przed odbiorem). Aktywne kody odbioru są unieważniane.
+   *
+   * @param {object} merchant - { merchantId }
+   * @param {string} orderId - ID zamówienia
+   * @param {object} changes - { userId?, storeId? }
+   * @returns {object} { order, changed: string[] } – changed = zmienione pola
+   * @throws {ApiError} 404 dla cudzego zamówienia/sklepu, 409 po odbiorze
+   */
+  updateOrder: (merchant, orderId, changes) => {
+    const order = getOwnOrder(merchant, orderId);
+    const wanted = {
+      userId: changes.userId ? changes.userId.toLowerCase() : undefined,
+      storeId: changes.storeId
+    };
+    const changed = Object.keys(wanted).filter(field => wanted[field] !== undefined && wanted[field] !== order[field]);
+    if (changed.length === 0) {
+      return { order, changed };
+    }
+
+    if (order.status !== ORDER_STATUSES.READY_FOR_PICKUP) {
+      throw new ApiError(`${orderId}: zmiana ${changed.join(', ')} możliwa tylko przed odbiorem (status ${order.status})`, 409);
+    }
+    if (changed.includes('storeId')) {
+      assertOwnStore(merchant, wanted.storeId);
+    }
+
+    const description = changed.map(field => `${field}: ${order[field]} → ${wanted[field]}`).join(', ');
+    changed.forEach(field => { order[field] = wanted[field]; });
+    OrderLifecycle.recordEvent(order, contextFor(merchant, `Zmiana danych zamówienia (${description})`));
+    DB.removeOrderCodes(orderId); // Kody wydane dla starego klienta/sklepu (także zbiorcze) przestają obowiązywać
+    Delegations.revokeForOrder(orderId, contextFor(merchant, `zmiana danych zamówienia (${changed.join(', ')})`));
+    saveOrder(order);
+    Events.publish(Events.EVENT_TYPES.ORDER_UPDATED, order, { changed });
+
+    console.log(`[MerchantOrders] ${merchant.merchantId} zaktualizował ${orderId}: ${description}`);
+    return { order, changed };
+  },
+
+  /**
+   * Tworzy zamówienie lub aktualizuje istniejące (import wsadowy – ponowienie nie daje 409).
+   *
+   * @param {object} merchant - { merchantId }
+   * @param {object} data - Jak w createOrder
+   * @returns {object} { result: 'CREATED'|'UPDATED'|'UNCHANGED', order }
+   * @throws {ApiError} 409 jeśli orderId należy do innego merchanta
+   */
+  upsertOrder: (merchant, data) => {
+    const existing = DB.getOrderById(data.orderId);
+    if (!existing) {
+      return { result: UPSERT_RESULTS.CREATED, order: MerchantOrders.createOrder(merchant, data) };
+    }
+    if (existing.merchantId !== merchant.merchantId) {
+      throw new ApiError(`Duplikat orderId: ${data.orderId} jest zajęty`, 409);
+    }
+    const { order, changed } = MerchantOrders.updateOrder(merchant, data.orderId, { userId: data.userId, storeId: data.storeId });
+    return { result: changed.length ? UPSERT_RESULTS.UPDATED : UPSERT_RESULTS.UNCHANGED, order };
+  },
+
+  /**
+   * Dodaje produkty do zamówienia przed odbiorem.
+   *
+   * @param {object} merchant - { merchantId }
+   * @param {string} orderId - ID zamówienia
+   * @param {array} products - [{ name, price, sku?, category? }]
+   * @returns {object} { order, added: number[] } – indeksy dodanych produktów
+   * @throws {ApiError} 404 dla cudzego zamówienia, 409 po odbiorze
+   */
+  addItems: (merchant, orderId, products) => {
+    const order = getOwnOrder(merchant, orderId);
+    const added = OrderLifecycle.addItems(order, products, contextFor(merchant));
+    saveOrder(order);
+    Events.publish(Events.EVENT_TYPES.ORDER_UPDATED, order, { addedItems: added });
+    return { order, added };
+  },
+
+  /**
+   * Anuluje produkty przed odbiorem; wszystkie anulowane → zamówienie CANCELLED (kod odbioru unieważniony).
+   *
+   * @param {object} merchant - { merchantId }
+   * @param {string} orderId - ID zamówienia
+   * @param {number[]} items - Indeksy products[]
+   * @param {string} [reason] - Powód (do historii)
+   * @returns {object} Zamówienie
+   * @throws {ApiError} 404 dla cudzego zamówienia, 409 po odbiorze lub dla już anulowanych produktów
+   */
+  cancelItems: (merchant, orderId, items, reason) => {
+    const order = getOwnOrder(merchant, orderId);
+    OrderLifecycle.cancelItems(order, items, contextFor(merchant, reason || null));
+    const cancelled = order.status === ORDER_STATUSES.CANCELLED;
+    if (cancelled) {
+      DB.removeOrderCodes(orderId); // Także kody zbiorcze obejmujące zamówienie
+      Delegations.revokeForOrder(orderId, contextFor(merchant, 'zamówienie anulowane'));
+    }
+    saveOrder(order);
+    Events.publish(cancelled ? Events.EVENT_TYPES.ORDER_CANCELLED : Events.EVENT_TYPES.ORDER_UPDATED, order, {
+      cancelledItems: items,
+      reason: reason || null
+    });
+    return order;
+  },
+
+  getOrder: (merchant, orderId) => getOwnOrder(merchant, orderId)
+
+};
+
+// ============================================
+// EKSPORT MODUŁU
+// ============================================
+
+/**
+ * Eksport MerchantOrders – użyj: const MerchantOrders = require('./merchant_orders');
+ */
+module.exports = MerchantOrders;
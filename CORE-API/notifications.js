@@ -0,0 +1,395 @@
+'use strict';
+
+/**
+ * notifications.js - Powiadomienia klientów Corelay (paczka gotowa, przypomnienia o terminach)
+ *
+ * Wiadomości powstają z szablonów PL/EN (TEMPLATES) i idą kanałami wybranymi przez klienta
+ * w preferencjach (email, sms, webpush). Każdy kanał ma transport – domyślnie lokalny outbox
+ * (outbox.js), prawdziwego dostawcę (SendGrid, SMSAPI, web-push) podłączysz registerTransport().
+ *
+ * Wyzwalacze:
+ * - ORDER_READY – zdarzenie order.created ze statusem READY_FOR_PICKUP (events.js)
+ * - PICKUP_DEADLINE_REMINDER – PICKUP_REMINDER_HOURS_BEFORE przed końcem dnia pickupDeadline
+ * - RETURN_WINDOW_REMINDER – RETURN_REMINDER_HOURS_BEFORE przed zamknięciem okna zwrotu (maxTime)
+ * Przypomnienia wysyła job send_reminders (scheduler.js). Każde powiadomienie ma klucz
+ * deduplikacji (typ + zamówienie) – ponowne uruchomienie joba nie wysyła go drugi raz.
+ *
+ * @module Notifications
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const moment = require('moment');
+const DB = require('./database');
+const Outbox = require('./outbox');
+const Events = require('./events');
+const OrderLifecycle = require('./order_lifecycle');
+const { ApiError } = require('./errors');
+
+const { ORDER_STATUSES } = OrderLifecycle;
+const { CHANNELS } = Outbox;
+
+// ============================================
+// KONSTANTY
+// ============================================
+
+/**
+ * Typy powiadomień.
+ * @constant
+ */
+const NOTIFICATION_TYPES = {
+  ORDER_READY: 'ORDER_READY',
+  PICKUP_DEADLINE_REMINDER: 'PICKUP_DEADLINE_REMINDER',
+  RETURN_WINDOW_REMINDER: 'RETURN_WINDOW_REMINDER'
+};
+
+/**
+ * Obsługiwane języki szablonów (pierwszy = domyślny).
+ * @constant
+ */
+const LANGUAGES = ['pl', 'en'];
+
+/**
+ * Wyprzedzenie przypomnień (godziny przed terminem).
+ * @constant
+ */
+const PICKUP_REMINDER_HOURS_BEFORE = 24;
+const RETURN_REMINDER_HOURS_BEFORE = 48;
+
+/**
+ * Status wysyłki powiadomienia w danym kanale.
+ * @constant
+ */
+const DELIVERY_RESULTS = {
+  SENT: 'SENT',
+  SKIPPED: 'SKIPPED',
+  FAILED: 'FAILED'
+};
+
+/**
+ * Preferencje nowego klienta: polski, tylko e-mail, wszystkie przypomnienia włączone.
+ * @constant
+ */
+const DEFAULT_PREFERENCES = {
+  language: LANGUAGES[0],
+  channels: { [CHANNELS.EMAIL]: true, [CHANNELS.SMS]: false, [CHANNELS.WEBPUSH]: false },
+  phone: null,
+  webPushSubscription: null,
+  reminders: { pickupDeadline: true, returnWindow: true }
+};
+
+/**
+ * Szablony: subject/body dla e-maila, short dla SMS i web push. Zmienne: {{orderId}}, {{store}},
+ * {{products}}, {{pickupDeadline}}, {{returnDeadline}}, {{appUrl}}.
+ * @constant
+ */
+const TEMPLATES = {
+  [NOTIFICATION_TYPES.ORDER_READY]: {
+    pl: {
+      subject: 'Corelay – paczka {{orderId}} czeka na odbiór',
+      body: 'Twoja paczka {{orderId}} ({{products}}) czeka w {{store}}.\nOdbierz ją do {{pickupDeadline}} – pokaż kod QR z aplikacji: {{appUrl}}',
+      short: 'Corelay: paczka {{orderId}} czeka w {{store}} do {{pickupDeadline}}. Kod QR w aplikacji.'
+    },
+    en: {
+      subject: 'Corelay – parcel {{orderId}} is ready for pickup',
+      body: 'Your parcel {{orderId}} ({{products}}) is waiting at {{store}}.\nPick it up by {{pickupDeadline}} – show the QR code from the app: {{appUrl}}',
+      short: 'Corelay: parcel {{orderId}} is waiting at {{store}} until {{pickupDeadline}}. QR code in the app.'
+    }
+  },
+  [NOTIFICATION_TYPES.PICKUP_DEADLINE_REMINDER]: {
+    pl: {
+      subject: 'Corelay – ostatni dzień na odbiór paczki {{orderId}}',
+      body: 'Paczka {{orderId}} czeka w {{store}} tylko do {{pickupDeadline}}. Po tym terminie wróci do nadawcy.\nKod QR: {{appUrl}}',
+      short: 'Corelay: odbierz paczkę {{orderId}} z {{store}} do {{pickupDeadline}}, potem wraca do nadawcy.'
+    },
+    en: {
+      subject: 'Corelay – last day to pick up parcel {{orderId}}',
+      body: 'Parcel {{orderId}} is waiting at {{store}} only until {{pickupDeadline}}. After that it goes back to the sender.\nQR code: {{appUrl}}',
+      short: 'Corelay: pick up parcel {{orderId}} at {{store}} by {{pickupDeadline}} or it goes back to the sender.'
+    }
+  },
+  [NOTIFICATION_TYPES.RETURN_WINDOW_REMINDER]: {
+    pl: {
+      subject: 'Corelay – okno zwrotu {{orderId}} kończy się {{returnDeadline}}',
+      body: 'Zwrot produktów z zamówienia {{orderId}} ({{products}}) jest możliwy do {{returnDeadline}}.\nKod zwrotu wygenerujesz w aplikacji: {{appUrl}}',
+      short: 'Corelay: zwrot z zamówienia {{orderId}} możliwy do {{returnDeadline}}.'
+    },
+    en: {
+      subject: 'Corelay – return window for {{orderId}} closes {{returnDeadline}}',
+      body: 'You can return items from order {{orderId}} ({{products}}) until {{returnDeadline}}.\nGenerate the return code in the app: {{appUrl}}',
+      short: 'Corelay: returns for order {{orderId}} are possible until {{returnDeadline}}.'
+    }
+  }
+};
+
+/**
+ * Przypomnienia: dla których statusów, od kiedy (dueAt) do kiedy (deadline) i jaka preferencja je wyłącza.
+ * @constant
+ */
+const REMINDERS = [
+  {
+    type: NOTIFICATION_TYPES.PICKUP_DEADLINE_REMINDER,
+    statuses: [ORDER_STATUSES.READY_FOR_PICKUP],
+    preference: 'pickupDeadline',
+    deadline: (order) => (order.pickupDeadline ? moment(order.pickupDeadline).endOf('day').valueOf() : null),
+    hoursBefore: PICKUP_REMINDER_HOURS_BEFORE
+  },
+  {
+    type: NOTIFICATION_TYPES.RETURN_WINDOW_REMINDER,
+    statuses: [ORDER_STATUSES.PICKED_UP, ORDER_STATUSES.PARTIALLY_RETURNED],
+    preference: 'returnWindow',
+    deadline: (order) => order.maxTime || null,
+    hoursBefore: RETURN_REMINDER_HOURS_BEFORE
+  }
+];
+
+const APP_URL = process.env.CLIENT_APP_URL || 'http://localhost:8080';
+
+// ============================================
+// HELPERY
+// ============================================
+
+const preferencesCollection = () => DB.getCollection('userPreferences');
+const notificationsCollection = () => DB.getCollection('notifications');
+
+/**
+ * Transport kanału "outbox": zapis w lokalnej skrzynce (testy, demo, dev).
+ * @private
+ */
+const outboxTransport = (channel) => ({ to, subject, body, meta }) => Outbox.send({ channel, to, subject, body, meta });
+
+const transports = {
+  [CHANNELS.EMAIL]: outboxTransport(CHANNELS.EMAIL),
+  [CHANNELS.SMS]: outboxTransport(CHANNELS.SMS),
+  [CHANNELS.WEBPUSH]: outboxTransport(CHANNELS.WEBPUSH)
+};
+
+/**
+ * Podstawia {{zmienne}} w szablonie.
+ * @private
+ */
+const render = (template, vars) => template.replace(/\{\{(\w+)\}\}/g, (match, name) => (vars[name] !== undefined ? String(vars[name]) : match));
+
+/**
+ * Zmienne szablonu dla zamówienia (daty w formacie języka klienta).
+ * @private
+ */
+const templateVars = (order, language) => {
+  const store = DB.getCollection('stores').find(s => s.storeId === order.storeId);
+  const dateFormat = language === 'en' ? 'MMM D, YYYY' : 'DD.MM.YYYY';
+  return {
+    orderId: order.orderId,
+    store: store ? store.name : order.storeId,
+    products: order.products.filter(p => p.state !== OrderLifecycle.ITEM_STATES.CANCELLED).map(p => p.name).join(', '),
+    pickupDeadline: order.pickupDeadline ? moment(order.pickupDeadline).format(dateFormat) : '-',
+    returnDeadline: order.maxTime ? moment(order.maxTime).format(dateFormat) : '-',
+    appUrl: APP_URL
+  };
+};
+
+/**
+ * Adresat w kanale (e-mail = userId, SMS = telefon z preferencji, push = subskrypcja) lub null.
+ * @private
+ */
+const recipientFor = (channel, userId, preferences) => {
+  if (channel === CHANNELS.EMAIL) return userId;
+  if (channel === CHANNELS.SMS) return preferences.phone;
+  if (channel === CHANNELS.WEBPUSH) return userId; // Transport odczyta meta.subscription
+  return null;
+};
+
+// ============================================
+// GŁÓWNY OBIEKT
+// ============================================
+
+const Notifications = {
+
+  NOTIFICATION_TYPES,
+  LANGUAGES,
+  DELIVERY_RESULTS,
+
+  /**
+   * Preferencje klienta (domyślne, jeśli nigdy ich nie zmieniał).
+   *
+   * @param {string} userId - E-mail klienta
+   * @returns {object} { userId, language, channels, phone, webPushSubscription, reminders, updatedAt }
+   */
+  getPreferences: (userId) => {
+    const stored = preferencesCollection().find(p => p.userId === userId);
+    return {
+      userId,
+      ...DEFAULT_PREFERENCES,
+      ...stored,
+      channels: { ...DEFAULT_PREFERENCES.channels, ...(stored && stored.channels) },
+      reminders: { ...DEFAULT_PREFERENCES.reminders, ...(stored && stored.reminders) },
+      updatedAt: stored ? stored.updatedAt : null
+    };
+  },
+
+  /**
+   * Zmienia preferencje (częściowo – pominięte pola zostają).
+   *
+   * @param {string} userId - E-mail klienta
+   * @param {object} changes - { language?, channels?: { email?, sms?, webpush? }, phone?, webPushSubscription?, reminders?: { pickupDeadline?, returnWindow? } }
+   * @returns {object} Pełne preferencje po zmianie
+   * @throws {ApiError} 400 gdy SMS włączony bez numeru telefonu
+   */
+  updatePreferences: (userId, changes) => {
+    const current = Notifications.getPreferences(userId);
+    const next = {
+      userId,
+      language: changes.language || current.language,
+      channels: { ...current.channels, ...changes.channels },
+      phone: changes.phone !== undefined ? changes.phone : current.phone,
+      webPushSubscription: changes.webPushSubscription !== undefined ? changes.webPushSubscription : current.webPushSubscription,
+      reminders: { ...current.reminders, ...changes.reminders },
+      updatedAt: moment().toISOString()
+    };
+    if (next.channels[CHANNELS.SMS] && !next.phone) {
+      throw new ApiError('Powiadomienia SMS wymagają numeru telefonu (phone)', 400);
+    }
+
+    const collection = preferencesCollection();
+    const index = collection.findIndex(p => p.userId === userId);
+    if (index === -1) {
+      collection.push(next);
+    } else {
+      collection[index] = next;
+    }
+    DB.persist();
+    return Notifications.getPreferences(userId);
+  },
+
+  /**
+   * Podłącza transport kanału (np. prawdziwy dostawca SMS zamiast outboxa).
+   *
+   * @param {string} channel - Kanał z Outbox.CHANNELS
+   * @param {function} transport - ({ to, subject, body, meta }) => { messageId } (może rzucić błąd)
+   * @returns {void}
+   */
+  registerTransport: (channel, transport) => {
+    transports[channel] = transport;
+  },
+
+  /**
+   * Wysyła powiadomienie o zamówieniu wszystkimi włączonymi kanałami klienta (raz na typ + zamówienie).
+   *
+   * @param {string} type - Typ z NOTIFICATION_TYPES
+   * @param {object} order - Zamówienie
+   * @param {object} [options] - { now }
+   * @returns {object|null} Rekord powiadomienia lub null (już wysłane)
+   * @example Notifications.notify('ORDER_READY', order)
+   */
+  notify: (type, order, options = {}) => {
+    const nowMs = options.now !== undefined ? options.now : moment().valueOf();
+    const dedupKey = `${type}:${order.orderId}`;
+    if (notificationsCollection().some(n => n.dedupKey === dedupKey)) {
+      return null;
+    }
+
+    const preferences = Notifications.getPreferences(order.userId);
+    const language = LANGUAGES.includes(preferences.language) ? preferences.language : LANGUAGES[0];
+    const template = TEMPLATES[type][language];
+    const vars = templateVars(order, language);
+
+    const deliveries = Object.keys(transports)
+      .filter(channel => preferences.channels[channel])
+      .map(channel => {
+        const to = recipientFor(channel, order.userId, preferences);
+        if (!to) {
+          return { channel, status: DELIVERY_RESULTS.SKIPPED, messageId: null, detail: 'Brak adresata w preferencjach' };
+        }
+        try {
+          const message = transports[channel]({
+            to,
+            subject: render(template.subject, vars),
+            body: render(channel === CHANNELS.EMAIL ? template.body : template.short, vars),
+            meta: {
+              type,
+              orderId: order.orderId,
+              language,
+              ...(channel === CHANNELS.WEBPUSH ? { subscription: preferences.webPushSubscription } : {})
+            }
+          });
+          return { channel, status: DELIVERY_RESULTS.SENT, messageId: message.messageId, detail: null };
+        } catch (err) {
+          console.error(`[Notifications] ${type} ${order.orderId} – kanał ${channel} nieudany:`, err.message);
+          return { channel, status: DELIVERY_RESULTS.FAILED, messageId: null, detail: err.message };
+        }
+      });
+
+    const notification = {
+      notificationId: `NTF-${crypto.randomBytes(6).toString('hex')}`,
+      dedupKey,
+      type,
+      userId: order.userId,
+      orderId: order.orderId,
+      language,
+      deliveries,
+      createdAt: moment(nowMs).toISOString()
+    };
+    notificationsCollection().push(notification);
+    DB.persist();
+    return notification;
+  },
+
+  /**
+   * Wysyła przypomnienia, których termin nadszedł (job send_reminders w scheduler.js).
+   * Przypomnienie po terminie (deadline minął) nie jest już wysyłane.
+   *
+   * @param {number} [nowMs] - Czas (domyślnie teraz)
+   * @returns {object} { processed, notificationIds }
+   */
+  sendDueReminders: (nowMs = moment().valueOf()) => {
+    const sent = [];
+    DB.batchWrites(() => {
+      for (const reminder of REMINDERS) {
+        for (const order of DB.getCollection('orders')) {
+          if (!reminder.statuses.includes(order.status)) continue;
+          const deadline = reminder.deadline(order);
+          if (!deadline || nowMs < deadline - reminder.hoursBefore * 3600 * 1000 || nowMs >= deadline) continue;
+          if (!Notifications.getPreferences(order.userId).reminders[reminder.preference]) continue;
+
+          const notification = Notifications.notify(reminder.type, order, { now: nowMs });
+          if (notification) sent.push(notification.notificationId);
+        }
+      }
+    });
+    return { processed: sent.length, notificationIds: sent };
+  },
+
+  /**
+   * Subskrybent events.js: nowe zamówienie gotowe do odbioru → ORDER_READY.
+   *
+   * @param {object} event - Zdarzenie z Events.publish
+   * @returns {void}
+   */
+  handleEvent: (event) => {
+    if (event.type !== Events.EVENT_TYPES.ORDER_CREATED || event.data.order.status !== ORDER_STATUSES.READY_FOR_PICKUP) return;
+    const order = DB.getOrderById(event.orderId);
+    if (order) Notifications.notify(NOTIFICATION_TYPES.ORDER_READY, order);
+  },
+
+  /**
+   * Wysłane powiadomienia (najnowsze pierwsze).
+   *
+   * @param {object} [filter] - { userId, orderId, type, limit (domyślnie 50) }
+   * @returns {array} Rekordy powiadomień
+   */
+  list: ({ userId, orderId, type, limit = 50 } = {}) => notificationsCollection()
+    .filter(n => (!userId || n.userId === userId) && (!orderId || n.orderId === orderId) && (!type || n.type === type))
+    .slice(-limit)
+    .reverse()
+
+};
+
+Events.subscribe(Notifications.handleEvent);
+
+// ============================================
+// EKSPORT MODUŁU
+// ============================================
+
+/**
+ * Eksport Notifications – użyj: const Notifications = require('./notifications');
+ */
+module.exports = Notifications;
@@ -0,0 +1,240 @@
+'use strict';
+
+/**
+ * offline_sync.js - Synchronizacja skanów offline z terminali sklepów
+ *
+ * Gdy sieć w sklepie zniknie, terminal weryfikuje podpisane kody CRL1 lokalnie (klucze z pakietu
+ * offline: GET /api/terminal/offline_bundle), wydaje paczkę i kolejkuje skan w IndexedDB.
+ * Po powrocie sieci wysyła kolejkę do POST /api/terminal/sync – serwer odtwarza skany w kolejności
+ * kolejki, weryfikując każdy kod na moment skanu (scannedAt), i zwraca wynik per skan:
+ * - APPLIED – transakcja zapisana (tak jak online),
+ * - CONFLICT – skanu nie da się zastosować (np. paczka odebrana w międzyczasie gdzie indziej, kod
+ *   zużyty/unieważniony, zły podpis OTP); wynik ostateczny – terminal usuwa skan z kolejki i pokazuje konflikt,
+ * - RETRY – chwilowa przeszkoda (blokada, błąd serwera); terminal ponawia później.
+ * Skan musi leżeć w oknie bez łączności terminala (Registry.findOfflineGap – przerwa w zapytaniach
+ * terminala), a kod CRL1 musi być wyświetlony po utracie łączności – terminal online nie może
+ * antydatować skanu, żeby przepuścić kod ważny tylko w przeszłości. Skan sprzed wydania kodu
+ * (claim iat podpisanego grantu) jest zawsze konfliktem.
+ * Wyniki APPLIED/CONFLICT są zapisywane po (terminalId, localId) – ponowne wysłanie tej samej kolejki
+ * (np. zerwane połączenie w trakcie sync) zwraca zapisany wynik zamiast zgłaszać ponowne użycie kodu.
+ *
+ * @module OfflineSync
+ * @version 1.0.0
+ */
+
+const moment = require('moment');
+const DB = require('./database');
+const CorelayLogic = require('./corelay_logic');
+const QrTokens = require('./qr_tokens');
+const ScanLedger = require('./scan_ledger');
+const OrderLifecycle = require('./order_lifecycle');
+const Registry = require('./registry');
+
+const { ORDER_STATUSES } = OrderLifecycle;
+
+// ============================================
+// KONSTANTY
+// ============================================
+
+/**
+ * Wynik synchronizacji skanu.
+ * @constant
+ */
+const SYNC_STATUSES = {
+  APPLIED: 'APPLIED',
+  CONFLICT: 'CONFLICT',
+  RETRY: 'RETRY'
+};
+
+/**
+ * Najstarszy skan offline, jaki przyjmujemy (godziny).
+ * @constant
+ */
+const MAX_OFFLINE_AGE_HOURS = 72;
+
+/**
+ * Tolerancja zegara terminala "w przód" (ms).
+ * @constant
+ */
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Odmowy przejściowe – skan zostaje w kolejce terminala.
+ * @constant
+ */
+const RETRY_REASONS = ['TERMINAL_LOCKED', 'USER_LOCKED', 'STORE_PIN_LOCKED'];
+
+const offlineScansCollection = () => DB.getCollection('offlineScans');
+
+/**
+ * Czy zamówienie jest już po odbiorze (konflikt "odebrana gdzie indziej").
+ * @private
+ */
+const isAfterPickup = (order) => Boolean(order && order.pickupTime && order.status !== ORDER_STATUSES.READY_FOR_PICKUP);
+
+/**
+ * Konflikt dla skanu, którego nie da się zastosować – z opisem stanu zamówienia dla terminala.
+ * @private
+ */
+const conflictFor = (result, claims) => {
+  const order = DB.getOrderById(result.orderId || (claims && claims.oid));
+  const pickedUpElsewhere = claims && claims.p !== 'RETURN' && isAfterPickup(order);
+  const lastPickup = pickedUpElsewhere
+    ? order.history.slice().reverse().find(h => h.to === ORDER_STATUSES.PICKED_UP)
+    : null;
+
+  return {
+    status: SYNC_STATUSES.CONFLICT,
+    reason: pickedUpElsewhere ? 'ALREADY_PICKED_UP' : result.reason,
+    message: pickedUpElsewhere
+      ? `Paczka ${order.orderId} odebrana wcześniej (${order.pickupTime}${lastPickup && lastPickup.terminalId ? `, terminal ${lastPickup.terminalId}` : ''}) – wydanie offline do wyjaśnienia.`
+      : result.message,
+    orderId: order ? order.orderId : result.orderId || null,
+    order: order ? { orderId: order.orderId, status: order.status, storeId: order.storeId, pickupTime: order.pickupTime || null } : null
+  };
+};
+
+// ============================================
+// GŁÓWNY OBIEKT
+// ============================================
+
+const OfflineSync = {
+
+  SYNC_STATUSES,
+  MAX_OFFLINE_AGE_HOURS,
+
+  /**
+   * Pakiet do weryfikacji offline: terminal, publiczne klucze podpisu i parametry tokenów.
+   *
+   * @param {object} terminal - Uwierzytelniony terminal (req.terminal)
+   * @returns {object} { terminal, keys, rotationSeconds (domyślne – grant z polityką merchanta ma własny claim r), allowedWindowDrift, maxOfflineAgeHours, issuedAt }
+   */
+  getBundle: (terminal) => ({
+    terminal: { terminalId: terminal.terminalId, storeId: terminal.storeId, storeType: terminal.storeType || null },
+    keys: QrTokens.getPublicKeys(),
+    tokenVersion: QrTokens.TOKEN_VERSION,
+    rotationSeconds: QrTokens.QR_ROTATION_SECONDS,
+    allowedWindowDrift: QrTokens.ALLOWED_WINDOW_DRIFT,
+    maxOfflineAgeHours: MAX_OFFLINE_AGE_HOURS,
+    issuedAt: moment().toISOString()
+  }),
+
+  /**
+   * Odtwarza skany offline w kolejności kolejki terminala.
+   *
+   * @param {object} terminal - Uwierzytelniony terminal (req.terminal)
+   * @param {array} scans - [{ localId, code (CRL1), scannedAt (ISO) }] w kolejności skanowania
+   * @returns {object} { results: [{ localId, status, reason, message, orderId, transactionType, scanId, duplicate }], summary }
+   * @example OfflineSync.syncBatch(req.terminal, [{ localId: 'q-1', code: 'CRL1....', scannedAt: '2025-11-10T10:15:00Z' }])
+   */
+  syncBatch: (terminal, scans) => {
+    const results = DB.batchWrites(() => scans.map(scan => OfflineSync._syncOne(terminal, scan)));
+    const summary = Object.values(SYNC_STATUSES).reduce((acc, status) => ({
+      ...acc,
+      [status.toLowerCase()]: results.filter(r => r.status === status).length
+    }), { total: results.length });
+
+    console.log(`[OfflineSync] ${terminal.terminalId}: ${summary.applied} zastosowanych, ${summary.conflict} konfliktów, ${summary.retry} do ponowienia`);
+    return { results, summary };
+  },
+
+  /**
+   * Jeden skan: deduplikacja po localId → kontrola czasu → weryfikacja na moment skanu → zapis wyniku.
+   *
+   * @private
+   * @param {object} terminal - Terminal
+   * @param {object} scan - { localId, code, scannedAt }
+   * @returns {object} Wynik skanu
+   */
+  _syncOne: (terminal, { localId, code, scannedAt }) => {
+    const previous = offlineScansCollection().find(s => s.terminalId === terminal.terminalId && s.localId === localId);
+    if (previous) {
+      return { localId, ...previous.result, duplicate: true };
+    }
+
+    const nowMs = moment().valueOf();
+    const scannedAtMs = moment(scannedAt).valueOf();
+    const claims = QrTokens.peekClaims(code);
+    const startedAt = Date.now();
+    const gap = Registry.findOfflineGap(terminal.terminalId, scannedAtMs, MAX_CLOCK_SKEW_MS);
+    const displayed = QrTokens.displayWindowOf(code);
+    let result;
+
+    if (scannedAtMs > nowMs + MAX_CLOCK_SKEW_MS) {
+      result = { status: SYNC_STATUSES.CONFLICT, reason: 'CLOCK_SKEW', message: 'Czas skanu w przyszłości – sprawdź zegar terminala.', orderId: claims ? claims.oid : null };
+    } else if (scannedAtMs < nowMs - MAX_OFFLINE_AGE_HOURS * 3600 * 1000) {
+      result = { status: SYNC_STATUSES.CONFLICT, reason: 'OFFLINE_SCAN_TOO_OLD', message: `Skan offline starszy niż ${MAX_OFFLINE_AGE_HOURS} h – wyjaśnij ręcznie.`, orderId: claims ? claims.oid : null };
+    } else if (claims && Number.isInteger(claims.iat) && scannedAtMs < claims.iat) {
+      // iat jest podpisany – sfałszowany claim i tak nie przejdzie weryfikacji tokenu
+      result = { status: SYNC_STATUSES.CONFLICT, reason: 'SCANNED_BEFORE_ISSUE', message: 'Czas skanu wcześniejszy niż wydanie kodu – wyjaśnij ręcznie.', orderId: claims.oid };
+    } else if (!gap) {
+      result = { status: SYNC_STATUSES.CONFLICT, reason: 'NOT_IN_OFFLINE_WINDOW', message: 'Czas skanu poza przerwą w łączności terminala – wyjaśnij ręcznie.', orderId: claims ? claims.oid : null };
+    } else if (displayed && displayed.toMs < moment(gap.from).valueOf() - MAX_CLOCK_SKEW_MS) {
+      // Kod z okna sprzed utraty łączności – terminal miał wtedy sieć i zweryfikowałby go online
+      result = { status: SYNC_STATUSES.CONFLICT, reason: 'CODE_OLDER_THAN_OFFLINE_GAP', message: 'Kod wyświetlony przed utratą łączności terminala – wyjaśnij ręcznie.', orderId: claims ? claims.oid : null };
+    } else {
+      try {
+        // Bez liczenia prób w AbuseGuard: konflikt po przerwie w sieci to nie zgadywanie kodów
+        const validation = CorelayLogic.validateTransaction(code, terminal, { now: Math.min(scannedAtMs, nowMs), offline: true, trackFailures: false });
+        if (validation.success) {
+          result = {
+            status: SYNC_STATUSES.APPLIED,
+            reason: null,
+            message: validation.message,
+            orderId: validation.orderId,
+            transactionType: validation.transactionType,
+            ...(validation.refundId ? { returnId: validation.returnId, refundId: validation.refundId } : {})
+          };
+        } else if (RETRY_REASONS.includes(validation.reason)) {
+          result = { status: SYNC_STATUSES.RETRY, reason: validation.reason, message: validation.message, orderId: validation.orderId || null };
+        } else {
+          result = conflictFor(validation, claims);
+        }
+        result.codeType = validation.type || ScanLedger.codeTypeOf(code);
+        result.userId = validation.userId || null;
+      } catch (err) {
+        result = { status: SYNC_STATUSES.RETRY, reason: 'SERVER_ERROR', message: err.message, orderId: claims ? claims.oid : null };
+      }
+    }
+
+    const scan = ScanLedger.record({
+      terminal,
+      code,
+      outcome: result.status === SYNC_STATUSES.APPLIED ? ScanLedger.OUTCOMES.ACCEPTED
+        : result.reason === 'SERVER_ERROR' ? ScanLedger.OUTCOMES.ERROR : ScanLedger.OUTCOMES.REJECTED,
+      reason: result.reason,
+      message: result.message,
+      orderId: result.orderId,
+      userId: result.userId,
+      codeType: result.codeType,
+      transactionType: result.transactionType || null,
+      latencyMs: Date.now() - startedAt,
+      scannedAt: moment(scannedAtMs).toISOString()
+    });
+
+    const { userId, codeType, ...reported } = result;
+    const final = { ...reported, scanId: scan.scanId };
+    if (result.status !== SYNC_STATUSES.RETRY) {
+      offlineScansCollection().push({
+        terminalId: terminal.terminalId,
+        storeId: terminal.storeId,
+        localId,
+        scannedAt: moment(scannedAtMs).toISOString(),
+        syncedAt: moment(nowMs).toISOString(),
+        result: final
+      });
+      DB.persist();
+    }
+    return { localId, ...final, duplicate: false };
+  }
+
+};
+
+// ============================================
+// EKSPORT MODUŁU
+// ============================================
+
+/**
+ * Eksport OfflineSync – użyj: const OfflineSync = require('./offline_sync');
+ */
+module.exports = OfflineSync;
@@ -0,0 +1,811 @@
+'use strict';
+
+/**
+ * order_lifecycle.js - Maszyna stanów zamówienia Corelay
+ *
+ * Jedyne miejsce, które definiuje statusy zamówienia, dozwolone przejścia,
+ * ich warunki (guards) i efekty uboczne (pickupTime, maxTime, returnTime).
+ * Każde przejście dopisywane jest do order.history (actor, scannerId, terminalId, timestamp).
+ * Zwroty są na poziomie produktów (products[].state, order.returns) – także w kilku wizytach.
+ * Refundy rozlicza refunds.js – tu tylko statusy REFUNDED / REFUND_FAILED i products[].state = REFUNDED.
+ * Terminy odbioru i zwrotu wynikają z warunków zamówienia (order.policy) – polityki merchanta z policies.js
+ * zapisanej przy utworzeniu zamówienia (resolvePolicy); kategoria produktu może mieć własne okno zwrotu.
+ *
+ * Używana przez DB.updateOrderStatus/createOrder, corelay_logic.js i server.js –
+ * nie zmieniaj order.status ręcznie poza tym modułem.
+ *
+ * @module OrderLifecycle
+ * @version 1.0.0
+ */
+
+const moment = require('moment');
+const { ApiError } = require('./errors');
+
+// ============================================
+// KONSTANTY
+// ============================================
+
+/**
+ * Wszystkie statusy zamówienia – enum-like dla spójności.
+ * @constant
+ */
+const ORDER_STATUSES = {
+  READY_FOR_PICKUP: 'READY_FOR_PICKUP',
+  PICKED_UP: 'PICKED_UP',
+  RETURN_PENDING: 'RETURN_PENDING',
+  PARTIALLY_RETURNED: 'PARTIALLY_RETURNED',
+  RETURNED_PENDING_REFUND: 'RETURNED_PENDING_REFUND',
+  REFUNDED: 'REFUNDED',
+  REFUND_FAILED: 'REFUND_FAILED',
+  CANCELLED: 'CANCELLED',
+  EXPIRED_RETURN_TO_SENDER: 'EXPIRED_RETURN_TO_SENDER', // Nieodebrana w terminie – wraca do nadawcy
+  COMPLETED: 'COMPLETED' // Okno zwrotu zamknięte – zatrzymane produkty są ostateczne
+};
+
+/**
+ * Stan pojedynczego produktu zamówienia (products[].state).
+ * @constant
+ */
+const ITEM_STATES = {
+  KEPT: 'KEPT',
+  RETURNED: 'RETURNED',
+  REFUNDED: 'REFUNDED',
+  CANCELLED: 'CANCELLED' // Anulowany przez merchanta przed odbiorem – poza zwrotami i refundami
+};
+
+/**
+ * Statusy, z którymi zamówienie może zostać utworzone (createOrder).
+ * @constant
+ */
+const INITIAL_STATUSES = [
+  ORDER_STATUSES.READY_FOR_PICKUP,
+  ORDER_STATUSES.PICKED_UP,
+  ORDER_STATUSES.RETURN_PENDING
+];
+
+/**
+ * Statusy dostępne w ręcznej korekcie (override) – tylko strona odbioru: bez zwrotów i refundów, więc korekta
+ * nie wymaga rozliczania products[].state ani refunds. Anulowanie – przez merchanta (anulowanie produktów).
+ * @constant
+ */
+const OVERRIDE_STATUSES = [
+  ORDER_STATUSES.READY_FOR_PICKUP,
+  ORDER_STATUSES.PICKED_UP,
+  ORDER_STATUSES.EXPIRED_RETURN_TO_SENDER,
+  ORDER_STATUSES.COMPLETED
+];
+
+/**
+ * Domyślne dni na odbiór paczki od utworzenia zamówienia (gdy merchant nie ustawił własnej polityki).
+ * @constant
+ */
+const PICKUP_WINDOW_DAYS = 7;
+
+/**
+ * Domyślne dni na zwrot od odbioru paczki (gdy merchant nie ustawił własnej polityki).
+ * @constant
+ */
+const RETURN_WINDOW_DAYS = 14;
+
+const nowOf = (context) => (context && context.now !== undefined ? context.now : moment().valueOf());
+
+// ============================================
+// WARUNKI ZAMÓWIENIA (order.policy)
+// ============================================
+
+const normalizeCategory = (category) => (category ? String(category).trim().toLowerCase() : null);
+
+/**
+ * Warunki zamówienia z polityki merchanta: okna odbioru i zwrotu, okna zwrotu kategorii produktów.
+ * @private
+ */
+const resolvePolicy = (merchantPolicy) => {
+  const source = merchantPolicy || {};
+  const categories = {};
+  Object.entries(source.categories || {}).forEach(([category, rule]) => {
+    categories[normalizeCategory(category)] = { returnWindowDays: rule.returnWindowDays };
+  });
+  return {
+    merchantId: source.merchantId || null,
+    version: source.version || 0, // 0 = domyślne warunki platformy
+    pickupWindowDays: Number.isInteger(source.pickupWindowDays) ? source.pickupWindowDays : PICKUP_WINDOW_DAYS,
+    returnWindowDays: Number.isInteger(source.returnWindowDays) ? source.returnWindowDays : RETURN_WINDOW_DAYS,
+    categories
+  };
+};
+
+/**
+ * Warunki zamówienia – zamówienia sprzed polityk (bez order.policy) mają warunki domyślne.
+ * @private
+ */
+const policyOf = (order) => order.policy || resolvePolicy(null);
+
+/**
+ * Okno zwrotu produktu w dniach: reguła kategorii albo okno zamówienia (0 = produkt nie podlega zwrotowi).
+ * @private
+ */
+const itemReturnWindowDays = (order, index) => {
+  const policy = policyOf(order);
+  const rule = policy.categories[normalizeCategory(order.products[index].category)];
+  return rule ? rule.returnWindowDays : policy.returnWindowDays;
+};
+
+/**
+ * Najdłuższe okno zwrotu wśród nieanulowanych produktów – wyznacza order.maxTime.
+ * @private
+ */
+const longestReturnWindowDays = (order) => order.products.reduce((longest, product, index) => (
+  product.state === ITEM_STATES.CANCELLED ? longest : Math.max(longest, itemReturnWindowDays(order, index))
+), 0);
+
+/**
+ * Koniec okna zwrotu produktu (ms) lub null przed odbiorem.
+ * @private
+ */
+const itemReturnDeadline = (order, index) => (order.pickupTime
+  ? moment(order.pickupTime).add(itemReturnWindowDays(order, index), 'days').valueOf()
+  : null);
+
+/**
+ * Powód, dla którego produktu nie można zwrócić (kategoria bez zwrotu, minione okno produktu), lub null.
+ * @private
+ */
+const itemReturnRefusal = (order, index, context) => {
+  const product = order.products[index];
+  const days = itemReturnWindowDays(order, index);
+  if (days === 0) {
+    return `${product.name} nie podlega zwrotowi${product.category ? ` (kategoria ${product.category})` : ''}`;
+  }
+  const deadline = itemReturnDeadline(order, index);
+  if (deadline !== null && deadline < nowOf(context)) {
+    return `${product.name}: okno zwrotu (${days} dni) minęło`;
+  }
+  return null;
+};
+
+// ============================================
+// GUARDS I EFEKTY (współdzielone przez przejścia)
+// ============================================
+
+/**
+ * Guard odbioru: właściwy sklep i termin odbioru nie minął (do końca dnia pickupDeadline).
+ * @private
+ */
+const canPickUp = (order, context) => {
+  if (context.scannerId && context.scannerId !== order.storeId) {
+    return `Paczka czeka w ${order.storeId}, nie w ${context.scannerId}`;
+  }
+  if (order.pickupDeadline && moment(order.pickupDeadline).endOf('day').valueOf() < nowOf(context)) {
+    return `Termin odbioru minął (${order.pickupDeadline})`;
+  }
+  return null;
+};
+
+/**
+ * Guard zwrotu: okno zwrotu (maxTime) nadal otwarte.
+ * @private
+ */
+const isReturnWindowOpen = (order, context) => {
+  if (!order.maxTime || order.maxTime < nowOf(context)) {
+    const days = longestReturnWindowDays(order);
+    return days === 0
+      ? 'Produkty zamówienia nie podlegają zwrotowi (polityka sprzedawcy)'
+      : `Okno zwrotu (${days} dni) wygasło – sprawdź datę odbioru`;
+  }
+  return null;
+};
+
+/**
+ * Guard wygaśnięcia: termin odbioru minął (po końcu dnia pickupDeadline).
+ * @private
+ */
+const isPickupDeadlinePassed = (order, context) => {
+  if (!order.pickupDeadline || moment(order.pickupDeadline).endOf('day').valueOf() >= nowOf(context)) {
+    return `Termin odbioru (${order.pickupDeadline}) jeszcze nie minął`;
+  }
+  return null;
+};
+
+/**
+ * Guard zamknięcia: okno zwrotu (maxTime) minęło.
+ * @private
+ */
+const isReturnWindowExpired = (order, context) => {
+  if (order.maxTime && order.maxTime >= nowOf(context)) {
+    return `Okno zwrotu otwarte do ${moment(order.maxTime).toISOString()}`;
+  }
+  return null;
+};
+
+/**
+ * Guard refundu: wszystkie produkty zamówienia mają zwrócone pieniądze.
+ * @private
+ */
+const allItemsRefunded = (order) => {
+  const pending = order.products.filter(p => p.state !== ITEM_STATES.REFUNDED && p.state !== ITEM_STATES.CANCELLED);
+  if (pending.length > 0) {
+    return `Produkty bez zakończonego refundu: ${pending.map(p => p.name).join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * Guard anulowania: merchant anulował wszystkie produkty zamówienia.
+ * @private
+ */
+const allItemsCancelled = (order) => {
+  const active = order.products.filter(p => p.state !== ITEM_STATES.CANCELLED);
+  if (active.length > 0) {
+    return `Zamówienie ma aktywne produkty: ${active.map(p => p.name).join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * Efekt odbioru: skaner, czas odbioru i start okna zwrotu (maxTime = najdłuższe okno produktu).
+ * @private
+ */
+const markPickedUp = (order, context) => {
+  const now = nowOf(context);
+  if (context.scannerId) order.scannerId = context.scannerId;
+  order.pickupTime = moment(now).toISOString();
+  order.maxTime = moment(now).add(longestReturnWindowDays(order), 'days').valueOf();
+};
+
+/**
+ * Efekt zwrotu częściowego: skaner i czas ostatniej wizyty – okno zwrotu zostaje otwarte.
+ * @private
+ */
+const markPartiallyReturned = (order, context) => {
+  if (context.scannerId) order.scannerId = context.scannerId;
+  order.returnTime = moment(nowOf(context)).toISOString();
+};
+
+/**
+ * Efekt wygaśnięcia: czas przekazania paczki do zwrotu nadawcy.
+ * @private
+ */
+const markExpired = (order, context) => {
+  order.expiredAt = moment(nowOf(context)).toISOString();
+};
+
+/**
+ * Efekt zamknięcia okna zwrotu: czas zamknięcia (maxTime zostaje jako informacja, do kiedy było otwarte).
+ * @private
+ */
+const markCompleted = (order, context) => {
+  order.completedAt = moment(nowOf(context)).toISOString();
+};
+
+/**
+ * Efekt zwrotu: skaner, czas zwrotu, okno zwrotu zamknięte.
+ * @private
+ */
+const markReturned = (order, context) => {
+  if (context.scannerId) order.scannerId = context.scannerId;
+  order.returnTime = moment(nowOf(context)).toISOString();
+  order.maxTime = null;
+};
+
+// ============================================
+// TABELA PRZEJŚĆ
+// ============================================
+
+/**
+ * Dozwolone przejścia: { from, to, guard?, effect? }.
+ * guard(order, context) zwraca null (OK) lub powód odmowy; effect(order, context) mutuje zamówienie.
+ *
+ * @constant
+ */
+const TRANSITIONS = [
+  {
+    from: ORDER_STATUSES.READY_FOR_PICKUP,
+    to: ORDER_STATUSES.PICKED_UP,
+    guard: canPickUp,
+    effect: markPickedUp
+  },
+  {
+    // Merchant anulował wszystkie produkty przed odbiorem
+    from: ORDER_STATUSES.READY_FOR_PICKUP,
+    to: ORDER_STATUSES.CANCELLED,
+    guard: allItemsCancelled
+  },
+  {
+    // Job scheduler.js: paczka nieodebrana do końca dnia pickupDeadline
+    from: ORDER_STATUSES.READY_FOR_PICKUP,
+    to: ORDER_STATUSES.EXPIRED_RETURN_TO_SENDER,
+    guard: isPickupDeadlinePassed,
+    effect: markExpired
+  },
+  {
+    // Job scheduler.js: okno zwrotu minęło bez zwrotu
+    from: ORDER_STATUSES.PICKED_UP,
+    to: ORDER_STATUSES.COMPLETED,
+    guard: isReturnWindowExpired,
+    effect: markCompleted
+  },
+  {
+    // Job scheduler.js: okno zwrotu minęło po zwrocie części produktów
+    from: ORDER_STATUSES.PARTIALLY_RETURNED,
+    to: ORDER_STATUSES.COMPLETED,
+    guard: isReturnWindowExpired,
+    effect: markCompleted
+  },
+  {
+    from: ORDER_STATUSES.PICKED_UP,
+    to: ORDER_STATUSES.RETURN_PENDING,
+    guard: isReturnWindowOpen
+  },
+  {
+    from: ORDER_STATUSES.PICKED_UP,
+    to: ORDER_STATUSES.PARTIALLY_RETURNED,
+    guard: isReturnWindowOpen,
+    effect: markPartiallyReturned
+  },
+  {
+    from: ORDER_STATUSES.PICKED_UP,
+    to: ORDER_STATUSES.RETURNED_PENDING_REFUND,
+    guard: isReturnWindowOpen,
+    effect: markReturned
+  },
+  {
+    // Kolejna wizyta ze zwrotem części produktów (w tym samym oknie zwrotu)
+    from: ORDER_STATUSES.PARTIALLY_RETURNED,
+    to: ORDER_STATUSES.PARTIALLY_RETURNED,
+    guard: isReturnWindowOpen,
+    effect: markPartiallyReturned
+  },
+  {
+    from: ORDER_STATUSES.PARTIALLY_RETURNED,
+    to: ORDER_STATUSES.RETURNED_PENDING_REFUND,
+    guard: isReturnWindowOpen,
+    effect: markReturned
+  },
+  {
+    from: ORDER_STATUSES.RETURN_PENDING,
+    to: ORDER_STATUSES.RETURNED_PENDING_REFUND,
+    effect: markReturned
+  },
+  {
+    from: ORDER_STATUSES.RETURNED_PENDING_REFUND,
+    to: ORDER_STATUSES.REFUNDED,
+    guard: allItemsRefunded
+  },
+  {
+    // Refund odrzucony przez operatora płatności po wyczerpaniu prób
+    from: ORDER_STATUSES.RETURNED_PENDING_REFUND,
+    to: ORDER_STATUSES.REFUND_FAILED
+  },
+  {
+    // Ponowienie refundu przez admina
+    from: ORDER_STATUSES.REFUND_FAILED,
+    to: ORDER_STATUSES.RETURNED_PENDING_REFUND
+  }
+];
+
+/**
+ * Efekty dla statusu początkowego (createOrder) – odpowiednik przejść "z niczego".
+ * @private
+ */
+const INITIAL_EFFECTS = {
+  [ORDER_STATUSES.READY_FOR_PICKUP]: (order, context) => {
+    order.pickupDeadline = moment(nowOf(context)).add(policyOf(order).pickupWindowDays, 'days').format('YYYY-MM-DD');
+    order.pickupTime = null;
+    order.maxTime = null;
+  },
+  [ORDER_STATUSES.PICKED_UP]: (order, context) => {
+    order.pickupDeadline = null;
+    markPickedUp(order, context);
+  },
+  [ORDER_STATUSES.RETURN_PENDING]: (order) => {
+    order.pickupDeadline = null;
+    order.pickupTime = null;
+    order.maxTime = null;
+  }
+};
+
+// ============================================
+// GŁÓWNY OBIEKT MASZYNY STANÓW
+// ============================================
+
+/**
+ * Tworzy wpis historii zamówienia.
+ * @private
+ */
+const buildHistoryEntry = (from, to, context) => ({
+  from,
+  to,
+  at: moment(nowOf(context)).toISOString(),
+  actor: context.actor || 'system',
+  scannerId: context.scannerId || null,
+  terminalId: context.terminalId || null,
+  reason: context.reason || null
+});
+
+/**
+ * Suma cen produktów (zaokrąglona do groszy).
+ * @private
+ */
+const sumPrices = (products) => Math.round(products.reduce((sum, p) => sum + p.price, 0) * 100) / 100;
+
+const OrderLifecycle = {
+
+  ORDER_STATUSES,
+  ITEM_STATES,
+  INITIAL_STATUSES,
+  OVERRIDE_STATUSES,
+  PICKUP_WINDOW_DAYS,
+  RETURN_WINDOW_DAYS,
+
+  /**
+   * Warunki zamówienia z polityki merchanta (zapisywane w order.policy przy utworzeniu).
+   *
+   * @param {object|null} [merchantPolicy] - Rekord polityki z policies.js; brak = warunki domyślne
+   * @returns {object} { merchantId, version, pickupWindowDays, returnWindowDays, categories: { [kategoria]: { returnWindowDays } } }
+   * @example OrderLifecycle.resolvePolicy({ merchantId: 'LPP', version: 2, returnWindowDays: 30, categories: { bielizna: { returnWindowDays: 0 } } })
+   */
+  resolvePolicy,
+
+  /**
+   * Warunki zwrotu dla klienta: okna zamówienia i termin zwrotu każdego produktu.
+   *
+   * @param {object} order - Zamówienie
+   * @param {object} [context] - { now }
+   * @returns {object} { pickupWindowDays, returnWindowDays, items: [{ index, category, returnWindowDays, returnUntil (ISO|null), returnable }] }
+   */
+  returnTerms: (order, context = {}) => {
+    const policy = policyOf(order);
+    return {
+      pickupWindowDays: policy.pickupWindowDays,
+      returnWindowDays: policy.returnWindowDays,
+      items: order.products.map((product, index) => {
+        const deadline = itemReturnDeadline(order, index);
+        return {
+          index,
+          category: product.category || null,
+          returnWindowDays: itemReturnWindowDays(order, index),
+          returnUntil: deadline !== null ? moment(deadline).toISOString() : null,
+          returnable: (product.state || ITEM_STATES.KEPT) === ITEM_STATES.KEPT && !itemReturnRefusal(order, index, context)
+        };
+      })
+    };
+  },
+
+  /**
+   * Najwcześniejszy koniec okna zwrotu wybranych produktów (ms) – przed odbiorem order.maxTime.
+   *
+   * @param {object} order - Zamówienie
+   * @param {number[]} itemIndices - Indeksy products[]
+   * @returns {number|null} Koniec okna zwrotu (ms)
+   */
+  returnDeadline: (order, itemIndices) => {
+    const deadlines = itemIndices.map(index => itemReturnDeadline(order, index)).filter(deadline => deadline !== null);
+    return deadlines.length ? Math.min(...deadlines) : order.maxTime || null;
+  },
+
+  /**
+   * Zwraca definicję przejścia lub null, jeśli nie jest dozwolone.
+   *
+   * @param {string} from - Status obecny
+   * @param {string} to - Status docelowy
+   * @returns {object|null} { from, to, guard, effect }
+   */
+  getTransition: (from, to) => TRANSITIONS.find(t => t.from === from && t.to === to) || null,
+
+  /**
+   * Lista statusów osiągalnych z danego statusu.
+   *
+   * @param {string} status - Status obecny
+   * @returns {string[]} Statusy docelowe
+   * @example OrderLifecycle.allowedTargets('PICKED_UP') // ['RETURN_PENDING', 'PARTIALLY_RETURNED', 'RETURNED_PENDING_REFUND']
+   */
+  allowedTargets: (status) => TRANSITIONS.filter(t => t.from === status).map(t => t.to),
+
+  /**
+   * Statusy dostępne w ręcznej korekcie zamówienia (OVERRIDE_STATUSES) – puste, gdy zamówienie ma zwroty,
+   * refundy lub anulowane produkty.
+   *
+   * @param {object} order - Zamówienie
+   * @returns {string[]} Statusy docelowe
+   */
+  overrideTargets: (order) => {
+    const settled = (order.returns || []).length > 0 || order.products.some(p => (p.state || ITEM_STATES.KEPT) !== ITEM_STATES.KEPT);
+    return OVERRIDE_STATUSES.includes(order.status) && !settled ? OVERRIDE_STATUSES.filter(s => s !== order.status) : [];
+  },
+
+  /**
+   * Sprawdza (bez zmian w zamówieniu), czy przejście jest dozwolone teraz.
+   *
+   * @param {object} order - Zamówienie
+   * @param {string} to - Status docelowy
+   * @param {object} [context] - { scannerId, now }
+   * @returns {object} { allowed: boolean, reason: string|null }
+   * @example OrderLifecycle.canTransition(order, 'PICKED_UP', { scannerId: 'MODIVO' })
+   */
+  canTransition: (order, to, context = {}) => {
+    if (!Object.values(ORDER_STATUSES).includes(to)) {
+      return { allowed: false, reason: `Nieznany status: ${to}` };
+    }
+    const definition = OrderLifecycle.getTransition(order.status, to);
+    if (!definition) {
+      return { allowed: false, reason: `Niedozwolone przejście ${order.status} → ${to}` };
+    }
+    const reason = definition.guard ? definition.guard(order, context) : null;
+    return { allowed: !reason, reason };
+  },
+
+  /**
+   * Wykonuje przejście: guard → efekt → status → wpis w order.history.
+   *
+   * @param {object} order - Zamówienie (mutowane w miejscu)
+   * @param {string} to - Status docelowy
+   * @param {object} [context] - { actor, scannerId, reason, now }
+   * @returns {object} Dopisany wpis historii
+   * @throws {ApiError} 400 dla nieznanego statusu, 409 dla niedozwolonego przejścia lub guarda
+   * @example OrderLifecycle.transition(order, 'PICKED_UP', { actor: 'scanner:MODIVO', scannerId: 'MODIVO' })
+   */
+  transition: (order, to, context = {}) => {
+    const check = OrderLifecycle.canTransition(order, to, context);
+    if (!check.allowed) {
+      const status = Object.values(ORDER_STATUSES).includes(to) ? 409 : 400;
+      throw new ApiError(`${order.orderId}: ${check.reason}`, status);
+    }
+
+    const definition = OrderLifecycle.getTransition(order.status, to);
+    if (definition.effect) {
+      definition.effect(order, context);
+    }
+
+    const entry = buildHistoryEntry(order.status, to, context);
+    order.status = to;
+    order.history = order.history || [];
+    order.history.push(entry);
+    return entry;
+  },
+
+  /**
+   * Ręczna zmiana statusu z back-office – z pominięciem tabeli przejść i guardów, tylko w obrębie
+   * OVERRIDE_STATUSES (overrideTargets) – korekty zwrotów i refundów wymagałyby rozliczenia produktów.
+   * Daty pozostają spójne: stosowany jest efekt przejścia z TRANSITIONS (jeśli takie istnieje),
+   * a w przeciwnym razie efekt statusu początkowego (np. ponowne READY_FOR_PICKUP = nowy pickupDeadline).
+   * Wpis historii ma override: true i obowiązkowy powód.
+   *
+   * @param {object} order - Zamówienie (mutowane w miejscu)
+   * @param {string} to - Status docelowy
+   * @param {object} context - { actor, reason (wymagany), now }
+   * @returns {object} Dopisany wpis historii
+   * @throws {ApiError} 400 dla nieznanego statusu lub braku powodu, 409 gdy status się nie zmienia lub korekta jest niedostępna
+   * @example OrderLifecycle.override(order, 'READY_FOR_PICKUP', { actor: 'admin:anna.ops', reason: 'Klient odbierze po urlopie' })
+   */
+  override: (order, to, context = {}) => {
+    if (!Object.values(ORDER_STATUSES).includes(to)) {
+      throw new ApiError(`Nieznany status: ${to}`, 400);
+    }
+    if (!context.reason || !String(context.reason).trim()) {
+      throw new ApiError('Ręczna zmiana statusu wymaga powodu', 400);
+    }
+    if (order.status === to) {
+      throw new ApiError(`${order.orderId}: zamówienie ma już status ${to}`, 409);
+    }
+    if (!OrderLifecycle.overrideTargets(order).includes(to)) {
+      throw new ApiError(`${order.orderId}: korekta ${order.status} → ${to} niedostępna – ręczna zmiana tylko między ` +
+        `${OVERRIDE_STATUSES.join(', ')} i dla zamówień bez zwrotów, refundów i anulowanych produktów`, 409);
+    }
+
+    const definition = OrderLifecycle.getTransition(order.status, to);
+    const effect = definition ? definition.effect : INITIAL_EFFECTS[to];
+    if (effect) {
+      effect(order, context);
+    }
+
+    const entry = { ...buildHistoryEntry(order.status, to, context), override: true };
+    order.status = to;
+    order.history = order.history || [];
+    order.history.push(entry);
+    return entry;
+  },
+
+  /**
+   * Ustawia status początkowy nowego zamówienia (deadline, okna czasowe, pierwszy wpis historii).
+   *
+   * @param {object} order - Nowe zamówienie z polem status
+   * @param {object} [context] - { actor, now, policy (rekord polityki merchanta – warunki zamówienia) }
+   * @returns {object} To samo zamówienie
+   * @throws {ApiError} 400 jeśli status nie może być początkowy
+   */
+  initialize: (order, context = {}) => {
+    if (!INITIAL_STATUSES.includes(order.status)) {
+      throw new ApiError(`Nieprawidłowy status początkowy: ${order.status} – dozwolone ${INITIAL_STATUSES.join(', ')}`, 400);
+    }
+    order.policy = resolvePolicy(context.policy);
+    INITIAL_EFFECTS[order.status](order, context);
+    order.products = order.products.map(p => ({ ...p, state: p.state || ITEM_STATES.KEPT }));
+    order.returns = [];
+    order.history = [buildHistoryEntry(null, order.status, context)];
+    return order;
+  },
+
+  // ============================================
+  // ZWROTY NA POZIOMIE PRODUKTÓW
+  // ============================================
+
+  /**
+   * Planuje zwrot wybranych produktów (bez zmian w zamówieniu): które indeksy, kwota refundu
+   * i status docelowy (wszystkie pozostałe → RETURNED_PENDING_REFUND, część → PARTIALLY_RETURNED).
+   * Produkty z kategorii bez zwrotu lub po własnym oknie zwrotu są odrzucane (order.policy).
+   *
+   * @param {object} order - Zamówienie
+   * @param {number[]} [itemIndices] - Indeksy products[]; brak/pusta tablica = wszystkie niezwrócone, które można zwrócić
+   * @param {object} [context] - { scannerId, now }
+   * @returns {object} { allowed, reason, items, refundAmount, targetStatus }
+   * @example OrderLifecycle.planReturn(order, [0, 2]) // { allowed: true, items: [0, 2], refundAmount: 348, targetStatus: 'PARTIALLY_RETURNED' }
+   */
+  planReturn: (order, itemIndices, context = {}) => {
+    const returnable = order.products
+      .map((p, index) => ((p.state || ITEM_STATES.KEPT) === ITEM_STATES.KEPT ? index : null))
+      .filter(index => index !== null);
+    const items = itemIndices && itemIndices.length
+      ? [...new Set(itemIndices)].sort((a, b) => a - b)
+      : returnable.filter(index => !itemReturnRefusal(order, index, context));
+
+    const refused = (reason) => ({ allowed: false, reason, items, refundAmount: 0, targetStatus: null });
+
+    if (items.length === 0) {
+      return refused(returnable.length > 0
+        ? returnable.map(index => itemReturnRefusal(order, index, context)).join('; ')
+        : 'Brak produktów do zwrotu – wszystkie zostały już zwrócone');
+    }
+    const invalid = items.filter(index => !returnable.includes(index));
+    if (invalid.length > 0) {
+      return refused(`Produkty ${invalid.join(', ')} nie istnieją lub zostały już zwrócone`);
+    }
+    const blocked = items.map(index => itemReturnRefusal(order, index, context)).filter(Boolean);
+    if (blocked.length > 0) {
+      return refused(blocked.join('; '));
+    }
+
+    const targetStatus = items.length === returnable.length
+      ? ORDER_STATUSES.RETURNED_PENDING_REFUND
+      : ORDER_STATUSES.PARTIALLY_RETURNED;
+    const check = OrderLifecycle.canTransition(order, targetStatus, context);
+
+    return {
+      allowed: check.allowed,
+      reason: check.reason,
+      items,
+      refundAmount: sumPrices(items.map(index => order.products[index])),
+      targetStatus
+    };
+  },
+
+  /**
+   * Wykonuje zwrot produktów: przejście statusu, products[].state = RETURNED, wpis w order.returns.
+   *
+   * @param {object} order - Zamówienie (mutowane w miejscu)
+   * @param {number[]} [itemIndices] - Indeksy products[]; brak = wszystkie niezwrócone
+   * @param {object} [context] - { actor, scannerId, now, inspection (protokół z return_inspection.js) }
+   * @returns {object} Wpis zwrotu { returnId, items, refundAmount, scannerId, at, inspection }
+   * @throws {ApiError} 409 jeśli zwrot niedozwolony (okno, produkty już zwrócone)
+   */
+  applyReturn: (order, itemIndices, context = {}) => {
+    const plan = OrderLifecycle.planReturn(order, itemIndices, context);
+    if (!plan.allowed) {
+      throw new ApiError(`${order.orderId}: ${plan.reason}`, 409);
+    }
+
+    const historyEntry = OrderLifecycle.transition(order, plan.targetStatus, {
+      ...context,
+      reason: context.reason || `Zwrot produktów: ${plan.items.join(', ')}`
+    });
+    plan.items.forEach(index => { order.products[index].state = ITEM_STATES.RETURNED; });
+
+    order.returns = order.returns || [];
+    const entry = {
+      returnId: `RET-${order.orderId}-${order.returns.length + 1}`,
+      items: plan.items,
+      refundAmount: plan.refundAmount,
+      scannerId: context.scannerId || null,
+      at: historyEntry.at,
+      inspection: context.inspection || null // null = przyjęty bez inspekcji (np. skan offline)
+    };
+    order.returns.push(entry);
+    return entry;
+  },
+
+  /**
+   * Rozlicza udany refund: products[].state = REFUNDED; gdy całe zamówienie jest zwrócone
+   * i wszystkie produkty rozliczone → przejście RETURNED_PENDING_REFUND → REFUNDED.
+   *
+   * @param {object} order - Zamówienie (mutowane w miejscu)
+   * @param {number[]} itemIndices - Indeksy products[] objęte refundem
+   * @param {object} [context] - { actor, reason, now }
+   * @returns {object|null} Wpis historii przejścia do REFUNDED lub null (zamówienie nadal w toku)
+   */
+  settleRefund: (order, itemIndices, context = {}) => {
+    itemIndices.forEach(index => { order.products[index].state = ITEM_STATES.REFUNDED; });
+
+    const check = OrderLifecycle.canTransition(order, ORDER_STATUSES.REFUNDED, context);
+    return check.allowed ? OrderLifecycle.transition(order, ORDER_STATUSES.REFUNDED, context) : null;
+  },
+
+  // ============================================
+  // ZMIANY PRODUKTÓW PRZEZ MERCHANTA (PRZED ODBIOREM)
+  // ============================================
+
+  /**
+   * Dodaje produkty do zamówienia czekającego na odbiór (wpis w historii bez zmiany statusu).
+   *
+   * @param {object} order - Zamówienie (mutowane w miejscu)
+   * @param {array} products - [{ name, price, sku?, category? }]
+   * @param {object} [context] - { actor, reason, now }
+   * @returns {number[]} Indeksy dodanych produktów
+   * @throws {ApiError} 409 jeśli zamówienie nie jest READY_FOR_PICKUP
+   */
+  addItems: (order, products, context = {}) => {
+    if (order.status !== ORDER_STATUSES.READY_FOR_PICKUP) {
+      throw new ApiError(`${order.orderId}: produkty można dodać tylko przed odbiorem (status ${order.status})`, 409);
+    }
+    const start = order.products.length;
+    order.products.push(...products.map(p => ({ ...p, state: ITEM_STATES.KEPT })));
+    const indices = products.map((p, offset) => start + offset);
+
+    OrderLifecycle.recordEvent(order, {
+      ...context,
+      reason: context.reason || `Dodano produkty: ${products.map(p => p.name).join(', ')}`
+    });
+    return indices;
+  },
+
+  /**
+   * Anuluje produkty przed odbiorem (products[].state = CANCELLED). Anulowanie wszystkich
+   * aktywnych produktów → przejście READY_FOR_PICKUP → CANCELLED.
+   *
+   * @param {object} order - Zamówienie (mutowane w miejscu)
+   * @param {number[]} itemIndices - Indeksy products[]
+   * @param {object} [context] - { actor, reason, now }
+   * @returns {object} Wpis historii
+   * @throws {ApiError} 409 jeśli po odbiorze lub produkt już anulowany / nie istnieje
+   */
+  cancelItems: (order, itemIndices, context = {}) => {
+    if (order.status !== ORDER_STATUSES.READY_FOR_PICKUP) {
+      throw new ApiError(`${order.orderId}: produkty można anulować tylko przed odbiorem (status ${order.status})`, 409);
+    }
+    const items = [...new Set(itemIndices)].sort((a, b) => a - b);
+    const invalid = items.filter(index => !order.products[index] || order.products[index].state !== ITEM_STATES.KEPT);
+    if (invalid.length > 0 || items.length === 0) {
+      throw new ApiError(`${order.orderId}: produkty ${invalid.join(', ')} nie istnieją lub są już anulowane`, 409);
+    }
+
+    items.forEach(index => { order.products[index].state = ITEM_STATES.CANCELLED; });
+    const reason = context.reason || `Anulowano produkty: ${items.map(index => order.products[index].name).join(', ')}`;
+
+    if (OrderLifecycle.canTransition(order, ORDER_STATUSES.CANCELLED, context).allowed) {
+      return OrderLifecycle.transition(order, ORDER_STATUSES.CANCELLED, { ...context, reason });
+    }
+    return OrderLifecycle.recordEvent(order, { ...context, reason });
+  },
+
+  /**
+   * Dopisuje do historii zdarzenie bez zmiany statusu (from = to), np. zmiana danych przez merchanta.
+   *
+   * @param {object} order - Zamówienie (mutowane w miejscu)
+   * @param {object} context - { actor, reason, now } – reason opisuje zdarzenie
+   * @returns {object} Wpis historii
+   */
+  recordEvent: (order, context = {}) => {
+    const entry = buildHistoryEntry(order.status, order.status, context);
+    order.history = order.history || [];
+    order.history.push(entry);
+    return entry;
+  }
+
+};
+
+// ============================================
+// EKSPORT MODUŁU
+// ============================================
+
+/**
+ * Eksport OrderLifecycle – użyj: const OrderLifecycle = require('./order_lifecycle');
+ */
+module.exports = OrderLifecycle;
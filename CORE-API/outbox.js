@@ -0,0 +1,98 @@
+'use strict';
+
+/**
+ * outbox.js - Lokalna skrzynka nadawcza Corelay (zastępstwo dostawcy e-mail/SMS)
+ *
+ * Zamiast wysyłać wiadomości (SendGrid, SMSAPI...) zapisuje je w kolekcji `outbox`
+ * i loguje w konsoli. Wiadomości (np. kody logowania) odczytasz przez GET /api/admin/outbox,
+ * a poza production z CORELAY_DEV_OUTBOX=1 także przez GET /api/dev/outbox (oba wymagają klucza admina).
+ *
+ * Prawdziwy transport podłączysz w send() – interfejs dla reszty API się nie zmienia.
+ *
+ * @module Outbox
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const moment = require('moment');
+const DB = require('./database');
+
+// ============================================
+// KONSTANTY
+// ============================================
+
+/**
+ * Kanały wiadomości.
+ * @constant
+ */
+const CHANNELS = {
+  EMAIL: 'email',
+  SMS: 'sms',
+  WEBPUSH: 'webpush'
+};
+
+/**
+ * Ile ostatnich wiadomości trzymamy (starsze są usuwane przy zapisie).
+ * @constant
+ */
+const MAX_MESSAGES = 1000;
+
+const messages = () => DB.getCollection('outbox');
+
+// ============================================
+// GŁÓWNY OBIEKT
+// ============================================
+
+const Outbox = {
+
+  CHANNELS,
+
+  /**
+   * "Wysyła" wiadomość – zapis w outbox + log.
+   *
+   * @param {object} message - { channel, to, subject, body, meta? }
+   * @returns {object} Zapisana wiadomość { messageId, channel, to, subject, body, meta, createdAt }
+   * @example Outbox.send({ channel: 'email', to: 'wojtek@corelay.pl', subject: 'Kod logowania', body: 'Twój kod: 123456' })
+   */
+  send: ({ channel = CHANNELS.EMAIL, to, subject, body, meta = {} }) => {
+    const message = {
+      messageId: `MSG-${crypto.randomBytes(6).toString('hex')}`,
+      channel,
+      to,
+      subject,
+      body,
+      meta,
+      createdAt: moment().toISOString()
+    };
+    const collection = messages();
+    collection.push(message);
+    if (collection.length > MAX_MESSAGES) {
+      collection.splice(0, collection.length - MAX_MESSAGES);
+    }
+    DB.persist();
+
+    console.log(`[Outbox] ${channel} → ${to}: ${subject}`);
+    return message;
+  },
+
+  /**
+   * Ostatnie wiadomości (najnowsze pierwsze).
+   *
+   * @param {object} [filter] - { to, channel, limit (domyślnie 20) }
+   * @returns {array} Wiadomości
+   */
+  list: ({ to, channel, limit = 20 } = {}) => messages()
+    .filter(m => (!to || m.to === to) && (!channel || m.channel === channel))
+    .slice(-limit)
+    .reverse()
+
+};
+
+// ============================================
+// EKSPORT MODUŁU
+// ============================================
+
+/**
+ * Eksport Outbox – użyj: const Outbox = require('./outbox');
+ */
+module.exports = Outbox;
@@ -0,0 +1,160 @@
+'use strict';
+
+/**
+ * payment_providers.js - Adaptery operatorów płatności dla refundów Corelay
+ *
+ * Każdy adapter implementuje ten sam interfejs (używany przez refunds.js):
+ *
+ *   {
+ *     name: 'TPAY_MOCK',
+ *     refund: async ({ refundId, orderId, userId, amount, currency }) =>
+ *       { status: 'SUCCEEDED', providerRef } lub { status: 'FAILED', error, retryable }
+ *   }
+ *
+ * refundId jest kluczem idempotencji – ponowienie tego samego refundu nie może wypłacić dwa razy.
+ * Wyjątek rzucony z refund() traktowany jest jak błąd przejściowy (retry z backoffem).
+ *
+ * Prawdziwy adapter (np. TPay API) dodaj przez PaymentProviders.register('TPAY', adapter).
+ *
+ * @module PaymentProviders
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+
+// ============================================
+// KONSTANTY
+// ============================================
+
+/**
+ * Wyniki refundu zwracane przez adaptery.
+ * @constant
+ */
+const PROVIDER_RESULTS = {
+  SUCCEEDED: 'SUCCEEDED',
+  FAILED: 'FAILED'
+};
+
+/**
+ * Domyślny operator refundów (env REFUND_PROVIDER).
+ * @constant
+ */
+const DEFAULT_PROVIDER = process.env.REFUND_PROVIDER || 'TPAY_MOCK';
+
+// ============================================
+// MOCK TPAY (LOKALNA SYMULACJA)
+// ============================================
+
+/**
+ * Tworzy lokalny adapter symulujący TPay: opóźnienie, sukces, błąd przejściowy lub trwały.
+ * Domyślnie konfigurowany z env (MOCK_TPAY_DELAY_MS, MOCK_TPAY_FAILURE_RATE, MOCK_TPAY_PERMANENT_FAILURE_RATE).
+ *
+ * @param {object} [options]
+ * @param {number} [options.delayMs] - Opóźnienie odpowiedzi (ms)
+ * @param {number} [options.failureRate] - Prawdopodobieństwo błędu przejściowego (0–1)
+ * @param {number} [options.permanentFailureRate] - Prawdopodobieństwo odrzucenia bez retry (0–1)
+ * @param {string[]} [options.script] - Kolejne wyniki zamiast losowania: 'SUCCESS' | 'FAIL' | 'REJECT' (testy)
+ * @returns {object} Adapter { name, refund }
+ * @example const tpay = createMockTpayAdapter({ delayMs: 0, script: ['FAIL', 'SUCCESS'] });
+ */
+const createMockTpayAdapter = (options = {}) => {
+  const delayMs = options.delayMs !== undefined ? options.delayMs : Number(process.env.MOCK_TPAY_DELAY_MS || 1500);
+  const failureRate = options.failureRate !== undefined ? options.failureRate : Number(process.env.MOCK_TPAY_FAILURE_RATE || 0);
+  const permanentFailureRate = options.permanentFailureRate !== undefined
+    ? options.permanentFailureRate
+    : Number(process.env.MOCK_TPAY_PERMANENT_FAILURE_RATE || 0);
+  const script = [...(options.script || [])];
+  const settled = new Map(); // refundId → providerRef (idempotencja)
+
+  const nextOutcome = () => {
+    if (script.length > 0) return script.shift();
+    const roll = Math.random();
+    if (roll < permanentFailureRate) return 'REJECT';
+    if (roll < permanentFailureRate + failureRate) return 'FAIL';
+    return 'SUCCESS';
+  };
+
+  return {
+    name: 'TPAY_MOCK',
+
+    refund: async ({ refundId, amount, currency }) => {
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+
+      if (settled.has(refundId)) {
+        return { status: PROVIDER_RESULTS.SUCCEEDED, providerRef: settled.get(refundId) };
+      }
+
+      const outcome = nextOutcome();
+      if (outcome === 'REJECT') {
+        return { status: PROVIDER_RESULTS.FAILED, error: `TPay: refund ${amount} ${currency} odrzucony (konto zamknięte)`, retryable: false };
+      }
+      if (outcome === 'FAIL') {
+        return { status: PROVIDER_RESULTS.FAILED, error: 'TPay: timeout bramki płatności', retryable: true };
+      }
+
+      const providerRef = `TPAY-${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+      settled.set(refundId, providerRef);
+      return { status: PROVIDER_RESULTS.SUCCEEDED, providerRef };
+    }
+  };
+};
+
+// ============================================
+// REJESTR ADAPTERÓW
+// ============================================
+
+const registry = new Map([['TPAY_MOCK', createMockTpayAdapter()]]);
+
+const PaymentProviders = {
+
+  PROVIDER_RESULTS,
+  DEFAULT_PROVIDER,
+  createMockTpayAdapter,
+
+  /**
+   * Rejestruje (lub podmienia) adapter operatora.
+   *
+   * @param {string} name - Nazwa operatora (zapisywana w rekordzie refundu)
+   * @param {object} adapter - { refund: async (request) => result }
+   * @returns {void}
+   * @throws {Error} Jeśli adapter nie ma metody refund
+   */
+  register: (name, adapter) => {
+    if (!adapter || typeof adapter.refund !== 'function') {
+      throw new Error(`[PaymentProviders] Adapter ${name} musi implementować refund()`);
+    }
+    registry.set(name, adapter);
+  },
+
+  /**
+   * Zwraca adapter operatora.
+   *
+   * @param {string} [name] - Nazwa operatora (domyślnie DEFAULT_PROVIDER)
+   * @returns {object} Adapter
+   * @throws {Error} Jeśli operator nie jest zarejestrowany
+   */
+  get: (name = DEFAULT_PROVIDER) => {
+    const adapter = registry.get(name);
+    if (!adapter) {
+      throw new Error(`[PaymentProviders] Nieznany operator płatności: ${name}`);
+    }
+    return adapter;
+  },
+
+  /**
+   * Nazwy zarejestrowanych operatorów.
+   *
+   * @returns {string[]}
+   */
+  list: () => [...registry.keys()]
+
+};
+
+// ============================================
+// EKSPORT MODUŁU
+// ============================================
+
+/**
+ * Eksport PaymentProviders – użyj: const PaymentProviders = require('./payment_providers');
+ */
+module.exports = PaymentProviders;
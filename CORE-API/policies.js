@@ -0,0 +1,241 @@
+'use strict';
+
+/**
+ * policies.js - Polityki merchantów: okna czasowe i ważność kodów (zamiast stałych w kodzie)
+ *
+ * Polityka merchanta (kolekcja `policies`) nadpisuje wybrane wartości DEFAULT_POLICY:
+ * - pickupWindowDays – dni na odbiór od utworzenia zamówienia,
+ * - returnWindowDays – dni na zwrot od odbioru (0 = zwroty wyłączone),
+ * - categories – okno zwrotu per kategoria produktu (products[].category), np. bielizna: 0 = bez zwrotu,
+ * - guestCodeValidityMinutes – ważność kodu odbioru/zwrotu (PIN i QR),
+ * - qrRotationSeconds – okno rotacji dynamicznego kodu QR (podpisywane w grancie, qr_tokens.js).
+ *
+ * Okna odbioru i zwrotu są warunkami zakupu: DB.createOrder zapisuje je w order.policy
+ * (OrderLifecycle.resolvePolicy) i zmiana polityki nie dotyczy złożonych już zamówień.
+ * Ważność kodów i rotacja QR obowiązują od razu – czytane przy wydaniu każdego kodu (forMerchant).
+ *
+ * @module Policies
+ * @version 1.0.0
+ */
+
+const moment = require('moment');
+const DB = require('./database');
+const OrderLifecycle = require('./order_lifecycle');
+const QrTokens = require('./qr_tokens');
+const Registry = require('./registry');
+const { ApiError } = require('./errors');
+
+// ============================================
+// KONSTANTY
+// ============================================
+
+/**
+ * Polityka platformy – obowiązuje merchantów bez własnej polityki i pola, których merchant nie ustawił.
+ * @constant
+ */
+const DEFAULT_POLICY = {
+  pickupWindowDays: OrderLifecycle.PICKUP_WINDOW_DAYS,
+  returnWindowDays: OrderLifecycle.RETURN_WINDOW_DAYS,
+  guestCodeValidityMinutes: 60,
+  qrRotationSeconds: QrTokens.QR_ROTATION_SECONDS,
+  categories: {}
+};
+
+/**
+ * Dozwolone zakresy pól polityki (walidacja w api_contract.js).
+ * @constant
+ */
+const POLICY_LIMITS = {
+  pickupWindowDays: { min: 1, max: 30 },
+  returnWindowDays: { min: 0, max: 365 },
+  guestCodeValidityMinutes: { min: 5, max: 1440 },
+  qrRotationSeconds: { min: 10, max: 300 }
+};
+
+/**
+ * Maksymalna liczba reguł kategorii w jednej polityce.
+ * @constant
+ */
+const MAX_CATEGORIES = 50;
+
+const POLICY_FIELDS = Object.keys(POLICY_LIMITS);
+
+const policies = () => DB.getCollection('policies');
+
+/**
+ * Nazwa kategorii jak w OrderLifecycle (bez wielkości liter i spacji na brzegach).
+ * @private
+ */
+const normalizeCategory = (category) => String(category).trim().toLowerCase();
+
+/**
+ * Polityka obowiązująca: DEFAULT_POLICY nadpisana polami rekordu merchanta.
+ * @private
+ */
+const effective = (merchantId, record) => {
+  const pick = (field) => (record && Number.isInteger(record[field]) ? record[field] : DEFAULT_POLICY[field]);
+  return {
+    ...OrderLifecycle.resolvePolicy(record),
+    merchantId,
+    guestCodeValidityMinutes: pick('guestCodeValidityMinutes'),
+    qrRotationSeconds: pick('qrRotationSeconds')
+  };
+};
+
+/**
+ * Widok polityki merchanta: obowiązujące wartości + to, co merchant nadpisał.
+ * @private
+ */
+const view = (merchantId) => {
+  const record = policies().find(p => p.merchantId === merchantId) || null;
+  return {
+    merchantId,
+    source: record ? 'MERCHANT' : 'DEFAULT',
+    policy: effective(merchantId, record),
+    overrides: record
+      ? Object.fromEntries([...POLICY_FIELDS, 'categories'].filter(field => record[field] !== undefined).map(field => [field, record[field]]))
+      : {},
+    version: record ? record.version : 0,
+    updatedAt: record ? record.updatedAt : null,
+    updatedBy: record ? record.updatedBy : null
+  };
+};
+
+// ============================================
+// GŁÓWNY OBIEKT
+// ============================================
+
+const Policies = {
+
+  DEFAULT_POLICY,
+  POLICY_LIMITS,
+  MAX_CATEGORIES,
+
+  /**
+   * Polityka platformy (wartości domyślne).
+   *
+   * @returns {object} Kopia DEFAULT_POLICY
+   */
+  getDefaults: () => ({ ...DEFAULT_POLICY, categories: {} }),
+
+  /**
+   * Polityki wszystkich merchantów z rejestru (także tych bez własnej polityki – source DEFAULT).
+   *
+   * @returns {array} [{ merchantId, source, policy, overrides, version, updatedAt, updatedBy }]
+   */
+  list: () => DB.getCollection('merchants').map(m => view(m.merchantId)),
+
+  /**
+   * Polityka merchanta.
+   *
+   * @param {string} merchantId - ID merchanta
+   * @returns {object} { merchantId, source, policy, overrides, version, updatedAt, updatedBy }
+   * @throws {ApiError} 404 jeśli merchant nie istnieje
+   */
+  get: (merchantId) => {
+    Registry.getMerchant(merchantId);
+    return view(merchantId);
+  },
+
+  /**
+   * Obowiązująca polityka merchanta (wydawanie kodów) – nieznany merchant = DEFAULT_POLICY.
+   *
+   * @param {string|null} merchantId - ID merchanta
+   * @returns {object} { merchantId, version, pickupWindowDays, returnWindowDays, categories, guestCodeValidityMinutes, qrRotationSeconds }
+   */
+  forMerchant: (merchantId) => effective(merchantId || null, policies().find(p => p.merchantId === merchantId) || null),
+
+  /**
+   * Obowiązująca polityka merchanta, do którego należy sklep (kody bez zamówienia, np. kod zbiorczy).
+   *
+   * @param {string} storeId - ID sklepu
+   * @returns {object} Jak forMerchant
+   */
+  forStore: (storeId) => {
+    const store = DB.getCollection('stores').find(s => s.storeId === storeId);
+    return Policies.forMerchant(store ? store.merchantId : null);
+  },
+
+  /**
+   * Zmienia politykę merchanta. Pominięte pola bez zmian, null przywraca wartość domyślną;
+   * categories: [{ category, returnWindowDays }] – returnWindowDays null usuwa regułę kategorii.
+   * Dotyczy zamówień utworzonych od teraz (okna) i kodów wydanych od teraz (ważność, rotacja QR).
+   *
+   * @param {string} merchantId - ID merchanta
+   * @param {object} changes - { pickupWindowDays?, returnWindowDays?, guestCodeValidityMinutes?, qrRotationSeconds?, categories? }
+   * @param {string} actor - Kto zmienia (np. 'admin:demo.admin')
+   * @returns {object} Widok polityki jak get()
+   * @throws {ApiError} 404 jeśli merchant nie istnieje, 400 przy zbyt wielu kategoriach
+   * @example Policies.update('LPP', { returnWindowDays: 30, categories: [{ category: 'bielizna', returnWindowDays: 0 }] }, 'admin:demo.admin')
+   */
+  update: (merchantId, changes, actor) => {
+    Registry.getMerchant(merchantId);
+
+    let record = policies().find(p => p.merchantId === merchantId);
+    if (!record) {
+      record = { merchantId, categories: {}, version: 0, createdAt: moment().toISOString() };
+      policies().push(record);
+    }
+
+    POLICY_FIELDS.filter(field => changes[field] !== undefined).forEach(field => {
+      if (changes[field] === null) {
+        delete record[field];
+      } else {
+        record[field] = changes[field];
+      }
+    });
+
+    const categories = { ...record.categories };
+    (changes.categories || []).forEach(({ category, returnWindowDays }) => {
+      if (returnWindowDays === null) {
+        delete categories[normalizeCategory(category)];
+      } else {
+        categories[normalizeCategory(category)] = { returnWindowDays };
+      }
+    });
+    if (Object.keys(categories).length > MAX_CATEGORIES) {
+      throw new ApiError(`Polityka może mieć maksymalnie ${MAX_CATEGORIES} reguł kategorii`, 400);
+    }
+    record.categories = categories;
+
+    record.version += 1;
+    record.updatedAt = moment().toISOString();
+    record.updatedBy = actor;
+    DB.persist();
+
+    console.log(`[Policies] ${merchantId}: polityka v${record.version} (${actor})`);
+    return view(merchantId);
+  },
+
+  /**
+   * Usuwa politykę merchanta – od teraz obowiązuje DEFAULT_POLICY.
+   *
+   * @param {string} merchantId - ID merchanta
+   * @param {string} actor - Kto przywraca
+   * @returns {object} Widok polityki (source DEFAULT)
+   * @throws {ApiError} 404 jeśli merchant nie istnieje lub nie ma własnej polityki
+   */
+  reset: (merchantId, actor) => {
+    Registry.getMerchant(merchantId);
+
+    const index = policies().findIndex(p => p.merchantId === merchantId);
+    if (index === -1) {
+      throw new ApiError(`Merchant ${merchantId} nie ma własnej polityki – obowiązuje domyślna`, 404);
+    }
+    policies().splice(index, 1);
+    DB.persist();
+
+    console.log(`[Policies] ${merchantId}: przywrócono politykę domyślną (${actor})`);
+    return view(merchantId);
+  }
+
+};
+
+// ============================================
+// EKSPORT MODUŁU
+// ============================================
+
+/**
+ * Eksport Policies – użyj: const Policies = require('./policies');
+ */
+module.exports = Policies;
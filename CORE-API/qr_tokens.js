@@ -0,0 +1,342 @@
+'use strict';
+
+/**
+ * qr_tokens.js - Podpisane, rotujące kody QR Corelay (format CRL1)
+ *
+ * Zastępuje zaufanie do timestampu i userId przysyłanych przez klienta.
+ * Token QR składa się z dwóch części:
+ * - GRANT (wydany przez serwer): CRL1.<kid>.<payload>.<podpis Ed25519> – kto, jakie zamówienie, do kiedy.
+ * - ROTACJA (liczona w aplikacji klienta co rotationSeconds z grantu, jak TOTP):
+ *   .<okno>.<HMAC-SHA256(rotationSecret, grant + '.' + okno)> – zrzut ekranu przestaje działać po ~30 s.
+ *   Długość okna ustala polityka merchanta (policies.js) i jest podpisana w grancie (claim r).
+ *
+ * Pełny kod w QR: CRL1.<kid>.<payload>.<sig>.<window>.<otp>
+ *
+ * Klucze podpisu mają ID (kid) i są rotowane: nowe kody podpisuje klucz ACTIVE,
+ * weryfikacja akceptuje też klucze RETIRED (kody wydane przed rotacją).
+ *
+ * @module QrTokens
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const moment = require('moment');
+const DB = require('./database');
+
+// ============================================
+// KONSTANTY
+// ============================================
+
+/**
+ * Wersja formatu tokenu (pierwszy segment).
+ * @constant
+ */
+const TOKEN_VERSION = 'CRL1';
+
+/**
+ * Domyślna długość okna rotacji kodu w sekundach (anti-screenshot/replay) – granty bez claimu r.
+ * @constant
+ */
+const QR_ROTATION_SECONDS = 30;
+
+/**
+ * Ile okien w przód/tył akceptujemy (rozjazd zegarów telefonu i serwera).
+ * @constant
+ */
+const ALLOWED_WINDOW_DRIFT = 1;
+
+/**
+ * Długość skróconego HMAC w segmencie rotacji (znaki base64url).
+ * @constant
+ */
+const OTP_LENGTH = 12;
+
+// ============================================
+// HELPERY KRYPTOGRAFICZNE
+// ============================================
+
+const toBase64Url = (buffer) => Buffer.from(buffer).toString('base64url');
+
+const fromBase64Url = (text) => Buffer.from(text, 'base64url');
+
+/**
+ * Porównanie stałoczasowe (bez wycieku długości przez wyjątek).
+ * @private
+ */
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+/**
+ * Numer okna rotacji dla czasu (ms).
+ * @private
+ */
+const windowAt = (timeMs, rotationSeconds = QR_ROTATION_SECONDS) => Math.floor(timeMs / 1000 / rotationSeconds);
+
+/**
+ * Długość okna rotacji z claims grantu (granty sprzed polityk – QR_ROTATION_SECONDS).
+ * @private
+ */
+const rotationOf = (claims) => (Number.isInteger(claims.r) && claims.r > 0 ? claims.r : QR_ROTATION_SECONDS);
+
+/**
+ * Segment rotacji – ta sama formuła liczona jest w PWA klienta (WebCrypto HMAC-SHA256).
+ * @private
+ */
+const computeOtp = (rotationSecret, grant, window) => crypto
+  .createHmac('sha256', rotationSecret)
+  .update(`${grant}.${window}`)
+  .digest('base64url')
+  .slice(0, OTP_LENGTH);
+
+const keysCollection = () => DB.getCollection('signingKeys');
+
+/**
+ * Generuje nową parę kluczy Ed25519 (kid = data + losowy sufiks).
+ * @private
+ */
+const createSigningKey = () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  return {
+    kid: `k${moment().format('YYYYMMDD')}${crypto.randomBytes(3).toString('hex')}`,
+    algorithm: 'Ed25519',
+    publicKey: publicKey.export({ type: 'spki', format: 'der' }).toString('base64'),
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    status: 'ACTIVE',
+    createdAt: moment().toISOString(),
+    retiredAt: null
+  };
+};
+
+/**
+ * Zwraca aktywny klucz; przy pierwszym starcie generuje go i zapisuje w bazie.
+ * @private
+ */
+const getActiveKey = () => {
+  let key = keysCollection().find(k => k.status === 'ACTIVE');
+  if (!key) {
+    key = createSigningKey();
+    keysCollection().push(key);
+    DB.persist();
+    console.log(`[QrTokens] Wygenerowano klucz podpisu QR ${key.kid}`);
+  }
+  return key;
+};
+
+/**
+ * Wynik odrzucenia tokenu (reason – stały kod, message – dla skanera).
+ * Po sprawdzeniu podpisu dołączamy zamówienie i codeId z claims – do liczenia prób (abuse_guard.js).
+ * @private
+ */
+const reject = (reason, message, claims = null) => ({
+  valid: false,
+  reason,
+  message,
+  ...(claims ? { orderId: claims.oid, codeId: claims.cid } : {})
+});
+
+// ============================================
+// GŁÓWNY OBIEKT
+// ============================================
+
+const QrTokens = {
+
+  TOKEN_VERSION,
+  QR_ROTATION_SECONDS,
+  ALLOWED_WINDOW_DRIFT,
+
+  /**
+   * Czy zeskanowany tekst wygląda na token CRL1 (a nie 6-cyfrowy PIN).
+   *
+   * @param {string} text - Zeskanowane dane
+   * @returns {boolean}
+   */
+  isToken: (text) => typeof text === 'string' && text.startsWith(`${TOKEN_VERSION}.`),
+
+  /**
+   * Wydaje podpisany grant dla kodu gościnnego. Sekret rotacji trafia tylko do aplikacji klienta.
+   *
+   * @param {object} claims - { codeId, orderId, userId, storeId (sklep odbioru – sprawdzany offline przez terminal), purpose: 'PICKUP'|'RETURN', items (indeksy zwracanych produktów), expiresAt (ms), rotationSecret, rotationSeconds (polityka merchanta, domyślnie QR_ROTATION_SECONDS), issuedAt (ms, domyślnie teraz – skan offline nie może być wcześniejszy) }
+   * @returns {object} { format, grant, kid, rotationSecret, rotationSeconds }
+   * @example QrTokens.issue({ codeId: 'c1', orderId: 'ORD-1001', userId: 'wojtek@corelay.pl', purpose: 'PICKUP', expiresAt, rotationSecret })
+   */
+  issue: ({ codeId, orderId, userId, storeId, purpose, items, expiresAt, rotationSecret, rotationSeconds = QR_ROTATION_SECONDS, issuedAt = moment().valueOf() }) => {
+    const key = getActiveKey();
+    const payload = toBase64Url(JSON.stringify({
+      v: 1,
+      cid: codeId,
+      oid: orderId,
+      uid: userId,
+      s: storeId || undefined,
+      p: purpose,
+      i: items || undefined,
+      r: rotationSeconds,
+      iat: issuedAt,
+      exp: expiresAt
+    }));
+    const signedPart = `${TOKEN_VERSION}.${key.kid}.${payload}`;
+    const signature = crypto.sign(null, Buffer.from(signedPart), crypto.createPrivateKey(key.privateKey));
+
+    return {
+      format: TOKEN_VERSION,
+      grant: `${signedPart}.${toBase64Url(signature)}`,
+      kid: key.kid,
+      rotationSecret,
+      rotationSeconds
+    };
+  },
+
+  /**
+   * Generuje świeży sekret rotacji (przechowywany przy kodzie gościnnym w DB).
+   *
+   * @returns {string} Sekret base64url (160 bit)
+   */
+  createRotationSecret: () => toBase64Url(crypto.randomBytes(20)),
+
+  /**
+   * Buduje pełny kod QR dla danego momentu – odpowiednik renderera w PWA (testy, symulatory).
+   *
+   * @param {string} grant - Grant z issue()
+   * @param {string} rotationSecret - Sekret rotacji
+   * @param {number} [timeMs] - Czas (domyślnie teraz)
+   * @returns {string} CRL1.<kid>.<payload>.<sig>.<window>.<otp>
+   */
+  render: (grant, rotationSecret, timeMs = moment().valueOf()) => {
+    const claims = JSON.parse(fromBase64Url(grant.split('.')[2]).toString('utf8'));
+    const window = windowAt(timeMs, rotationOf(claims));
+    return `${grant}.${window}.${computeOtp(rotationSecret, grant, window)}`;
+  },
+
+  /**
+   * Weryfikuje token: format → klucz (kid) → podpis → expiry → okno rotacji → kod w DB → HMAC rotacji.
+   * Nie zużywa kodu (zrób DB.removeGuestCode po udanej transakcji).
+   *
+   * @param {string} token - Zeskanowany token CRL1
+   * @param {number} [nowMs] - Czas weryfikacji (domyślnie teraz)
+   * @returns {object} { valid: true, claims, codeEntry } lub { valid: false, reason, message, orderId?, codeId? } (orderId/codeId – gdy podpis był poprawny)
+   */
+  verify: (token, nowMs = moment().valueOf()) => {
+    const parts = String(token || '').trim().split('.');
+    if (parts.length !== 6 || parts[0] !== TOKEN_VERSION) {
+      return reject('INVALID_FORMAT', 'Nieprawidłowy format kodu QR – wygeneruj nowy w aplikacji.');
+    }
+    const [version, kid, payload, signature, windowText, otp] = parts;
+
+    const key = keysCollection().find(k => k.kid === kid);
+    if (!key) {
+      return reject('UNKNOWN_KEY', 'Kod podpisany nieznanym kluczem – wygeneruj nowy w aplikacji.');
+    }
+
+    const signedPart = `${version}.${kid}.${payload}`;
+    let signatureValid = false;
+    try {
+      const publicKey = crypto.createPublicKey({ key: Buffer.from(key.publicKey, 'base64'), format: 'der', type: 'spki' });
+      signatureValid = crypto.verify(null, Buffer.from(signedPart), publicKey, fromBase64Url(signature));
+    } catch (err) {
+      signatureValid = false;
+    }
+    if (!signatureValid) {
+      return reject('BAD_SIGNATURE', 'Nieprawidłowy podpis kodu – kod sfałszowany lub uszkodzony.');
+    }
+
+    let claims;
+    try {
+      claims = JSON.parse(fromBase64Url(payload).toString('utf8'));
+    } catch (err) {
+      return reject('INVALID_FORMAT', 'Nieczytelny payload kodu QR.');
+    }
+    if (claims.exp < nowMs) {
+      return reject('CODE_EXPIRED', `Kod wygasł ${moment(claims.exp).fromNow()}. Wygeneruj nowy.`, claims);
+    }
+
+    const window = Number(windowText);
+    if (!Number.isInteger(window) || Math.abs(windowAt(nowMs, rotationOf(claims)) - window) > ALLOWED_WINDOW_DRIFT) {
+      return reject('STALE_CODE', `Kod nieaktualny (rotacja co ${rotationOf(claims)}s) – zrzut ekranu? Poproś o odświeżenie w aplikacji.`, claims);
+    }
+
+    const codeEntry = DB.getGuestCodeById(claims.cid);
+    if (!codeEntry || codeEntry.orderId !== claims.oid) {
+      return reject('CODE_NOT_ACTIVE', 'Kod został już użyty lub unieważniony.', claims);
+    }
+
+    if (!safeEqual(computeOtp(codeEntry.rotationSecret, `${signedPart}.${signature}`, window), otp)) {
+      return reject('BAD_OTP', 'Nieprawidłowy kod rotacyjny – poproś o odświeżenie w aplikacji.', claims);
+    }
+
+    return { valid: true, claims, codeEntry };
+  },
+
+  /**
+   * Odczytuje claims z tokenu BEZ weryfikacji podpisu – tylko do raportowania (np. konflikty
+   * synchronizacji offline), nigdy do autoryzacji.
+   *
+   * @param {string} token - Token CRL1
+   * @returns {object|null} Claims { cid, oid, uid, s, p, i, r, iat, exp } lub null (nieczytelny token)
+   */
+  peekClaims: (token) => {
+    const parts = String(token || '').trim().split('.');
+    if (parts.length !== 6 || parts[0] !== TOKEN_VERSION) return null;
+    try {
+      return JSON.parse(fromBase64Url(parts[2]).toString('utf8'));
+    } catch (err) {
+      return null;
+    }
+  },
+
+  /**
+   * Przedział czasu, w którym klient mógł wyświetlić token (okno rotacji ± ALLOWED_WINDOW_DRIFT) – BEZ weryfikacji
+   * podpisu; znaczenie ma dopiero dla tokenu, który przeszedł verify (np. skany offline).
+   *
+   * @param {string} token - Token CRL1
+   * @returns {object|null} { fromMs, toMs } lub null (nieczytelny token)
+   */
+  displayWindowOf: (token) => {
+    const claims = QrTokens.peekClaims(token);
+    const window = Number(String(token).trim().split('.')[4]);
+    if (!claims || !Number.isInteger(window)) return null;
+    const rotationMs = rotationOf(claims) * 1000;
+    return { fromMs: (window - ALLOWED_WINDOW_DRIFT) * rotationMs, toMs: (window + 1 + ALLOWED_WINDOW_DRIFT) * rotationMs };
+  },
+
+  /**
+   * Publiczne klucze weryfikacji (ACTIVE + RETIRED) – do weryfikacji podpisu poza serwerem.
+   *
+   * @returns {array} [{ kid, algorithm, publicKey (SPKI DER base64), status, createdAt, retiredAt }]
+   */
+  getPublicKeys: () => {
+    getActiveKey();
+    return keysCollection().map(({ kid, algorithm, publicKey, status, createdAt, retiredAt }) => ({
+      kid, algorithm, publicKey, status, createdAt, retiredAt
+    }));
+  },
+
+  /**
+   * Rotacja klucza: obecny ACTIVE → RETIRED (nadal weryfikuje), nowy klucz staje się ACTIVE.
+   *
+   * @returns {object} { kid, retiredKid }
+   */
+  rotateKey: () => {
+    const current = keysCollection().find(k => k.status === 'ACTIVE');
+    if (current) {
+      current.status = 'RETIRED';
+      current.retiredAt = moment().toISOString();
+    }
+    const key = createSigningKey();
+    keysCollection().push(key);
+    DB.persist();
+    console.log(`[QrTokens] Rotacja klucza: ${current ? current.kid : '-'} → ${key.kid}`);
+    return { kid: key.kid, retiredKid: current ? current.kid : null };
+  }
+
+};
+
+// ============================================
+// EKSPORT MODUŁU
+// ============================================
+
+/**
+ * Eksport QrTokens – użyj: const QrTokens = require('./qr_tokens');
+ */
+module.exports = QrTokens;
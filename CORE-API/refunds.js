@@ -0,0 +1,377 @@
+'use strict';
+
+/**
+ * refunds.js - Obsługa refundów Corelay (zwrot pieniędzy za zwrócone produkty)
+ *
+ * Każdy zwrot (order.returns) dostaje rekord refundu w kolekcji `refunds`, który worker
+ * zleca operatorowi płatności (payment_providers.js). Błędy przejściowe są ponawiane
+ * z wykładniczym backoffem; po wyczerpaniu prób lub odrzuceniu refund ma status FAILED,
+ * a zamówienie przechodzi w REFUND_FAILED (admin może ponowić: POST /api/admin/refunds/:id/retry).
+ *
+ * Statusy refundu: PENDING → PROCESSING → SUCCEEDED | PENDING (retry) | FAILED.
+ * Udany refund oznacza produkty jako REFUNDED (OrderLifecycle.settleRefund) –
+ * po rozliczeniu całego zamówienia status zmienia się na REFUNDED.
+ *
+ * @module Refunds
+ * @version 1.0.0
+ */
+
+const moment = require('moment');
+const DB = require('./database');
+const OrderLifecycle = require('./order_lifecycle');
+const PaymentProviders = require('./payment_providers');
+const Events = require('./events');
+const { ApiError } = require('./errors');
+
+const { ORDER_STATUSES } = OrderLifecycle;
+
+// ============================================
+// KONSTANTY
+// ============================================
+
+/**
+ * Statusy rekordu refundu.
+ * @constant
+ */
+const REFUND_STATUSES = {
+  PENDING: 'PENDING',
+  PROCESSING: 'PROCESSING',
+  SUCCEEDED: 'SUCCEEDED',
+  FAILED: 'FAILED'
+};
+
+/**
+ * Maksymalna liczba prób u operatora (w jednej rundzie – retry admina zaczyna nową).
+ * @constant
+ */
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Backoff: opóźnienie kolejnej próby = RETRY_BASE_SECONDS * 2^(próba-1), max RETRY_MAX_SECONDS.
+ * @constant
+ */
+const RETRY_BASE_SECONDS = 30;
+const RETRY_MAX_SECONDS = 3600;
+
+/**
+ * Co ile worker sprawdza refundy do wykonania (ms).
+ * @constant
+ */
+const WORKER_INTERVAL_MS = 10000;
+
+// ============================================
+// HELPERY
+// ============================================
+
+const refundsCollection = () => DB.getCollection('refunds');
+
+/**
+ * Opóźnienie przed kolejną próbą (ms) po `attempts` nieudanych próbach.
+ * @private
+ */
+const backoffMs = (attempts) => Math.min(RETRY_BASE_SECONDS * Math.pow(2, attempts - 1), RETRY_MAX_SECONDS) * 1000;
+
+/**
+ * Dopisuje wpis do dziennika prób refundu.
+ * @private
+ */
+const logAttempt = (refund, nowMs, outcome, detail = null) => {
+  refund.log.push({ attempt: refund.attempts, at: moment(nowMs).toISOString(), outcome, detail });
+  refund.updatedAt = moment(nowMs).toISOString();
+};
+
+/**
+ * Uzgadnia status zamówienia z refundami: całość zwrócona, nic w toku, jakiś FAILED → REFUND_FAILED.
+ * (Przejście do REFUNDED robi OrderLifecycle.settleRefund przy udanym refundzie.)
+ * @private
+ */
+const reconcileOrder = (orderId, nowMs) => {
+  const order = DB.getOrderById(orderId);
+  if (!order || order.status !== ORDER_STATUSES.RETURNED_PENDING_REFUND) return;
+
+  const orderRefunds = refundsCollection().filter(r => r.orderId === orderId);
+  const inFlight = orderRefunds.some(r => r.status === REFUND_STATUSES.PENDING || r.status === REFUND_STATUSES.PROCESSING);
+  const failed = orderRefunds.filter(r => r.status === REFUND_STATUSES.FAILED);
+  if (inFlight || failed.length === 0) return;
+
+  DB.updateOrderStatus(orderId, ORDER_STATUSES.REFUND_FAILED, {
+    actor: 'system:refunds',
+    reason: `Refund nieudany: ${failed.map(r => `${r.refundId} (${r.lastError})`).join('; ')}`,
+    now: nowMs
+  });
+};
+
+/**
+ * Zdarzenie refund.completed / refund.failed (webhooki merchanta) po zakończeniu refundu.
+ * @private
+ */
+const publishOutcome = (refund) => {
+  const type = {
+    [REFUND_STATUSES.SUCCEEDED]: Events.EVENT_TYPES.REFUND_COMPLETED,
+    [REFUND_STATUSES.FAILED]: Events.EVENT_TYPES.REFUND_FAILED
+  }[refund.status];
+  const order = DB.getOrderById(refund.orderId);
+  if (!type || !order) return;
+
+  Events.publish(type, order, {
+    refund: {
+      refundId: refund.refundId,
+      returnId: refund.returnId,
+      items: refund.items,
+      amount: refund.amount,
+      currency: refund.currency,
+      status: refund.status,
+      attempts: refund.attempts,
+      providerRef: refund.providerRef,
+      lastError: refund.lastError,
+      completedAt: refund.completedAt
+    }
+  });
+};
+
+let processing = false;
+let workerTimer = null;
+
+// ============================================
+// GŁÓWNY OBIEKT
+// ============================================
+
+const Refunds = {
+
+  REFUND_STATUSES,
+  MAX_ATTEMPTS,
+
+  /**
+   * Zakłada rekord refundu dla wpisu zwrotu i planuje natychmiastowe wykonanie.
+   *
+   * @param {object} order - Zamówienie
+   * @param {object} returnEntry - Wpis z order.returns ({ returnId, items, refundAmount })
+   * @param {object} [options] - { provider (domyślnie PaymentProviders.DEFAULT_PROVIDER), now }
+   * @returns {object} Rekord refundu
+   * @example Refunds.createForReturn(order, DB.recordReturn('ORD-1001', [0], context))
+   */
+  createForReturn: (order, returnEntry, options = {}) => {
+    const nowMs = options.now !== undefined ? options.now : moment().valueOf();
+    const existing = refundsCollection().find(r => r.returnId === returnEntry.returnId);
+    if (existing) return existing;
+
+    const refund = {
+      refundId: returnEntry.returnId.replace(/^RET-/, 'RF-'),
+      returnId: returnEntry.returnId,
+      orderId: order.orderId,
+      userId: order.userId,
+      items: returnEntry.items,
+      amount: returnEntry.refundAmount,
+      currency: 'PLN',
+      provider: options.provider || PaymentProviders.DEFAULT_PROVIDER,
+      status: REFUND_STATUSES.PENDING,
+      attempts: 0,
+      nextAttemptAt: nowMs,
+      providerRef: null,
+      lastError: null,
+      createdAt: moment(nowMs).toISOString(),
+      updatedAt: moment(nowMs).toISOString(),
+      completedAt: null,
+      log: []
+    };
+    refundsCollection().push(refund);
+    DB.persist();
+
+    console.log(`[Refunds] Utworzono ${refund.refundId}: ${refund.amount} ${refund.currency} dla ${order.orderId} (${refund.provider})`);
+    setImmediate(() => Refunds.processDue().catch(err => console.error('[Refunds] Błąd workera:', err.message)));
+    return refund;
+  },
+
+  /**
+   * Jedna próba refundu u operatora. Aktualizuje rekord, produkty i status zamówienia.
+   *
+   * @param {string} refundId - ID refundu
+   * @param {number} [nowMs] - Czas próby (domyślnie teraz)
+   * @returns {Promise<object>} Zaktualizowany rekord refundu
+   * @throws {ApiError} 404 jeśli refund nie istnieje, 409 jeśli nie jest PENDING
+   */
+  processRefund: async (refundId, nowMs = moment().valueOf()) => {
+    const refund = Refunds.getRefund(refundId);
+    if (refund.status !== REFUND_STATUSES.PENDING) {
+      throw new ApiError(`Refund ${refundId} ma status ${refund.status} – nie można wykonać`, 409);
+    }
+
+    refund.status = REFUND_STATUSES.PROCESSING;
+    refund.attempts++;
+    DB.persist();
+
+    let result;
+    try {
+      result = await PaymentProviders.get(refund.provider).refund({
+        refundId: refund.refundId,
+        orderId: refund.orderId,
+        userId: refund.userId,
+        amount: refund.amount,
+        currency: refund.currency
+      });
+    } catch (err) {
+      result = { status: PaymentProviders.PROVIDER_RESULTS.FAILED, error: err.message, retryable: true };
+    }
+
+    if (result.status === PaymentProviders.PROVIDER_RESULTS.SUCCEEDED) {
+      refund.status = REFUND_STATUSES.SUCCEEDED;
+      refund.providerRef = result.providerRef;
+      refund.lastError = null;
+      refund.nextAttemptAt = null;
+      refund.completedAt = moment(nowMs).toISOString();
+      logAttempt(refund, nowMs, REFUND_STATUSES.SUCCEEDED, result.providerRef);
+
+      const order = DB.getOrderById(refund.orderId);
+      if (order) {
+        OrderLifecycle.settleRefund(order, refund.items, {
+          actor: 'system:refunds',
+          reason: `Refund ${refund.refundId} (${refund.amount} ${refund.currency}, ${result.providerRef})`,
+          now: nowMs
+        });
+        order.updatedAt = moment(nowMs).toISOString();
+      }
+      console.log(`[Refunds] ${refund.refundId} zakończony: ${refund.amount} ${refund.currency} (${result.providerRef})`);
+    } else if (result.retryable !== false && refund.attempts < MAX_ATTEMPTS) {
+      refund.status = REFUND_STATUSES.PENDING;
+      refund.lastError = result.error;
+      refund.nextAttemptAt = nowMs + backoffMs(refund.attempts);
+      logAttempt(refund, nowMs, 'RETRY_SCHEDULED', result.error);
+      console.warn(`[Refunds] ${refund.refundId} próba ${refund.attempts}/${MAX_ATTEMPTS} nieudana (${result.error}) – ponowienie ${moment(refund.nextAttemptAt).toISOString()}`);
+    } else {
+      refund.status = REFUND_STATUSES.FAILED;
+      refund.lastError = result.error;
+      refund.nextAttemptAt = null;
+      logAttempt(refund, nowMs, REFUND_STATUSES.FAILED, result.error);
+      console.error(`[Refunds] ${refund.refundId} nieudany po ${refund.attempts} próbach: ${result.error}`);
+    }
+
+    DB.persist();
+    reconcileOrder(refund.orderId, nowMs);
+    publishOutcome(refund);
+    return refund;
+  },
+
+  /**
+   * Wykonuje wszystkie refundy PENDING, których termin minął (po kolei). Bez nakładania się wywołań.
+   *
+   * @param {number} [nowMs] - Czas (domyślnie teraz)
+   * @returns {Promise<number>} Liczba wykonanych prób
+   */
+  processDue: async (nowMs) => {
+    if (processing) return 0;
+    processing = true;
+    let processed = 0;
+    try {
+      const at = nowMs !== undefined ? nowMs : moment().valueOf();
+      const due = refundsCollection().filter(r => r.status === REFUND_STATUSES.PENDING && r.nextAttemptAt <= at);
+      for (const refund of due) {
+        await Refunds.processRefund(refund.refundId, nowMs !== undefined ? nowMs : moment().valueOf());
+        processed++;
+      }
+    } finally {
+      processing = false;
+    }
+    return processed;
+  },
+
+  /**
+   * Ponawia refund FAILED (admin): nowa runda prób, zamówienie REFUND_FAILED → RETURNED_PENDING_REFUND.
+   *
+   * @param {string} refundId - ID refundu
+   * @param {object} [context] - { actor, reason, now }
+   * @returns {object} Rekord refundu (PENDING)
+   * @throws {ApiError} 404 jeśli refund nie istnieje, 409 jeśli nie jest FAILED
+   */
+  retry: (refundId, context = {}) => {
+    const nowMs = context.now !== undefined ? context.now : moment().valueOf();
+    const refund = Refunds.getRefund(refundId);
+    if (refund.status !== REFUND_STATUSES.FAILED) {
+      throw new ApiError(`Refund ${refundId} ma status ${refund.status} – ponowić można tylko FAILED`, 409);
+    }
+
+    refund.status = REFUND_STATUSES.PENDING;
+    refund.attempts = 0;
+    refund.nextAttemptAt = nowMs;
+    logAttempt(refund, nowMs, 'MANUAL_RETRY', context.actor || 'admin');
+    DB.persist();
+
+    const order = DB.getOrderById(refund.orderId);
+    if (order && order.status === ORDER_STATUSES.REFUND_FAILED) {
+      DB.updateOrderStatus(order.orderId, ORDER_STATUSES.RETURNED_PENDING_REFUND, {
+        actor: context.actor || 'admin',
+        reason: context.reason || `Ponowienie refundu ${refundId}`,
+        now: nowMs
+      });
+    }
+
+    console.log(`[Refunds] ${refundId} ponowiony przez ${context.actor || 'admin'}`);
+    setImmediate(() => Refunds.processDue().catch(err => console.error('[Refunds] Błąd workera:', err.message)));
+    return refund;
+  },
+
+  /**
+   * Pobiera refund po ID.
+   *
+   * @param {string} refundId - ID refundu (np. 'RF-ORD-1001-1')
+   * @returns {object} Rekord refundu
+   * @throws {ApiError} 404 jeśli nie istnieje
+   */
+  getRefund: (refundId) => {
+    const refund = refundsCollection().find(r => r.refundId === refundId);
+    if (!refund) {
+      throw new ApiError(`Refund ${refundId} nie istnieje`, 404);
+    }
+    return refund;
+  },
+
+  /**
+   * Lista refundów (najnowsze pierwsze) z opcjonalnym filtrem.
+   *
+   * @param {object} [filter] - { status, orderId }
+   * @returns {array} Rekordy refundów
+   */
+  listRefunds: (filter = {}) => refundsCollection()
+    .filter(r => (!filter.status || r.status === filter.status) && (!filter.orderId || r.orderId === filter.orderId))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
+
+  /**
+   * Uruchamia okresowy worker. Refundy PROCESSING (przerwane restartem) wracają do PENDING –
+   * operator deduplikuje po refundId, więc ponowienie nie wypłaci dwa razy.
+   *
+   * @param {number} [intervalMs] - Interwał (domyślnie WORKER_INTERVAL_MS)
+   * @returns {void}
+   */
+  startWorker: (intervalMs = WORKER_INTERVAL_MS) => {
+    if (workerTimer) return;
+    const interrupted = refundsCollection().filter(r => r.status === REFUND_STATUSES.PROCESSING);
+    if (interrupted.length > 0) {
+      interrupted.forEach(r => { r.status = REFUND_STATUSES.PENDING; });
+      DB.persist();
+      console.warn(`[Refunds] ${interrupted.length} przerwanych refundów wraca do kolejki`);
+    }
+    workerTimer = setInterval(() => {
+      Refunds.processDue().catch(err => console.error('[Refunds] Błąd workera:', err.message));
+    }, intervalMs);
+    workerTimer.unref();
+  },
+
+  /**
+   * Zatrzymuje worker (graceful shutdown, testy).
+   *
+   * @returns {void}
+   */
+  stopWorker: () => {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+
+};
+
+// ============================================
+// EKSPORT MODUŁU
+// ============================================
+
+/**
+ * Eksport Refunds – użyj: const Refunds = require('./refunds');
+ */
+module.exports = Refunds;
@@ -0,0 +1,425 @@
+'use strict';
+
+/**
+ * registry.js - Rejestr partnerów Corelay: merchanci, sklepy/punkty i terminale skanujące
+ *
+ * Zastępuje zaszyte listy sklepów (MODIVO/LPP/INPOST). Hierarchia:
+ *   merchant (np. LPP) → store (punkt odbioru, storeId = scannerId w zamówieniu) → terminal (skaner/kasa).
+ *
+ * Każdy terminal ma własny klucz API (nagłówek X-Terminal-Key), merchant – klucz do API
+ * integracji zamówień (nagłówek X-Merchant-Key). W bazie trzymany jest tylko hash SHA-256
+ * klucza – pełny klucz pokazywany jest raz (przy utworzeniu lub rotacji).
+ * /api/verify_transaction ustala sklep wyłącznie z uwierzytelnionego terminala.
+ *
+ * @module Registry
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const moment = require('moment');
+const DB = require('./database');
+const { ApiError } = require('./errors');
+
+// ============================================
+// KONSTANTY
+// ============================================
+
+/**
+ * Statusy merchanta, sklepu i terminala (DISABLED = brak transakcji, dane zostają).
+ * @constant
+ */
+const ENTITY_STATUSES = {
+  ACTIVE: 'ACTIVE',
+  DISABLED: 'DISABLED'
+};
+
+/**
+ * Typy punktów: sklep stacjonarny lub paczkomat.
+ * @constant
+ */
+const STORE_TYPES = {
+  STORE: 'STORE',
+  LOCKER: 'LOCKER'
+};
+
+/**
+ * Prefiksy kluczy terminali i merchantów (łatwe rozpoznanie w logach i skanerach sekretów).
+ * @constant
+ */
+const TERMINAL_KEY_PREFIX = 'ctk_';
+const MERCHANT_KEY_PREFIX = 'cmk_';
+
+/**
+ * Przerwa między zapytaniami terminala, od której zapisujemy ją jako okno bez łączności (ms).
+ * Skany offline przyjmujemy tylko z takich okien (offline_sync.js) – terminal online nie może antydatować skanu.
+ * Terminal z trybem offline odświeża pakiet (GET /api/terminal/offline_bundle) co 30 s – to jego puls łączności.
+ * @constant
+ */
+const OFFLINE_GAP_MS = 60 * 1000;
+
+/**
+ * Ile ostatnich okien bez łączności pamiętamy per terminal (terminals[].offlineGaps).
+ * @constant
+ */
+const MAX_OFFLINE_GAPS = 20;
+
+// ============================================
+// HELPERY
+// ============================================
+
+const merchants = () => DB.getCollection('merchants');
+const stores = () => DB.getCollection('stores');
+const terminals = () => DB.getCollection('terminals');
+
+/**
+ * Hash klucza API (ten sam co przy seedzie w database.js).
+ * @private
+ */
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+/**
+ * Nowy klucz: <prefiks><losowe 32 bajty base64url>, np. ctk_... (terminal), cmk_... (merchant).
+ * @private
+ */
+const createKey = (prefix) => `${prefix}${crypto.randomBytes(32).toString('base64url')}`;
+
+/**
+ * Wyszukanie encji po hashu klucza (porównanie stałoczasowe).
+ * @private
+ */
+const findByKey = (collection, apiKey) => {
+  const keyHash = Buffer.from(hashKey(apiKey));
+  return collection.find(e => e.keyHash && crypto.timingSafeEqual(Buffer.from(e.keyHash), keyHash)) || null;
+};
+
+/**
+ * Terminal/merchant bez hasha klucza (do odpowiedzi API).
+ * @private
+ */
+const publicTerminal = ({ keyHash, ...terminal }) => terminal;
+const publicMerchant = ({ keyHash, ...merchant }) => merchant;
+
+const findOrThrow = (collection, field, id, label) => {
+  const entity = collection.find(e => e[field] === id);
+  if (!entity) {
+    throw new ApiError(`${label} ${id} nie istnieje`, 404);
+  }
+  return entity;
+};
+
+const touch = (entity) => {
+  entity.updatedAt = moment().toISOString();
+};
+
+/**
+ * Kontakt terminala z serwerem: lastSeenAt, a po dłuższej przerwie – nowe okno bez łączności { from, to }.
+ * @private
+ */
+const markTerminalSeen = (terminal) => {
+  const nowMs = moment().valueOf();
+  if (terminal.lastSeenAt && nowMs - moment(terminal.lastSeenAt).valueOf() > OFFLINE_GAP_MS) {
+    terminal.offlineGaps = [...(terminal.offlineGaps || []), { from: terminal.lastSeenAt, to: moment(nowMs).toISOString() }]
+      .slice(-MAX_OFFLINE_GAPS);
+  }
+  terminal.lastSeenAt = moment(nowMs).toISOString(); // Zapisywane przy najbliższym persist()
+};
+
+// ============================================
+// GŁÓWNY OBIEKT
+// ============================================
+
+const Registry = {
+
+  ENTITY_STATUSES,
+  STORE_TYPES,
+
+  // ============================================
+  // MERCHANCI
+  // ============================================
+
+  /**
+   * Dodaje merchanta (partnera handlowego).
+   *
+   * @param {object} data - { merchantId, name }
+   * @returns {object} Merchant
+   * @throws {ApiError} 409 jeśli merchantId zajęty
+   * @example Registry.createMerchant({ merchantId: 'CCC', name: 'CCC S.A.' })
+   */
+  createMerchant: ({ merchantId, name }) => {
+    if (merchants().some(m => m.merchantId === merchantId)) {
+      throw new ApiError(`Merchant ${merchantId} już istnieje`, 409);
+    }
+    const merchant = {
+      merchantId,
+      name,
+      status: ENTITY_STATUSES.ACTIVE,
+      createdAt: moment().toISOString(),
+      updatedAt: moment().toISOString()
+    };
+    merchants().push(merchant);
+    DB.persist();
+    console.log(`[Registry] Dodano merchanta ${merchantId}`);
+    return publicMerchant(merchant);
+  },
+
+  /**
+   * Aktualizuje nazwę/status merchanta.
+   *
+   * @param {string} merchantId - ID merchanta
+   * @param {object} changes - { name?, status? }
+   * @returns {object} Merchant
+   * @throws {ApiError} 404 jeśli nie istnieje
+   */
+  updateMerchant: (merchantId, changes) => {
+    const merchant = findOrThrow(merchants(), 'merchantId', merchantId, 'Merchant');
+    Object.assign(merchant, changes);
+    touch(merchant);
+    DB.persist();
+    return publicMerchant(merchant);
+  },
+
+  getMerchant: (merchantId) => publicMerchant(findOrThrow(merchants(), 'merchantId', merchantId, 'Merchant')),
+
+  /**
+   * Wydaje (lub rotuje) klucz API merchanta do integracji zamówień – stary przestaje działać.
+   *
+   * @param {string} merchantId - ID merchanta
+   * @returns {object} { merchant, apiKey } – apiKey pokazywany tylko raz
+   * @throws {ApiError} 404 jeśli nie istnieje
+   */
+  rotateMerchantKey: (merchantId) => {
+    const merchant = findOrThrow(merchants(), 'merchantId', merchantId, 'Merchant');
+    const apiKey = createKey(MERCHANT_KEY_PREFIX);
+    merchant.keyHash = hashKey(apiKey);
+    merchant.keyPrefix = apiKey.slice(0, 10);
+    touch(merchant);
+    DB.persist();
+    console.log(`[Registry] Nowy klucz API merchanta ${merchantId}`);
+    return { merchant: publicMerchant(merchant), apiKey };
+  },
+
+  /**
+   * Uwierzytelnia merchanta po kluczu API (integracja zamówień).
+   *
+   * @param {string} apiKey - Klucz z nagłówka X-Merchant-Key
+   * @returns {object} { merchantId, name }
+   * @throws {ApiError} 401 dla nieznanego klucza, 403 dla wyłączonego merchanta
+   */
+  authenticateMerchant: (apiKey) => {
+    if (!apiKey || typeof apiKey !== 'string' || !apiKey.startsWith(MERCHANT_KEY_PREFIX)) {
+      throw new ApiError('Brak lub nieprawidłowy klucz merchanta (X-Merchant-Key)', 401);
+    }
+    const merchant = findByKey(merchants(), apiKey);
+    if (!merchant) {
+      throw new ApiError('Nieznany klucz merchanta', 401);
+    }
+    if (merchant.status !== ENTITY_STATUSES.ACTIVE) {
+      throw new ApiError(`Merchant ${merchant.merchantId} jest wyłączony`, 403);
+    }
+    return { merchantId: merchant.merchantId, name: merchant.name };
+  },
+
+  // ============================================
+  // SKLEPY / PUNKTY
+  // ============================================
+
+  /**
+   * Dodaje sklep lub paczkomat merchanta. storeId trafia do zamówień (order.storeId).
+   *
+   * @param {object} data - { storeId, merchantId, name, type?, address? }
+   * @returns {object} Sklep
+   * @throws {ApiError} 404 jeśli merchant nie istnieje, 409 jeśli storeId zajęty
+   * @example Registry.createStore({ storeId: 'LPP-WAW-01', merchantId: 'LPP', name: 'Reserved Arkadia' })
+   */
+  createStore: ({ storeId, merchantId, name, type = STORE_TYPES.STORE, address = null }) => {
+    Registry.getMerchant(merchantId);
+    if (stores().some(s => s.storeId === storeId)) {
+      throw new ApiError(`Sklep ${storeId} już istnieje`, 409);
+    }
+    const store = {
+      storeId,
+      merchantId,
+      name,
+      type,
+      address,
+      status: ENTITY_STATUSES.ACTIVE,
+      createdAt: moment().toISOString(),
+      updatedAt: moment().toISOString()
+    };
+    stores().push(store);
+    DB.persist();
+    console.log(`[Registry] Dodano sklep ${storeId} (${merchantId})`);
+    return store;
+  },
+
+  /**
+   * Aktualizuje dane/status sklepu.
+   *
+   * @param {string} storeId - ID sklepu
+   * @param {object} changes - { name?, address?, status? }
+   * @returns {object} Sklep
+   * @throws {ApiError} 404 jeśli nie istnieje
+   */
+  updateStore: (storeId, changes) => {
+    const store = findOrThrow(stores(), 'storeId', storeId, 'Sklep');
+    Object.assign(store, changes);
+    touch(store);
+    DB.persist();
+    return store;
+  },
+
+  getStore: (storeId) => findOrThrow(stores(), 'storeId', storeId, 'Sklep'),
+
+  /**
+   * Czy sklep i jego merchant są aktywne (mogą przyjmować zamówienia i skanować).
+   *
+   * @param {string} storeId - ID sklepu
+   * @returns {boolean}
+   */
+  isStoreActive: (storeId) => {
+    const store = stores().find(s => s.storeId === storeId);
+    if (!store || store.status !== ENTITY_STATUSES.ACTIVE) return false;
+    const merchant = merchants().find(m => m.merchantId === store.merchantId);
+    return Boolean(merchant && merchant.status === ENTITY_STATUSES.ACTIVE);
+  },
+
+  // ============================================
+  // TERMINALE I KLUCZE
+  // ============================================
+
+  /**
+   * Rejestruje terminal w sklepie i wydaje jego klucz API (zwracany tylko raz).
+   *
+   * @param {object} data - { terminalId, storeId, label? }
+   * @returns {object} { terminal, apiKey }
+   * @throws {ApiError} 404 jeśli sklep nie istnieje, 409 jeśli terminalId zajęty
+   * @example const { apiKey } = Registry.createTerminal({ terminalId: 'LPP-WAW-01-K1', storeId: 'LPP-WAW-01' });
+   */
+  createTerminal: ({ terminalId, storeId, label = null }) => {
+    Registry.getStore(storeId);
+    if (terminals().some(t => t.terminalId === terminalId)) {
+      throw new ApiError(`Terminal ${terminalId} już istnieje`, 409);
+    }
+    const apiKey = createKey(TERMINAL_KEY_PREFIX);
+    const terminal = {
+      terminalId,
+      storeId,
+      label,
+      keyHash: hashKey(apiKey),
+      keyPrefix: apiKey.slice(0, 10),
+      status: ENTITY_STATUSES.ACTIVE,
+      createdAt: moment().toISOString(),
+      updatedAt: moment().toISOString(),
+      lastSeenAt: null
+    };
+    terminals().push(terminal);
+    DB.persist();
+    console.log(`[Registry] Dodano terminal ${terminalId} w ${storeId}`);
+    return { terminal: publicTerminal(terminal), apiKey };
+  },
+
+  /**
+   * Wydaje nowy klucz terminala – stary przestaje działać natychmiast.
+   *
+   * @param {string} terminalId - ID terminala
+   * @returns {object} { terminal, apiKey }
+   * @throws {ApiError} 404 jeśli nie istnieje
+   */
+  rotateTerminalKey: (terminalId) => {
+    const terminal = findOrThrow(terminals(), 'terminalId', terminalId, 'Terminal');
+    const apiKey = createKey(TERMINAL_KEY_PREFIX);
+    terminal.keyHash = hashKey(apiKey);
+    terminal.keyPrefix = apiKey.slice(0, 10);
+    touch(terminal);
+    DB.persist();
+    console.log(`[Registry] Rotacja klucza terminala ${terminalId}`);
+    return { terminal: publicTerminal(terminal), apiKey };
+  },
+
+  /**
+   * Aktualizuje etykietę/status terminala (DISABLED = klucz odrzucany).
+   *
+   * @param {string} terminalId - ID terminala
+   * @param {object} changes - { label?, status? }
+   * @returns {object} Terminal (bez hasha klucza)
+   * @throws {ApiError} 404 jeśli nie istnieje
+   */
+  updateTerminal: (terminalId, changes) => {
+    const terminal = findOrThrow(terminals(), 'terminalId', terminalId, 'Terminal');
+    Object.assign(terminal, changes);
+    touch(terminal);
+    DB.persist();
+    return publicTerminal(terminal);
+  },
+
+  /**
+   * Uwierzytelnia terminal po kluczu API. Terminal, sklep i merchant muszą być ACTIVE.
+   *
+   * @param {string} apiKey - Klucz z nagłówka X-Terminal-Key
+   * @param {object} [options] - { markSeen (domyślnie true) – false dla ponownej autoryzacji otwartego strumienia SSE,
+   *   który nie dowodzi, że terminal ma łączność }
+   * @returns {object} { terminalId, storeId, merchantId, storeType }
+   * @throws {ApiError} 401 dla nieznanego klucza, 403 dla wyłączonego terminala/sklepu/merchanta
+   */
+  authenticateTerminal: (apiKey, { markSeen = true } = {}) => {
+    if (!apiKey || typeof apiKey !== 'string' || !apiKey.startsWith(TERMINAL_KEY_PREFIX)) {
+      throw new ApiError('Brak lub nieprawidłowy klucz terminala (X-Terminal-Key)', 401);
+    }
+    const terminal = findByKey(terminals(), apiKey);
+    if (!terminal) {
+      throw new ApiError('Nieznany klucz terminala', 401);
+    }
+    if (terminal.status !== ENTITY_STATUSES.ACTIVE) {
+      throw new ApiError(`Terminal ${terminal.terminalId} jest wyłączony`, 403);
+    }
+    if (!Registry.isStoreActive(terminal.storeId)) {
+      throw new ApiError(`Sklep ${terminal.storeId} terminala ${terminal.terminalId} jest nieaktywny`, 403);
+    }
+
+    if (markSeen) {
+      markTerminalSeen(terminal);
+    }
+    const store = Registry.getStore(terminal.storeId);
+    return {
+      terminalId: terminal.terminalId,
+      storeId: store.storeId,
+      merchantId: store.merchantId,
+      storeType: store.type
+    };
+  },
+
+  /**
+   * Okno bez łączności terminala obejmujące dany moment (z tolerancją zegara) – skan offline musi w nim leżeć.
+   *
+   * @param {string} terminalId - ID terminala
+   * @param {number} atMs - Moment skanu (ms)
+   * @param {number} [toleranceMs] - Tolerancja zegara terminala
+   * @returns {object|null} { from, to } (ISO) lub null, gdy terminal był wtedy online
+   */
+  findOfflineGap: (terminalId, atMs, toleranceMs = 0) => {
+    const terminal = terminals().find(t => t.terminalId === terminalId);
+    return ((terminal && terminal.offlineGaps) || []).find(gap => moment(gap.from).valueOf() - toleranceMs <= atMs &&
+      atMs <= moment(gap.to).valueOf() + toleranceMs) || null;
+  },
+
+  /**
+   * Pełny rejestr do panelu admina (terminale bez hashy kluczy).
+   *
+   * @returns {object} { merchants, stores, terminals }
+   */
+  listAll: () => ({
+    merchants: merchants().map(publicMerchant),
+    stores: stores(),
+    terminals: terminals().map(publicTerminal)
+  })
+
+};
+
+// ============================================
+// EKSPORT MODUŁU
+// ============================================
+
+/**
+ * Eksport Registry – użyj: const Registry = require('./registry');
+ */
+module.exports = Registry;
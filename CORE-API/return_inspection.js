@@ -0,0 +1,185 @@
+'use strict';
+
+/**
+ * return_inspection.js - Inspekcja zwrotu przy kasie (powód, stan, przyjęcie/odrzucenie per produkt)
+ *
+ * Skan kodu zwrotu z flagą inspect otwiera przyjęcie na terminalu (CorelayLogic._openReturnInspection) –
+ * kod nie jest zużywany. Personel ocenia każdy produkt z kodu:
+ * - reasonCode – powód zwrotu podany przez klienta (RETURN_REASONS),
+ * - condition – stan produktu (ITEM_CONDITIONS; NEW/OPENED = nadaje się do ponownej sprzedaży),
+ * - decision ACCEPT | REJECT; odrzucenie wymaga rejectionReason (np. TAG_REMOVED) – produkt wraca do klienta
+ *   i zostaje KEPT (bez refundu).
+ * CorelayLogic.completeReturnInspection finalizuje zwrot tylko przyjętych produktów; protokół inspekcji
+ * zapisywany jest na wpisie zwrotu (order.returns[].inspection) i trafia do merchanta (API, webhook order.returned).
+ *
+ * @module ReturnInspection
+ * @version 1.0.0
+ */
+
+const moment = require('moment');
+const { ApiError } = require('./errors');
+
+// ============================================
+// KONSTANTY
+// ============================================
+
+/**
+ * Powody zwrotu (kod → etykieta dla skanera).
+ * @constant
+ */
+const RETURN_REASONS = {
+  WRONG_SIZE: 'Zły rozmiar',
+  NOT_AS_DESCRIBED: 'Niezgodny z opisem',
+  DAMAGED: 'Uszkodzony / wadliwy',
+  WRONG_ITEM: 'Inny produkt niż zamówiony',
+  QUALITY: 'Jakość niższa niż oczekiwana',
+  CHANGED_MIND: 'Rezygnacja',
+  OTHER: 'Inny powód'
+};
+
+/**
+ * Stan produktu przy przyjęciu (kod → etykieta).
+ * @constant
+ */
+const ITEM_CONDITIONS = {
+  NEW: 'Nowy, z metkami',
+  OPENED: 'Otwarty, bez śladów użycia',
+  USED: 'Ślady użycia',
+  DAMAGED: 'Uszkodzony'
+};
+
+/**
+ * Stany, w których produkt wraca do sprzedaży (restockable).
+ * @constant
+ */
+const RESTOCKABLE_CONDITIONS = ['NEW', 'OPENED'];
+
+/**
+ * Powody odrzucenia produktu przy kasie (kod → etykieta).
+ * @constant
+ */
+const REJECTION_REASONS = {
+  TAG_REMOVED: 'Usunięte metki',
+  WORN: 'Produkt noszony / używany',
+  DAMAGED_BY_CUSTOMER: 'Uszkodzenie z winy klienta',
+  MISSING_PARTS: 'Niekompletny',
+  NOT_FROM_ORDER: 'Produkt spoza zamówienia',
+  HYGIENE: 'Względy higieniczne',
+  OTHER: 'Inny powód'
+};
+
+/**
+ * Decyzja personelu dla produktu.
+ * @constant
+ */
+const DECISIONS = {
+  ACCEPT: 'ACCEPT',
+  REJECT: 'REJECT'
+};
+
+// ============================================
+// GŁÓWNY OBIEKT
+// ============================================
+
+const ReturnInspection = {
+
+  RETURN_REASONS,
+  ITEM_CONDITIONS,
+  RESTOCKABLE_CONDITIONS,
+  REJECTION_REASONS,
+  DECISIONS,
+
+  /**
+   * Słowniki dla skanera (kod + etykieta) – zwracane przy otwarciu przyjęcia.
+   *
+   * @returns {object} { reasons, conditions, rejectionReasons: [{ code, label }] }
+   */
+  getCodes: () => {
+    const list = (dictionary) => Object.entries(dictionary).map(([code, label]) => ({ code, label }));
+    return {
+      reasons: list(RETURN_REASONS),
+      conditions: list(ITEM_CONDITIONS),
+      rejectionReasons: list(REJECTION_REASONS)
+    };
+  },
+
+  /**
+   * Buduje protokół inspekcji dla produktów z kodu zwrotu. Każdy produkt z kodu musi mieć decyzję.
+   *
+   * @param {object} order - Zamówienie
+   * @param {number[]} plannedItems - Indeksy z OrderLifecycle.planReturn (produkty z kodu)
+   * @param {object} input - { items: [{ index, decision, reasonCode, condition, rejectionReason?, note? }], note? } (zwalidowane SCHEMAS.returnInspectionBody)
+   * @param {object} terminal - { terminalId, storeId }
+   * @returns {object} { accepted: number[], rejected: number[], record } – record trafia do order.returns[].inspection
+   * @throws {ApiError} 400 brak decyzji dla produktu z kodu lub produkt spoza kodu
+   * @example
+   * ReturnInspection.build(order, [0, 1], { items: [
+   *   { index: 0, decision: 'ACCEPT', reasonCode: 'WRONG_SIZE', condition: 'NEW' },
+   *   { index: 1, decision: 'REJECT', reasonCode: 'CHANGED_MIND', condition: 'USED', rejectionReason: 'TAG_REMOVED' }
+   * ] }, terminal);
+   * // { accepted: [0], rejected: [1], record: { items: [...], restockableItems: [0], ... } }
+   */
+  build: (order, plannedItems, input, terminal) => {
+    const outside = input.items.filter(item => !plannedItems.includes(item.index)).map(item => item.index);
+    if (outside.length > 0) {
+      throw new ApiError(`Produkty ${outside.join(', ')} nie są objęte kodem zwrotu`, 400);
+    }
+    const missing = plannedItems.filter(index => !input.items.some(item => item.index === index));
+    if (missing.length > 0) {
+      throw new ApiError(`Brak oceny produktów: ${missing.map(index => order.products[index].name).join(', ')}`, 400);
+    }
+
+    const items = input.items
+      .slice()
+      .sort((a, b) => a.index - b.index)
+      .map(item => {
+        const accepted = item.decision === DECISIONS.ACCEPT;
+        return {
+          index: item.index,
+          name: order.products[item.index].name,
+          price: order.products[item.index].price,
+          decision: item.decision,
+          reasonCode: item.reasonCode,
+          condition: item.condition,
+          rejectionReason: accepted ? null : item.rejectionReason,
+          restockable: accepted && RESTOCKABLE_CONDITIONS.includes(item.condition),
+          note: item.note || null
+        };
+      });
+    const accepted = items.filter(item => item.decision === DECISIONS.ACCEPT).map(item => item.index);
+
+    return {
+      accepted,
+      rejected: items.filter(item => item.decision === DECISIONS.REJECT).map(item => item.index),
+      record: {
+        inspectedAt: moment().toISOString(),
+        terminalId: terminal.terminalId,
+        storeId: terminal.storeId,
+        items,
+        restockableItems: items.filter(item => item.restockable).map(item => item.index),
+        note: input.note || null
+      }
+    };
+  },
+
+  /**
+   * Opis odrzuconych produktów do komunikatu i historii: "Kurtka (Usunięte metki)".
+   *
+   * @param {object} record - Protokół z build()
+   * @returns {string} Lista odrzuconych produktów z powodami
+   */
+  describeRejected: (record) => record.items
+    .filter(item => item.decision === DECISIONS.REJECT)
+    .map(item => `${item.name} (${REJECTION_REASONS[item.rejectionReason]})`)
+    .join(', ')
+
+};
+
+// ============================================
+// EKSPORT MODUŁU
+// ============================================
+
+/**
+ * Eksport ReturnInspection – użyj: const ReturnInspection = require('./return_inspection');
+ */
+module.exports = ReturnInspection;
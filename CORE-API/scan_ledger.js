@@ -0,0 +1,159 @@
+'use strict';
+
+/**
+ * scan_ledger.js - Dziennik skanów Corelay (append-only, po stronie serwera)
+ *
+ * Każda próba POST /api/verify_transaction – udana, odrzucona (kod wygasły, zły sklep, brak zamówienia,
+ * zły format) i zakończona błędem serwera – trafia do kolekcji `scanLedger`. Wpis zawiera skaner
+ * (terminal + sklep), użytkownika, zamówienie, typ kodu (GUEST_PIN / DYNAMIC_CODE), wynik, powód
+ * i czas przetwarzania. Surowy kod NIE jest zapisywany – tylko skrót (codeHash) do korelacji prób.
+ *
+ * Dziennik jest tylko do dopisywania: moduł nie ma operacji zmiany ani usuwania wpisów
+ * (w przeciwieństwie do outbox/jobRuns nie jest też przycinany). Wpisy mają rosnący numer `seq`.
+ *
+ * @module ScanLedger
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const moment = require('moment');
+const DB = require('./database');
+
+// ============================================
+// KONSTANTY
+// ============================================
+
+/**
+ * Wynik próby skanowania.
+ * @constant
+ */
+const OUTCOMES = {
+  ACCEPTED: 'ACCEPTED', // Transakcja zrealizowana (odbiór/zwrot)
+  REJECTED: 'REJECTED', // Odmowa (kod wygasły/nieznany, zły format, zamówienie nieuprawnione)
+  ERROR: 'ERROR' // Błąd po stronie serwera
+};
+
+/**
+ * Typy kodów (zgodne z polem `type` w wyniku CorelayLogic.validateTransaction).
+ * @constant
+ */
+const CODE_TYPES = {
+  GUEST_PIN: 'GUEST_PIN', // 6-cyfrowy PIN wpisany ręcznie
+  DYNAMIC_CODE: 'DYNAMIC_CODE' // Podpisany, rotujący QR (CRL1)
+};
+
+const ledgerCollection = () => DB.getCollection('scanLedger');
+
+/**
+ * Skrót kodu (SHA-256, 16 znaków hex) – pozwala powiązać powtórzone próby bez przechowywania kodu.
+ * @private
+ */
+const hashCode = (code) => (code
+  ? crypto.createHash('sha256').update(String(code).trim()).digest('hex').slice(0, 16)
+  : null);
+
+// ============================================
+// GŁÓWNY OBIEKT
+// ============================================
+
+const ScanLedger = {
+
+  OUTCOMES,
+  CODE_TYPES,
+
+  /**
+   * Typ kodu po jego postaci (null dla nierozpoznanej).
+   *
+   * @param {string} code - Zeskanowany kod
+   * @returns {string|null} GUEST_PIN | DYNAMIC_CODE | null
+   */
+  codeTypeOf: (code) => {
+    const text = typeof code === 'string' ? code.trim() : '';
+    if (/^\d{6}$/.test(text)) return CODE_TYPES.GUEST_PIN;
+    if (text.startsWith('CRL1.')) return CODE_TYPES.DYNAMIC_CODE;
+    return null;
+  },
+
+  /**
+   * Dopisuje próbę skanowania do dziennika.
+   *
+   * @param {object} attempt - { terminal, code, outcome, reason?, message?, orderId?, userId?, codeType?, transactionType?, latencyMs, scannedAt? (skan offline – czas na terminalu) }
+   * @returns {object} Wpis { scanId, seq, at, scannedAt, terminalId, storeId, merchantId, orderMerchantId, userId, orderId, codeType, codeHash, outcome, reason, message, transactionType, latencyMs }
+   * @example ScanLedger.record({ terminal: req.terminal, code, outcome: 'REJECTED', reason: 'CODE_EXPIRED', latencyMs: 4 })
+   */
+  record: ({ terminal, code, outcome, reason = null, message = null, orderId = null, userId = null,
+    codeType, transactionType = null, latencyMs = null, scannedAt = null }) => {
+    const ledger = ledgerCollection();
+    const order = orderId ? DB.getOrderById(orderId) : null;
+
+    const entry = {
+      scanId: `SCN-${crypto.randomBytes(6).toString('hex')}`,
+      seq: ledger.length > 0 ? ledger[ledger.length - 1].seq + 1 : 1,
+      at: moment().toISOString(),
+      scannedAt, // Tylko skany offline (offline_sync.js) – `at` to wtedy czas synchronizacji
+      terminalId: terminal.terminalId,
+      storeId: terminal.storeId,
+      merchantId: terminal.merchantId || null, // Właściciel skanera
+      orderMerchantId: order ? order.merchantId || null : null, // Właściciel zamówienia (np. odbiór w paczkomacie)
+      userId: userId || (order ? order.userId : null),
+      orderId,
+      codeType: codeType || ScanLedger.codeTypeOf(code),
+      codeHash: hashCode(code),
+      outcome,
+      reason,
+      message,
+      transactionType,
+      latencyMs
+    };
+    ledger.push(entry);
+    DB.persist();
+
+    if (outcome !== OUTCOMES.ACCEPTED) {
+      console.warn(`[ScanLedger] ${outcome} ${reason || ''} @ ${entry.storeId} (${entry.terminalId})${orderId ? ` – ${orderId}` : ''}`);
+    }
+    return entry;
+  },
+
+  /**
+   * Wpisy dziennika (najnowsze pierwsze) z filtrem.
+   * merchantId dopasowuje skaner merchanta LUB jego zamówienie zeskanowane gdzie indziej.
+   *
+   * @param {object} [filter] - { from, to (ISO), storeId, terminalId, merchantId, outcome, reason, orderId, userId, codeType, limit (domyślnie 50) }
+   * @returns {array} Wpisy
+   */
+  list: ({ from, to, storeId, terminalId, merchantId, outcome, reason, orderId, userId, codeType, limit = 50 } = {}) => {
+    const fromMs = from ? moment(from).valueOf() : null;
+    const toMs = to ? moment(to).valueOf() : null;
+    const result = [];
+    const ledger = ledgerCollection();
+
+    for (let i = ledger.length - 1; i >= 0 && result.length < limit; i--) {
+      const entry = ledger[i];
+      const atMs = moment(entry.at).valueOf();
+      if (toMs !== null && atMs > toMs) continue;
+      if (fromMs !== null && atMs < fromMs) break; // Wpisy są chronologiczne
+      if ((storeId && entry.storeId !== storeId) ||
+        (terminalId && entry.terminalId !== terminalId) ||
+        (merchantId && entry.merchantId !== merchantId && entry.orderMerchantId !== merchantId) ||
+        (outcome && entry.outcome !== outcome) ||
+        (reason && entry.reason !== reason) ||
+        (orderId && entry.orderId !== orderId) ||
+        (userId && entry.userId !== userId) ||
+        (codeType && entry.codeType !== codeType)) {
+        continue;
+      }
+      result.push(entry);
+    }
+    return result;
+  }
+
+};
+
+// ============================================
+// EKSPORT MODUŁU
+// ============================================
+
+/**
+ * Eksport ScanLedger – użyj: const ScanLedger = require('./scan_ledger');
+ */
+module.exports = ScanLedger;
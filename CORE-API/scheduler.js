@@ -0,0 +1,323 @@
+'use strict';
+
+/**
+ * scheduler.js - Zadania okresowe Corelay (joby w tle wewnątrz CORE-API)
+ *
+ * Terminy (pickupDeadline, maxTime) są sprawdzane przy skanowaniu, ale zamówienie powinno
+ * zmienić status także wtedy, gdy nikt go nie skanuje. Scheduler co TICK_INTERVAL_MS uruchamia
+ * joby, którym minął interwał od ostatniego uruchomienia:
+ * - expire_uncollected_orders – READY_FOR_PICKUP po pickupDeadline → EXPIRED_RETURN_TO_SENDER
+ * - close_return_windows – PICKED_UP / PARTIALLY_RETURNED po maxTime → COMPLETED
+ * - purge_guest_codes – usuwa wygasłe kody odbioru/zwrotu (i stare wpisy abuse_guard.js)
+ * - send_reminders – przypomnienia o terminie odbioru i końcu okna zwrotu (notifications.js)
+ * - sync_lockers – uzgadnia skrytki paczkomatów z zamówieniami (lockers.js)
+ *
+ * Joby są idempotentne: działają tylko na zamówieniach, które NADAL spełniają warunek przejścia
+ * (guardy w order_lifecycle.js), więc ponowne lub równoległe uruchomienie niczego nie dubluje.
+ * Czas pochodzi z zegara przekazanego do start({ clock }) lub runJob(name, { now }) – testy
+ * i symulacje mogą "przesunąć czas" bez czekania. Każde uruchomienie trafia do kolekcji `jobRuns`
+ * (GET /api/admin/jobs/runs).
+ *
+ * @module Scheduler
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const moment = require('moment');
+const DB = require('./database');
+const OrderLifecycle = require('./order_lifecycle');
+const Events = require('./events');
+const Notifications = require('./notifications');
+const AbuseGuard = require('./abuse_guard');
+const OfflineSync = require('./offline_sync');
+const Lockers = require('./lockers');
+const Delegations = require('./delegations');
+const { ApiError } = require('./errors');
+
+const { ORDER_STATUSES } = OrderLifecycle;
+
+// ============================================
+// KONSTANTY
+// ============================================
+
+/**
+ * Wynik uruchomienia joba.
+ * @constant
+ */
+const RUN_STATUSES = {
+  SUCCEEDED: 'SUCCEEDED',
+  FAILED: 'FAILED'
+};
+
+/**
+ * Źródło uruchomienia joba.
+ * @constant
+ */
+const TRIGGERS = {
+  SCHEDULE: 'SCHEDULE',
+  MANUAL: 'MANUAL'
+};
+
+/**
+ * Co ile scheduler sprawdza, które joby są do uruchomienia (ms).
+ * @constant
+ */
+const TICK_INTERVAL_MS = 30000;
+
+/**
+ * Ile ostatnich uruchomień trzymamy w jobRuns.
+ * @constant
+ */
+const MAX_RUNS = 500;
+
+const SYSTEM_ACTOR = 'system:scheduler';
+
+const defaultClock = () => moment().valueOf();
+
+const runsCollection = () => DB.getCollection('jobRuns');
+const ordersCollection = () => DB.getCollection('orders');
+
+/**
+ * Przeprowadza przejście dla wszystkich zamówień w `fromStatuses`, którym guard już pozwala.
+ * @private
+ */
+const transitionDue = (fromStatuses, to, nowMs, reasonFor, onTransition) => {
+  const due = ordersCollection().filter(order => fromStatuses.includes(order.status) &&
+    OrderLifecycle.canTransition(order, to, { now: nowMs }).allowed);
+
+  DB.batchWrites(() => due.forEach(order => {
+    DB.updateOrderStatus(order.orderId, to, { actor: SYSTEM_ACTOR, reason: reasonFor(order), now: nowMs });
+    onTransition(order);
+  }));
+  return { processed: due.length, orderIds: due.map(order => order.orderId) };
+};
+
+// ============================================
+// DEFINICJE JOBÓW
+// ============================================
+
+/**
+ * Joby: { name, description, intervalMs, run(nowMs) → wynik (zapisywany w jobRuns.result) }.
+ * @constant
+ */
+const JOBS = [
+  {
+    name: 'expire_uncollected_orders',
+    description: `Nieodebrane paczki po pickupDeadline → ${ORDER_STATUSES.EXPIRED_RETURN_TO_SENDER}`,
+    intervalMs: 15 * 60 * 1000,
+    run: (nowMs) => transitionDue(
+      [ORDER_STATUSES.READY_FOR_PICKUP],
+      ORDER_STATUSES.EXPIRED_RETURN_TO_SENDER,
+      nowMs,
+      (order) => `Nieodebrana do ${order.pickupDeadline} – zwrot do nadawcy`,
+      (order) => {
+        DB.removeOrderCodes(order.orderId); // Kod odbioru (także zbiorczy) przestaje obowiązywać
+        Delegations.revokeForOrder(order.orderId, { actor: SYSTEM_ACTOR, reason: 'paczka nieodebrana w terminie' });
+        Events.publish(Events.EVENT_TYPES.ORDER_EXPIRED, order);
+      }
+    )
+  },
+  {
+    name: 'close_return_windows',
+    description: `Okno zwrotu minęło (maxTime) → ${ORDER_STATUSES.COMPLETED}`,
+    intervalMs: 15 * 60 * 1000,
+    run: (nowMs) => transitionDue(
+      [ORDER_STATUSES.PICKED_UP, ORDER_STATUSES.PARTIALLY_RETURNED],
+      ORDER_STATUSES.COMPLETED,
+      nowMs,
+      (order) => `Okno zwrotu zamknięte (${moment(order.maxTime).toISOString()})`,
+      (order) => {
+        DB.removeOrderCodes(order.orderId); // Niewykorzystany kod zwrotu (także w kodzie zbiorczym)
+        Events.publish(Events.EVENT_TYPES.ORDER_COMPLETED, order);
+      }
+    )
+  },
+  {
+    name: 'purge_guest_codes',
+    description: 'Usuwa wygasłe kody odbioru/zwrotu (PIN i QR) oraz stare wpisy ochrony przed nadużyciami',
+    intervalMs: 5 * 60 * 1000,
+    run: (nowMs) => ({
+      // Wygasłe kody zostają przez czas akceptacji skanów offline – skan sprzed wygaśnięcia musi się zsynchronizować
+      processed: DB.cleanupExpiredCodes(nowMs - OfflineSync.MAX_OFFLINE_AGE_HOURS * 3600 * 1000),
+      securityRecordsPurged: AbuseGuard.purgeExpired(nowMs)
+    })
+  },
+  {
+    name: 'send_reminders',
+    description: 'Przypomnienia klientom: termin odbioru i koniec okna zwrotu',
+    intervalMs: 15 * 60 * 1000,
+    run: (nowMs) => Notifications.sendDueReminders(nowMs)
+  },
+  {
+    name: 'sync_lockers',
+    description: 'Uzgadnia skrytki paczkomatów z zamówieniami (przydział z kolejki, wygasłe rezerwacje zwrotów)',
+    intervalMs: 5 * 60 * 1000,
+    run: () => Lockers.reconcile()
+  }
+];
+
+let clock = defaultClock;
+let tickTimer = null;
+
+/**
+ * Definicja joba po nazwie.
+ * @private
+ */
+const getJob = (name) => {
+  const job = JOBS.find(j => j.name === name);
+  if (!job) {
+    throw new ApiError(`Job ${name} nie istnieje (dostępne: ${JOBS.map(j => j.name).join(', ')})`, 404);
+  }
+  return job;
+};
+
+const lastRunOf = (name) => {
+  const runs = runsCollection();
+  for (let i = runs.length - 1; i >= 0; i--) {
+    if (runs[i].job === name) return runs[i];
+  }
+  return null;
+};
+
+// ============================================
+// GŁÓWNY OBIEKT
+// ============================================
+
+const Scheduler = {
+
+  RUN_STATUSES,
+  TRIGGERS,
+
+  /**
+   * Uruchamia job teraz (albo w czasie `now`) i zapisuje uruchomienie w jobRuns.
+   * Błąd joba nie jest rzucany dalej – trafia do rekordu uruchomienia (status FAILED).
+   *
+   * @param {string} name - Nazwa joba
+   * @param {object} [options] - { now (ms, domyślnie zegar schedulera), trigger (domyślnie MANUAL) }
+   * @returns {object} Uruchomienie { runId, job, trigger, status, startedAt, finishedAt, durationMs, result, error }
+   * @throws {ApiError} 404 dla nieznanego joba
+   * @example Scheduler.runJob('expire_uncollected_orders', { now: moment().add(8, 'days').valueOf() })
+   */
+  runJob: (name, options = {}) => {
+    const job = getJob(name);
+    const nowMs = options.now !== undefined ? options.now : clock();
+    const startedMs = Date.now();
+
+    const run = {
+      runId: `JOB-${crypto.randomBytes(6).toString('hex')}`,
+      job: job.name,
+      trigger: options.trigger || TRIGGERS.MANUAL,
+      status: RUN_STATUSES.SUCCEEDED,
+      clockAt: moment(nowMs).toISOString(), // Czas "widziany" przez job (zegar schedulera)
+      startedAt: moment(startedMs).toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      result: null,
+      error: null
+    };
+
+    try {
+      run.result = job.run(nowMs);
+    } catch (err) {
+      run.status = RUN_STATUSES.FAILED;
+      run.error = err.message;
+      console.error(`[Scheduler] Job ${job.name} nieudany:`, err.message);
+    }
+    run.finishedAt = moment().toISOString();
+    run.durationMs = Date.now() - startedMs;
+
+    const runs = runsCollection();
+    runs.push(run);
+    if (runs.length > MAX_RUNS) {
+      runs.splice(0, runs.length - MAX_RUNS);
+    }
+    DB.persist();
+
+    if (run.result && run.result.processed > 0) {
+      console.log(`[Scheduler] ${job.name}: ${run.result.processed} (${run.trigger})`);
+    }
+    return run;
+  },
+
+  /**
+   * Uruchamia joby, którym minął interwał od ostatniego uruchomienia (wg zegara schedulera).
+   *
+   * @param {number} [nowMs] - Czas (domyślnie zegar schedulera)
+   * @returns {array} Uruchomienia wykonane w tym przebiegu
+   */
+  runDue: (nowMs = clock()) => JOBS
+    .filter(job => {
+      const last = lastRunOf(job.name);
+      return !last || nowMs - moment(last.clockAt).valueOf() >= job.intervalMs;
+    })
+    .map(job => Scheduler.runJob(job.name, { now: nowMs, trigger: TRIGGERS.SCHEDULE })),
+
+  /**
+   * Joby z ostatnim uruchomieniem i terminem następnego.
+   *
+   * @returns {array} [{ name, description, intervalMs, lastRun, nextRunAt }]
+   */
+  listJobs: () => JOBS.map(job => {
+    const lastRun = lastRunOf(job.name);
+    return {
+      name: job.name,
+      description: job.description,
+      intervalMs: job.intervalMs,
+      lastRun,
+      nextRunAt: lastRun ? moment(lastRun.clockAt).add(job.intervalMs, 'ms').toISOString() : null
+    };
+  }),
+
+  /**
+   * Historia uruchomień (najnowsze pierwsze).
+   *
+   * @param {object} [filter] - { job, status, limit (domyślnie 50) }
+   * @returns {array} Uruchomienia
+   */
+  listRuns: ({ job, status, limit = 50 } = {}) => runsCollection()
+    .filter(r => (!job || r.job === job) && (!status || r.status === status))
+    .slice(-limit)
+    .reverse(),
+
+  /**
+   * Czy scheduler działa (start bez stop).
+   *
+   * @returns {boolean}
+   */
+  isRunning: () => Boolean(tickTimer),
+
+  /**
+   * Startuje scheduler: od razu uruchamia zaległe joby (np. po przestoju API), potem co intervalMs.
+   *
+   * @param {object} [options] - { clock: () => ms (domyślnie czas systemowy), intervalMs (domyślnie TICK_INTERVAL_MS) }
+   * @returns {void}
+   */
+  start: ({ clock: customClock, intervalMs = TICK_INTERVAL_MS } = {}) => {
+    if (tickTimer) return;
+    clock = customClock || defaultClock;
+    Scheduler.runDue();
+    tickTimer = setInterval(() => Scheduler.runDue(), intervalMs);
+    tickTimer.unref();
+  },
+
+  /**
+   * Zatrzymuje scheduler (graceful shutdown, testy) i przywraca zegar systemowy.
+   *
+   * @returns {void}
+   */
+  stop: () => {
+    clearInterval(tickTimer);
+    tickTimer = null;
+    clock = defaultClock;
+  }
+
+};
+
+// ============================================
+// EKSPORT MODUŁU
+// ============================================
+
+/**
+ * Eksport Scheduler – użyj: const Scheduler = require('./scheduler');
+ */
+module.exports = Scheduler;
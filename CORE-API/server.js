@@ -1,15 +1,44 @@
 #!/usr/bin/env node
 'use strict';
 
-require('dotenv').config(); // Ładuj zmienne środowiskowe (PORT, ALLOWED_ORIGINS, API_ADMIN_KEY)
+require('dotenv').config(); // Ładuj zmienne środowiskowe (PORT, ALLOWED_ORIGINS, API_ADMIN_KEY, CORELAY_DB_FILE)
 
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet'); // Nagłówki bezpieczeństwa (CSP, HSTS itp.)
 const rateLimit = require('express-rate-limit'); // Ograniczenie zapytań (anti-spam)
 const Joi = require('joi'); // Walidacja inputów
+const moment = require('moment'); // Daty (deadline odbioru, okna zwrotu)
 const CorelayLogic = require('./corelay_logic'); // Logika biznesowa (CORE + RELAY) – placeholder jeśli nie istnieje
-const DB = require('./database'); // Baza danych (mock lub realna) – placeholder jeśli nie istnieje
+const DB = require('./database'); // Baza danych (plik JSON – patrz storage.js)
+const { ApiError } = require('./errors'); // Wspólna klasa błędów (też dla database.js i corelay_logic.js)
+const OrderLifecycle = require('./order_lifecycle'); // Maszyna stanów zamówienia (statusy i przejścia)
+const QrTokens = require('./qr_tokens'); // Podpisane, rotujące kody QR (CRL1) + klucze
+const Refunds = require('./refunds'); // Refundy zwrotów (adaptery operatorów płatności, retry)
+const Registry = require('./registry'); // Merchanci, sklepy i terminale (klucze X-Terminal-Key)
+const Auth = require('./auth'); // Logowanie klientów (kod e-mail, access/refresh tokeny)
+const Outbox = require('./outbox'); // Lokalna skrzynka nadawcza (zamiast dostawcy e-mail)
+const MerchantOrders = require('./merchant_orders'); // API integracji zamówień merchantów
+const Idempotency = require('./idempotency'); // Nagłówek Idempotency-Key (ponowienia z systemów merchantów)
+const Webhooks = require('./webhooks'); // Podpisane webhooki do merchantów (kolejka, retry, dead-letter)
+const Events = require('./events'); // Zdarzenia domenowe (typy subskrypcji webhooków)
+const Scheduler = require('./scheduler'); // Joby okresowe (wygasanie odbiorów, okna zwrotu, czyszczenie kodów)
+const Notifications = require('./notifications'); // Powiadomienia klientów (szablony PL/EN, kanały, preferencje)
+const ScanLedger = require('./scan_ledger'); // Dziennik wszystkich prób skanowania (append-only)
+const AbuseGuard = require('./abuse_guard'); // Blokady po nieudanych próbach, replay kodów, zdarzenia bezpieczeństwa
+const OfflineSync = require('./offline_sync'); // Skany offline z terminali (pakiet kluczy, synchronizacja wsadowa)
+const LiveUpdates = require('./live_updates'); // Strumienie SSE zmian zamówień (klient, sklep)
+const AdminUsers = require('./admin_users'); // Konta back-office i role (VIEWER / OPERATOR / ADMIN)
+const AdminOrders = require('./admin_orders'); // Back-office zamówień (wyszukiwanie, szczegóły, korekty)
+const Analytics = require('./analytics'); // Raporty operacyjne (odbiory, zwroty, wygaśnięcia, nieudane skany) + CSV
+const ApiContract = require('./api_contract'); // Kontrakt OpenAPI ze schematów Joi + walidacja odpowiedzi (dev)
+const Delegations = require('./delegations'); // Odbiór przez pełnomocnika (upoważnienia z własnym kodem)
+const Lockers = require('./lockers'); // Skrytki paczkomatów (przydział paczek, drzwi do otwarcia, zwroty do kuriera)
+const Policies = require('./policies'); // Polityki merchantów (okna odbioru/zwrotu, kategorie bez zwrotu, ważność kodów)
+
+const { ORDER_STATUSES } = OrderLifecycle;
+const { contract, SCHEMAS, SECURITY } = ApiContract;
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -22,6 +51,8 @@ const port = process.env.PORT || 3000;
 app.use(helmet());
 
 // Parser dla JSON i URL-encoded (z limitem na bezpieczeństwo)
+app.use('/api/merchant', express.json({ limit: '2mb' })); // Import wsadowy: setki zamówień w jednym body
+app.use('/api/terminal/sync', express.json({ limit: '512kb' })); // Kolejka skanów offline (do 200 tokenów CRL1)
 app.use(express.json({ limit: '10kb' }));
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
 
@@ -59,6 +90,17 @@ const limiter = rateLimit({
   skipSuccessfulRequests: true // Nie liczy sukcesów do limitu
 });
 app.use('/api/verify_transaction', limiter);
+app.use('/api/terminal/preview', limiter);
+
+// Osobny, ostrzejszy limit dla logowania (zgadywanie kodów, spam e-maili)
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: { success: false, message: 'Za dużo prób logowania – spróbuj za 15 minut' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+app.use(['/api/auth/request_code', '/api/auth/verify_code'], authLimiter);
 
 // Middleware logowania (z timestampami dla debugowania)
 app.use((req, res, next) => {
@@ -69,37 +111,120 @@ app.use((req, res, next) => {
 });
 
 // ============================================
-// CUSTOM ERROR CLASS I GLOBAL HANDLER (Obsługa błędów)
+// AUTORYZACJA BACK-OFFICE (role – admin_users.js; wspólna dla /api/admin/*)
+// ============================================
+const { ADMIN_ROLES } = AdminUsers;
+
+/**
+ * Middleware: Uwierzytelnij pracownika kluczem z nagłówka API-ADMIN-KEY (konto cak_... lub klucz awaryjny z .env)
+ * i sprawdź rolę minimalną route'a. Ustawia req.admin = { adminId, name, role }.
+ *
+ * @param {string} role - Rola minimalna (VIEWER < OPERATOR < ADMIN)
+ */
+function requireAdmin(role) {
+  return ApiContract.describe((req, res, next) => {
+    try {
+      req.admin = AdminUsers.authenticate(req.get('API-ADMIN-KEY'));
+    } catch (err) {
+      return next(err);
+    }
+    if (!AdminUsers.hasRole(req.admin.role, role)) {
+      return next(new ApiError(`Brak uprawnień: wymagana rola ${role} (konto ${req.admin.adminId} ma ${req.admin.role})`, 403));
+    }
+    next();
+  }, { security: SECURITY.ADMIN, minRole: role });
+}
+
+/**
+ * Actor do historii zamówień i logów działań back-office.
+ */
+const adminActor = (req) => `admin:${req.admin.adminId}`;
+
+// ============================================
+// AUTORYZACJA TERMINALA (skanery sklepów/paczkomatów)
 // ============================================
-class ApiError extends Error {
-  constructor(message, status = 400) {
-    super(message);
-    this.status = status;
-    this.name = 'ApiError';
-    Error.captureStackTrace(this, this.constructor);
+/**
+ * Middleware: Uwierzytelnij terminal kluczem z nagłówka X-Terminal-Key (patrz registry.js).
+ * Ustawia req.terminal = { terminalId, storeId, merchantId, storeType } – sklep NIE pochodzi z body.
+ */
+function requireTerminal(req, res, next) {
+  try {
+    req.terminal = Registry.authenticateTerminal(req.get('X-Terminal-Key'));
+    next();
+  } catch (err) {
+    next(err);
   }
 }
+ApiContract.describe(requireTerminal, { security: SECURITY.TERMINAL });
 
-app.use((err, req, res, next) => {
-  const timestamp = new Date().toISOString();
-  console.error(`[${timestamp}] BŁĄD w ${req.path}: ${err.message} | Status: ${err.status || 500}`);
-  
-  if (err.name === 'ApiError') {
-    return res.status(err.status).json({ 
-      success: false, 
-      message: err.message,
-      path: req.path 
-    });
+// ============================================
+// AUTORYZACJA MERCHANTA (API integracji zamówień)
+// ============================================
+/**
+ * Middleware: Uwierzytelnij merchanta kluczem z nagłówka X-Merchant-Key (registry.js).
+ * Ustawia req.merchant = { merchantId, name }.
+ */
+function requireMerchant(req, res, next) {
+  try {
+    req.merchant = Registry.authenticateMerchant(req.get('X-Merchant-Key'));
+    next();
+  } catch (err) {
+    next(err);
   }
-  
-  // Nieznany błąd – nie ujawniaj detali w production
-  if (process.env.NODE_ENV === 'production') {
-    res.status(500).json({ success: false, message: 'Wewnętrzny błąd serwera – sprawdź logi' });
-  } else {
-    res.status(500).json({ success: false, message: err.message, stack: err.stack });
+}
+ApiContract.describe(requireMerchant, { security: SECURITY.MERCHANT });
+
+/**
+ * Middleware: Idempotency-Key (opcjonalny) – ponowienie z tym samym kluczem i body dostaje
+ * zapisaną odpowiedź (nagłówek Idempotent-Replayed: true) zamiast ponownego wykonania.
+ * Wymaga req.merchant (po requireMerchant).
+ */
+function idempotent(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  const request = { method: req.method, path: req.originalUrl.split('?')[0], body: req.body };
+  let replay;
+  try {
+    replay = Idempotency.lookup(req.merchant.merchantId, key, request);
+  } catch (err) {
+    return next(err);
+  }
+  if (replay) {
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(replay.statusCode).json(replay.body);
   }
+
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    Idempotency.store(req.merchant.merchantId, key, request, res.statusCode, body);
+    return sendJson(body);
+  };
+  next();
+}
+ApiContract.describe(idempotent, {
+  headers: Joi.object({ 'Idempotency-Key': Joi.string().pattern(/^[A-Za-z0-9_:.-]{8,128}$/).description('Ponowienie z tym samym kluczem i body zwraca zapisaną odpowiedź') })
 });
 
+// ============================================
+// AUTORYZACJA KLIENTA (PWA – Authorization: Bearer <accessToken>)
+// ============================================
+/**
+ * Middleware: Zweryfikuj access token klienta (auth.js). Ustawia req.user = { userId, sessionId } –
+ * użytkownik NIE pochodzi z body.
+ */
+function requireUser(req, res, next) {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  try {
+    req.user = Auth.authenticate(scheme === 'Bearer' ? token : null);
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+ApiContract.describe(requireUser, { security: SECURITY.USER });
+
 // ============================================
 // ENDPOINTY API (Pełna logika MVP)
 // ============================================
@@ -113,41 +238,125 @@ app.use((err, req, res, next) => {
  * @returns {object} Status zdrowia serwera
  * @example curl http://localhost:3000/health
  */
-app.get('/health', (req, res) => {
+app.get('/health', contract({ summary: 'Status API', tags: ['Publiczne'] }), (req, res) => {
   res.status(200).json({ 
     success: true, 
     status: 'OK – Corelay MVP gotowy do demo', 
     timestamp: new Date().toISOString(),
     version: 'Corelay MVP v1.0.0',
-    uptime: process.uptime() 
+    uptime: process.uptime(),
+    liveConnections: LiveUpdates.stats()
   });
 });
 
 // ============================================
-// ENDPOINT 1: POBIERANIE ZAMÓWIEŃ UŻYTKOWNIKA (Dla PWA klienta)
+// ENDPOINT 0: LOGOWANIE KLIENTA (kod jednorazowy e-mail → tokeny)
 // ============================================
 /**
- * @route POST /api/user/orders
- * @description Pobierz listę zamówień dla konkretnego użytkownika (email)
- * @body {userId: string} – Email użytkownika (np. 'konsument@corelay.pl')
- * @returns {object} Lista zamówień z statusami i produktami
- * @example POST /api/user/orders { "userId": "test@corelay.pl" }
- */
-app.post('/api/user/orders', (req, res, next) => {
-  // Walidacja inputu z Joi
-  const schema = Joi.object({
-    userId: Joi.string().email({ minDomainSegments: 2 }).required().label('User ID')
-  });
+ * @route POST /api/auth/request_code
+ * @description Wyślij 6-cyfrowy kod logowania na e-mail (lokalny outbox – patrz GET /api/admin/outbox)
+ * @body {email: string}
+ * @returns {object} Zawsze ten sam komunikat (nie zdradza, czy konto istnieje)
+ * @example POST /api/auth/request_code { "email": "wojtek@corelay.pl" }
+ */
+app.post('/api/auth/request_code', contract({
+  summary: 'Wyślij kod logowania na e-mail',
+  body: SCHEMAS.requestCodeBody,
+  responses: { 200: SCHEMAS.success }
+}), (req, res, next) => {
+  const { error, value } = SCHEMAS.requestCodeBody.validate(req.body);
+  if (error) {
+    return next(new ApiError(`Nieprawidłowe dane: ${error.details[0].message}`, 400));
+  }
+
+  try {
+    const result = Auth.requestLoginCode(value.email);
+    res.json({
+      success: true,
+      message: `Jeśli adres jest poprawny, wysłaliśmy kod logowania (ważny ${result.expiresInMinutes} min).`
+    });
+  } catch (err) {
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd wysyłki kodu logowania', 500));
+  }
+});
+
+/**
+ * @route POST /api/auth/verify_code
+ * @description Zamień kod z e-maila na access token (krótki) + refresh token
+ * @body {email: string, code: string}
+ * @returns {object} { accessToken, expiresIn, refreshToken, refreshExpiresAt, userId }
+ * @example POST /api/auth/verify_code { "email": "wojtek@corelay.pl", "code": "123456" }
+ */
+app.post('/api/auth/verify_code', contract({
+  summary: 'Zamień kod z e-maila na tokeny',
+  body: SCHEMAS.verifyCodeBody,
+  responses: { 200: SCHEMAS.tokens }
+}), (req, res, next) => {
+  const { error, value } = SCHEMAS.verifyCodeBody.validate(req.body);
+  if (error) {
+    return next(new ApiError(`Nieprawidłowe dane: ${error.details[0].message}`, 400));
+  }
+
+  try {
+    const tokens = Auth.verifyLoginCode(value.email, value.code, { userAgent: req.get('User-Agent'), ip: req.ip });
+    res.json({ success: true, ...tokens });
+  } catch (err) {
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd logowania', 500));
+  }
+});
 
-  const { error, value } = schema.validate(req.body);
+/**
+ * @route POST /api/auth/refresh
+ * @description Nowa para tokenów (rotacja – poprzedni refresh token przestaje działać)
+ * @body {refreshToken: string}
+ * @returns {object} { accessToken, expiresIn, refreshToken, refreshExpiresAt, userId }
+ */
+app.post('/api/auth/refresh', contract({
+  summary: 'Odśwież sesję (rotacja refresh tokenu)',
+  body: SCHEMAS.refreshBody,
+  responses: { 200: SCHEMAS.tokens }
+}), (req, res, next) => {
+  const { error, value } = SCHEMAS.refreshBody.validate(req.body);
   if (error) {
     return next(new ApiError(`Nieprawidłowe dane: ${error.details[0].message}`, 400));
   }
 
-  const { userId } = value;
+  try {
+    res.json({ success: true, ...Auth.refresh(value.refreshToken) });
+  } catch (err) {
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd odświeżania sesji', 500));
+  }
+});
+
+/**
+ * @route POST /api/auth/logout
+ * @description Wyloguj – unieważnia sesję (access i refresh token)
+ * @header Authorization: Bearer <accessToken>
+ */
+app.post('/api/auth/logout', requireUser, contract({ summary: 'Wyloguj (unieważnia sesję)' }), (req, res) => {
+  Auth.logout(req.user.sessionId);
+  res.json({ success: true, message: 'Wylogowano' });
+});
+
+// ============================================
+// ENDPOINT 1: POBIERANIE ZAMÓWIEŃ UŻYTKOWNIKA (Dla PWA klienta)
+// ============================================
+/**
+ * @route POST /api/user/orders
+ * @description Pobierz listę zamówień zalogowanego użytkownika (userId z access tokenu)
+ * @header Authorization: Bearer <accessToken>
+ * @returns {object} Lista zamówień z statusami, produktami i warunkami (policy, terms – terminy zwrotu produktów)
+ * @example POST /api/user/orders -H "Authorization: Bearer eyJhbGciOi..."
+ */
+app.post('/api/user/orders', requireUser, contract({
+  summary: 'Zamówienia zalogowanego klienta',
+  responses: { 200: SCHEMAS.userOrders }
+}), (req, res, next) => {
+  const { userId } = req.user;
   try {
     // Pobierz z bazy (mock lub real)
-    const orders = DB.getOrdersByUser ? DB.getOrdersByUser(userId) : []; // Fallback jeśli DB nie istnieje
+    const orders = (DB.getOrdersByUser ? DB.getOrdersByUser(userId) : []) // Fallback jeśli DB nie istnieje
+      .map(order => ({ ...order, terms: OrderLifecycle.returnTerms(order) })); // Polityka merchanta w terminach produktów
     res.json({ 
       success: true, 
       userId, 
@@ -160,70 +369,234 @@ app.post('/api/user/orders', (req, res, next) => {
   }
 });
 
+// ============================================
+// ENDPOINT 1B: PREFERENCJE POWIADOMIEŃ (Dla PWA klienta)
+// ============================================
+/**
+ * @route GET /api/user/preferences
+ * @description Preferencje powiadomień zalogowanego klienta (domyślne: PL, e-mail, wszystkie przypomnienia)
+ * @header Authorization: Bearer <accessToken>
+ * @returns {object} { preferences: { language, channels, phone, webPushSubscription, reminders, updatedAt } }
+ */
+app.get('/api/user/preferences', requireUser, contract({ summary: 'Preferencje powiadomień' }), (req, res) => {
+  res.json({ success: true, preferences: Notifications.getPreferences(req.user.userId) });
+});
+
+const preferencesSchema = Joi.object({
+  language: Joi.string().valid(...Notifications.LANGUAGES),
+  channels: Joi.object({
+    email: Joi.boolean(),
+    sms: Joi.boolean(),
+    webpush: Joi.boolean()
+  }),
+  phone: Joi.string().pattern(/^\+[1-9]\d{7,14}$/).allow(null).label('Telefon (format +48600100200)'),
+  webPushSubscription: Joi.object({
+    endpoint: Joi.string().uri({ scheme: ['https'] }).max(500).required(),
+    keys: Joi.object({
+      p256dh: Joi.string().max(200).required(),
+      auth: Joi.string().max(100).required()
+    }).required()
+  }).unknown(true).allow(null),
+  reminders: Joi.object({
+    pickupDeadline: Joi.boolean(),
+    returnWindow: Joi.boolean()
+  })
+}).min(1);
+
+/**
+ * @route PUT /api/user/preferences
+ * @description Zmień preferencje (pominięte pola bez zmian); SMS wymaga numeru telefonu
+ * @header Authorization: Bearer <accessToken>
+ * @body {language?: 'pl'|'en', channels?: {email?, sms?, webpush?}, phone?: string|null, webPushSubscription?: object|null, reminders?: {pickupDeadline?, returnWindow?}}
+ * @example PUT /api/user/preferences -d '{"language": "en", "channels": {"sms": true}, "phone": "+48600100200"}'
+ */
+app.put('/api/user/preferences', requireUser, contract({ summary: 'Zmień preferencje powiadomień', body: preferencesSchema }), (req, res, next) => {
+  const { error, value } = preferencesSchema.validate(req.body);
+  if (error) {
+    return next(new ApiError(`Nieprawidłowe preferencje: ${error.details[0].message}`, 400));
+  }
+  try {
+    res.json({ success: true, preferences: Notifications.updatePreferences(req.user.userId, value) });
+  } catch (err) {
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd zapisu preferencji', 500));
+  }
+});
+
 // ============================================
 // ENDPOINT 2: GENEROWANIE KODU GOŚCINNEGO / INICJOWANIE ZWROTU (Dla PWA klienta)
 // ============================================
 /**
  * @route POST /api/user/generate_guest_pin
- * @description Wygeneruj QR/PIN dla odbioru lub zwrotu (sprawdź status i okno czasowe)
- * @body {userId: string, orderId: string} – Email i ID zamówienia
- * @returns {object} Dane QR (string do wygenerowania) i expiry
- * @example POST /api/user/generate_guest_pin { "userId": "test@corelay.pl", "orderId": "ORD123" }
- */
-app.post('/api/user/generate_guest_pin', (req, res, next) => {
-  const schema = Joi.object({
-    userId: Joi.string().email({ minDomainSegments: 2 }).required(),
-    orderId: Joi.string().alphanum().length(6).required().label('Order ID')
-  });
-
-  const { error, value } = schema.validate(req.body);
+ * @description Wygeneruj PIN + podpisany, rotujący QR dla odbioru lub zwrotu (sprawdź status i okno czasowe)
+ * @header Authorization: Bearer <accessToken> – zamówienie musi należeć do zalogowanego użytkownika
+ * @body {orderId: string, items?: number[]} – ID zamówienia i (dla zwrotu) indeksy zwracanych produktów
+ * @returns {object} PIN, grant QR (format CRL1 – patrz qr_tokens.js), expiry; dla zwrotu items + refundAmount
+ * @example POST /api/user/generate_guest_pin -H "Authorization: Bearer eyJhbGciOi..." { "orderId": "ORD-1001", "items": [0, 2] }
+ */
+app.post('/api/user/generate_guest_pin', requireUser, contract({
+  summary: 'Kod odbioru lub zwrotu (PIN + rotujący QR)',
+  body: SCHEMAS.guestPinBody,
+  responses: { 200: SCHEMAS.guestPin }
+}), (req, res, next) => {
+  const { error, value } = SCHEMAS.guestPinBody.validate(req.body);
   if (error) {
     return next(new ApiError(`Nieprawidłowe dane: ${error.details[0].message}`, 400));
   }
 
-  const { userId, orderId } = value;
+  const { orderId, items } = value;
+  const { userId } = req.user;
   try {
     // Pobierz zamówienie z bazy
     const order = (DB.getOrdersByUser ? DB.getOrdersByUser(userId) : []).find(o => o.orderId === orderId);
     if (!order) {
       return next(new ApiError('Zamówienie nie istnieje lub nie należy do użytkownika', 404));
     }
-    if (order.status !== 'PENDING_PICKUP' && order.status !== 'PICKED_UP') {
-      return next(new ApiError('Zamówienie nie kwalifikuje się do odbioru/zwrotu', 400));
-    }
-
-    // Sprawdź okno czasowe (7 dni na odbiór, 14 dni na zwrot po odbiorze)
-    const now = new Date();
-    const deadline = new Date(order.pickupDeadline);
-    if (now > deadline) {
-      return next(new ApiError('Czas na odbiór/zwrot wygasł', 400));
-    }
-    if (order.status === 'PICKED_UP') {
-      const pickupDate = new Date(order.pickupTime);
-      if (now - pickupDate > 14 * 24 * 60 * 60 * 1000) {
-        return next(new ApiError('Poza 14-dniowym oknem zwrotu', 400));
-      }
+    // Kwalifikacja przez maszynę stanów (odbiór: termin pickupDeadline; zwrot: okno maxTime + wybrane produkty)
+    const isPickup = order.status === ORDER_STATUSES.READY_FOR_PICKUP;
+    const check = isPickup
+      ? OrderLifecycle.canTransition(order, ORDER_STATUSES.PICKED_UP)
+      : OrderLifecycle.planReturn(order, items);
+    if (!check.allowed) {
+      return next(new ApiError(`Zamówienie nie kwalifikuje się do ${isPickup ? 'odbioru' : 'zwrotu'}: ${check.reason}`, 400));
     }
 
-    // Generuj token/QR via logika (mock jeśli CorelayLogic nie istnieje)
-    const qrData = CorelayLogic.generateGuestPin 
-      ? CorelayLogic.generateGuestPin(userId, orderId) 
-      : `QR_DATA:${orderId}|USER:${userId}|TOKEN:${Date.now()}`; // Fallback mock
+    // Generuj PIN + podpisany grant QR via logika (qr_tokens.js); zwrot niesie listę produktów
+    const guestCode = isPickup
+      ? CorelayLogic.generateGuestPin(userId, orderId, 'PICKUP')
+      : CorelayLogic.generateGuestPin(userId, orderId, 'RETURN', check.items);
 
-    const expiresIn = order.status === 'PENDING_PICKUP' 
-      ? Math.abs(deadline - now) 
-      : 14 * 24 * 60 * 60 * 1000; // Ms do expiry
+    // Koniec okna zamówienia (odbiór: koniec dnia pickupDeadline; zwrot: najkrótsze okno zwracanych produktów)
+    const windowEnd = isPickup
+      ? moment(order.pickupDeadline).endOf('day').valueOf()
+      : OrderLifecycle.returnDeadline(order, check.items);
 
     res.json({ 
       success: true, 
-      qrData, // String do wygenerowania QR w frontendzie (np. via qrcode.react)
+      pin: guestCode.pin, // Ręczne wpisanie na kasie
+      qr: guestCode.qr, // { format, grant, rotationSecret, rotationSeconds } – PWA renderuje rotujący QR
       orderId, 
-      type: order.status === 'PICKED_UP' ? 'return' : 'pickup',
-      expiresIn, 
-      expiresAt: new Date(now.getTime() + expiresIn).toISOString()
+      type: isPickup ? 'pickup' : 'return',
+      expiresIn: guestCode.expiresAt - Date.now(), // Ważność kodu (ms)
+      expiresAt: new Date(guestCode.expiresAt).toISOString(),
+      windowEndsAt: windowEnd ? new Date(windowEnd).toISOString() : null,
+      ...(isPickup ? {} : { items: check.items, refundAmount: check.refundAmount })
+    });
+  } catch (err) {
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd generowania kodu gościnnego', 500));
+  }
+});
+
+// ============================================
+// ENDPOINT 2B: KOD ZBIORCZY – "ODBIERZ WSZYSTKO" (Dla PWA klienta)
+// ============================================
+/**
+ * @route POST /api/user/collect_all_code
+ * @description Jeden PIN + rotujący QR na wszystkie zamówienia gotowe do odbioru w jednym sklepie,
+ * opcjonalnie z oczekującymi zwrotami. Skan na terminalu pokazuje listę; personel potwierdza wydane paczki
+ * (POST /api/terminal/collect_all/:bundleId/confirm).
+ * @header Authorization: Bearer <accessToken>
+ * @body {storeId: string, returns?: [{orderId: string, items?: number[]}]}
+ * @returns {object} PIN, grant QR, bundleId, lista zamówień (orders), expiry
+ * @example POST /api/user/collect_all_code -H "Authorization: Bearer eyJhbGciOi..." { "storeId": "MODIVO", "returns": [{ "orderId": "ORD-1002" }] }
+ */
+app.post('/api/user/collect_all_code', requireUser, contract({
+  summary: 'Kod zbiorczy na wszystkie paczki w sklepie (+ zwroty)',
+  body: SCHEMAS.collectAllBody,
+  responses: { 200: SCHEMAS.collectAll }
+}), (req, res, next) => {
+  const { error, value } = SCHEMAS.collectAllBody.validate(req.body);
+  if (error) {
+    return next(new ApiError(`Nieprawidłowe dane: ${error.details[0].message}`, 400));
+  }
+
+  try {
+    const code = CorelayLogic.generateCollectAllCode(req.user.userId, value.storeId, value.returns || []);
+    res.json({
+      success: true,
+      pin: code.pin,
+      qr: code.qr,
+      bundleId: code.bundleId,
+      orderId: code.bundleId, // Kod zapisany pod bundleId – PWA obsługuje go jak każdy inny kod (cache offline, SSE)
+      type: 'collect_all',
+      storeId: code.storeId,
+      orders: code.orders,
+      expiresIn: code.expiresAt - Date.now(),
+      expiresAt: new Date(code.expiresAt).toISOString()
+    });
+  } catch (err) {
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd generowania kodu zbiorczego', 500));
+  }
+});
+
+// ============================================
+// ENDPOINT 2C: ODBIÓR PRZEZ PEŁNOMOCNIKA (Dla PWA klienta)
+// ============================================
+/**
+ * @route POST /api/user/delegations
+ * @description Upoważnij inną osobę do odbioru paczki. Odbiorca dostaje własny, jednorazowy kod
+ * (tylko odbiór, bez zwrotów) e-mailem lub SMS-em; terminal pokazuje "odbiór przez pełnomocnika".
+ * @header Authorization: Bearer <accessToken>
+ * @body {orderId: string, recipient: {name: string, email?: string, phone?: string}, validHours?: number}
+ * @returns {object} { delegation, expiresAt } – PIN trafia wyłącznie do odbiorcy
+ * @example POST /api/user/delegations -H "Authorization: Bearer eyJhbGciOi..." { "orderId": "ORD-1001", "recipient": { "name": "Anna Kowalska", "email": "anna@example.com" } }
+ */
+app.post('/api/user/delegations', requireUser, contract({
+  summary: 'Upoważnij pełnomocnika do odbioru',
+  body: SCHEMAS.delegationBody,
+  responses: { 200: SCHEMAS.delegationCreated }
+}), (req, res, next) => {
+  const { error, value } = SCHEMAS.delegationBody.validate(req.body);
+  if (error) {
+    return next(new ApiError(`Nieprawidłowe dane: ${error.details[0].message}`, 400));
+  }
+
+  try {
+    const result = CorelayLogic.generateDelegatedCode(req.user.userId, value.orderId, value.recipient, { validHours: value.validHours });
+    res.json({
+      success: true,
+      delegation: result.delegation,
+      expiresAt: new Date(result.expiresAt).toISOString(),
+      message: `Kod odbioru wysłany do ${value.recipient.email || value.recipient.phone}`
     });
   } catch (err) {
-    next(new ApiError('Błąd generowania kodu gościnnego', 500));
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd tworzenia upoważnienia', 500));
+  }
+});
+
+/**
+ * @route GET /api/user/delegations
+ * @description Upoważnienia do odbioru zalogowanego użytkownika (najnowsze pierwsze)
+ * @header Authorization: Bearer <accessToken>
+ * @query {orderId?: string, status?: ACTIVE|USED|REVOKED|CLOSED|EXPIRED}
+ * @example GET /api/user/delegations?orderId=ORD-1001
+ */
+app.get('/api/user/delegations', requireUser, contract({
+  summary: 'Lista upoważnień do odbioru',
+  query: SCHEMAS.delegationFilter,
+  responses: { 200: SCHEMAS.delegationList }
+}), (req, res, next) => {
+  const { error, value } = SCHEMAS.delegationFilter.validate(req.query);
+  if (error) {
+    return next(new ApiError(`Nieprawidłowy filtr: ${error.details[0].message}`, 400));
+  }
+  const delegations = Delegations.list({ ...value, userId: req.user.userId });
+  res.json({ success: true, delegations, count: delegations.length });
+});
+
+/**
+ * @route POST /api/user/delegations/:delegationId/revoke
+ * @description Odwołaj aktywne upoważnienie – kod pełnomocnika przestaje działać (wpis w historii zamówienia)
+ * @header Authorization: Bearer <accessToken>
+ * @example POST /api/user/delegations/DLG-4F1A2B3C4D/revoke
+ */
+app.post('/api/user/delegations/:delegationId/revoke', requireUser, contract({
+  summary: 'Odwołaj upoważnienie do odbioru',
+  responses: { 200: SCHEMAS.delegationRevoked }
+}), (req, res, next) => {
+  try {
+    res.json({ success: true, delegation: Delegations.revoke(req.user.userId, req.params.delegationId) });
+  } catch (err) {
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd odwołania upoważnienia', 500));
   }
 });
 
@@ -231,181 +604,1743 @@ app.post('/api/user/generate_guest_pin', (req, res, next) => {
 // ENDPOINT 3: WERYFIKACJA TRANSAKCJI (Core – dla symulatorów skanerów Modivo/LPP/InPost)
 // ============================================
 /**
- * @route POST /api/verify_transaction
- * @description Zweryfikuj QR/PIN w "sklepie" lub paczkomacie (skanowanie)
- * @body {userId: string, timestamp: ISO, scannerId: string, guestPin: string}
- * @returns {object} Potwierdzenie weryfikacji i update statusu
- * @example POST /api/verify_transaction { "userId": "test@corelay.pl", "timestamp": "2025-11-10T18:00:00Z", "scannerId": "MODIVO", "guestPin": "QR_DATA:ORD123|USER:test@corelay.pl|TOKEN:12345" }
- */
-app.post('/api/verify_transaction', (req, res, next) => {
-  const schema = Joi.object({
-    userId: Joi.string().email({ minDomainSegments: 2 }).required(),
-    timestamp: Joi.string().isoDate().required(),
-    scannerId: Joi.string().valid('MODIVO', 'LPP', 'INPOST').required(),
-    guestPin: Joi.string().min(10).required().label('Guest PIN/QR Data')
+ * Handler skanu kodu (ENDPOINT 3 i 3E): walidacja body → CorelayLogic.validateTransaction → wpis w dzienniku skanów.
+ * Każda próba (także odrzucona i zakończona błędem) trafia do dziennika skanów (scan_ledger.js).
+ *
+ * @param {object} bodySchema - Schemat body (SCHEMAS.verifyTransactionBody / SCHEMAS.previewBody)
+ * @param {function} optionsFor - (value) => opcje validateTransaction
+ * @returns {function} Handler Express
+ */
+const scanHandler = (bodySchema, optionsFor) => (req, res, next) => {
+  const startedAt = Date.now();
+  const code = req.body && req.body.code;
+  const recordScan = (attempt) => ScanLedger.record({
+    terminal: req.terminal,
+    code,
+    latencyMs: Date.now() - startedAt,
+    ...attempt
   });
 
-  const { error, value } = schema.validate(req.body);
+  const { error, value } = bodySchema.validate(req.body);
   if (error) {
+    recordScan({ outcome: ScanLedger.OUTCOMES.REJECTED, reason: 'INVALID_FORMAT', message: error.details[0].message });
     return next(new ApiError(`Nieprawidłowe dane skanowania: ${error.details[0].message}`, 400));
   }
 
-  const { userId, timestamp, scannerId, guestPin } = value;
   try {
-    // Parse guestPin (prosty split dla demo: QR_DATA:orderId|USER:user|TOKEN:token)
-    const parts = guestPin.split('|');
-    if (parts.length < 3) {
-      return next(new ApiError('Nieprawidłowy format QR/PIN – nie można sparsować', 400));
-    }
-    const [, orderId, , expectedUser] = parts; // Wyciągnij orderId i expectedUser
-    if (expectedUser !== userId) {
-      return next(new ApiError('QR/PIN nie pasuje do użytkownika', 400));
-    }
-
-    // Walidacja via logika (mock jeśli CorelayLogic nie istnieje)
-    const validationResult = CorelayLogic.validateTransaction 
-      ? CorelayLogic.validateTransaction(userId, new Date(timestamp), scannerId, guestPin)
-      : { success: true, message: 'Mock validation – success', status: 'verified' }; // Fallback
+    // Walidacja + finalizacja via logika – status zmienia wyłącznie maszyna stanów (order_lifecycle.js)
+    const validationResult = CorelayLogic.validateTransaction(value.code, req.terminal, optionsFor(value));
 
     if (!validationResult.success) {
-      return next(new ApiError(validationResult.message || 'Weryfikacja nieudana', 400));
-    }
-
-    // Update w bazie (mock lub real)
-    const order = (DB.getOrdersByUser ? DB.getOrdersByUser(userId) : []).find(o => o.orderId === orderId);
-    if (!order) {
-      return next(new ApiError('Zamówienie nie znaleziono w bazie', 404));
+      recordScan({
+        outcome: ScanLedger.OUTCOMES.REJECTED,
+        reason: validationResult.reason,
+        message: validationResult.message,
+        orderId: validationResult.orderId,
+        userId: validationResult.userId,
+        codeType: validationResult.type
+      });
+      if (validationResult.lockedUntil) {
+        res.set('Retry-After', String(Math.max(1, Math.ceil((moment(validationResult.lockedUntil).valueOf() - Date.now()) / 1000))));
+      }
+      return next(new ApiError(validationResult.message || 'Weryfikacja nieudana', validationResult.status || 400, validationResult.reason || null));
     }
 
-    order.status = order.status === 'PENDING_PICKUP' ? 'PICKED_UP' : 'RETURNED';
-    order.scannerId = scannerId;
-    order.verifiedAt = new Date().toISOString();
-    // Symuluj zapis do DB
-    if (DB.updateOrder) DB.updateOrder(order);
+    // Kod zbiorczy: skan tylko otwiera listę (orderId null) – zamówienia finalizuje ENDPOINT 3C
+    const order = validationResult.orderId ? DB.getOrderById(validationResult.orderId) : null;
+    const scan = recordScan({
+      outcome: ScanLedger.OUTCOMES.ACCEPTED,
+      message: validationResult.message,
+      orderId: validationResult.orderId || validationResult.bundleId,
+      userId: validationResult.userId,
+      codeType: validationResult.type,
+      // Podgląd niczego nie finalizuje – w dzienniku jako PREVIEW, transakcja dopiero przy potwierdzeniu
+      transactionType: validationResult.previewToken ? CorelayLogic.PREVIEW : validationResult.transactionType
+    });
 
     res.json({ 
-      success: true, 
-      message: `Transakcja zweryfikowana w ${scannerId}! Status: ${order.status}`, 
-      orderId, 
-      scanner: scannerId, 
-      verifiedAt: order.verifiedAt,
-      timeTaken: Date.now() - new Date(timestamp).getTime() // Ms od timestamp do teraz
+      ...validationResult,
+      transactionType: validationResult.transactionType, // PICKUP | RETURN | COLLECT_ALL | RETURN_INSPECTION – skanery rozróżniają po nim ekran wyniku
+      status: order ? order.status : null,
+      scanId: scan.scanId,
+      verifiedAt: scan.at,
+      timeTaken: scan.latencyMs // Ms przetwarzania po stronie serwera
     });
   } catch (err) {
-    next(new ApiError('Błąd weryfikacji transakcji – sprawdź token lub bazę', 500));
+    const isClientError = err.name === 'ApiError' && err.status < 500;
+    try {
+      recordScan({
+        outcome: isClientError ? ScanLedger.OUTCOMES.REJECTED : ScanLedger.OUTCOMES.ERROR,
+        reason: isClientError ? 'INVALID_REQUEST' : 'SERVER_ERROR',
+        message: err.message
+      });
+    } catch (ledgerErr) {
+      console.error('[ScanLedger] Nie zapisano próby skanowania:', ledgerErr.message);
+    }
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd weryfikacji transakcji – sprawdź token lub bazę', 500));
   }
+};
+
+/**
+ * @route POST /api/verify_transaction
+ * @description Zweryfikuj kod w "sklepie" lub paczkomacie (skanowanie). Użytkownik i zamówienie
+ * wynikają wyłącznie z kodu: podpisanego, rotującego QR (CRL1) lub 6-cyfrowego PIN;
+ * sklep (scannerId) – wyłącznie z uwierzytelnionego terminala.
+ * @header X-Terminal-Key: string – Klucz terminala (POST /api/admin/terminals)
+ * @body {code: string, inspect?: boolean} – inspect: kod zwrotu otwiera przyjęcie z inspekcją (ENDPOINT 3D)
+ * Każda próba jest zapisywana w dzienniku skanów (GET /api/admin/scans, /api/merchant/scans, /api/terminal/scans).
+ * @returns {object} Potwierdzenie weryfikacji i update statusu (transactionType: PICKUP/RETURN; COLLECT_ALL – lista orders do potwierdzenia;
+ * RETURN_INSPECTION – produkty do oceny w intake; paczkomat: locker – drzwi do otwarcia; scanId wpisu w dzienniku).
+ * Odmowa: koperta błędu z reason (np. CODE_REPLAYED, WRONG_STORE, CODE_HELD, CODE_EXPIRED, TERMINAL_LOCKED)
+ * @example POST /api/verify_transaction -H "X-Terminal-Key: ctk_..." { "code": "CRL1.k20251110ab12cd.eyJ2IjoxLC....57712345.q1w2e3r4t5y6" }
+ */
+app.post('/api/verify_transaction', requireTerminal, contract({
+  summary: 'Weryfikacja kodu na terminalu (odbiór / zwrot)',
+  body: SCHEMAS.verifyTransactionBody,
+  responses: { 200: SCHEMAS.verifyTransaction }
+}), scanHandler(SCHEMAS.verifyTransactionBody, (value) => ({ inspect: value.inspect })));
+
+// ============================================
+// ENDPOINT 3B: PUBLICZNE KLUCZE PODPISU QR
+// ============================================
+/**
+ * @route GET /api/qr/keys
+ * @description Publiczne klucze Ed25519 (po kid) do weryfikacji podpisu kodów CRL1 poza serwerem
+ * @returns {object} { keys: [{ kid, algorithm, publicKey (SPKI DER base64), status }] }
+ * @example curl http://localhost:3000/api/qr/keys
+ */
+app.get('/api/qr/keys', contract({ summary: 'Publiczne klucze podpisu QR', tags: ['Publiczne'] }), (req, res) => {
+  res.json({ success: true, keys: QrTokens.getPublicKeys() });
 });
 
 // ============================================
-// ENDPOINT 4: TRYB BOGA (Admin – tworzenie testowych zamówień dla demo)
+// ENDPOINT 3C: POTWIERDZENIE KODU ZBIORCZEGO (Terminal – wydane/przyjęte paczki)
 // ============================================
 /**
- * @route POST /api/admin/create_test_order
- * @description Utwórz testowe zamówienie (z autoryzacją kluczem dla bezpieczeństwa)
- * @header API-ADMIN-KEY: string – Klucz z .env (obowiązkowy)
- * @body {userId: string, orderId: string, storeId: string, products: array, status: string}
- * @returns {object} Potwierdzenie utworzenia testowego zamówienia
- * @example POST /api/admin/create_test_order -H "API-ADMIN-KEY: secret" -d '{"userId": "test@corelay.pl", "orderId": "ORD123", "storeId": "MODIVO", "products": [{"name": "Buty", "price": 299}], "status": "PENDING_PICKUP"}'
- */
-app.post('/api/admin/create_test_order', (req, res, next) => {
-  // Autoryzacja: Sprawdź header z env key
-  const adminKey = req.headers['api-admin-key'] || req.headers['API-ADMIN-KEY'];
-  if (adminKey !== process.env.API_ADMIN_KEY) {
-    return next(new ApiError('Brak autoryzacji: Nieprawidłowy klucz admina', 401));
-  }
-
-  const schema = Joi.object({
-    userId: Joi.string().email({ minDomainSegments: 2 }).required(),
-    orderId: Joi.string().alphanum().length(6).required(),
-    storeId: Joi.string().valid('MODIVO', 'LPP', 'INPOST').required(),
-    products: Joi.array()
-      .min(1)
-      .max(10)
-      .items(Joi.object({
-        name: Joi.string().min(1).max(50).required(),
-        price: Joi.number().min(0).max(10000).required()
-      }))
-      .required(),
-    status: Joi.string()
-      .valid('PENDING_PICKUP', 'PICKED_UP', 'RETURN_PENDING')
-      .default('PENDING_PICKUP')
-  });
+ * @route POST /api/terminal/collect_all/:bundleId/confirm
+ * @description Finalizuje zamówienia z kodu zbiorczego zaznaczone przez personel. Kod musi być wcześniej
+ * zeskanowany na tym terminalu (POST /api/verify_transaction → transactionType COLLECT_ALL). Każde zamówienie
+ * finalizowane osobno (wynik per zamówienie), zapis jednym zapisem bazy; każde trafia do dziennika skanów.
+ * @header X-Terminal-Key: string
+ * @body {orderIds: string[]} – zamówienia faktycznie wydane/przyjęte (podzbiór listy z kodu)
+ * @returns {object} { success, bundleId, results: [{ orderId, success, transactionType, status, scanId, ... }], summary }
+ * @example POST /api/terminal/collect_all/CA-9F2C41D07A/confirm -H "X-Terminal-Key: ctk_..." { "orderIds": ["ORD-1001", "ORD-1004"] }
+ */
+app.post('/api/terminal/collect_all/:bundleId/confirm', requireTerminal, contract({
+  summary: 'Potwierdzenie wydania paczek z kodu zbiorczego',
+  body: SCHEMAS.collectAllConfirmBody,
+  responses: { 200: SCHEMAS.collectAllConfirm }
+}), (req, res, next) => {
+  const startedAt = Date.now();
+  const { error, value } = SCHEMAS.collectAllConfirmBody.validate(req.body || {});
+  if (error) {
+    return next(new ApiError(`Nieprawidłowe potwierdzenie: ${error.details[0].message}`, 400));
+  }
+
+  try {
+    const confirmation = CorelayLogic.confirmCollectAll(req.params.bundleId, value.orderIds, req.terminal);
+    const latencyMs = Date.now() - startedAt;
+    const results = confirmation.results.map(result => {
+      const order = DB.getOrderById(result.orderId);
+      const scan = ScanLedger.record({
+        terminal: req.terminal,
+        code: req.params.bundleId,
+        outcome: result.success ? ScanLedger.OUTCOMES.ACCEPTED : ScanLedger.OUTCOMES.REJECTED,
+        reason: result.reason || null,
+        message: result.message,
+        orderId: result.orderId,
+        userId: confirmation.userId,
+        codeType: confirmation.type,
+        transactionType: result.transactionType,
+        latencyMs
+      });
+      return { ...result, ...(order ? { status: order.status } : {}), scanId: scan.scanId };
+    });
+
+    res.json({
+      success: confirmation.summary.confirmed > 0,
+      bundleId: confirmation.bundleId,
+      type: confirmation.type,
+      results,
+      summary: confirmation.summary,
+      message: confirmation.message,
+      confirmedAt: moment().toISOString()
+    });
+  } catch (err) {
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd potwierdzenia kodu zbiorczego', 500));
+  }
+});
 
-  const { error, value } = schema.validate(req.body);
+// ============================================
+// ENDPOINT 3D: INSPEKCJA ZWROTU PRZY KASIE (Terminal – powód, stan, przyjęcie/odrzucenie per produkt)
+// ============================================
+/**
+ * @route POST /api/terminal/returns/:orderId/inspection
+ * @description Finalizuje zwrot otwarty na tym terminalu skanem z inspekcją (POST /api/verify_transaction
+ * z inspect: true → transactionType RETURN_INSPECTION). Każdy produkt z kodu musi mieć ocenę; zwracane
+ * (i refundowane) są tylko przyjęte produkty, odrzucone wracają do klienta. Protokół inspekcji zapisywany
+ * na wpisie zwrotu (order.returns[].inspection) – widoczny dla merchanta (API, webhook order.returned).
+ * @header X-Terminal-Key: string
+ * @body {items: [{index, decision: ACCEPT|REJECT, reasonCode, condition, rejectionReason?, note?}], note?: string}
+ * @returns {object} Wynik jak w POST /api/verify_transaction (transactionType RETURN, inspection, rejectedItems)
+ * @example POST /api/terminal/returns/ORD-1002/inspection -H "X-Terminal-Key: ctk_..."
+ * { "items": [{ "index": 0, "decision": "REJECT", "reasonCode": "WRONG_SIZE", "condition": "USED", "rejectionReason": "TAG_REMOVED" }] }
+ */
+app.post('/api/terminal/returns/:orderId/inspection', requireTerminal, contract({
+  summary: 'Inspekcja i przyjęcie zwrotu przy kasie',
+  body: SCHEMAS.returnInspectionBody,
+  responses: { 200: SCHEMAS.verifyTransaction }
+}), (req, res, next) => {
+  const startedAt = Date.now();
+  const { error, value } = SCHEMAS.returnInspectionBody.validate(req.body || {});
   if (error) {
-    return next(new ApiError(`Nieprawidłowe dane admina: ${error.details[0].message}`, 400));
+    return next(new ApiError(`Nieprawidłowa inspekcja: ${error.details[0].message}`, 400));
   }
 
-  const { userId, orderId, storeId, products, status } = value;
   try {
-    // Generuj deadline (7 dni od teraz dla PENDING_PICKUP)
-    const now = new Date();
-    const pickupDeadline = status === 'PENDING_PICKUP' 
-      ? new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0]
-      : null;
-
-    // Utwórz obiekt zamówienia
-    const newOrder = {
-      orderId,
-      userId,
-      storeId,
-      products,
-      status,
-      pickupDeadline,
-      createdAt: now.toISOString(),
-      pickupTime: status === 'PICKED_UP' ? now.toISOString() : null
-    };
-
-    // Zapisz do bazy (mock lub real)
-    if (DB.createOrder) {
-      DB.createOrder(newOrder);
-    } else {
-      // Fallback: Zapisz do globalnej mock bazy (jeśli DB nie istnieje)
-      global.mockOrders = global.mockOrders || [];
-      global.mockOrders.push(newOrder);
+    const result = CorelayLogic.completeReturnInspection(req.params.orderId, value, req.terminal);
+    const scan = ScanLedger.record({
+      terminal: req.terminal,
+      code: req.params.orderId,
+      outcome: result.success ? ScanLedger.OUTCOMES.ACCEPTED : ScanLedger.OUTCOMES.REJECTED,
+      reason: result.reason || null,
+      message: result.message,
+      orderId: result.orderId,
+      userId: result.userId,
+      codeType: result.type,
+      transactionType: result.transactionType || 'RETURN',
+      latencyMs: Date.now() - startedAt
+    });
+    if (!result.success) {
+      return next(new ApiError(result.message || 'Zwrot nie został przyjęty', result.status || 400, result.reason || null));
     }
 
-    res.json({ 
-      success: true, 
-      message: `Testowe zamówienie utworzone pomyślnie w ${storeId}`, 
-      orderId, 
-      productsCount: products.length,
-      status, 
-      createdAt: now.toISOString()
+    res.json({
+      ...result,
+      status: DB.getOrderById(result.orderId).status,
+      scanId: scan.scanId,
+      verifiedAt: scan.at,
+      timeTaken: scan.latencyMs
     });
   } catch (err) {
-    next(new ApiError('Błąd tworzenia testowego zamówienia – sprawdź bazę danych', 500));
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd przyjęcia zwrotu', 500));
   }
 });
 
 // ============================================
-// 404 HANDLER (Domyślna odpowiedź na nieznane endpointy)
+// ENDPOINT 3E: PODGLĄD SKANU (Terminal – podgląd → "Wydaj" / "Przyjmij zwrot" albo anulowanie)
 // ============================================
-app.use((req, res) => {
-  res.status(404).json({ 
-    success: false, 
-    message: `Endpoint ${req.method} ${req.path} nie istnieje – sprawdź dokumentację` 
-  });
+/**
+ * @route POST /api/terminal/preview
+ * @description Rozpoznaje kod (QR CRL1 / PIN) i zwraca zamówienie z produktami BEZ finalizacji – kod nie jest
+ * zużywany, ale przez CorelayLogic.PREVIEW_TTL_SECONDS jest zarezerwowany dla tego terminalu (inne terminale
+ * dostają CODE_HELD). Finalizacja: POST /api/terminal/preview/:previewToken/confirm; rezygnacja: .../cancel.
+ * Kod zbiorczy zwraca listę zamówień jak POST /api/verify_transaction (potwierdzenie – ENDPOINT 3C).
+ * @header X-Terminal-Key: string
+ * @body {code: string}
+ * @returns {object} { previewToken, previewExpiresAt, transactionType: PICKUP|RETURN, order, products, intake (zwrot), delegation? }
+ * @example POST /api/terminal/preview -H "X-Terminal-Key: ctk_..." { "code": "482913" }
+ */
+app.post('/api/terminal/preview', requireTerminal, contract({
+  summary: 'Podgląd skanu (bez zużycia kodu)',
+  body: SCHEMAS.previewBody,
+  responses: { 200: SCHEMAS.preview }
+}), scanHandler(SCHEMAS.previewBody, () => ({ preview: true })));
+
+/**
+ * @route POST /api/terminal/preview/:previewToken/confirm
+ * @description Finalizuje transakcję z podglądu tego terminalu (kwalifikacja sprawdzana ponownie, kod zużywany).
+ * Dla zwrotu opcjonalnie z inspekcją produktów (jak ENDPOINT 3D) – bez niej przyjmowane są wszystkie produkty z kodu.
+ * @header X-Terminal-Key: string
+ * @body {inspection?: {items: [{index, decision, reasonCode, condition, rejectionReason?, note?}], note?}}
+ * @returns {object} Wynik jak w POST /api/verify_transaction (PICKUP / RETURN)
+ * @example POST /api/terminal/preview/PV-3kQ9xT0bLw1uYc2Z/confirm -H "X-Terminal-Key: ctk_..." {}
+ */
+app.post('/api/terminal/preview/:previewToken/confirm', requireTerminal, contract({
+  summary: 'Potwierdzenie podglądu ("Wydaj" / "Przyjmij zwrot")',
+  body: SCHEMAS.previewConfirmBody,
+  responses: { 200: SCHEMAS.verifyTransaction }
+}), (req, res, next) => {
+  const startedAt = Date.now();
+  const { error, value } = SCHEMAS.previewConfirmBody.validate(req.body || {});
+  if (error) {
+    return next(new ApiError(`Nieprawidłowe potwierdzenie: ${error.details[0].message}`, 400));
+  }
+
+  try {
+    const result = CorelayLogic.confirmPreview(req.params.previewToken, req.terminal, value);
+    const scan = ScanLedger.record({
+      terminal: req.terminal,
+      code: req.params.previewToken,
+      outcome: result.success ? ScanLedger.OUTCOMES.ACCEPTED : ScanLedger.OUTCOMES.REJECTED,
+      reason: result.reason || null,
+      message: result.message,
+      orderId: result.orderId,
+      userId: result.userId,
+      codeType: result.type,
+      transactionType: result.transactionType || null,
+      latencyMs: Date.now() - startedAt
+    });
+    if (!result.success) {
+      return next(new ApiError(result.message || 'Transakcja nie została zrealizowana', result.status || 400, result.reason || null));
+    }
+
+    res.json({
+      ...result,
+      status: DB.getOrderById(result.orderId).status,
+      scanId: scan.scanId,
+      verifiedAt: scan.at,
+      timeTaken: scan.latencyMs
+    });
+  } catch (err) {
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd potwierdzenia podglądu', 500));
+  }
+});
+
+/**
+ * @route POST /api/terminal/preview/:previewToken/cancel
+ * @description Anuluje podgląd (zły skan, klient zrezygnował) – rezerwacja zwolniona, kod klienta pozostaje ważny
+ * @header X-Terminal-Key: string
+ * @returns {object} { success, orderId, message }
+ */
+app.post('/api/terminal/preview/:previewToken/cancel', requireTerminal, contract({
+  summary: 'Anulowanie podglądu (kod pozostaje ważny)',
+  responses: { 200: SCHEMAS.previewCancelled }
+}), (req, res, next) => {
+  try {
+    const { orderId, message } = CorelayLogic.cancelPreview(req.params.previewToken, req.terminal);
+    res.json({ success: true, orderId, message });
+  } catch (err) {
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd anulowania podglądu', 500));
+  }
 });
 
 // ============================================
-// URUCHOMIENIE SERWERA Z GRACEFUL SHUTDOWN
+// ENDPOINT 3F: PACZKOMAT (Terminal paczkomatu – stan skrytek, odbiór zwrotów przez kuriera)
 // ============================================
-const server = app.listen(port, () => {
-  const startTime = new Date().toISOString();
-  console.log(`\n🚀 [${startTime}] Corelay API (Mózg) uruchomiony na http://localhost:${port}`);
-  console.log(`   Health check: http://localhost:${port}/health`);
-  console.log(`   Env: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`   Allowed origins: ${allowedOrigins.join(', ')}`);
-  console.log(`\nGotowe do demo! Użyj /api/admin/create_test_order do seedowania danych.\n`);
+/**
+ * @route GET /api/terminal/locker
+ * @description Stan skrytek paczkomatu terminala: zajętość (FREE / OCCUPIED / RESERVED / OUT_OF_ORDER),
+ * flaga full i kolejka paczek czekających na wolną skrytkę. Drzwi do otwarcia zwraca skan kodu (pole locker).
+ * @header X-Terminal-Key: string – Klucz terminala paczkomatu
+ * @returns {object} { success, locker }
+ * @example GET /api/terminal/locker -H "X-Terminal-Key: ctk_demo_inpost_sim_1"
+ */
+app.get('/api/terminal/locker', requireTerminal, contract({ summary: 'Stan skrytek paczkomatu', responses: { 200: SCHEMAS.locker } }), (req, res, next) => {
+  try {
+    res.json({ success: true, locker: Lockers.getStatus(req.terminal.storeId) });
+  } catch (err) {
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd odczytu paczkomatu', 500));
+  }
+});
+
+/**
+ * @route POST /api/terminal/locker/collect_returns
+ * @description Kurier wyjmuje nadane zwroty – skrytki wracają do puli (paczki z kolejki dostają miejsce)
+ * @header X-Terminal-Key: string – Klucz terminala paczkomatu
+ * @returns {object} { success, collected: [{ door, size, orderId, returnId }], locker, message }
+ */
+app.post('/api/terminal/locker/collect_returns', requireTerminal, contract({ summary: 'Odbiór zwrotów przez kuriera', responses: { 200: SCHEMAS.lockerCollected } }), (req, res, next) => {
+  try {
+    const { collected, locker } = Lockers.collectReturns(req.terminal.storeId, `terminal:${req.terminal.terminalId}`);
+    res.json({
+      success: true,
+      collected,
+      locker,
+      message: collected.length > 0
+        ? `Odebrano ${collected.length} zwrot(y/ów) ze skrytek: ${collected.map(c => c.door).join(', ')}.`
+        : 'Brak zwrotów do odebrania.'
+    });
+  } catch (err) {
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd odbioru zwrotów', 500));
+  }
+});
+
+// ============================================
+// ENDPOINT 4: TRYB BOGA (Admin – tworzenie testowych zamówień dla demo)
+// ============================================
+/**
+ * @route POST /api/admin/create_test_order
+ * @description Utwórz testowe zamówienie (z autoryzacją kluczem dla bezpieczeństwa)
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. ADMIN)
+ * @body {userId: string, orderId: string, storeId: string, products: [{name, price, category?}], status: string}
+ * @returns {object} Potwierdzenie utworzenia testowego zamówienia
+ * @example POST /api/admin/create_test_order -H "API-ADMIN-KEY: secret" -d '{"userId": "test@corelay.pl", "orderId": "ORD-2001", "storeId": "MODIVO", "products": [{"name": "Buty", "price": 299}], "status": "READY_FOR_PICKUP"}'
+ */
+app.post('/api/admin/create_test_order', requireAdmin(ADMIN_ROLES.ADMIN), contract({
+  summary: 'Testowe zamówienie (demo)',
+  body: SCHEMAS.createTestOrderBody
+}), (req, res, next) => {
+  const { error, value } = SCHEMAS.createTestOrderBody.validate(req.body);
+  if (error) {
+    return next(new ApiError(`Nieprawidłowe dane admina: ${error.details[0].message}`, 400));
+  }
+
+  const { userId, orderId, storeId, products, status } = value;
+  try {
+    // Deadline odbioru / okno zwrotu z polityki merchanta ustawia maszyna stanów (OrderLifecycle.initialize w DB.createOrder)
+    const newOrder = DB.createOrder({ orderId, userId, storeId, products, status }, { actor: adminActor(req) });
+
+    res.json({ 
+      success: true, 
+      message: `Testowe zamówienie utworzone pomyślnie w ${storeId}`, 
+      orderId, 
+      productsCount: products.length,
+      status, 
+      pickupDeadline: newOrder.pickupDeadline,
+      createdAt: newOrder.createdAt
+    });
+  } catch (err) {
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd tworzenia testowego zamówienia – sprawdź bazę danych', 500));
+  }
+});
+
+// ============================================
+// ENDPOINT 5: ROTACJA KLUCZA PODPISU QR (Admin)
+// ============================================
+/**
+ * @route POST /api/admin/qr_keys/rotate
+ * @description Nowy klucz ACTIVE dla kodów QR; poprzedni przechodzi w RETIRED (nadal weryfikuje wydane kody)
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. ADMIN)
+ * @returns {object} { kid, retiredKid }
+ * @example POST /api/admin/qr_keys/rotate -H "API-ADMIN-KEY: secret"
+ */
+app.post('/api/admin/qr_keys/rotate', requireAdmin(ADMIN_ROLES.ADMIN), contract({ summary: 'Rotacja klucza podpisu QR' }), (req, res) => {
+  const rotation = QrTokens.rotateKey();
+  res.json({ success: true, message: `Aktywny klucz QR: ${rotation.kid}`, ...rotation });
+});
+
+// ============================================
+// ENDPOINT 6: REFUNDY (Admin – podgląd i ponowienie)
+// ============================================
+const refundFilterSchema = Joi.object({
+  status: Joi.string().valid(...Object.values(Refunds.REFUND_STATUSES)),
+  orderId: Joi.string().max(64)
+});
+
+/**
+ * @route GET /api/admin/refunds
+ * @description Lista refundów (najnowsze pierwsze) – filtr po statusie lub zamówieniu
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. VIEWER)
+ * @query {status?: 'PENDING'|'PROCESSING'|'SUCCEEDED'|'FAILED', orderId?: string}
+ * @returns {object} { count, refunds: [...] }
+ * @example GET /api/admin/refunds?status=FAILED -H "API-ADMIN-KEY: secret"
+ */
+app.get('/api/admin/refunds', requireAdmin(ADMIN_ROLES.VIEWER), contract({ summary: 'Lista refundów', query: refundFilterSchema }), (req, res, next) => {
+  const { error, value } = refundFilterSchema.validate(req.query);
+  if (error) {
+    return next(new ApiError(`Nieprawidłowy filtr: ${error.details[0].message}`, 400));
+  }
+
+  const refunds = Refunds.listRefunds(value);
+  res.json({ success: true, count: refunds.length, refunds });
+});
+
+/**
+ * @route GET /api/admin/refunds/:refundId
+ * @description Szczegóły refundu z dziennikiem prób u operatora
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. VIEWER)
+ * @returns {object} { refund }
+ * @example GET /api/admin/refunds/RF-ORD-1001-1 -H "API-ADMIN-KEY: secret"
+ */
+app.get('/api/admin/refunds/:refundId', requireAdmin(ADMIN_ROLES.VIEWER), contract({ summary: 'Szczegóły refundu' }), (req, res, next) => {
+  try {
+    res.json({ success: true, refund: Refunds.getRefund(req.params.refundId) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const refundRetrySchema = Joi.object({
+  reason: Joi.string().max(200)
+});
+
+/**
+ * @route POST /api/admin/refunds/:refundId/retry
+ * @description Ponów refund FAILED (nowa runda prób; zamówienie REFUND_FAILED → RETURNED_PENDING_REFUND)
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. OPERATOR)
+ * @body {reason?: string} – Powód ponowienia (do historii zamówienia)
+ * @returns {object} { refund }
+ * @example POST /api/admin/refunds/RF-ORD-1001-1/retry -H "API-ADMIN-KEY: secret" -d '{"reason": "Klient podał nowe konto"}'
+ */
+app.post('/api/admin/refunds/:refundId/retry', requireAdmin(ADMIN_ROLES.OPERATOR), contract({ summary: 'Ponów refund FAILED', body: refundRetrySchema }), (req, res, next) => {
+  const { error, value } = refundRetrySchema.validate(req.body || {});
+  if (error) {
+    return next(new ApiError(`Nieprawidłowe dane: ${error.details[0].message}`, 400));
+  }
+
+  try {
+    const refund = Refunds.retry(req.params.refundId, { actor: adminActor(req), reason: value.reason });
+    res.json({ success: true, message: `Refund ${refund.refundId} ponowiony`, refund });
+  } catch (err) {
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd ponowienia refundu', 500));
+  }
+});
+
+// ============================================
+// ENDPOINT 7: REJESTR MERCHANTÓW, SKLEPÓW I TERMINALI (Admin)
+// ============================================
+const registryIdSchema = Joi.string().pattern(/^[A-Z0-9][A-Z0-9_-]{1,63}$/).messages({
+  'string.pattern.base': '{{#label}} – wielkie litery, cyfry, "-" i "_" (2–64 znaki)'
+});
+const statusSchema = Joi.string().valid(...Object.values(Registry.ENTITY_STATUSES));
+
+/**
+ * Helper: walidacja body przez Joi + wywołanie akcji rejestru (wspólne dla endpointów rejestru).
+ * @private
+ */
+const registryAction = (schema, action) => ApiContract.describe((req, res, next) => {
+  const { error, value } = schema.validate(req.body || {});
+  if (error) {
+    return next(new ApiError(`Nieprawidłowe dane rejestru: ${error.details[0].message}`, 400));
+  }
+  try {
+    res.json({ success: true, ...action(value, req.params) });
+  } catch (err) {
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd zapisu rejestru', 500));
+  }
+}, { body: schema });
+
+/**
+ * @route GET /api/admin/registry
+ * @description Pełny rejestr: merchanci, sklepy/paczkomaty, terminale (bez hashy kluczy)
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. VIEWER)
+ * @returns {object} { merchants, stores, terminals }
+ * @example GET /api/admin/registry -H "API-ADMIN-KEY: secret"
+ */
+app.get('/api/admin/registry', requireAdmin(ADMIN_ROLES.VIEWER), contract({ summary: 'Rejestr merchantów, sklepów i terminali' }), (req, res) => {
+  res.json({ success: true, ...Registry.listAll() });
+});
+
+/**
+ * @route POST /api/admin/merchants
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. ADMIN)
+ * @body {merchantId: string, name: string}
+ * @example POST /api/admin/merchants -H "API-ADMIN-KEY: secret" -d '{"merchantId": "CCC", "name": "CCC S.A."}'
+ */
+app.post('/api/admin/merchants', requireAdmin(ADMIN_ROLES.ADMIN), contract({ summary: 'Dodaj merchanta' }), registryAction(
+  Joi.object({ merchantId: registryIdSchema.required(), name: Joi.string().min(1).max(100).required() }),
+  (value) => ({ merchant: Registry.createMerchant(value) })
+));
+
+/**
+ * @route PATCH /api/admin/merchants/:merchantId
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. ADMIN)
+ * @body {name?: string, status?: 'ACTIVE'|'DISABLED'} – DISABLED blokuje terminale wszystkich sklepów merchanta
+ */
+app.patch('/api/admin/merchants/:merchantId', requireAdmin(ADMIN_ROLES.ADMIN), contract({ summary: 'Zmień merchanta' }), registryAction(
+  Joi.object({ name: Joi.string().min(1).max(100), status: statusSchema }).min(1),
+  (value, params) => ({ merchant: Registry.updateMerchant(params.merchantId, value) })
+));
+
+/**
+ * @route POST /api/admin/stores
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. ADMIN)
+ * @body {storeId: string, merchantId: string, name: string, type?: 'STORE'|'LOCKER', address?: string}
+ * @example POST /api/admin/stores -H "API-ADMIN-KEY: secret" -d '{"storeId": "LPP-WAW-01", "merchantId": "LPP", "name": "Reserved Arkadia"}'
+ */
+app.post('/api/admin/stores', requireAdmin(ADMIN_ROLES.ADMIN), contract({ summary: 'Dodaj sklep / paczkomat' }), registryAction(
+  Joi.object({
+    storeId: registryIdSchema.required(),
+    merchantId: registryIdSchema.required(),
+    name: Joi.string().min(1).max(100).required(),
+    type: Joi.string().valid(...Object.values(Registry.STORE_TYPES)),
+    address: Joi.string().max(200)
+  }),
+  (value) => ({ store: Registry.createStore(value) })
+));
+
+/**
+ * @route PATCH /api/admin/stores/:storeId
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. ADMIN)
+ * @body {name?: string, address?: string, status?: 'ACTIVE'|'DISABLED'}
+ */
+app.patch('/api/admin/stores/:storeId', requireAdmin(ADMIN_ROLES.ADMIN), contract({ summary: 'Zmień sklep' }), registryAction(
+  Joi.object({ name: Joi.string().min(1).max(100), address: Joi.string().max(200).allow(null), status: statusSchema }).min(1),
+  (value, params) => ({ store: Registry.updateStore(params.storeId, value) })
+));
+
+/**
+ * @route POST /api/admin/terminals
+ * @description Zarejestruj terminal w sklepie – odpowiedź zawiera apiKey (pokazywany TYLKO raz)
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. ADMIN)
+ * @body {terminalId: string, storeId: string, label?: string}
+ * @example POST /api/admin/terminals -H "API-ADMIN-KEY: secret" -d '{"terminalId": "LPP-WAW-01-K1", "storeId": "LPP-WAW-01", "label": "Kasa 1"}'
+ */
+app.post('/api/admin/terminals', requireAdmin(ADMIN_ROLES.ADMIN), contract({ summary: 'Zarejestruj terminal' }), registryAction(
+  Joi.object({ terminalId: registryIdSchema.required(), storeId: registryIdSchema.required(), label: Joi.string().max(100) }),
+  (value) => Registry.createTerminal(value)
+));
+
+/**
+ * @route PATCH /api/admin/terminals/:terminalId
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. ADMIN)
+ * @body {label?: string, status?: 'ACTIVE'|'DISABLED'} – DISABLED = klucz odrzucany (np. zgubiony skaner)
+ */
+app.patch('/api/admin/terminals/:terminalId', requireAdmin(ADMIN_ROLES.ADMIN), contract({ summary: 'Zmień terminal' }), registryAction(
+  Joi.object({ label: Joi.string().max(100).allow(null), status: statusSchema }).min(1),
+  (value, params) => ({ terminal: Registry.updateTerminal(params.terminalId, value) })
+));
+
+/**
+ * @route POST /api/admin/terminals/:terminalId/rotate_key
+ * @description Nowy klucz terminala (stary przestaje działać natychmiast) – apiKey pokazywany raz
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. ADMIN)
+ */
+app.post('/api/admin/terminals/:terminalId/rotate_key', requireAdmin(ADMIN_ROLES.ADMIN), contract({ summary: 'Nowy klucz terminala' }), registryAction(
+  Joi.object({}),
+  (value, params) => Registry.rotateTerminalKey(params.terminalId)
+));
+
+/**
+ * @route POST /api/admin/merchants/:merchantId/rotate_key
+ * @description Wydaj nowy klucz API integracji zamówień (X-Merchant-Key) – stary przestaje działać, apiKey pokazywany raz
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. ADMIN)
+ */
+app.post('/api/admin/merchants/:merchantId/rotate_key', requireAdmin(ADMIN_ROLES.ADMIN), contract({ summary: 'Nowy klucz API merchanta' }), registryAction(
+  Joi.object({}),
+  (value, params) => Registry.rotateMerchantKey(params.merchantId)
+));
+
+// ============================================
+// ENDPOINT 7B: PACZKOMATY (Admin – zajętość, układ skrytek, awarie)
+// ============================================
+/**
+ * @route GET /api/admin/lockers
+ * @description Wszystkie paczkomaty (punkty typu LOCKER) ze stanem skrytek i kolejką
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. VIEWER)
+ * @returns {object} { success, lockers }
+ */
+app.get('/api/admin/lockers', requireAdmin(ADMIN_ROLES.VIEWER), contract({ summary: 'Paczkomaty i zajętość skrytek', responses: { 200: SCHEMAS.lockerList } }), (req, res, next) => {
+  try {
+    res.json({ success: true, lockers: Lockers.list() });
+  } catch (err) {
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd odczytu paczkomatów', 500));
+  }
+});
+
+/**
+ * @route GET /api/admin/lockers/:storeId
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. VIEWER)
+ * @returns {object} { success, locker }
+ */
+app.get('/api/admin/lockers/:storeId', requireAdmin(ADMIN_ROLES.VIEWER), contract({ summary: 'Stan paczkomatu', responses: { 200: SCHEMAS.locker } }), (req, res, next) => {
+  try {
+    res.json({ success: true, locker: Lockers.getStatus(req.params.storeId) });
+  } catch (err) {
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd odczytu paczkomatu', 500));
+  }
+});
+
+/**
+ * @route PUT /api/admin/lockers/:storeId/layout
+ * @description Nowy układ skrytek (liczba S / M / L) – tylko dla pustego paczkomatu; drzwi numerowane od nowa
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. ADMIN)
+ * @body {S?: number, M?: number, L?: number}
+ * @example PUT /api/admin/lockers/INPOST/layout -H "API-ADMIN-KEY: secret" -d '{"S": 6, "M": 4, "L": 2}'
+ */
+app.put('/api/admin/lockers/:storeId/layout', requireAdmin(ADMIN_ROLES.ADMIN), contract({
+  summary: 'Układ skrytek paczkomatu',
+  body: SCHEMAS.lockerLayoutBody,
+  responses: { 200: SCHEMAS.locker }
+}), (req, res, next) => {
+  const { error, value } = SCHEMAS.lockerLayoutBody.validate(req.body || {});
+  if (error) {
+    return next(new ApiError(`Nieprawidłowy układ skrytek: ${error.details[0].message}`, 400));
+  }
+  try {
+    res.json({ success: true, locker: Lockers.configure(req.params.storeId, value) });
+  } catch (err) {
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd zmiany układu paczkomatu', 500));
+  }
+});
+
+/**
+ * @route PATCH /api/admin/lockers/:storeId/compartments/:door
+ * @description Wyłącza skrytkę z użytku (awaria drzwi) albo przywraca ją do puli – tylko pustą
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. OPERATOR)
+ * @body {outOfOrder: boolean}
+ */
+app.patch('/api/admin/lockers/:storeId/compartments/:door', requireAdmin(ADMIN_ROLES.OPERATOR), contract({
+  summary: 'Awaria / przywrócenie skrytki',
+  body: SCHEMAS.compartmentBody,
+  responses: { 200: SCHEMAS.locker }
+}), (req, res, next) => {
+  const { error, value } = SCHEMAS.compartmentBody.validate(req.body || {});
+  if (error) {
+    return next(new ApiError(`Nieprawidłowe dane skrytki: ${error.details[0].message}`, 400));
+  }
+  try {
+    res.json({ success: true, locker: Lockers.setOutOfOrder(req.params.storeId, Number(req.params.door), value.outOfOrder) });
+  } catch (err) {
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd zmiany skrytki', 500));
+  }
+});
+
+// ============================================
+// ENDPOINT 7C: POLITYKI MERCHANTÓW (Admin – okna odbioru/zwrotu, kategorie, ważność kodów)
+// ============================================
+/**
+ * @route GET /api/admin/policies
+ * @description Polityka domyślna platformy i polityki wszystkich merchantów (obowiązujące wartości + nadpisania)
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. VIEWER)
+ * @returns {object} { success, defaults, policies }
+ */
+app.get('/api/admin/policies', requireAdmin(ADMIN_ROLES.VIEWER), contract({ summary: 'Polityki merchantów', responses: { 200: SCHEMAS.policyList } }), (req, res, next) => {
+  try {
+    res.json({ success: true, defaults: Policies.getDefaults(), policies: Policies.list() });
+  } catch (err) {
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd odczytu polityk', 500));
+  }
+});
+
+/**
+ * @route GET /api/admin/policies/:merchantId
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. VIEWER)
+ * @returns {object} { success, policy }
+ */
+app.get('/api/admin/policies/:merchantId', requireAdmin(ADMIN_ROLES.VIEWER), contract({ summary: 'Polityka merchanta', responses: { 200: SCHEMAS.policy } }), (req, res, next) => {
+  try {
+    res.json({ success: true, policy: Policies.get(req.params.merchantId) });
+  } catch (err) {
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd odczytu polityki', 500));
+  }
+});
+
+/**
+ * @route PATCH /api/admin/policies/:merchantId
+ * @description Zmień politykę merchanta (pominięte pola bez zmian, null = wartość domyślna). Okna odbioru
+ * i zwrotu obowiązują zamówienia utworzone od teraz, ważność kodów i rotacja QR – kody wydane od teraz.
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. ADMIN)
+ * @body {pickupWindowDays?, returnWindowDays?, guestCodeValidityMinutes?, qrRotationSeconds?, categories?: [{category, returnWindowDays|null}]}
+ * @example PATCH /api/admin/policies/LPP -H "API-ADMIN-KEY: secret" -d '{"returnWindowDays": 30, "categories": [{"category": "bielizna", "returnWindowDays": 0}]}'
+ */
+app.patch('/api/admin/policies/:merchantId', requireAdmin(ADMIN_ROLES.ADMIN), contract({
+  summary: 'Zmień politykę merchanta',
+  body: SCHEMAS.policyBody,
+  responses: { 200: SCHEMAS.policy }
+}), (req, res, next) => {
+  const { error, value } = SCHEMAS.policyBody.validate(req.body || {});
+  if (error) {
+    return next(new ApiError(`Nieprawidłowa polityka: ${error.details[0].message}`, 400));
+  }
+  try {
+    res.json({ success: true, policy: Policies.update(req.params.merchantId, value, adminActor(req)) });
+  } catch (err) {
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd zapisu polityki', 500));
+  }
+});
+
+/**
+ * @route DELETE /api/admin/policies/:merchantId
+ * @description Przywróć politykę domyślną (usuwa nadpisania merchanta)
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. ADMIN)
+ */
+app.delete('/api/admin/policies/:merchantId', requireAdmin(ADMIN_ROLES.ADMIN), contract({ summary: 'Przywróć politykę domyślną', responses: { 200: SCHEMAS.policy } }), (req, res, next) => {
+  try {
+    res.json({ success: true, policy: Policies.reset(req.params.merchantId, adminActor(req)) });
+  } catch (err) {
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd przywracania polityki', 500));
+  }
+});
+
+// ============================================
+// ENDPOINT 8: OUTBOX (wiadomości zamiast prawdziwej wysyłki)
+// ============================================
+const outboxFilterSchema = Joi.object({
+  to: Joi.string().max(254),
+  channel: Joi.string().valid(...Object.values(Outbox.CHANNELS)),
+  limit: Joi.number().integer().min(1).max(200).default(20)
+});
+
+/**
+ * @route GET /api/admin/outbox
+ * @description Ostatnie wiadomości z lokalnego outboxa (kody logowania, powiadomienia)
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. ADMIN)
+ * @query {to?: string, channel?: email|sms|webpush, limit?: number}
+ */
+app.get('/api/admin/outbox', requireAdmin(ADMIN_ROLES.ADMIN), contract({ summary: 'Lokalny outbox wiadomości', query: outboxFilterSchema }), (req, res, next) => {
+  const { error, value } = outboxFilterSchema.validate(req.query);
+  if (error) {
+    return next(new ApiError(`Nieprawidłowy filtr: ${error.details[0].message}`, 400));
+  }
+  res.json({ success: true, messages: Outbox.list(value) });
+});
+
+const notificationFilterSchema = Joi.object({
+  userId: Joi.string().max(254),
+  orderId: Joi.string().max(64),
+  type: Joi.string().valid(...Object.values(Notifications.NOTIFICATION_TYPES)),
+  limit: Joi.number().integer().min(1).max(200).default(50)
+});
+
+/**
+ * @route GET /api/admin/notifications
+ * @description Wysłane powiadomienia klientów (typ, kanały, wynik wysyłki)
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. VIEWER)
+ * @query {userId?: string, orderId?: string, type?: string, limit?: number}
+ */
+app.get('/api/admin/notifications', requireAdmin(ADMIN_ROLES.VIEWER), contract({ summary: 'Wysłane powiadomienia klientów', query: notificationFilterSchema }), (req, res, next) => {
+  const { error, value } = notificationFilterSchema.validate(req.query);
+  if (error) {
+    return next(new ApiError(`Nieprawidłowy filtr: ${error.details[0].message}`, 400));
+  }
+  res.json({ success: true, notifications: Notifications.list({ ...value, userId: value.userId && value.userId.toLowerCase() }) });
+});
+
+/**
+ * @route GET /api/dev/outbox
+ * @description Skrzynka dev – odczyt kodu logowania w demo. Rejestrowana TYLKO przy jawnym CORELAY_DEV_OUTBOX=1
+ * (i nigdy w production): kody logowania dają dostęp do konta, więc domyślnie route nie istnieje.
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. ADMIN)
+ * @query {to: string}
+ * @example curl -H "API-ADMIN-KEY: secret" "http://localhost:3000/api/dev/outbox?to=wojtek@corelay.pl"
+ */
+if (process.env.CORELAY_DEV_OUTBOX === '1' && process.env.NODE_ENV !== 'production') {
+  const devOutboxSchema = Joi.object({
+    to: Joi.string().email().required()
+  });
+
+  app.get('/api/dev/outbox', requireAdmin(ADMIN_ROLES.ADMIN), contract({ summary: 'Skrzynka dev (kody logowania w demo)', query: devOutboxSchema }), (req, res, next) => {
+    const { error, value } = devOutboxSchema.validate(req.query);
+    if (error) {
+      return next(new ApiError(`Nieprawidłowy filtr: ${error.details[0].message}`, 400));
+    }
+    res.json({ success: true, messages: Outbox.list({ to: value.to.toLowerCase(), limit: 5 }) });
+  });
+}
+
+// ============================================
+// ENDPOINT 9: API INTEGRACJI ZAMÓWIEŃ (Merchant – X-Merchant-Key, Idempotency-Key)
+// ============================================
+const merchantProductSchema = Joi.object({
+  name: Joi.string().min(1).max(100).required(),
+  price: Joi.number().min(0).max(100000).precision(2).required(),
+  sku: Joi.string().max(64),
+  category: Joi.string().max(50)
+});
+
+const merchantOrderSchema = Joi.object({
+  orderId: SCHEMAS.orderId.required(),
+  userId: Joi.string().email({ minDomainSegments: 2 }).max(254).required().label('Email klienta'),
+  storeId: Joi.string().max(64).required(),
+  products: Joi.array().min(1).max(100).items(merchantProductSchema).required(),
+  status: Joi.string().valid(...OrderLifecycle.INITIAL_STATUSES).default(ORDER_STATUSES.READY_FOR_PICKUP)
+});
+
+/**
+ * Helper: Joi dla body + wywołanie akcji merchanta (wspólne dla endpointów integracji i webhooków).
+ * @private
+ */
+const merchantAction = (schema, action, successStatus = 200) => ApiContract.describe((req, res, next) => {
+  const { error, value } = schema.validate(req.body || {});
+  if (error) {
+    return next(new ApiError(`Nieprawidłowe dane: ${error.details[0].message}`, 400));
+  }
+  try {
+    res.status(successStatus).json({ success: true, ...action(value, req) });
+  } catch (err) {
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd zapisu danych merchanta', 500));
+  }
+}, { body: schema, responses: { [successStatus]: SCHEMAS.success } });
+
+/**
+ * @route POST /api/merchant/orders
+ * @description Utwórz zamówienie w swoim sklepie (201). Ponowienie z tym samym Idempotency-Key zwraca tę samą odpowiedź.
+ * @header X-Merchant-Key: string, Idempotency-Key?: string
+ * @body {orderId, userId, storeId, products: [{name, price, sku?, category?}], status?}
+ * @example POST /api/merchant/orders -H "X-Merchant-Key: cmk_..." -H "Idempotency-Key: 7f1c..." -d '{"orderId": "LPP-100234", "userId": "klient@corelay.pl", "storeId": "LPP", "products": [{"name": "Kurtka", "price": 299.99}]}'
+ */
+app.post('/api/merchant/orders', requireMerchant, idempotent, contract({ summary: 'Utwórz zamówienie' }), merchantAction(
+  merchantOrderSchema,
+  (value, req) => ({ order: MerchantOrders.createOrder(req.merchant, value) }),
+  201
+));
+
+const merchantBatchSchema = Joi.object({
+  orders: Joi.array().min(1).max(MerchantOrders.MAX_BATCH_SIZE).items(Joi.object().unknown(true)).required()
+});
+
+/**
+ * @route POST /api/merchant/orders/batch
+ * @description Import wsadowy (do 500 zamówień): każde zamówienie tworzone lub aktualizowane (upsert),
+ * wynik osobno dla każdego – błąd jednego nie przerywa pozostałych. Jeden zapis bazy na cały wsad.
+ * @header X-Merchant-Key: string, Idempotency-Key?: string
+ * @body {orders: array}
+ * @returns {object} { summary: { total, created, updated, unchanged, failed }, results: [{ index, orderId, success, result?, status?, error? }] }
+ */
+app.post('/api/merchant/orders/batch', requireMerchant, idempotent, contract({ summary: 'Import wsadowy zamówień (upsert)', body: merchantBatchSchema }), (req, res, next) => {
+  const { error, value } = merchantBatchSchema.validate(req.body);
+  if (error) {
+    return next(new ApiError(`Nieprawidłowy wsad: ${error.details[0].message}`, 400));
+  }
+
+  try {
+    const results = DB.batchWrites(() => value.orders.map((raw, index) => {
+      const orderId = typeof raw.orderId === 'string' ? raw.orderId : null;
+      const { error: itemError, value: data } = merchantOrderSchema.validate(raw);
+      if (itemError) {
+        return { index, orderId, success: false, error: { status: 400, message: itemError.details[0].message } };
+      }
+      try {
+        const { result, order } = MerchantOrders.upsertOrder(req.merchant, data);
+        return { index, orderId, success: true, result, status: order.status };
+      } catch (err) {
+        if (err.name !== 'ApiError') throw err;
+        return { index, orderId, success: false, error: { status: err.status, message: err.message } };
+      }
+    }));
+
+    const count = (predicate) => results.filter(predicate).length;
+    res.json({
+      success: true,
+      summary: {
+        total: results.length,
+        created: count(r => r.result === MerchantOrders.UPSERT_RESULTS.CREATED),
+        updated: count(r => r.result === MerchantOrders.UPSERT_RESULTS.UPDATED),
+        unchanged: count(r => r.result === MerchantOrders.UPSERT_RESULTS.UNCHANGED),
+        failed: count(r => !r.success)
+      },
+      results
+    });
+  } catch (err) {
+    next(new ApiError('Błąd importu wsadowego – część zamówień mogła zostać zapisana, ponów z tym samym wsadem', 500));
+  }
+});
+
+/**
+ * @route GET /api/merchant/orders/:orderId
+ * @description Zamówienie merchanta (status, produkty, historia)
+ * @header X-Merchant-Key: string
+ */
+app.get('/api/merchant/orders/:orderId', requireMerchant, contract({ summary: 'Zamówienie merchanta' }), (req, res, next) => {
+  try {
+    res.json({ success: true, order: MerchantOrders.getOrder(req.merchant, req.params.orderId) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @route PATCH /api/merchant/orders/:orderId
+ * @description Zmień klienta lub sklep odbioru (tylko przed odbiorem; aktywny kod odbioru jest unieważniany)
+ * @header X-Merchant-Key: string, Idempotency-Key?: string
+ * @body {userId?: string, storeId?: string}
+ */
+app.patch('/api/merchant/orders/:orderId', requireMerchant, idempotent, contract({ summary: 'Zmień klienta lub sklep odbioru' }), merchantAction(
+  Joi.object({
+    userId: Joi.string().email({ minDomainSegments: 2 }).max(254),
+    storeId: Joi.string().max(64)
+  }).min(1),
+  (value, req) => MerchantOrders.updateOrder(req.merchant, req.params.orderId, value)
+));
+
+/**
+ * @route POST /api/merchant/orders/:orderId/items
+ * @description Dodaj produkty do zamówienia przed odbiorem
+ * @header X-Merchant-Key: string, Idempotency-Key?: string
+ * @body {products: [{name, price, sku?, category?}]}
+ */
+app.post('/api/merchant/orders/:orderId/items', requireMerchant, idempotent, contract({ summary: 'Dodaj produkty' }), merchantAction(
+  Joi.object({ products: Joi.array().min(1).max(100).items(merchantProductSchema).required() }),
+  (value, req) => MerchantOrders.addItems(req.merchant, req.params.orderId, value.products)
+));
+
+/**
+ * @route POST /api/merchant/orders/:orderId/items/cancel
+ * @description Anuluj produkty przed odbiorem (indeksy products[]); wszystkie anulowane → zamówienie CANCELLED
+ * @header X-Merchant-Key: string, Idempotency-Key?: string
+ * @body {items: number[], reason?: string}
+ */
+app.post('/api/merchant/orders/:orderId/items/cancel', requireMerchant, idempotent, contract({ summary: 'Anuluj produkty' }), merchantAction(
+  Joi.object({
+    items: Joi.array().min(1).max(100).items(Joi.number().integer().min(0)).unique().required(),
+    reason: Joi.string().max(200)
+  }),
+  (value, req) => ({ order: MerchantOrders.cancelItems(req.merchant, req.params.orderId, value.items, value.reason) })
+));
+
+// ============================================
+// ENDPOINT 10: WEBHOOKI (Merchant – endpointy i doręczenia; Admin – dead-letter i replay)
+// ============================================
+const webhookEventsSchema = Joi.array().min(1).max(20)
+  .items(Joi.string().valid(...Object.values(Events.EVENT_TYPES), Webhooks.ALL_EVENTS));
+
+const deliveryFilterSchema = Joi.object({
+  endpointId: Joi.string().max(64),
+  status: Joi.string().valid(...Object.values(Webhooks.DELIVERY_STATUSES)),
+  eventType: Joi.string().max(64),
+  orderId: Joi.string().max(64),
+  limit: Joi.number().integer().min(1).max(200).default(50)
+});
+const adminDeliveryFilterSchema = deliveryFilterSchema.keys({ merchantId: Joi.string().max(64) });
+
+/**
+ * @route GET /api/merchant/webhooks
+ * @description Endpointy webhooków merchanta (bez sekretów) + dostępne typy zdarzeń
+ * @header X-Merchant-Key: string
+ */
+app.get('/api/merchant/webhooks', requireMerchant, contract({ summary: 'Endpointy webhooków' }), (req, res) => {
+  res.json({
+    success: true,
+    endpoints: Webhooks.listEndpoints(req.merchant.merchantId),
+    eventTypes: Object.values(Events.EVENT_TYPES)
+  });
+});
+
+/**
+ * @route POST /api/merchant/webhooks
+ * @description Zarejestruj endpoint (201). Sekret podpisu (whsec_...) zwracany tylko raz – weryfikuj nim X-Corelay-Signature.
+ * @header X-Merchant-Key: string
+ * @body {url: string, events: string[] ('*' = wszystkie), description?: string}
+ * @example POST /api/merchant/webhooks -H "X-Merchant-Key: cmk_..." -d '{"url": "http://localhost:4000/webhooks", "events": ["order.picked_up", "order.returned"]}'
+ */
+app.post('/api/merchant/webhooks', requireMerchant, contract({ summary: 'Zarejestruj endpoint webhooków' }), merchantAction(
+  Joi.object({
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).max(500).required(),
+    events: webhookEventsSchema.required(),
+    description: Joi.string().max(200)
+  }),
+  (value, req) => Webhooks.createEndpoint(req.merchant.merchantId, value),
+  201
+));
+
+/**
+ * @route GET /api/merchant/webhooks/deliveries
+ * @description Historia doręczeń merchanta (najnowsze pierwsze)
+ * @header X-Merchant-Key: string
+ * @query {endpointId?, status?: PENDING|DELIVERING|SUCCEEDED|DEAD, eventType?, orderId?, limit?}
+ */
+app.get('/api/merchant/webhooks/deliveries', requireMerchant, contract({ summary: 'Historia doręczeń', query: deliveryFilterSchema }), (req, res, next) => {
+  const { error, value } = deliveryFilterSchema.validate(req.query);
+  if (error) {
+    return next(new ApiError(`Nieprawidłowy filtr: ${error.details[0].message}`, 400));
+  }
+  res.json({ success: true, deliveries: Webhooks.listDeliveries({ ...value, merchantId: req.merchant.merchantId }) });
+});
+
+/**
+ * @route PATCH /api/merchant/webhooks/:endpointId
+ * @description Zmień URL, subskrypcje, opis lub wyłącz/włącz endpoint
+ * @header X-Merchant-Key: string
+ * @body {url?, events?, description?, status?: ACTIVE|DISABLED}
+ */
+app.patch('/api/merchant/webhooks/:endpointId', requireMerchant, contract({ summary: 'Zmień endpoint webhooków' }), merchantAction(
+  Joi.object({
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).max(500),
+    events: webhookEventsSchema,
+    description: Joi.string().max(200).allow(null),
+    status: statusSchema
+  }).min(1),
+  (value, req) => Webhooks.updateEndpoint(req.merchant.merchantId, req.params.endpointId, value)
+));
+
+/**
+ * @route DELETE /api/merchant/webhooks/:endpointId
+ * @description Usuń endpoint (oczekujące doręczenia do niego trafią do dead-letter)
+ * @header X-Merchant-Key: string
+ */
+app.delete('/api/merchant/webhooks/:endpointId', requireMerchant, contract({ summary: 'Usuń endpoint webhooków' }), merchantAction(
+  Joi.object({}),
+  (value, req) => Webhooks.deleteEndpoint(req.merchant.merchantId, req.params.endpointId)
+));
+
+/**
+ * @route POST /api/merchant/webhooks/:endpointId/rotate_secret
+ * @description Nowy sekret podpisu endpointu (zwracany raz)
+ * @header X-Merchant-Key: string
+ */
+app.post('/api/merchant/webhooks/:endpointId/rotate_secret', requireMerchant, contract({ summary: 'Nowy sekret podpisu' }), merchantAction(
+  Joi.object({}),
+  (value, req) => Webhooks.rotateSecret(req.merchant.merchantId, req.params.endpointId)
+));
+
+/**
+ * @route POST /api/merchant/webhooks/:endpointId/test
+ * @description Wyślij zdarzenie testowe (webhook.test) do endpointu (202 – doręczenie w kolejce)
+ * @header X-Merchant-Key: string
+ */
+app.post('/api/merchant/webhooks/:endpointId/test', requireMerchant, contract({ summary: 'Zdarzenie testowe' }), merchantAction(
+  Joi.object({}),
+  (value, req) => Webhooks.sendTest(req.merchant.merchantId, req.params.endpointId),
+  202
+));
+
+/**
+ * @route GET /api/admin/webhooks
+ * @description Wszystkie endpointy webhooków (bez sekretów) i liczba doręczeń w dead-letter
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. VIEWER)
+ */
+app.get('/api/admin/webhooks', requireAdmin(ADMIN_ROLES.VIEWER), contract({ summary: 'Endpointy webhooków (wszyscy merchanci)' }), (req, res) => {
+  res.json({
+    success: true,
+    endpoints: Webhooks.listEndpoints(),
+    deadLetterCount: Webhooks.listDeliveries({ status: Webhooks.DELIVERY_STATUSES.DEAD, limit: Infinity }).length
+  });
+});
+
+/**
+ * @route GET /api/admin/webhooks/deliveries
+ * @description Doręczenia wszystkich merchantów (dead-letter: ?status=DEAD)
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. VIEWER)
+ * @query {merchantId?, endpointId?, status?, eventType?, orderId?, limit?}
+ * @example curl -H "API-ADMIN-KEY: ..." "http://localhost:3000/api/admin/webhooks/deliveries?status=DEAD"
+ */
+app.get('/api/admin/webhooks/deliveries', requireAdmin(ADMIN_ROLES.VIEWER), contract({ summary: 'Doręczenia webhooków (dead-letter: status=DEAD)', query: adminDeliveryFilterSchema }), (req, res, next) => {
+  const { error, value } = adminDeliveryFilterSchema.validate(req.query);
+  if (error) {
+    return next(new ApiError(`Nieprawidłowy filtr: ${error.details[0].message}`, 400));
+  }
+  res.json({ success: true, deliveries: Webhooks.listDeliveries(value) });
+});
+
+/**
+ * @route GET /api/admin/webhooks/deliveries/:deliveryId
+ * @description Szczegóły doręczenia (payload + dziennik prób)
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. VIEWER)
+ */
+app.get('/api/admin/webhooks/deliveries/:deliveryId', requireAdmin(ADMIN_ROLES.VIEWER), contract({ summary: 'Szczegóły doręczenia' }), (req, res, next) => {
+  try {
+    res.json({ success: true, delivery: Webhooks.getDelivery(req.params.deliveryId) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const deadLetterReplaySchema = Joi.object({
+  merchantId: Joi.string().max(64),
+  endpointId: Joi.string().max(64)
+});
+
+/**
+ * @route POST /api/admin/webhooks/deliveries/replay
+ * @description Ponów wszystkie doręczenia z dead-letter (opcjonalnie tylko merchanta/endpointu)
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. OPERATOR)
+ * @body {merchantId?: string, endpointId?: string}
+ */
+app.post('/api/admin/webhooks/deliveries/replay', requireAdmin(ADMIN_ROLES.OPERATOR), contract({ summary: 'Ponów dead-letter (wsadowo)', body: deadLetterReplaySchema }), (req, res, next) => {
+  const { error, value } = deadLetterReplaySchema.validate(req.body || {});
+  if (error) {
+    return next(new ApiError(`Nieprawidłowy filtr: ${error.details[0].message}`, 400));
+  }
+  const replayed = Webhooks.replayDead(value, { actor: adminActor(req) });
+  res.json({ success: true, replayed: replayed.length, deliveries: replayed });
+});
+
+/**
+ * @route POST /api/admin/webhooks/deliveries/:deliveryId/replay
+ * @description Ponów doręczenie z dead-letter (nowa runda prób, ten sam deliveryId i payload)
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. OPERATOR)
+ */
+app.post('/api/admin/webhooks/deliveries/:deliveryId/replay', requireAdmin(ADMIN_ROLES.OPERATOR), contract({ summary: 'Ponów doręczenie z dead-letter' }), (req, res, next) => {
+  try {
+    res.json({ success: true, delivery: Webhooks.replay(req.params.deliveryId, { actor: adminActor(req) }) });
+  } catch (err) {
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd ponowienia doręczenia', 500));
+  }
+});
+
+// ============================================
+// ENDPOINT 11: SCHEDULER JOBÓW (Admin – podgląd i ręczne uruchomienie)
+// ============================================
+/**
+ * @route GET /api/admin/jobs
+ * @description Joby schedulera: interwał, ostatnie uruchomienie, termin następnego
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. VIEWER)
+ */
+app.get('/api/admin/jobs', requireAdmin(ADMIN_ROLES.VIEWER), contract({ summary: 'Joby schedulera' }), (req, res) => {
+  res.json({ success: true, schedulerRunning: Scheduler.isRunning(), jobs: Scheduler.listJobs() });
+});
+
+const jobRunFilterSchema = Joi.object({
+  job: Joi.string().max(64),
+  status: Joi.string().valid(...Object.values(Scheduler.RUN_STATUSES)),
+  limit: Joi.number().integer().min(1).max(200).default(50)
+});
+
+/**
+ * @route GET /api/admin/jobs/runs
+ * @description Historia uruchomień jobów (najnowsze pierwsze)
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. VIEWER)
+ * @query {job?: string, status?: SUCCEEDED|FAILED, limit?: number}
+ */
+app.get('/api/admin/jobs/runs', requireAdmin(ADMIN_ROLES.VIEWER), contract({ summary: 'Historia uruchomień jobów', query: jobRunFilterSchema }), (req, res, next) => {
+  const { error, value } = jobRunFilterSchema.validate(req.query);
+  if (error) {
+    return next(new ApiError(`Nieprawidłowy filtr: ${error.details[0].message}`, 400));
+  }
+  res.json({ success: true, runs: Scheduler.listRuns(value) });
+});
+
+/**
+ * @route POST /api/admin/jobs/:job/run
+ * @description Uruchom job od razu (joby są idempotentne – ponowne uruchomienie niczego nie dubluje)
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. OPERATOR)
+ * @example curl -X POST -H "API-ADMIN-KEY: ..." http://localhost:3000/api/admin/jobs/expire_uncollected_orders/run
+ */
+app.post('/api/admin/jobs/:job/run', requireAdmin(ADMIN_ROLES.OPERATOR), contract({ summary: 'Uruchom job' }), (req, res, next) => {
+  try {
+    res.json({ success: true, run: Scheduler.runJob(req.params.job, { trigger: Scheduler.TRIGGERS.MANUAL }) });
+  } catch (err) {
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd uruchomienia joba', 500));
+  }
+});
+
+// ============================================
+// ENDPOINT 12: DZIENNIK SKANÓW (Admin, Merchant, Terminal – każda próba weryfikacji kodu)
+// ============================================
+/**
+ * Filtr dziennika skanów (query) – wspólny dla admina, merchanta i terminala.
+ * @private
+ */
+const scanFilterSchema = Joi.object({
+  from: Joi.date().iso(),
+  to: Joi.date().iso().when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) }),
+  storeId: Joi.string().max(64),
+  terminalId: Joi.string().max(64),
+  outcome: Joi.string().valid(...Object.values(ScanLedger.OUTCOMES)),
+  reason: Joi.string().max(64),
+  orderId: Joi.string().max(64),
+  userId: Joi.string().email(),
+  codeType: Joi.string().valid(...Object.values(ScanLedger.CODE_TYPES)),
+  limit: Joi.number().integer().min(1).max(500).default(50)
+});
+
+/**
+ * Handler listy skanów: waliduje filtr, a `scope(req)` nadpisuje pola, których wywołujący nie może wybrać
+ * (merchant – własny merchantId, terminal – własny sklep).
+ * @private
+ */
+const scanList = (schema, scope = () => ({})) => ApiContract.describe((req, res, next) => {
+  const { error, value } = schema.validate(req.query);
+  if (error) {
+    return next(new ApiError(`Nieprawidłowy filtr: ${error.details[0].message}`, 400));
+  }
+  const scans = ScanLedger.list({ ...value, ...scope(req) });
+  res.json({ success: true, count: scans.length, scans });
+}, { query: schema });
+
+/**
+ * @route GET /api/admin/scans
+ * @description Dziennik skanów ze wszystkich terminali (najnowsze pierwsze)
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. VIEWER)
+ * @query {from?: ISO, to?: ISO, storeId?, terminalId?, merchantId?, outcome?: ACCEPTED|REJECTED|ERROR, reason?, orderId?, userId?, codeType?: GUEST_PIN|DYNAMIC_CODE, limit?: number}
+ * @example curl -H "API-ADMIN-KEY: ..." "http://localhost:3000/api/admin/scans?outcome=REJECTED&storeId=MODIVO&from=2025-11-10T00:00:00Z"
+ */
+app.get('/api/admin/scans', requireAdmin(ADMIN_ROLES.VIEWER), contract({ summary: 'Dziennik skanów' }), scanList(scanFilterSchema.keys({ merchantId: Joi.string().max(64) })));
+
+/**
+ * @route GET /api/merchant/scans
+ * @description Skany terminali merchanta oraz skany jego zamówień w innych punktach (np. paczkomat)
+ * @header X-Merchant-Key: string – Klucz merchanta
+ * @query {from?, to?, storeId?, terminalId?, outcome?, reason?, orderId?, userId?, codeType?, limit?}
+ * @example curl -H "X-Merchant-Key: cmk_..." "http://localhost:3000/api/merchant/scans?orderId=ORD123"
+ */
+app.get('/api/merchant/scans', requireMerchant, contract({ summary: 'Dziennik skanów merchanta' }), scanList(scanFilterSchema, (req) => ({ merchantId: req.merchant.merchantId })));
+
+/**
+ * @route GET /api/terminal/scans
+ * @description Historia skanów sklepu terminala (ekran "Ostatnie transakcje" w symulatorach skanerów)
+ * @header X-Terminal-Key: string – Klucz terminala
+ * @query {from?, to?, terminalId?, outcome?, reason?, orderId?, userId?, codeType?, limit?}
+ * @example curl -H "X-Terminal-Key: ctk_..." "http://localhost:3000/api/terminal/scans?limit=10"
+ */
+app.get('/api/terminal/scans', requireTerminal, contract({ summary: 'Historia skanów sklepu' }), scanList(scanFilterSchema, (req) => ({ storeId: req.terminal.storeId })));
+
+// ============================================
+// ENDPOINT 13: BEZPIECZEŃSTWO KODÓW (Admin – zdarzenia, blokady terminali i klientów)
+// ============================================
+const securityEventFilterSchema = Joi.object({
+  type: Joi.string().valid(...Object.values(AbuseGuard.SECURITY_EVENT_TYPES)),
+  severity: Joi.string().valid(...Object.values(AbuseGuard.SEVERITIES)),
+  terminalId: Joi.string().max(64),
+  storeId: Joi.string().max(64),
+  userId: Joi.string().email(),
+  orderId: Joi.string().max(64),
+  from: Joi.date().iso(),
+  limit: Joi.number().integer().min(1).max(500).default(50)
+});
+
+/**
+ * @route GET /api/admin/security/events
+ * @description Zdarzenia bezpieczeństwa: blokady (LOCKOUT), unieważnione kody (CODE_INVALIDATED),
+ * ponowne użycie zużytego kodu (CODE_REPLAY), ręczne odblokowania (UNLOCKED) – najnowsze pierwsze
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. VIEWER)
+ * @query {type?, severity?: INFO|WARNING|CRITICAL, terminalId?, storeId?, userId?, orderId?, from?: ISO, limit?: number}
+ * @example curl -H "API-ADMIN-KEY: ..." "http://localhost:3000/api/admin/security/events?severity=CRITICAL"
+ */
+app.get('/api/admin/security/events', requireAdmin(ADMIN_ROLES.VIEWER), contract({ summary: 'Zdarzenia bezpieczeństwa', query: securityEventFilterSchema }), (req, res, next) => {
+  const { error, value } = securityEventFilterSchema.validate(req.query);
+  if (error) {
+    return next(new ApiError(`Nieprawidłowy filtr: ${error.details[0].message}`, 400));
+  }
+  res.json({ success: true, events: AbuseGuard.listEvents(value) });
+});
+
+const lockFilterSchema = Joi.object({
+  subject: Joi.string().valid(AbuseGuard.SUBJECTS.TERMINAL, AbuseGuard.SUBJECTS.USER, AbuseGuard.SUBJECTS.STORE),
+  active: Joi.boolean().default(true)
+});
+
+/**
+ * @route GET /api/admin/security/locks
+ * @description Blokady terminali, klientów i PIN-ów sklepów (domyślnie tylko aktywne; active=false – też liczniki bez blokady)
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. VIEWER)
+ * @query {subject?: terminal|user|store, active?: boolean}
+ */
+app.get('/api/admin/security/locks', requireAdmin(ADMIN_ROLES.VIEWER), contract({ summary: 'Blokady terminali i klientów', query: lockFilterSchema }), (req, res, next) => {
+  const { error, value } = lockFilterSchema.validate(req.query);
+  if (error) {
+    return next(new ApiError(`Nieprawidłowy filtr: ${error.details[0].message}`, 400));
+  }
+  res.json({ success: true, locks: AbuseGuard.listLocks({ subject: value.subject, activeOnly: value.active }) });
+});
+
+/**
+ * @route POST /api/admin/security/locks/:subject/:subjectId/unlock
+ * @description Zdejmij blokadę terminala/klienta/PIN-ów sklepu i wyzeruj licznik nieudanych prób
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. OPERATOR)
+ * @example curl -X POST -H "API-ADMIN-KEY: ..." http://localhost:3000/api/admin/security/locks/terminal/MODIVO-SIM-1/unlock
+ */
+app.post('/api/admin/security/locks/:subject/:subjectId/unlock', requireAdmin(ADMIN_ROLES.OPERATOR), contract({ summary: 'Zdejmij blokadę' }), (req, res, next) => {
+  const { subject, subjectId } = req.params;
+  if (![AbuseGuard.SUBJECTS.TERMINAL, AbuseGuard.SUBJECTS.USER, AbuseGuard.SUBJECTS.STORE].includes(subject)) {
+    return next(new ApiError(`Nieznany podmiot blokady: ${subject} (terminal|user|store)`, 400));
+  }
+  try {
+    res.json({ success: true, lock: AbuseGuard.unlock(subject, subjectId, adminActor(req)) });
+  } catch (err) {
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd zdejmowania blokady', 500));
+  }
+});
+
+// ============================================
+// ENDPOINT 14: TRYB OFFLINE TERMINALA (pakiet kluczy, synchronizacja kolejki skanów)
+// ============================================
+/**
+ * @route GET /api/terminal/offline_bundle
+ * @description Pakiet do weryfikacji kodów CRL1 bez sieci: terminal (sklep), publiczne klucze podpisu,
+ * długość okna rotacji i maksymalny wiek skanu offline. Terminal odświeża go przy każdym połączeniu.
+ * @header X-Terminal-Key: string – Klucz terminala
+ * @example curl -H "X-Terminal-Key: ctk_..." http://localhost:3000/api/terminal/offline_bundle
+ */
+app.get('/api/terminal/offline_bundle', requireTerminal, contract({ summary: 'Pakiet trybu offline' }), (req, res) => {
+  res.json({ success: true, ...OfflineSync.getBundle(req.terminal) });
+});
+
+const offlineSyncSchema = Joi.object({
+  scans: Joi.array().items(Joi.object({
+    localId: Joi.string().max(64).required(),
+    code: Joi.string().pattern(/^CRL1\./).max(1024).required().label('Kod QR'),
+    scannedAt: Joi.date().iso().required()
+  })).min(1).max(200).unique('localId').required()
+});
+
+/**
+ * @route POST /api/terminal/sync
+ * @description Odtwarza skany wykonane offline w kolejności kolejki. Każdy kod jest weryfikowany na moment
+ * skanu; wynik per skan: APPLIED, CONFLICT (np. paczka odebrana gdzie indziej – usuń z kolejki i pokaż)
+ * lub RETRY (zostaw w kolejce). Ponowne wysłanie tego samego localId zwraca zapisany wynik (duplicate: true).
+ * @header X-Terminal-Key: string – Klucz terminala
+ * @body {scans: [{localId: string, code: string (CRL1), scannedAt: ISO}]} – maks. 200
+ * @returns {object} { results: [{ localId, status, reason, message, orderId, transactionType, scanId, duplicate }], summary }
+ * @example POST /api/terminal/sync -H "X-Terminal-Key: ctk_..." { "scans": [{ "localId": "q-1731234567890-1", "code": "CRL1....", "scannedAt": "2025-11-10T10:15:00Z" }] }
+ */
+app.post('/api/terminal/sync', requireTerminal, contract({ summary: 'Synchronizacja kolejki skanów offline', body: offlineSyncSchema }), (req, res, next) => {
+  const { error, value } = offlineSyncSchema.validate(req.body);
+  if (error) {
+    return next(new ApiError(`Nieprawidłowa kolejka offline: ${error.details[0].message}`, 400));
+  }
+
+  try {
+    res.json({ success: true, ...OfflineSync.syncBatch(req.terminal, value.scans) });
+  } catch (err) {
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd synchronizacji skanów offline', 500));
+  }
+});
+
+// ============================================
+// ENDPOINT 15: ZMIANY ZAMÓWIEŃ NA ŻYWO (Server-Sent Events – klient PWA i skaner sklepu)
+// ============================================
+/**
+ * Autoryzacja strumienia sprawdzana ponownie przy każdym heartbeacie (wygasły token / wyłączony terminal → koniec).
+ */
+const stillAuthorized = (check) => () => {
+  try {
+    check();
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * @route GET /api/user/stream
+ * @description Strumień SSE zmian zamówień zalogowanego klienta (event: order – { type, orderId, status, order, details }).
+ * Po wygaśnięciu access tokenu serwer wysyła event: unauthorized i zamyka strumień – odśwież sesję i połącz ponownie.
+ * @header Authorization: Bearer <accessToken>
+ * @header Last-Event-ID: string (opcjonalnie) – eventId ostatniego odebranego zdarzenia (odtworzenie pominiętych)
+ * @example curl -N -H "Authorization: Bearer eyJhbGciOi..." http://localhost:3000/api/user/stream
+ */
+app.get('/api/user/stream', requireUser, contract({ summary: 'Strumień SSE zamówień klienta', headers: Joi.object({ 'Last-Event-ID': Joi.string().max(64) }), responses: { 200: { description: 'Strumień zdarzeń (event: order)', contentType: 'text/event-stream' } } }), (req, res) => {
+  const token = req.get('Authorization').split(' ')[1];
+  LiveUpdates.open(req, res, {
+    channel: LiveUpdates.CHANNELS.USER,
+    subjectId: req.user.userId,
+    authorize: stillAuthorized(() => Auth.authenticate(token))
+  });
+});
+
+/**
+ * @route GET /api/terminal/stream
+ * @description Strumień SSE zamówień sklepu terminala: nowe i zmienione zamówienia do odbioru, odbiory, zwroty,
+ * wygaśnięcia (event: order – { type, orderId, status, pickupDeadline, productsCount, scanStoreId, terminalId }).
+ * @header X-Terminal-Key: string – Klucz terminala
+ * @header Last-Event-ID: string (opcjonalnie) – eventId ostatniego odebranego zdarzenia
+ * @example curl -N -H "X-Terminal-Key: ctk_..." http://localhost:3000/api/terminal/stream
+ */
+app.get('/api/terminal/stream', requireTerminal, contract({ summary: 'Strumień SSE zamówień sklepu', headers: Joi.object({ 'Last-Event-ID': Joi.string().max(64) }), responses: { 200: { description: 'Strumień zdarzeń (event: order)', contentType: 'text/event-stream' } } }), (req, res) => {
+  const apiKey = req.get('X-Terminal-Key');
+  LiveUpdates.open(req, res, {
+    channel: LiveUpdates.CHANNELS.STORE,
+    subjectId: req.terminal.storeId,
+    authorize: stillAuthorized(() => Registry.authenticateTerminal(apiKey, { markSeen: false })) // Otwarty strumień ≠ łączność terminala
+  });
+});
+
+// ============================================
+// ENDPOINT 16: KONTA BACK-OFFICE (Admin – role VIEWER / OPERATOR / ADMIN)
+// ============================================
+const adminRoleSchema = Joi.string().valid(...Object.values(ADMIN_ROLES));
+
+/**
+ * Helper: walidacja body przez Joi + wywołanie akcji na kontach back-office.
+ * @private
+ */
+const adminUsersAction = (schema, action) => ApiContract.describe((req, res, next) => {
+  const { error, value } = schema.validate(req.body || {});
+  if (error) {
+    return next(new ApiError(`Nieprawidłowe dane konta: ${error.details[0].message}`, 400));
+  }
+  try {
+    res.json({ success: true, ...action(value, req.params) });
+  } catch (err) {
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd zapisu konta back-office', 500));
+  }
+}, { body: schema });
+
+/**
+ * @route GET /api/admin/me
+ * @description Konto i rola właściciela klucza (konsola back-office ukrywa niedostępne akcje)
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. VIEWER)
+ * @example curl -H "API-ADMIN-KEY: cak_demo_viewer" http://localhost:3000/api/admin/me
+ */
+app.get('/api/admin/me', requireAdmin(ADMIN_ROLES.VIEWER), contract({ summary: 'Konto właściciela klucza' }), (req, res) => {
+  res.json({ success: true, admin: req.admin });
+});
+
+/**
+ * @route GET /api/admin/users
+ * @description Konta back-office (bez hashy kluczy; keyPrefix do rozpoznania klucza)
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. ADMIN)
+ */
+app.get('/api/admin/users', requireAdmin(ADMIN_ROLES.ADMIN), contract({ summary: 'Konta back-office' }), (req, res) => {
+  res.json({ success: true, admins: AdminUsers.listAdmins() });
 });
 
+/**
+ * @route POST /api/admin/users
+ * @description Załóż konto back-office – odpowiedź zawiera apiKey (pokazywany TYLKO raz)
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. ADMIN)
+ * @body {adminId: string, name: string, role: 'VIEWER'|'OPERATOR'|'ADMIN'}
+ * @example POST /api/admin/users -H "API-ADMIN-KEY: cak_demo_admin" -d '{"adminId": "anna.ops", "name": "Anna Nowak", "role": "OPERATOR"}'
+ */
+app.post('/api/admin/users', requireAdmin(ADMIN_ROLES.ADMIN), contract({ summary: 'Załóż konto back-office' }), adminUsersAction(
+  Joi.object({
+    adminId: Joi.string().pattern(/^[a-z0-9][a-z0-9._-]{1,63}$/).required().messages({
+      'string.pattern.base': '{{#label}} – małe litery, cyfry, ".", "-" i "_" (2–64 znaki)'
+    }),
+    name: Joi.string().min(1).max(100).required(),
+    role: adminRoleSchema.required()
+  }),
+  (value) => AdminUsers.createAdmin(value)
+));
+
+/**
+ * @route PATCH /api/admin/users/:adminId
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. ADMIN)
+ * @body {name?: string, role?: 'VIEWER'|'OPERATOR'|'ADMIN', status?: 'ACTIVE'|'DISABLED'} – DISABLED = klucz odrzucany
+ */
+app.patch('/api/admin/users/:adminId', requireAdmin(ADMIN_ROLES.ADMIN), contract({ summary: 'Zmień konto back-office' }), adminUsersAction(
+  Joi.object({ name: Joi.string().min(1).max(100), role: adminRoleSchema, status: statusSchema }).min(1),
+  (value, params) => ({ admin: AdminUsers.updateAdmin(params.adminId, value) })
+));
+
+/**
+ * @route POST /api/admin/users/:adminId/rotate_key
+ * @description Nowy klucz konta (stary przestaje działać natychmiast) – apiKey pokazywany raz
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. ADMIN)
+ */
+app.post('/api/admin/users/:adminId/rotate_key', requireAdmin(ADMIN_ROLES.ADMIN), contract({ summary: 'Nowy klucz konta back-office' }), adminUsersAction(
+  Joi.object({}),
+  (value, params) => AdminUsers.rotateKey(params.adminId)
+));
+
+// ============================================
+// ENDPOINT 17: BACK-OFFICE ZAMÓWIEŃ (Admin – wyszukiwanie, szczegóły, ręczne korekty)
+// ============================================
+const adminOrderFilterSchema = Joi.object({
+  orderId: Joi.string().max(64),
+  userId: Joi.string().max(254),
+  storeId: Joi.string().max(64),
+  merchantId: Joi.string().max(64),
+  status: Joi.string().valid(...Object.values(ORDER_STATUSES)),
+  page: Joi.number().integer().min(1).default(1),
+  pageSize: Joi.number().integer().min(1).max(AdminOrders.MAX_PAGE_SIZE).default(20),
+  sort: Joi.string().valid(...AdminOrders.SORT_FIELDS.flatMap(field => [field, `-${field}`])).default('-createdAt')
+});
+
+/**
+ * @route GET /api/admin/orders
+ * @description Wyszukiwanie zamówień: orderId i userId dopasowywane fragmentem (bez wielkości liter),
+ * storeId/merchantId/status dokładnie; sort = pole z prefiksem '-' dla malejącego
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. VIEWER)
+ * @query {orderId?, userId?, storeId?, merchantId?, status?, page?: number, pageSize?: number (max 100), sort?: string}
+ * @returns {object} { orders, pagination: { page, pageSize, total, totalPages }, sort }
+ * @example curl -H "API-ADMIN-KEY: cak_demo_viewer" "http://localhost:3000/api/admin/orders?storeId=MODIVO&status=READY_FOR_PICKUP&sort=pickupDeadline"
+ */
+app.get('/api/admin/orders', requireAdmin(ADMIN_ROLES.VIEWER), contract({ summary: 'Wyszukiwanie zamówień', query: adminOrderFilterSchema }), (req, res, next) => {
+  const { error, value } = adminOrderFilterSchema.validate(req.query);
+  if (error) {
+    return next(new ApiError(`Nieprawidłowy filtr: ${error.details[0].message}`, 400));
+  }
+  res.json({ success: true, ...AdminOrders.search(value) });
+});
+
+/**
+ * @route GET /api/admin/orders/:orderId
+ * @description Szczegóły zamówienia: pełna historia statusów, aktywne kody (bez PIN-u – także pełnomocników i zbiorcze),
+ * dozwolone przejścia i korekty, refundy, skany, zdarzenia bezpieczeństwa i powiadomienia
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. VIEWER)
+ */
+app.get('/api/admin/orders/:orderId', requireAdmin(ADMIN_ROLES.VIEWER), contract({ summary: 'Szczegóły zamówienia' }), (req, res, next) => {
+  try {
+    res.json({ success: true, ...AdminOrders.getDetail(req.params.orderId) });
+  } catch (err) {
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd pobierania zamówienia', 500));
+  }
+});
+
+const statusOverrideSchema = Joi.object({
+  status: Joi.string().valid(...Object.values(ORDER_STATUSES)).required(),
+  reason: Joi.string().trim().min(5).max(500).required()
+});
+
+const revokeCodeSchema = Joi.object({ reason: Joi.string().trim().min(5).max(500).required() });
+
+/**
+ * @route POST /api/admin/orders/:orderId/status
+ * @description Ręczna zmiana statusu z pominięciem reguł maszyny stanów – wpis historii z override: true,
+ * actor = admin:<adminId> i powodem; aktywne kody i upoważnienia są unieważniane. Tylko statusy odbioru
+ * (OrderLifecycle.OVERRIDE_STATUSES) i zamówienia bez zwrotów/refundów – pozostałe korekty 409
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. OPERATOR)
+ * @body {status: string, reason: string (obowiązkowy, min. 5 znaków)}
+ * @example POST /api/admin/orders/ORD-1001/status -H "API-ADMIN-KEY: cak_demo_operator" -d '{"status": "READY_FOR_PICKUP", "reason": "Klient odbierze po urlopie"}'
+ */
+app.post('/api/admin/orders/:orderId/status', requireAdmin(ADMIN_ROLES.OPERATOR), contract({ summary: 'Ręczna zmiana statusu (override)', body: statusOverrideSchema }), (req, res, next) => {
+  const { error, value } = statusOverrideSchema.validate(req.body || {});
+  if (error) {
+    return next(new ApiError(`Nieprawidłowa korekta: ${error.details[0].message}`, 400));
+  }
+  try {
+    res.json({ success: true, ...AdminOrders.overrideStatus(req.params.orderId, value.status, { actor: adminActor(req), reason: value.reason }) });
+  } catch (err) {
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd zmiany statusu', 500));
+  }
+});
+
+/**
+ * @route POST /api/admin/orders/:orderId/revoke_code
+ * @description Unieważnij aktywne kody odbioru/zwrotu (np. klient zgłosił udostępnienie zrzutu ekranu) – także
+ * kody pełnomocników (upoważnienia → REVOKED) i zbiorcze obejmujące zamówienie; zdarzenie CODE_REVOKED + wpis w historii
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. OPERATOR)
+ * @body {reason: string (obowiązkowy)}
+ */
+app.post('/api/admin/orders/:orderId/revoke_code', requireAdmin(ADMIN_ROLES.OPERATOR), contract({ summary: 'Unieważnij aktywny kod zamówienia', body: revokeCodeSchema }), (req, res, next) => {
+  const { error, value } = revokeCodeSchema.validate(req.body || {});
+  if (error) {
+    return next(new ApiError(`Nieprawidłowa korekta: ${error.details[0].message}`, 400));
+  }
+  try {
+    res.json({ success: true, event: AdminOrders.revokeCode(req.params.orderId, { actor: adminActor(req), reason: value.reason }) });
+  } catch (err) {
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd unieważniania kodu', 500));
+  }
+});
+
+// ============================================
+// ENDPOINT 18: RAPORTY OPERACYJNE (Admin – agregaty JSON i eksport CSV)
+// ============================================
+const reportFilterSchema = Joi.object({
+  from: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).messages({ 'string.pattern.base': '{{#label}} – format YYYY-MM-DD' }),
+  to: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).messages({ 'string.pattern.base': '{{#label}} – format YYYY-MM-DD' }),
+  storeId: Joi.string().max(64),
+  merchantId: Joi.string().max(64),
+  format: Joi.string().valid('json', 'csv').default('json')
+});
+
+/**
+ * @route GET /api/admin/reports
+ * @description Pulpit operacji: podsumowania wszystkich raportów dla zakresu (domyślnie ostatnie 30 dni)
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. VIEWER)
+ * @query {from?: YYYY-MM-DD, to?: YYYY-MM-DD, storeId?, merchantId?}
+ * @example curl -H "API-ADMIN-KEY: cak_demo_viewer" "http://localhost:3000/api/admin/reports?from=2025-11-01&to=2025-11-30"
+ */
+app.get('/api/admin/reports', requireAdmin(ADMIN_ROLES.VIEWER), contract({ summary: 'Pulpit raportów', query: reportFilterSchema }), (req, res, next) => {
+  const { error, value } = reportFilterSchema.validate(req.query);
+  if (error) {
+    return next(new ApiError(`Nieprawidłowy filtr: ${error.details[0].message}`, 400));
+  }
+  try {
+    res.json({ success: true, reports: Object.values(Analytics.REPORTS), ...Analytics.overview(value) });
+  } catch (err) {
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd generowania raportów', 500));
+  }
+});
+
+/**
+ * @route GET /api/admin/reports/:report
+ * @description Raport: daily (odbiory/zwroty per sklep per dzień), pickup_times (mediana czasu do odbioru),
+ * return_rates (odsetek zwrotów per merchant), expired (nieodebrane per sklep), failed_scans (nieudane skany per powód).
+ * format=csv – plik do pobrania (UTF-8 z BOM, separator ",")
+ * @header API-ADMIN-KEY: string – Klucz back-office (rola min. VIEWER)
+ * @query {from?: YYYY-MM-DD, to?: YYYY-MM-DD, storeId?, merchantId?, format?: json|csv}
+ * @returns {object} { report, filter, generatedAt, columns, rows, summary }
+ * @example curl -H "API-ADMIN-KEY: cak_demo_viewer" "http://localhost:3000/api/admin/reports/daily?storeId=MODIVO&format=csv" -o daily.csv
+ */
+app.get('/api/admin/reports/:report', requireAdmin(ADMIN_ROLES.VIEWER), contract({ summary: 'Raport operacyjny (JSON / CSV)', query: reportFilterSchema, responses: { 200: { description: 'JSON lub plik CSV (format=csv)' } } }), (req, res, next) => {
+  const { error, value } = reportFilterSchema.validate(req.query);
+  if (error) {
+    return next(new ApiError(`Nieprawidłowy filtr: ${error.details[0].message}`, 400));
+  }
+  const { format, ...filter } = value;
+  try {
+    const result = Analytics.run(req.params.report, filter);
+    if (format === 'csv') {
+      const fileName = `corelay-${result.report}-${result.filter.from}_${result.filter.to}.csv`;
+      return res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${fileName}"`
+      }).send(Analytics.toCsv(result));
+    }
+    res.json({ success: true, ...result });
+  } catch (err) {
+    next(err.name === 'ApiError' ? err : new ApiError('Błąd generowania raportu', 500));
+  }
+});
+
+// ============================================
+// ENDPOINT 19: KONTRAKT API (OpenAPI 3 ze schematów Joi + podgląd)
+// ============================================
+let openApiDocument = null; // Route'y nie zmieniają się po starcie – dokument budowany raz
+
+/**
+ * @route GET /openapi.json
+ * @description Dokument OpenAPI 3.0 wszystkich endpointów (schematy body/query/odpowiedzi z tych samych obiektów Joi,
+ * którymi walidują route'y; autoryzacja i minimalna rola back-office z middleware'ów)
+ * @example curl http://localhost:3000/openapi.json
+ */
+app.get('/openapi.json', contract({ summary: 'Dokument OpenAPI 3', tags: ['Publiczne'], responses: { 200: { description: 'Dokument OpenAPI' } } }), (req, res) => {
+  openApiDocument = openApiDocument || ApiContract.buildDocument(app, {
+    title: 'Corelay API',
+    version: require('./package.json').version,
+    description: 'Kody odbioru i zwrotu (PWA klienta), weryfikacja na terminalach, integracja merchantów i back-office.'
+  });
+  res.json(openApiDocument);
+});
+
+/**
+ * @route GET /docs
+ * @description Podgląd dokumentacji (Swagger UI) – skrypt startowy dopuszczony nonce'em w CSP
+ * @example open http://localhost:3000/docs
+ */
+app.get('/docs', contract({ summary: 'Podgląd dokumentacji API', tags: ['Publiczne'], responses: { 200: { description: 'Strona HTML', contentType: 'text/html' } } }), (req, res) => {
+  const nonce = crypto.randomBytes(16).toString('base64');
+  res.set('Content-Security-Policy', [
+    "default-src 'self'",
+    `script-src https://unpkg.com 'nonce-${nonce}'`,
+    "style-src https://unpkg.com 'unsafe-inline'",
+    "img-src 'self' data: https://unpkg.com",
+    "connect-src 'self'"
+  ].join('; ')).type('html').send(ApiContract.docsPage(nonce));
+});
+
+// ============================================
+// 404 HANDLER (Domyślna odpowiedź na nieznane endpointy)
+// ============================================
+app.use((req, res) => {
+  res.status(404).json({ 
+    success: false, 
+    message: `Endpoint ${req.method} ${req.path} nie istnieje – sprawdź dokumentację` 
+  });
+});
+
+// ============================================
+// GLOBAL ERROR HANDLER (Obsługa błędów – musi być po wszystkich endpointach)
+// ============================================
+app.use((err, req, res, next) => {
+  const timestamp = new Date().toISOString();
+  console.error(`[${timestamp}] BŁĄD w ${req.path}: ${err.message} | Status: ${err.status || 500}`);
+  
+  if (err.name === 'ApiError') {
+    return res.status(err.status).json({ 
+      success: false, 
+      message: err.message,
+      ...(err.reason ? { reason: err.reason } : {}),
+      path: req.path 
+    });
+  }
+  
+  // Nieznany błąd – nie ujawniaj detali w production
+  if (process.env.NODE_ENV === 'production') {
+    res.status(500).json({ success: false, message: 'Wewnętrzny błąd serwera – sprawdź logi' });
+  } else {
+    res.status(500).json({ success: false, message: err.message, stack: err.stack });
+  }
+});
+
+// ============================================
+// URUCHOMIENIE SERWERA Z GRACEFUL SHUTDOWN
+// ============================================
+const server = app.listen(port, () => {
+  const startTime = new Date().toISOString();
+  console.log(`\n🚀 [${startTime}] Corelay API (Mózg) uruchomiony na http://localhost:${port}`);
+  console.log(`   Health check: http://localhost:${port}/health`);
+  console.log(`   Env: ${process.env.NODE_ENV || 'development'}`);
+  console.log(`   Allowed origins: ${allowedOrigins.join(', ')}`);
+  if (process.env.CORELAY_DEV_OUTBOX === '1' && process.env.NODE_ENV !== 'production') {
+    console.log('   Dev outbox: GET /api/dev/outbox (CORELAY_DEV_OUTBOX=1, wymaga API-ADMIN-KEY)');
+  }
+  console.log(`\nGotowe do demo! Użyj /api/admin/create_test_order do seedowania danych.\n`);
+});
+
+// Worker refundów (ponowienia z backoffem – patrz refunds.js)
+Refunds.startWorker();
+// Worker webhooków (doręczenia do merchantów z backoffem – patrz webhooks.js)
+Webhooks.startWorker();
+// Scheduler jobów (terminy odbioru, okna zwrotu, wygasłe kody – patrz scheduler.js)
+Scheduler.start();
+
 // Graceful shutdown (obsługa SIGTERM/SIGINT dla Render/Heroku/Docker)
 process.on('SIGTERM', shutDown);
 process.on('SIGINT', shutDown);
 
 function shutDown() {
   console.log(`\n[${new Date().toISOString()}] Otrzymano sygnał shutdown – zamykanie serwera...`);
+  Refunds.stopWorker();
+  Webhooks.stopWorker();
+  Scheduler.stop();
+  LiveUpdates.closeAll(); // Otwarte strumienie SSE blokowałyby server.close()
   server.close((err) => {
     if (err) {
       console.error('Błąd podczas shutdown:', err);
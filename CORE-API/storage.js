@@ -0,0 +1,142 @@
+'use strict';
+
+/**
+ * storage.js - Trwały magazyn danych Corelay (plik JSON)
+ *
+ * Wszystkie kolekcje (orders, guestCodes, ...) trzymane są w jednym pliku JSON.
+ * Zapis jest atomowy (plik tymczasowy + rename), więc restart lub awaria w trakcie
+ * zapisu nie zostawia uszkodzonego pliku. Na starcie wykonuje migracje schematu.
+ *
+ * Ścieżka ':memory:' wyłącza zapis na dysk (testy, szybkie demo).
+ *
+ * @module Storage
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Specjalna ścieżka – magazyn tylko w RAM (bez pliku).
+ * @constant
+ */
+const MEMORY_PATH = ':memory:';
+
+// ============================================
+// HELPERY PLIKOWE
+// ============================================
+
+/**
+ * Wczytuje dane z pliku JSON. Brak pliku = pusty magazyn.
+ * Uszkodzony plik NIE jest nadpisywany – lepiej zatrzymać start niż zgubić dane.
+ *
+ * @private
+ * @param {string} filePath - Ścieżka pliku
+ * @returns {object} Dane magazynu
+ * @throws {Error} Jeśli plik istnieje, ale nie jest poprawnym JSON
+ */
+function readDataFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return {};
+  }
+  const raw = fs.readFileSync(filePath, 'utf8');
+  if (!raw.trim()) {
+    return {};
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`[Storage] Plik ${filePath} jest uszkodzony (${err.message}) – przywróć kopię lub usuń plik`);
+  }
+}
+
+/**
+ * Atomowy zapis: najpierw plik .tmp, potem rename (atomowy w obrębie jednego FS).
+ *
+ * @private
+ * @param {string} filePath - Ścieżka pliku
+ * @param {object} data - Dane do zapisu
+ */
+function writeDataFile(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
+// ============================================
+// GŁÓWNY OBIEKT MAGAZYNU
+// ============================================
+
+const Storage = {
+
+  MEMORY_PATH,
+
+  /**
+   * Otwiera magazyn: wczytuje plik i wykonuje brakujące migracje (rosnąco po version).
+   *
+   * @param {object} options
+   * @param {string} options.filePath - Ścieżka pliku JSON lub ':memory:'
+   * @param {array} [options.migrations] - [{ version: number, description: string, up: (data) => void }]
+   * @returns {object} Magazyn: { data, filePath, schemaVersion, save() }
+   * @throws {Error} Jeśli plik jest uszkodzony lub pochodzi z nowszej wersji schematu
+   * @example
+   * const store = Storage.open({ filePath: './data/db.json', migrations: [{ version: 1, up: d => { d.orders = []; } }] });
+   * store.data.orders.push(order); store.save();
+   */
+  open: ({ filePath, migrations = [] }) => {
+    const inMemory = filePath === MEMORY_PATH;
+    const data = inMemory ? {} : readDataFile(filePath);
+
+    data.meta = data.meta || { schemaVersion: 0, createdAt: new Date().toISOString() };
+
+    const sorted = [...migrations].sort((a, b) => a.version - b.version);
+    const latestVersion = sorted.length ? sorted[sorted.length - 1].version : 0;
+    if (data.meta.schemaVersion > latestVersion) {
+      throw new Error(`[Storage] Schemat pliku (v${data.meta.schemaVersion}) jest nowszy niż kod (v${latestVersion}) – zaktualizuj API`);
+    }
+
+    const store = {
+      data,
+      filePath,
+
+      get schemaVersion() {
+        return data.meta.schemaVersion;
+      },
+
+      /**
+       * Zapisuje cały stan na dysk (no-op dla ':memory:').
+       * @returns {void}
+       */
+      save: () => {
+        if (inMemory) return;
+        data.meta.updatedAt = new Date().toISOString();
+        writeDataFile(filePath, data);
+      }
+    };
+
+    let migrated = 0;
+    for (const migration of sorted) {
+      if (migration.version <= data.meta.schemaVersion) continue;
+      migration.up(data);
+      data.meta.schemaVersion = migration.version;
+      migrated++;
+      console.log(`[Storage] Migracja v${migration.version}: ${migration.description || 'bez opisu'}`);
+    }
+    if (migrated > 0) {
+      store.save();
+    }
+
+    return store;
+  }
+
+};
+
+// ============================================
+// EKSPORT MODUŁU
+// ============================================
+
+/**
+ * Eksport Storage – użyj w database.js: const Storage = require('./storage');
+ */
+module.exports = Storage;
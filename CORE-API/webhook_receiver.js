@@ -0,0 +1,73 @@
+'use strict';
+
+/**
+ * webhook_receiver.js - Lokalny odbiorca webhooków Corelay (testy integracji merchanta)
+ *
+ * Udaje serwer merchanta: loguje przychodzące zdarzenia i weryfikuje X-Corelay-Signature.
+ * Odpowiada 200, 401 (zły podpis) lub 500 dla pierwszych FAIL_FIRST żądań (test retry/dead-letter).
+ *
+ * Uruchomienie:
+ *   WEBHOOK_SECRET=whsec_... PORT=4000 npm run webhook-receiver
+ *   → zarejestruj endpoint http://localhost:4000/webhooks (POST /api/merchant/webhooks)
+ *
+ * Zmienne: PORT (4000), WEBHOOK_SECRET (bez niego podpis nie jest sprawdzany), FAIL_FIRST (0).
+ *
+ * @module WebhookReceiver
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+
+const port = Number(process.env.PORT) || 4000;
+const secret = process.env.WEBHOOK_SECRET || null;
+let failuresLeft = Number(process.env.FAIL_FIRST) || 0;
+
+/**
+ * Weryfikacja podpisu tak, jak zrobi to merchant: HMAC-SHA256(secret, "<t>.<body>") + świeżość t (5 min).
+ * (Bez zależności od modułów API – odbiorca nie otwiera bazy Corelay.)
+ */
+const verifySignature = (header, body) => {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1 || Math.abs(Date.now() / 1000 - timestamp) > 300) return false;
+  const expected = Buffer.from(crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex'));
+  const given = Buffer.from(parts.v1);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST') {
+    res.writeHead(405).end();
+    return;
+  }
+
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const eventType = req.headers['x-corelay-event'];
+    const deliveryId = req.headers['x-corelay-delivery'];
+
+    if (secret && !verifySignature(req.headers['x-corelay-signature'], body)) {
+      console.warn(`[Receiver] ${deliveryId} (${eventType}) – NIEPRAWIDŁOWY podpis → 401`);
+      res.writeHead(401, { 'Content-Type': 'text/plain' }).end('invalid signature');
+      return;
+    }
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      console.warn(`[Receiver] ${deliveryId} (${eventType}) – symulowany błąd → 500 (zostało ${failuresLeft})`);
+      res.writeHead(500, { 'Content-Type': 'text/plain' }).end('simulated failure');
+      return;
+    }
+
+    const event = JSON.parse(body);
+    const order = event.data && event.data.order;
+    console.log(`[Receiver] ${deliveryId} ${eventType}${order ? ` ${order.orderId} → ${order.status}` : ''}${secret ? ' (podpis OK)' : ''}`);
+    res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify({ received: true }));
+  });
+});
+
+server.listen(port, () => {
+  console.log(`[Receiver] Odbiorca webhooków: http://localhost:${port}/webhooks${secret ? '' : ' (bez WEBHOOK_SECRET – podpis nie jest sprawdzany)'}`);
+});
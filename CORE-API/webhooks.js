@@ -0,0 +1,625 @@
+'use strict';
+
+/**
+ * webhooks.js - Webhooki wychodzące do merchantów (podpisane HMAC, z kolejką i retry)
+ *
+ * Merchant rejestruje endpointy (URL + typy zdarzeń z Events.EVENT_TYPES lub '*').
+ * Każde zdarzenie domenowe (events.js) merchanta trafia do trwałej kolejki `webhookDeliveries`
+ * – osobne doręczenie na endpoint. Worker wysyła POST z JSON-em zdarzenia i nagłówkami:
+ *
+ *   X-Corelay-Event: order.picked_up
+ *   X-Corelay-Delivery: WHD-...            (stałe między próbami – do deduplikacji po stronie merchanta)
+ *   X-Corelay-Signature: t=<unix>,v1=<hex> (HMAC-SHA256 sekretem endpointu z "<t>.<body>")
+ *
+ * Odpowiedź 2xx = doręczone. Inaczej ponowienie z wykładniczym backoffem; po MAX_ATTEMPTS
+ * doręczenie trafia na listę dead-letter (status DEAD) – admin może je ponowić (replay).
+ *
+ * Statusy doręczenia: PENDING → DELIVERING → SUCCEEDED | PENDING (retry) | DEAD.
+ *
+ * @module Webhooks
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const moment = require('moment');
+const DB = require('./database');
+const Events = require('./events');
+const Registry = require('./registry');
+const { ApiError } = require('./errors');
+
+const { ENTITY_STATUSES } = Registry;
+
+// ============================================
+// KONSTANTY
+// ============================================
+
+/**
+ * Statusy doręczenia webhooka.
+ * @constant
+ */
+const DELIVERY_STATUSES = {
+  PENDING: 'PENDING',
+  DELIVERING: 'DELIVERING',
+  SUCCEEDED: 'SUCCEEDED',
+  DEAD: 'DEAD'
+};
+
+/**
+ * Zdarzenie testowe (POST /api/merchant/webhooks/:id/test) – wysyłane tylko do wskazanego endpointu.
+ * @constant
+ */
+const TEST_EVENT_TYPE = 'webhook.test';
+
+/**
+ * Subskrypcja wszystkich typów zdarzeń.
+ * @constant
+ */
+const ALL_EVENTS = '*';
+
+/**
+ * Maksymalna liczba prób doręczenia (potem DEAD).
+ * @constant
+ */
+const MAX_ATTEMPTS = 8;
+
+/**
+ * Backoff: opóźnienie kolejnej próby = RETRY_BASE_SECONDS * 2^(próba-1), max RETRY_MAX_SECONDS.
+ * @constant
+ */
+const RETRY_BASE_SECONDS = 15;
+const RETRY_MAX_SECONDS = 3600;
+
+/**
+ * Timeout jednego żądania do endpointu merchanta (ms).
+ * @constant
+ */
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Co ile worker sprawdza doręczenia do wykonania (ms).
+ * @constant
+ */
+const WORKER_INTERVAL_MS = 5000;
+
+/**
+ * Limit endpointów na merchanta i liczba trzymanych zakończonych (SUCCEEDED) doręczeń.
+ * @constant
+ */
+const MAX_ENDPOINTS_PER_MERCHANT = 10;
+const MAX_SUCCEEDED_DELIVERIES = 2000;
+
+const SECRET_PREFIX = 'whsec_';
+
+// ============================================
+// HELPERY
+// ============================================
+
+const endpointsCollection = () => DB.getCollection('webhookEndpoints');
+const deliveriesCollection = () => DB.getCollection('webhookDeliveries');
+
+/**
+ * Endpoint bez sekretu (do odpowiedzi API).
+ * @private
+ */
+const publicEndpoint = ({ secret, ...endpoint }) => ({ ...endpoint, secretPrefix: secret.slice(0, SECRET_PREFIX.length + 4) });
+
+const createSecret = () => `${SECRET_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+/**
+ * Opóźnienie przed kolejną próbą (ms) po `attempts` nieudanych próbach.
+ * @private
+ */
+const backoffMs = (attempts) => Math.min(RETRY_BASE_SECONDS * Math.pow(2, attempts - 1), RETRY_MAX_SECONDS) * 1000;
+
+/**
+ * Endpoint merchanta (cudzy = 404).
+ * @private
+ */
+const getOwnEndpoint = (merchantId, endpointId) => {
+  const endpoint = endpointsCollection().find(e => e.endpointId === endpointId);
+  if (!endpoint || (merchantId && endpoint.merchantId !== merchantId)) {
+    throw new ApiError(`Endpoint webhooka ${endpointId} nie istnieje`, 404);
+  }
+  return endpoint;
+};
+
+/**
+ * URL endpointu: http(s); w production tylko https.
+ * @private
+ */
+const assertUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    throw new ApiError(`Nieprawidłowy URL webhooka: ${url}`, 400);
+  }
+  const allowed = process.env.NODE_ENV === 'production' ? ['https:'] : ['https:', 'http:'];
+  if (!allowed.includes(parsed.protocol)) {
+    throw new ApiError(`URL webhooka musi używać ${allowed.join(' lub ')}`, 400);
+  }
+};
+
+/**
+ * Typy zdarzeń: znane nazwy lub '*'.
+ * @private
+ */
+const assertEventTypes = (events) => {
+  const known = Object.values(Events.EVENT_TYPES);
+  const unknown = events.filter(type => type !== ALL_EVENTS && !known.includes(type));
+  if (unknown.length > 0) {
+    throw new ApiError(`Nieznane typy zdarzeń: ${unknown.join(', ')} (dostępne: ${known.join(', ')}, ${ALL_EVENTS})`, 400);
+  }
+};
+
+/**
+ * Dopisuje wpis do dziennika prób doręczenia.
+ * @private
+ */
+const logAttempt = (delivery, nowMs, outcome, detail = null) => {
+  delivery.log.push({ attempt: delivery.attempts, at: moment(nowMs).toISOString(), outcome, detail });
+  delivery.updatedAt = moment(nowMs).toISOString();
+};
+
+/**
+ * Zakłada doręczenie zdarzenia do endpointu.
+ * @private
+ */
+const enqueue = (endpoint, event, nowMs) => {
+  const delivery = {
+    deliveryId: `WHD-${crypto.randomBytes(8).toString('hex')}`,
+    endpointId: endpoint.endpointId,
+    merchantId: endpoint.merchantId,
+    eventId: event.eventId,
+    eventType: event.type,
+    orderId: event.orderId || null,
+    payload: {
+      id: event.eventId,
+      type: event.type,
+      createdAt: event.occurredAt,
+      merchantId: endpoint.merchantId,
+      data: event.data
+    },
+    status: DELIVERY_STATUSES.PENDING,
+    attempts: 0,
+    nextAttemptAt: nowMs,
+    lastStatusCode: null,
+    lastError: null,
+    createdAt: moment(nowMs).toISOString(),
+    updatedAt: moment(nowMs).toISOString(),
+    deliveredAt: null,
+    log: []
+  };
+  deliveriesCollection().push(delivery);
+  return delivery;
+};
+
+/**
+ * Usuwa najstarsze zakończone doręczenia ponad MAX_SUCCEEDED_DELIVERIES (DEAD zostają do replay).
+ * @private
+ */
+const pruneDeliveries = () => {
+  const collection = deliveriesCollection();
+  const succeeded = collection.filter(d => d.status === DELIVERY_STATUSES.SUCCEEDED);
+  if (succeeded.length <= MAX_SUCCEEDED_DELIVERIES) return;
+  const drop = new Set(succeeded.slice(0, succeeded.length - MAX_SUCCEEDED_DELIVERIES));
+  collection.splice(0, collection.length, ...collection.filter(d => !drop.has(d)));
+};
+
+const scheduleProcessing = () => {
+  setImmediate(() => Webhooks.processDue().catch(err => console.error('[Webhooks] Błąd workera:', err.message)));
+};
+
+let processing = false;
+let rerunRequested = false;
+let workerTimer = null;
+
+// ============================================
+// GŁÓWNY OBIEKT
+// ============================================
+
+const Webhooks = {
+
+  DELIVERY_STATUSES,
+  TEST_EVENT_TYPE,
+  ALL_EVENTS,
+  MAX_ATTEMPTS,
+
+  /**
+   * Podpis body: hex HMAC-SHA256(secret, "<timestamp>.<body>").
+   *
+   * @param {string} secret - Sekret endpointu (whsec_...)
+   * @param {number} timestamp - Unix timestamp (sekundy) z nagłówka
+   * @param {string} body - Surowe body żądania
+   * @returns {string} Podpis hex
+   */
+  sign: (secret, timestamp, body) => crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex'),
+
+  /**
+   * Weryfikacja nagłówka X-Corelay-Signature po stronie odbiorcy (ten sam algorytm opisuje webhook_receiver.js).
+   *
+   * @param {string} secret - Sekret endpointu
+   * @param {string} header - Wartość X-Corelay-Signature ('t=...,v1=...')
+   * @param {string} body - Surowe body żądania
+   * @param {number} [toleranceSeconds] - Maksymalny wiek podpisu (ochrona przed replay), domyślnie 300
+   * @returns {boolean} Czy podpis jest poprawny i świeży
+   */
+  verifySignature: (secret, header, body, toleranceSeconds = 300) => {
+    const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+    const timestamp = Number(parts.t);
+    if (!timestamp || !parts.v1 || Math.abs(moment().unix() - timestamp) > toleranceSeconds) return false;
+    const expected = Buffer.from(Webhooks.sign(secret, timestamp, body));
+    const given = Buffer.from(parts.v1);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  },
+
+  /**
+   * Rejestruje endpoint merchanta. Sekret podpisu zwracany jest tylko tutaj i przy rotacji.
+   *
+   * @param {string} merchantId - ID merchanta
+   * @param {object} data - { url, events: string[], description? }
+   * @returns {object} { endpoint, secret }
+   * @throws {ApiError} 400 dla złego URL/typów zdarzeń, 409 po przekroczeniu limitu endpointów
+   * @example Webhooks.createEndpoint('LPP', { url: 'http://localhost:4000/webhooks', events: ['order.picked_up'] })
+   */
+  createEndpoint: (merchantId, { url, events, description = null }) => {
+    Registry.getMerchant(merchantId);
+    assertUrl(url);
+    assertEventTypes(events);
+    if (endpointsCollection().filter(e => e.merchantId === merchantId).length >= MAX_ENDPOINTS_PER_MERCHANT) {
+      throw new ApiError(`Limit ${MAX_ENDPOINTS_PER_MERCHANT} endpointów webhooków na merchanta`, 409);
+    }
+
+    const secret = createSecret();
+    const endpoint = {
+      endpointId: `WH-${crypto.randomBytes(6).toString('hex')}`,
+      merchantId,
+      url,
+      events: [...new Set(events)],
+      description,
+      status: ENTITY_STATUSES.ACTIVE,
+      secret,
+      createdAt: moment().toISOString(),
+      updatedAt: moment().toISOString()
+    };
+    endpointsCollection().push(endpoint);
+    DB.persist();
+
+    console.log(`[Webhooks] ${merchantId}: nowy endpoint ${endpoint.endpointId} → ${url} (${endpoint.events.join(', ')})`);
+    return { endpoint: publicEndpoint(endpoint), secret };
+  },
+
+  /**
+   * Zmienia URL, subskrypcje, opis lub status (ACTIVE/DISABLED) endpointu.
+   *
+   * @param {string|null} merchantId - Właściciel (null = admin, dowolny endpoint)
+   * @param {string} endpointId - ID endpointu
+   * @param {object} changes - { url?, events?, description?, status? }
+   * @returns {object} { endpoint }
+   * @throws {ApiError} 404 dla cudzego/nieistniejącego endpointu, 400 dla złych danych
+   */
+  updateEndpoint: (merchantId, endpointId, changes) => {
+    const endpoint = getOwnEndpoint(merchantId, endpointId);
+    if (changes.url !== undefined) assertUrl(changes.url);
+    if (changes.events !== undefined) assertEventTypes(changes.events);
+
+    if (changes.url !== undefined) endpoint.url = changes.url;
+    if (changes.events !== undefined) endpoint.events = [...new Set(changes.events)];
+    if (changes.description !== undefined) endpoint.description = changes.description;
+    if (changes.status !== undefined) endpoint.status = changes.status;
+    endpoint.updatedAt = moment().toISOString();
+    DB.persist();
+    return { endpoint: publicEndpoint(endpoint) };
+  },
+
+  /**
+   * Usuwa endpoint. Oczekujące doręczenia do niego kończą jako DEAD przy następnej próbie.
+   *
+   * @param {string} merchantId - Właściciel
+   * @param {string} endpointId - ID endpointu
+   * @returns {object} { deleted: endpointId }
+   */
+  deleteEndpoint: (merchantId, endpointId) => {
+    const endpoint = getOwnEndpoint(merchantId, endpointId);
+    const collection = endpointsCollection();
+    collection.splice(collection.indexOf(endpoint), 1);
+    DB.persist();
+    console.log(`[Webhooks] ${endpoint.merchantId}: usunięto endpoint ${endpointId}`);
+    return { deleted: endpointId };
+  },
+
+  /**
+   * Nowy sekret podpisu (stary przestaje obowiązywać od następnej próby doręczenia).
+   *
+   * @param {string} merchantId - Właściciel
+   * @param {string} endpointId - ID endpointu
+   * @returns {object} { endpoint, secret }
+   */
+  rotateSecret: (merchantId, endpointId) => {
+    const endpoint = getOwnEndpoint(merchantId, endpointId);
+    endpoint.secret = createSecret();
+    endpoint.updatedAt = moment().toISOString();
+    DB.persist();
+    console.log(`[Webhooks] ${endpoint.merchantId}: nowy sekret endpointu ${endpointId}`);
+    return { endpoint: publicEndpoint(endpoint), secret: endpoint.secret };
+  },
+
+  /**
+   * Endpointy (bez sekretów).
+   *
+   * @param {string|null} [merchantId] - Filtr merchanta (null = wszystkie, dla admina)
+   * @returns {array} Endpointy
+   */
+  listEndpoints: (merchantId = null) => endpointsCollection()
+    .filter(e => !merchantId || e.merchantId === merchantId)
+    .map(publicEndpoint),
+
+  /**
+   * Subskrybent events.js: zakłada doręczenia dla aktywnych endpointów merchanta zdarzenia.
+   *
+   * @param {object} event - Zdarzenie z Events.publish
+   * @returns {array} Utworzone doręczenia
+   */
+  handleEvent: (event) => {
+    if (!event.merchantId) return [];
+    const nowMs = moment().valueOf();
+    const deliveries = endpointsCollection()
+      .filter(e => e.merchantId === event.merchantId && e.status === ENTITY_STATUSES.ACTIVE)
+      .filter(e => e.events.includes(ALL_EVENTS) || e.events.includes(event.type))
+      .map(endpoint => enqueue(endpoint, event, nowMs));
+
+    if (deliveries.length > 0) {
+      DB.persist();
+      scheduleProcessing();
+    }
+    return deliveries;
+  },
+
+  /**
+   * Zdarzenie testowe do jednego endpointu (sprawdzenie URL i weryfikacji podpisu u merchanta).
+   *
+   * @param {string} merchantId - Właściciel
+   * @param {string} endpointId - ID endpointu
+   * @returns {object} { delivery }
+   */
+  sendTest: (merchantId, endpointId) => {
+    const endpoint = getOwnEndpoint(merchantId, endpointId);
+    const nowMs = moment().valueOf();
+    const delivery = enqueue(endpoint, {
+      eventId: `EVT-${crypto.randomBytes(8).toString('hex')}`,
+      type: TEST_EVENT_TYPE,
+      occurredAt: moment(nowMs).toISOString(),
+      orderId: null,
+      data: { message: 'Testowe zdarzenie Corelay – endpoint działa, jeśli podpis się zgadza.' }
+    }, nowMs);
+    DB.persist();
+    scheduleProcessing();
+    return { delivery };
+  },
+
+  /**
+   * Jedna próba doręczenia (POST do endpointu). Aktualizuje rekord doręczenia.
+   *
+   * @param {string} deliveryId - ID doręczenia
+   * @param {number} [nowMs] - Czas próby (domyślnie teraz)
+   * @returns {Promise<object>} Zaktualizowane doręczenie
+   * @throws {ApiError} 404 jeśli doręczenie nie istnieje, 409 jeśli nie jest PENDING
+   */
+  deliver: async (deliveryId, nowMs = moment().valueOf()) => {
+    const delivery = Webhooks.getDelivery(deliveryId);
+    if (delivery.status !== DELIVERY_STATUSES.PENDING) {
+      throw new ApiError(`Doręczenie ${deliveryId} ma status ${delivery.status} – nie można wysłać`, 409);
+    }
+
+    const endpoint = endpointsCollection().find(e => e.endpointId === delivery.endpointId);
+    if (!endpoint || endpoint.status !== ENTITY_STATUSES.ACTIVE) {
+      delivery.status = DELIVERY_STATUSES.DEAD;
+      delivery.lastError = endpoint ? 'Endpoint wyłączony' : 'Endpoint usunięty';
+      delivery.nextAttemptAt = null;
+      logAttempt(delivery, nowMs, DELIVERY_STATUSES.DEAD, delivery.lastError);
+      DB.persist();
+      return delivery;
+    }
+
+    delivery.status = DELIVERY_STATUSES.DELIVERING;
+    delivery.attempts++;
+    DB.persist();
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = moment(nowMs).unix();
+    let statusCode = null;
+    let error = null;
+    try {
+      const response = await fetch(endpoint.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Corelay-Webhooks/1.0',
+          'X-Corelay-Event': delivery.eventType,
+          'X-Corelay-Delivery': delivery.deliveryId,
+          'X-Corelay-Signature': `t=${timestamp},v1=${Webhooks.sign(endpoint.secret, timestamp, body)}`
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+      statusCode = response.status;
+      if (!response.ok) {
+        const text = await response.text().catch(() => '');
+        error = `HTTP ${statusCode}${text ? `: ${text.slice(0, 200)}` : ''}`;
+      }
+    } catch (err) {
+      error = err.name === 'TimeoutError' ? `Timeout ${REQUEST_TIMEOUT_MS} ms` : (err.cause && err.cause.code) || err.message;
+    }
+
+    delivery.lastStatusCode = statusCode;
+    if (!error) {
+      delivery.status = DELIVERY_STATUSES.SUCCEEDED;
+      delivery.lastError = null;
+      delivery.nextAttemptAt = null;
+      delivery.deliveredAt = moment(nowMs).toISOString();
+      logAttempt(delivery, nowMs, DELIVERY_STATUSES.SUCCEEDED, `HTTP ${statusCode}`);
+      console.log(`[Webhooks] ${delivery.deliveryId} (${delivery.eventType}) doręczone → ${endpoint.url}`);
+    } else if (delivery.attempts < MAX_ATTEMPTS) {
+      delivery.status = DELIVERY_STATUSES.PENDING;
+      delivery.lastError = error;
+      delivery.nextAttemptAt = nowMs + backoffMs(delivery.attempts);
+      logAttempt(delivery, nowMs, 'RETRY_SCHEDULED', error);
+      console.warn(`[Webhooks] ${delivery.deliveryId} próba ${delivery.attempts}/${MAX_ATTEMPTS} nieudana (${error}) – ponowienie ${moment(delivery.nextAttemptAt).toISOString()}`);
+    } else {
+      delivery.status = DELIVERY_STATUSES.DEAD;
+      delivery.lastError = error;
+      delivery.nextAttemptAt = null;
+      logAttempt(delivery, nowMs, DELIVERY_STATUSES.DEAD, error);
+      console.error(`[Webhooks] ${delivery.deliveryId} (${delivery.eventType}) → dead-letter po ${delivery.attempts} próbach: ${error}`);
+    }
+
+    pruneDeliveries();
+    DB.persist();
+    return delivery;
+  },
+
+  /**
+   * Wysyła wszystkie doręczenia PENDING, których termin minął (po kolei). Bez nakładania się wywołań –
+   * wywołanie w trakcie przebiegu zleca kolejny przebieg zaraz po nim (nowe zdarzenia nie czekają na worker).
+   *
+   * @param {number} [nowMs] - Czas (domyślnie teraz)
+   * @returns {Promise<number>} Liczba wykonanych prób
+   */
+  processDue: async (nowMs) => {
+    if (processing) {
+      rerunRequested = true;
+      return 0;
+    }
+    processing = true;
+    let processed = 0;
+    try {
+      const at = nowMs !== undefined ? nowMs : moment().valueOf();
+      const due = deliveriesCollection().filter(d => d.status === DELIVERY_STATUSES.PENDING && d.nextAttemptAt <= at);
+      for (const delivery of due) {
+        await Webhooks.deliver(delivery.deliveryId, nowMs !== undefined ? nowMs : moment().valueOf());
+        processed++;
+      }
+    } finally {
+      processing = false;
+      if (rerunRequested) {
+        rerunRequested = false;
+        scheduleProcessing();
+      }
+    }
+    return processed;
+  },
+
+  /**
+   * Ponawia doręczenie z dead-letter (admin): nowa runda prób z tym samym deliveryId i payloadem.
+   *
+   * @param {string} deliveryId - ID doręczenia
+   * @param {object} [context] - { actor, now }
+   * @returns {object} Doręczenie (PENDING)
+   * @throws {ApiError} 404 jeśli nie istnieje, 409 jeśli nie jest DEAD
+   */
+  replay: (deliveryId, context = {}) => {
+    const nowMs = context.now !== undefined ? context.now : moment().valueOf();
+    const delivery = Webhooks.getDelivery(deliveryId);
+    if (delivery.status !== DELIVERY_STATUSES.DEAD) {
+      throw new ApiError(`Doręczenie ${deliveryId} ma status ${delivery.status} – ponowić można tylko DEAD`, 409);
+    }
+
+    delivery.status = DELIVERY_STATUSES.PENDING;
+    delivery.attempts = 0;
+    delivery.nextAttemptAt = nowMs;
+    logAttempt(delivery, nowMs, 'REPLAY', context.actor || 'admin');
+    DB.persist();
+
+    console.log(`[Webhooks] ${deliveryId} ponowione przez ${context.actor || 'admin'}`);
+    scheduleProcessing();
+    return delivery;
+  },
+
+  /**
+   * Ponawia wszystkie doręczenia DEAD pasujące do filtra (np. po naprawie endpointu merchanta).
+   *
+   * @param {object} [filter] - { merchantId, endpointId }
+   * @param {object} [context] - { actor, now }
+   * @returns {array} Ponowione doręczenia
+   */
+  replayDead: (filter = {}, context = {}) => Webhooks
+    .listDeliveries({ ...filter, status: DELIVERY_STATUSES.DEAD, limit: Infinity })
+    .reverse()
+    .map(delivery => Webhooks.replay(delivery.deliveryId, context)),
+
+  /**
+   * Pobiera doręczenie po ID.
+   *
+   * @param {string} deliveryId - ID doręczenia
+   * @param {string|null} [merchantId] - Właściciel (cudze = 404)
+   * @returns {object} Doręczenie
+   * @throws {ApiError} 404 jeśli nie istnieje
+   */
+  getDelivery: (deliveryId, merchantId = null) => {
+    const delivery = deliveriesCollection().find(d => d.deliveryId === deliveryId);
+    if (!delivery || (merchantId && delivery.merchantId !== merchantId)) {
+      throw new ApiError(`Doręczenie webhooka ${deliveryId} nie istnieje`, 404);
+    }
+    return delivery;
+  },
+
+  /**
+   * Lista doręczeń (najnowsze pierwsze) z opcjonalnym filtrem.
+   *
+   * @param {object} [filter] - { merchantId, endpointId, status, eventType, orderId, limit (domyślnie 50) }
+   * @returns {array} Doręczenia
+   */
+  listDeliveries: ({ merchantId, endpointId, status, eventType, orderId, limit = 50 } = {}) => deliveriesCollection()
+    .filter(d => (!merchantId || d.merchantId === merchantId) &&
+      (!endpointId || d.endpointId === endpointId) &&
+      (!status || d.status === status) &&
+      (!eventType || d.eventType === eventType) &&
+      (!orderId || d.orderId === orderId))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit),
+
+  /**
+   * Uruchamia okresowy worker. Doręczenia DELIVERING (przerwane restartem) wracają do PENDING –
+   * merchant deduplikuje po X-Corelay-Delivery.
+   *
+   * @param {number} [intervalMs] - Interwał (domyślnie WORKER_INTERVAL_MS)
+   * @returns {void}
+   */
+  startWorker: (intervalMs = WORKER_INTERVAL_MS) => {
+    if (workerTimer) return;
+    const interrupted = deliveriesCollection().filter(d => d.status === DELIVERY_STATUSES.DELIVERING);
+    if (interrupted.length > 0) {
+      interrupted.forEach(d => { d.status = DELIVERY_STATUSES.PENDING; });
+      DB.persist();
+      console.warn(`[Webhooks] ${interrupted.length} przerwanych doręczeń wraca do kolejki`);
+    }
+    workerTimer = setInterval(() => {
+      Webhooks.processDue().catch(err => console.error('[Webhooks] Błąd workera:', err.message));
+    }, intervalMs);
+    workerTimer.unref();
+  },
+
+  /**
+   * Zatrzymuje worker (graceful shutdown, testy).
+   *
+   * @returns {void}
+   */
+  stopWorker: () => {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+
+};
+
+// Każde zdarzenie domenowe merchanta → kolejka doręczeń
+Events.subscribe(Webhooks.handleEvent);
+
+// ============================================
+// EKSPORT MODUŁU
+// ============================================
+
+/**
+ * Eksport Webhooks – użyj: const Webhooks = require('./webhooks');
+ */
+module.exports = Webhooks;